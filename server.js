@@ -7,6 +7,7 @@
 
 import express from 'express';
 import { createServer } from 'http';
+import { pathToFileURL } from 'url';
 import { Server as SocketIOServer } from 'socket.io';
 import cors from 'cors';
 import helmet from 'helmet';
@@ -16,9 +17,55 @@ import dotenv from 'dotenv';
 
 // Trinity Framework Core Modules
 import { BMADv4Engine } from './src/core/bmad-v4-engine.js';
+import { ACIToolExecutor } from './src/core/deployment-executors.js';
 import { PRPMethodology } from './src/core/prp-methodology.js';
 import { ACIDevIntegration } from './src/core/aci-dev-integration.js';
 import { TrinityOrchestrator } from './src/core/trinity-orchestrator.js';
+import { AgentRegistry } from './src/core/agent-registry.js';
+import { ExecutionHistory } from './src/core/execution-history.js';
+import { createStore } from './src/infrastructure/storage/index.js';
+import {
+    validate,
+    taskCreateSchema,
+    taskUpdateSchema,
+    taskAssignSchema,
+    taskQuerySchema,
+    projectCreateSchema,
+    projectUpdateSchema,
+    projectScopeSchema,
+    milestoneCreateSchema,
+    milestoneUpdateSchema,
+    blockerQuerySchema,
+    blockerActionSchema,
+    blockerRuleUpdateSchema,
+    burndownQuerySchema,
+    throughputQuerySchema,
+    forecastQuerySchema,
+    metricQuerySchema,
+    activityQuerySchema,
+    deploymentSchema,
+    deployQuerySchema,
+    deploymentLogQuerySchema,
+    deploymentSubscribeSchema,
+    rollbackSchema,
+    deploymentDiffQuerySchema,
+    agentCreateSchema,
+    agentUpdateSchema,
+    agentRetireSchema,
+    agentQuerySchema,
+    prpCommandParamsSchema,
+    prpHistoryQuerySchema,
+    prpCommandQuerySchema,
+    prpRuleToggleSchema,
+    prpWorkflowSchema,
+    prpWorkflowRunSchema,
+    prpWorkflowResumeSchema,
+    prpWorkflowRunQuerySchema,
+    prpExecuteQuerySchema,
+    executionQuerySchema,
+    executionStatsQuerySchema,
+    executionExportQuerySchema
+} from './src/validation/trinity-schemas.js';
 
 // PowerLine System Modules
 import { PowerLineAPI } from './src/powerline/powerline-api.js';
@@ -30,6 +77,7 @@ import { DashboardWebSocket } from './src/dashboard/dashboard-websocket.js';
 import { DatabaseConnection } from './src/infrastructure/database.js';
 import { RedisConnection } from './src/infrastructure/redis.js';
 import { Logger } from './src/infrastructure/logger.js';
+import { PrometheusExporter } from './src/infrastructure/prometheus-exporter.js';
 
 // Load environment configuration
 dotenv.config();
@@ -50,10 +98,51 @@ class TrinityBackendServer {
         this.logger = new Logger('TrinityBackend');
         
         // Initialize Trinity Framework components
-        this.bmadEngine = new BMADv4Engine();
-        this.prpMethodology = new PRPMethodology();
-        this.aciIntegration = new ACIDevIntegration();
-        this.orchestrator = new TrinityOrchestrator(this.bmadEngine, this.prpMethodology, this.aciIntegration);
+        this.store = createStore({
+            type: process.env.TRINITY_STORE || 'file',
+            dataDir: process.env.TRINITY_DATA_DIR || './data/trinity',
+            mongoUri: process.env.MONGODB_URI
+        });
+        this.agentRegistry = new AgentRegistry({ store: this.store });
+        this.bmadEngine = new BMADv4Engine({
+            agentRegistry: this.agentRegistry,
+            pipelinesDir: process.env.BMAD_PIPELINES_DIR || './config/pipelines',
+            healthCheck: {
+                host: process.env.BMAD_AGENT_HOST || 'localhost',
+                timeoutMs: Number(process.env.BMAD_HEALTH_TIMEOUT_MS) || 2000
+            }
+        });
+        // One bounded history for PRP command and ACI tool executions
+        this.executionHistory = new ExecutionHistory({
+            maxEntries: Number(process.env.EXECUTION_HISTORY_MAX_ENTRIES) || undefined,
+            maxAgeMs: Number(process.env.EXECUTION_HISTORY_MAX_AGE_HOURS) * 60 * 60 * 1000 || null
+        });
+        this.aciIntegration = new ACIDevIntegration({ executionHistory: this.executionHistory });
+        this.prpMethodology = new PRPMethodology({
+            aciIntegration: this.aciIntegration,
+            executionHistory: this.executionHistory,
+            parallel: {
+                poolSize: Number(process.env.PRP_WORKER_POOL_SIZE) || undefined,
+                strategy: process.env.PRP_BALANCING_STRATEGY,
+                // Parallel jobs can only run these named functions and commands
+                functionModules: process.env.PRP_JOB_FUNCTION_MODULES ? process.env.PRP_JOB_FUNCTION_MODULES.split(',') : [],
+                commandsFile: process.env.PRP_COMMANDS_FILE || './config/prp-commands.json'
+            },
+            persistence: {
+                dataDir: process.env.PRP_DATA_DIR || './data/prp',
+                replicasDir: process.env.PRP_REPLICAS_DIR
+            },
+            workflows: {
+                maxRuns: Number(process.env.PRP_WORKFLOW_MAX_RUNS) || undefined,
+                runRetentionMs: Number(process.env.PRP_WORKFLOW_RUN_RETENTION_HOURS) * 60 * 60 * 1000 || null
+            }
+        });
+        this.bmadEngine.registerStageExecutor(new ACIToolExecutor(this.aciIntegration));
+        this.orchestrator = new TrinityOrchestrator(this.bmadEngine, this.prpMethodology, this.aciIntegration, {
+            store: this.store,
+            agentRegistry: this.agentRegistry
+        });
+        this.prpMethodology.setTaskOrchestrator(this.orchestrator);
         
         // Initialize PowerLine components
         this.powerLineAPI = new PowerLineAPI();
@@ -61,6 +150,15 @@ class TrinityBackendServer {
         this.agentCoordinator = new AgentCoordinator();
         this.dashboardWS = new DashboardWebSocket(this.io);
         
+        // Prometheus/OpenMetrics exposition
+        this.metricsExporter = new PrometheusExporter({
+            orchestrator: this.orchestrator,
+            bmadEngine: this.bmadEngine,
+            prpMethodology: this.prpMethodology,
+            aciIntegration: this.aciIntegration,
+            io: this.io
+        });
+        
         this.initializeMiddleware();
         this.initializeRoutes();
         this.initializeWebSocket();
@@ -90,6 +188,9 @@ class TrinityBackendServer {
         this.app.use(express.json({ limit: '10mb' }));
         this.app.use(express.urlencoded({ extended: true, limit: '10mb' }));
         
+        // Request latency histograms for /metrics
+        this.app.use(this.metricsExporter.httpMetricsMiddleware());
+        
         // Request logging
         this.app.use((req, res, next) => {
             this.logger.info(`${req.method} ${req.path}`, { 
@@ -118,6 +219,16 @@ class TrinityBackendServer {
             });
         });
 
+        // Prometheus scrape endpoint
+        this.app.get('/metrics', async (req, res) => {
+            try {
+                res.set('Content-Type', this.metricsExporter.contentType);
+                res.send(await this.metricsExporter.render());
+            } catch (error) {
+                res.status(500).json({ error: error.message });
+            }
+        });
+
         // Trinity Framework endpoints
         this.app.use('/api/trinity', this.createTrinityRoutes());
         
@@ -145,25 +256,117 @@ class TrinityBackendServer {
             res.json(this.bmadEngine.getDetailedStatus());
         });
         
-        router.post('/bmad/deploy', async (req, res) => {
+        router.get('/bmad/agents/health', (req, res) => {
+            res.json(this.bmadEngine.getAgentHealth());
+        });
+        
+        router.get('/bmad/pipelines', async (req, res) => {
             try {
-                const result = await this.bmadEngine.deploy(req.body);
-                res.json(result);
+                res.json(await this.bmadEngine.listPipelines());
             } catch (error) {
                 res.status(500).json({ error: error.message });
             }
         });
         
-        // PRP Methodology endpoints
-        router.get('/prp/validate', async (req, res) => {
+        router.get('/bmad/pipelines/:target', async (req, res) => {
             try {
-                const validation = await this.prpMethodology.validateSystem();
-                res.json(validation);
+                res.json(await this.bmadEngine.getPipeline(req.params.target));
             } catch (error) {
-                res.status(500).json({ error: error.message });
+                res.status(error.statusCode || 500).json({ error: error.message, details: error.details });
+            }
+        });
+        
+        // ?wait=false answers 202 with the queue position instead of waiting for the result
+        router.post('/bmad/deploy', validate(deployQuerySchema, 'query'), validate(deploymentSchema), async (req, res) => {
+            try {
+                const { deployment, position, completion } = await this.bmadEngine.enqueueDeployment(req.body);
+                if (!req.query.wait) {
+                    return res.status(202).json({
+                        deploymentId: deployment.id,
+                        environment: deployment.environment,
+                        status: deployment.status,
+                        position
+                    });
+                }
+                res.json(await completion);
+            } catch (error) {
+                res.status(error.statusCode || 500).json({ error: error.message, details: error.details });
+            }
+        });
+        
+        router.get('/bmad/deployments/diff', validate(deploymentDiffQuerySchema, 'query'), (req, res) => {
+            const diff = this.bmadEngine.diffDeployments(req.query.from, req.query.to);
+            if (!diff) {
+                return res.status(404).json({ error: 'Deployment not found' });
+            }
+            res.json(diff);
+        });
+        
+        router.get('/bmad/deployments/:deploymentId', (req, res) => {
+            const deployment = this.bmadEngine.getDeployment(req.params.deploymentId);
+            if (!deployment) {
+                return res.status(404).json({ error: 'Deployment not found' });
+            }
+            res.json({ ...deployment, position: this.bmadEngine.getQueuePosition(deployment.id) });
+        });
+        
+        router.get('/bmad/deployments/:deploymentId/logs', validate(deploymentLogQuerySchema, 'query'), (req, res) => {
+            const logs = this.bmadEngine.getDeploymentLogs(req.params.deploymentId, req.query);
+            if (!logs) {
+                return res.status(404).json({ error: 'Deployment not found' });
+            }
+            res.json(logs);
+        });
+        
+        router.post('/bmad/deployments/:deploymentId/cancel', (req, res) => {
+            try {
+                const deployment = this.bmadEngine.cancelDeployment(req.params.deploymentId);
+                if (!deployment) {
+                    return res.status(404).json({ error: 'Deployment not found' });
+                }
+                res.status(202).json({
+                    deploymentId: deployment.id,
+                    status: deployment.status,
+                    cancelRequested: deployment.status === 'running'
+                });
+            } catch (error) {
+                res.status(error.statusCode || 500).json({ error: error.message, details: error.details });
             }
         });
         
+        router.get('/bmad/queues', (req, res) => {
+            res.json(this.bmadEngine.getDeploymentQueues());
+        });
+        
+        router.get('/bmad/environments', (req, res) => {
+            res.json(this.bmadEngine.getEnvironments());
+        });
+        
+        router.get('/bmad/environments/:environment/releases', (req, res) => {
+            res.json(this.bmadEngine.getReleaseHistory(req.params.environment));
+        });
+        
+        router.post('/bmad/environments/:environment/revert', async (req, res) => {
+            try {
+                const result = await this.bmadEngine.revertBlueGreen(req.params.environment);
+                res.json(result);
+            } catch (error) {
+                res.status(error.statusCode || 500).json({ error: error.message, details: error.details });
+            }
+        });
+        
+        router.post('/bmad/environments/:environment/rollback', validate(rollbackSchema), async (req, res) => {
+            try {
+                const result = await this.bmadEngine.rollback(req.params.environment, req.body);
+                res.json(result);
+            } catch (error) {
+                res.status(error.statusCode || 500).json({ error: error.message, details: error.details });
+            }
+        });
+        
+        // PRP Methodology endpoints
+        router.use('/prp', this.createPRPRoutes());
+        
         // ACI.dev Integration endpoints
         router.get('/aci/tools', (req, res) => {
             res.json(this.aciIntegration.getAvailableTools());
@@ -178,6 +381,359 @@ class TrinityBackendServer {
             }
         });
         
+        // Project and task management (Asana replacement)
+        router.use('/projects', this.createProjectRoutes());
+        router.use('/tasks', this.createTaskRoutes());
+        router.use('/blockers', this.createBlockerRoutes());
+        router.use('/agents', this.createAgentRegistryRoutes());
+        router.use('/executions', this.createExecutionHistoryRoutes());
+        
+        router.get('/critical-path', validate(projectScopeSchema, 'query'), (req, res) => {
+            const criticalPath = this.orchestrator.getCriticalPath(req.query.projectId);
+            if (!criticalPath) {
+                return res.status(404).json({ error: `Project not found: ${req.query.projectId}` });
+            }
+            res.json(criticalPath);
+        });
+        
+        router.get('/metrics', (req, res) => {
+            res.json(this.orchestrator.listMetricSeries());
+        });
+        
+        router.get('/metrics/:name', validate(metricQuerySchema, 'query'), (req, res) => {
+            const series = this.orchestrator.queryMetric(req.params.name, req.query);
+            if (!series) {
+                return res.status(404).json({ error: `Metric not found: ${req.params.name}` });
+            }
+            res.json(series);
+        });
+        
+        router.get('/activity', validate(activityQuerySchema, 'query'), async (req, res) => {
+            try {
+                const activity = await this.orchestrator.queryActivity(req.query);
+                res.json({ total: activity.length, activity });
+            } catch (error) {
+                res.status(500).json({ error: error.message });
+            }
+        });
+        
+        return router;
+    }
+
+    createProjectRoutes() {
+        const router = express.Router();
+        
+        router.get('/', (req, res) => {
+            res.json(this.orchestrator.listProjects());
+        });
+        
+        router.get('/:projectId', (req, res) => {
+            const project = this.orchestrator.getProject(req.params.projectId);
+            if (!project) {
+                return res.status(404).json({ error: `Project not found: ${req.params.projectId}` });
+            }
+            res.json(project);
+        });
+        
+        router.get('/:projectId/dashboard', (req, res) => {
+            const dashboard = this.orchestrator.getProjectDashboard(req.params.projectId);
+            if (!dashboard) {
+                return res.status(404).json({ error: `Project not found: ${req.params.projectId}` });
+            }
+            res.json(dashboard);
+        });
+        
+        router.get('/:projectId/critical-path', (req, res) => {
+            const criticalPath = this.orchestrator.getCriticalPath(req.params.projectId);
+            if (!criticalPath) {
+                return res.status(404).json({ error: `Project not found: ${req.params.projectId}` });
+            }
+            res.json(criticalPath);
+        });
+        
+        router.get('/:projectId/progress', (req, res) => {
+            const progress = this.orchestrator.getProjectProgress(req.params.projectId);
+            if (!progress) {
+                return res.status(404).json({ error: `Project not found: ${req.params.projectId}` });
+            }
+            res.json(progress);
+        });
+        
+        router.get('/:projectId/blockers', validate(blockerQuerySchema, 'query'), (req, res) => {
+            if (!this.orchestrator.getProject(req.params.projectId)) {
+                return res.status(404).json({ error: `Project not found: ${req.params.projectId}` });
+            }
+            const statuses = req.query.status ? [req.query.status] : null;
+            res.json(this.orchestrator.getProjectBlockers(req.params.projectId, statuses));
+        });
+        
+        router.use('/:projectId/milestones', this.createMilestoneRoutes());
+        router.use('/:projectId/analytics', this.createAnalyticsRoutes());
+        
+        router.post('/', validate(projectCreateSchema), async (req, res) => {
+            try {
+                const project = await this.orchestrator.createProject(req.body);
+                res.status(201).json(project);
+            } catch (error) {
+                res.status(error.statusCode || 500).json({ error: error.message, details: error.details });
+            }
+        });
+        
+        router.put('/:projectId', validate(projectUpdateSchema), async (req, res) => {
+            try {
+                const project = await this.orchestrator.updateProject(req.params.projectId, req.body);
+                if (!project) {
+                    return res.status(404).json({ error: `Project not found: ${req.params.projectId}` });
+                }
+                res.json(project);
+            } catch (error) {
+                res.status(error.statusCode || 500).json({ error: error.message, details: error.details });
+            }
+        });
+        
+        return router;
+    }
+
+    createMilestoneRoutes() {
+        const router = express.Router({ mergeParams: true });
+        
+        // Resolve the milestone within the project from the URL, or 404
+        const findMilestone = (req, res) => {
+            const milestone = this.orchestrator.getMilestone(req.params.milestoneId);
+            if (!milestone || milestone.projectId !== req.params.projectId) {
+                res.status(404).json({ error: `Milestone not found: ${req.params.milestoneId}` });
+                return null;
+            }
+            return milestone;
+        };
+        
+        router.get('/', (req, res) => {
+            if (!this.orchestrator.getProject(req.params.projectId)) {
+                return res.status(404).json({ error: `Project not found: ${req.params.projectId}` });
+            }
+            res.json(this.orchestrator.getProjectMilestones(req.params.projectId));
+        });
+        
+        router.get('/:milestoneId', (req, res) => {
+            const milestone = findMilestone(req, res);
+            if (milestone) res.json(milestone);
+        });
+        
+        router.post('/', validate(milestoneCreateSchema), async (req, res) => {
+            try {
+                const milestone = await this.orchestrator.createMilestone(req.params.projectId, req.body);
+                if (!milestone) {
+                    return res.status(404).json({ error: `Project not found: ${req.params.projectId}` });
+                }
+                res.status(201).json(milestone);
+            } catch (error) {
+                res.status(error.statusCode || 500).json({ error: error.message, details: error.details });
+            }
+        });
+        
+        router.put('/:milestoneId', validate(milestoneUpdateSchema), async (req, res) => {
+            try {
+                if (!findMilestone(req, res)) return;
+                
+                const milestone = await this.orchestrator.updateMilestone(req.params.milestoneId, req.body);
+                res.json(milestone);
+            } catch (error) {
+                res.status(error.statusCode || 500).json({ error: error.message, details: error.details });
+            }
+        });
+        
+        router.delete('/:milestoneId', async (req, res) => {
+            try {
+                if (!findMilestone(req, res)) return;
+                
+                await this.orchestrator.deleteMilestone(req.params.milestoneId);
+                res.status(204).end();
+            } catch (error) {
+                res.status(500).json({ error: error.message });
+            }
+        });
+        
+        return router;
+    }
+
+    createAnalyticsRoutes() {
+        const router = express.Router({ mergeParams: true });
+        
+        // Each analytics view resolves to null when the project is unknown
+        const sendAnalytics = async (req, res, compute) => {
+            try {
+                const result = await compute();
+                if (!result) {
+                    return res.status(404).json({ error: `Project not found: ${req.params.projectId}` });
+                }
+                res.json(result);
+            } catch (error) {
+                res.status(500).json({ error: error.message });
+            }
+        };
+        
+        router.get('/burndown', validate(burndownQuerySchema, 'query'), (req, res) => {
+            sendAnalytics(req, res, () => this.orchestrator.getBurndown(req.params.projectId, req.query));
+        });
+        
+        router.get('/throughput', validate(throughputQuerySchema, 'query'), (req, res) => {
+            sendAnalytics(req, res, () => this.orchestrator.getThroughput(req.params.projectId, req.query));
+        });
+        
+        router.get('/cycle-time', (req, res) => {
+            sendAnalytics(req, res, () => this.orchestrator.getCycleTimes(req.params.projectId));
+        });
+        
+        router.get('/forecast', validate(forecastQuerySchema, 'query'), (req, res) => {
+            sendAnalytics(req, res, () => this.orchestrator.getForecast(req.params.projectId, req.query));
+        });
+        
+        return router;
+    }
+
+    createBlockerRoutes() {
+        const router = express.Router();
+        
+        router.get('/rules', (req, res) => {
+            res.json(this.orchestrator.listBlockerRules());
+        });
+        
+        router.put('/rules/:ruleId', validate(blockerRuleUpdateSchema), (req, res) => {
+            const rule = this.orchestrator.configureBlockerRule(req.params.ruleId, req.body);
+            if (!rule) {
+                return res.status(404).json({ error: `Blocker rule not found: ${req.params.ruleId}` });
+            }
+            res.json(rule);
+        });
+        
+        router.get('/:blockerId', (req, res) => {
+            const blocker = this.orchestrator.getBlocker(req.params.blockerId);
+            if (!blocker) {
+                return res.status(404).json({ error: `Blocker not found: ${req.params.blockerId}` });
+            }
+            res.json(blocker);
+        });
+        
+        router.post('/:blockerId/acknowledge', validate(blockerActionSchema), async (req, res) => {
+            try {
+                const blocker = await this.orchestrator.acknowledgeBlocker(req.params.blockerId, req.body);
+                if (!blocker) {
+                    return res.status(404).json({ error: `Blocker not found: ${req.params.blockerId}` });
+                }
+                res.json(blocker);
+            } catch (error) {
+                res.status(500).json({ error: error.message });
+            }
+        });
+        
+        router.post('/:blockerId/resolve', validate(blockerActionSchema), async (req, res) => {
+            try {
+                const blocker = await this.orchestrator.resolveBlocker(req.params.blockerId, req.body);
+                if (!blocker) {
+                    return res.status(404).json({ error: `Blocker not found: ${req.params.blockerId}` });
+                }
+                res.json(blocker);
+            } catch (error) {
+                res.status(500).json({ error: error.message });
+            }
+        });
+        
+        return router;
+    }
+
+    createTaskRoutes() {
+        const router = express.Router();
+        
+        router.get('/', validate(taskQuerySchema, 'query'), (req, res) => {
+            res.json(this.orchestrator.listTasks(req.query));
+        });
+        
+        router.get('/:taskId', (req, res) => {
+            const task = this.orchestrator.getTask(req.params.taskId);
+            if (!task) {
+                return res.status(404).json({ error: `Task not found: ${req.params.taskId}` });
+            }
+            res.json(task);
+        });
+        
+        router.post('/', validate(taskCreateSchema), async (req, res) => {
+            try {
+                if (req.body.assignee && !this.orchestrator.getAgent(req.body.assignee)) {
+                    return res.status(404).json({ error: `Agent not found: ${req.body.assignee}` });
+                }
+                
+                const task = await this.orchestrator.createTask(req.body);
+                res.status(201).json(task);
+            } catch (error) {
+                res.status(error.statusCode || 500).json({ error: error.message, details: error.details });
+            }
+        });
+        
+        router.put('/:taskId', validate(taskUpdateSchema), async (req, res) => {
+            try {
+                if (req.body.assignee && !this.orchestrator.getAgent(req.body.assignee)) {
+                    return res.status(404).json({ error: `Agent not found: ${req.body.assignee}` });
+                }
+                
+                const task = await this.orchestrator.updateTask(req.params.taskId, req.body);
+                if (!task) {
+                    return res.status(404).json({ error: `Task not found: ${req.params.taskId}` });
+                }
+                res.json(task);
+            } catch (error) {
+                res.status(error.statusCode || 500).json({ error: error.message, details: error.details });
+            }
+        });
+        
+        router.post('/:taskId/assign', validate(taskAssignSchema), async (req, res) => {
+            try {
+                if (!this.orchestrator.getTask(req.params.taskId)) {
+                    return res.status(404).json({ error: `Task not found: ${req.params.taskId}` });
+                }
+                if (!this.orchestrator.getAgent(req.body.agentId)) {
+                    return res.status(404).json({ error: `Agent not found: ${req.body.agentId}` });
+                }
+                
+                const task = await this.orchestrator.assignTask(req.params.taskId, req.body.agentId);
+                res.json(task);
+            } catch (error) {
+                res.status(error.statusCode || 500).json({ error: error.message, details: error.details });
+            }
+        });
+        
+        // Preview of how the task would be routed, with the score behind every candidate
+        router.get('/:taskId/routing', (req, res) => {
+            const task = this.orchestrator.getTask(req.params.taskId);
+            if (!task) {
+                return res.status(404).json({ error: `Task not found: ${req.params.taskId}` });
+            }
+            res.json(this.orchestrator.getTaskRouting(task));
+        });
+        
+        router.post('/:taskId/auto-assign', async (req, res) => {
+            try {
+                const task = await this.orchestrator.autoAssignTask(req.params.taskId);
+                if (!task) {
+                    return res.status(404).json({ error: `Task not found: ${req.params.taskId}` });
+                }
+                res.json(task);
+            } catch (error) {
+                res.status(error.statusCode || 500).json({ error: error.message, details: error.details });
+            }
+        });
+        
+        router.delete('/:taskId', async (req, res) => {
+            try {
+                const task = await this.orchestrator.deleteTask(req.params.taskId);
+                if (!task) {
+                    return res.status(404).json({ error: `Task not found: ${req.params.taskId}` });
+                }
+                res.status(204).end();
+            } catch (error) {
+                res.status(error.statusCode || 500).json({ error: error.message, details: error.details });
+            }
+        });
+        
         return router;
     }
 
@@ -219,6 +775,210 @@ class TrinityBackendServer {
         return router;
     }
 
+    createPRPRoutes() {
+        const router = express.Router();
+        
+        router.get('/validate', async (req, res) => {
+            try {
+                const validation = await this.prpMethodology.validateSystem();
+                res.json(validation);
+            } catch (error) {
+                res.status(500).json({ error: error.message });
+            }
+        });
+        
+        router.get('/commands', validate(prpCommandQuerySchema, 'query'), (req, res) => {
+            const commands = this.prpMethodology.getCommandStatistics()
+                .filter(command => !req.query.type || command.type === req.query.type);
+            res.json({ total: commands.length, commands });
+        });
+        
+        router.get('/commands/:commandId', (req, res) => {
+            const command = this.prpMethodology.getCommand(req.params.commandId);
+            if (!command) {
+                return res.status(404).json({ error: `Unknown PRP command: ${req.params.commandId}` });
+            }
+            res.json(command);
+        });
+        
+        // The body is the command's params; failures keep the execution record in the response
+        router.post('/commands/:commandId', validate(prpExecuteQuerySchema, 'query'), validate(prpCommandParamsSchema), async (req, res) => {
+            try {
+                if (!this.prpMethodology.getCommand(req.params.commandId)) {
+                    return res.status(404).json({ error: `Unknown PRP command: ${req.params.commandId}` });
+                }
+                
+                const result = await this.prpMethodology.executeCommand(req.params.commandId, req.body, { agentId: req.query.agentId });
+                res.status(result.success ? 200 : result.statusCode).json(result);
+            } catch (error) {
+                res.status(error.statusCode || 500).json({ error: error.message, details: error.details });
+            }
+        });
+        
+        router.get('/history', validate(prpHistoryQuerySchema, 'query'), (req, res) => {
+            const { limit, ...filters } = req.query;
+            const history = this.prpMethodology.getExecutionHistory(limit, filters);
+            res.json({ total: history.length, history });
+        });
+        
+        router.get('/rules', (req, res) => {
+            res.json(this.prpMethodology.getValidationRules());
+        });
+        
+        router.put('/rules/:ruleId', validate(prpRuleToggleSchema), (req, res) => {
+            try {
+                const rule = this.prpMethodology.toggleRule(req.params.ruleId, req.body.active, req.body.commandId);
+                res.json(rule);
+            } catch (error) {
+                res.status(error.statusCode || 500).json({ error: error.message, details: error.details });
+            }
+        });
+        
+        // Workflows: named chains of PRP commands
+        router.get('/workflows', (req, res) => {
+            const workflows = this.prpMethodology.workflows.listWorkflows();
+            res.json({ total: workflows.length, workflows });
+        });
+        
+        router.get('/workflows/:name', (req, res) => {
+            const workflow = this.prpMethodology.workflows.getWorkflow(req.params.name);
+            if (!workflow) {
+                return res.status(404).json({ error: `Workflow not found: ${req.params.name}` });
+            }
+            res.json(workflow);
+        });
+        
+        // Creates the workflow, or replaces it as a new version
+        router.post('/workflows', validate(prpWorkflowSchema), async (req, res) => {
+            try {
+                const workflow = await this.prpMethodology.workflows.defineWorkflow(req.body);
+                res.status(workflow.version === 1 ? 201 : 200).json(workflow);
+            } catch (error) {
+                res.status(error.statusCode || 500).json({ error: error.message, details: error.details });
+            }
+        });
+        
+        router.post('/workflows/:name/runs', validate(prpWorkflowRunSchema), async (req, res) => {
+            try {
+                const { input, ...options } = req.body;
+                const run = await this.prpMethodology.workflows.start(req.params.name, input, options);
+                res.status(req.body.wait ? 200 : 202).json(this.prpMethodology.workflows.summarizeRun(run));
+            } catch (error) {
+                res.status(error.statusCode || 500).json({ error: error.message, details: error.details });
+            }
+        });
+        
+        router.get('/runs', validate(prpWorkflowRunQuerySchema, 'query'), (req, res) => {
+            const runs = this.prpMethodology.workflows.listRuns(req.query);
+            res.json({ total: runs.length, runs });
+        });
+        
+        router.get('/runs/:runId', (req, res) => {
+            const run = this.prpMethodology.workflows.getRun(req.params.runId);
+            if (!run) {
+                return res.status(404).json({ error: `Workflow run not found: ${req.params.runId}` });
+            }
+            res.json(run);
+        });
+        
+        router.post('/runs/:runId/resume', validate(prpWorkflowResumeSchema), async (req, res) => {
+            try {
+                const { wait, ...options } = req.body;
+                const run = await this.prpMethodology.workflows.resume(req.params.runId, { ...options, wait });
+                res.status(wait ? 200 : 202).json(this.prpMethodology.workflows.summarizeRun(run));
+            } catch (error) {
+                res.status(error.statusCode || 500).json({ error: error.message, details: error.details });
+            }
+        });
+        
+        router.post('/runs/:runId/cancel', (req, res) => {
+            try {
+                const run = this.prpMethodology.workflows.cancel(req.params.runId);
+                res.status(202).json(this.prpMethodology.workflows.summarizeRun(run));
+            } catch (error) {
+                res.status(error.statusCode || 500).json({ error: error.message, details: error.details });
+            }
+        });
+        
+        return router;
+    }
+
+    // PRP command and ACI tool executions, filtered by source, name, status, agent and time range
+    createExecutionHistoryRoutes() {
+        const router = express.Router();
+        
+        router.get('/', validate(executionQuerySchema, 'query'), (req, res) => {
+            const executions = this.executionHistory.query(req.query);
+            res.json({ total: executions.length, executions });
+        });
+        
+        router.get('/stats', validate(executionStatsQuerySchema, 'query'), (req, res) => {
+            res.json(this.executionHistory.getStats(req.query));
+        });
+        
+        router.get('/export', validate(executionExportQuerySchema, 'query'), (req, res) => {
+            const { format, ...query } = req.query;
+            res.attachment(`executions.${format}`);
+            res.set('Content-Type', format === 'csv' ? 'text/csv' : 'application/x-ndjson');
+            res.send(this.executionHistory.export(format, query));
+        });
+        
+        return router;
+    }
+
+    // Shared agent registry used by the BMAD engine and the orchestrator
+    createAgentRegistryRoutes() {
+        const router = express.Router();
+        
+        router.get('/', validate(agentQuerySchema, 'query'), (req, res) => {
+            const agents = this.agentRegistry.list(req.query);
+            res.json({ total: agents.length, agents });
+        });
+        
+        router.get('/:agentId', (req, res) => {
+            const agent = this.agentRegistry.get(req.params.agentId);
+            if (!agent) {
+                return res.status(404).json({ error: `Agent not found: ${req.params.agentId}` });
+            }
+            res.json(agent);
+        });
+        
+        router.post('/', validate(agentCreateSchema), async (req, res) => {
+            try {
+                const agent = await this.agentRegistry.register(req.body);
+                res.status(201).json(agent);
+            } catch (error) {
+                res.status(error.statusCode || 500).json({ error: error.message, details: error.details });
+            }
+        });
+        
+        router.put('/:agentId', validate(agentUpdateSchema), async (req, res) => {
+            try {
+                const agent = await this.agentRegistry.update(req.params.agentId, req.body);
+                if (!agent) {
+                    return res.status(404).json({ error: `Agent not found: ${req.params.agentId}` });
+                }
+                res.json(agent);
+            } catch (error) {
+                res.status(error.statusCode || 500).json({ error: error.message, details: error.details });
+            }
+        });
+        
+        router.post('/:agentId/retire', validate(agentRetireSchema), async (req, res) => {
+            try {
+                const agent = await this.agentRegistry.retire(req.params.agentId, req.body);
+                if (!agent) {
+                    return res.status(404).json({ error: `Agent not found: ${req.params.agentId}` });
+                }
+                res.json(agent);
+            } catch (error) {
+                res.status(error.statusCode || 500).json({ error: error.message, details: error.details });
+            }
+        });
+        
+        return router;
+    }
+
     createAgentRoutes() {
         const router = express.Router();
         
@@ -323,6 +1083,36 @@ class TrinityBackendServer {
         return router;
     }
 
+    /*
+     * Joins the deployment's log room and replays up to `limit` buffered lines after
+     * `afterSeq`. While the replay reports hasMore, the client subscribes again with
+     * afterSeq set to the replay's lastSeq to fetch the next page.
+     */
+    subscribeToDeploymentLogs(socket, payload) {
+        const { error, value } = deploymentSubscribeSchema.validate(payload, { stripUnknown: true });
+        if (error) {
+            socket.emit('deployments:error', { deploymentId: payload?.deploymentId ?? null, error: error.message });
+            return;
+        }
+        
+        const { deploymentId, afterSeq, limit } = value;
+        const deployment = this.bmadEngine.getDeploymentSummary(deploymentId);
+        if (!deployment) {
+            socket.emit('deployments:error', { deploymentId, error: 'Deployment not found' });
+            return;
+        }
+        
+        socket.join(`deployment:${deploymentId}`);
+        const { total, lines } = this.bmadEngine.getDeploymentLogs(deploymentId, { afterSeq, limit });
+        socket.emit('deployment:log-replay', {
+            deploymentId,
+            deployment,
+            lines,
+            hasMore: total > lines.length,
+            lastSeq: lines.at(-1)?.seq ?? afterSeq ?? 0
+        });
+    }
+
     initializeWebSocket() {
         this.io.on('connection', (socket) => {
             this.logger.info(`Client connected: ${socket.id}`);
@@ -342,6 +1132,31 @@ class TrinityBackendServer {
                 this.agentCoordinator.startMonitoring(socket, data);
             });
             
+            // Live deployment logs: join the deployment's room, then replay what is already buffered
+            socket.on('deployments:subscribe', (payload) => {
+                this.subscribeToDeploymentLogs(socket, payload);
+            });
+            
+            socket.on('deployments:unsubscribe', (payload) => {
+                if (typeof payload?.deploymentId === 'string') {
+                    socket.leave(`deployment:${payload.deploymentId}`);
+                }
+            });
+            
+            // PRP command results: all commands, or only the listed command ids
+            socket.on('prp:subscribe', ({ commandIds } = {}) => {
+                const rooms = Array.isArray(commandIds) && commandIds.length > 0
+                    ? commandIds.map(commandId => `prp:${commandId}`)
+                    : ['prp-updates'];
+                rooms.forEach(room => socket.join(room));
+            });
+            
+            socket.on('prp:unsubscribe', () => {
+                for (const room of socket.rooms) {
+                    if (room === 'prp-updates' || room.startsWith('prp:')) socket.leave(room);
+                }
+            });
+            
             socket.on('disconnect', () => {
                 this.logger.info(`Client disconnected: ${socket.id}`);
                 this.orchestrator.unsubscribeFromUpdates(socket);
@@ -350,6 +1165,72 @@ class TrinityBackendServer {
             });
         });
         
+        // Forward orchestrator project, milestone and task changes to subscribed clients
+        for (const event of ['project:created', 'project:updated', 'milestone:created', 'milestone:updated', 'milestone:deleted', 'milestone:at-risk', 'blockers:detected', 'blocker:updated', 'blocker:cleared']) {
+            this.orchestrator.on(event, (payload) => {
+                this.io.to('trinity-updates').emit(event, payload);
+            });
+        }
+        
+        for (const event of ['task:created', 'task:updated', 'task:assigned', 'task:deleted', 'critical-path:updated']) {
+            this.orchestrator.on(event, (payload) => {
+                this.io.to('task-updates').emit(event, payload);
+            });
+        }
+        
+        // Deployment lifecycle goes to the deployment's room and the general feed; log lines only to the room
+        for (const event of ['deployment:queued', 'deployment:started', 'deployment:completed', 'deployment:failed', 'deployment:cancelled']) {
+            this.bmadEngine.on(event, ({ deploymentId }) => {
+                const summary = this.bmadEngine.getDeploymentSummary(deploymentId);
+                this.io.to(`deployment:${deploymentId}`).to('trinity-updates').emit(event, summary);
+            });
+        }
+        
+        this.bmadEngine.on('deployment:stage', ({ deploymentId, stage, result }) => {
+            this.io.to(`deployment:${deploymentId}`).emit('deployment:stage', {
+                deploymentId,
+                stage,
+                success: result.success,
+                duration: result.duration,
+                error: result.details?.error
+            });
+        });
+        
+        this.bmadEngine.on('deployment:log', (line) => {
+            this.io.to(`deployment:${line.deploymentId}`).emit('deployment:log', line);
+        });
+        
+        // PRP command results go to the general PRP feed and the command's own room
+        for (const event of ['command:executed', 'command:failed']) {
+            this.prpMethodology.on(event, (execution) => {
+                this.io.to('prp-updates').to(`prp:${execution.commandId}`).emit(event, execution);
+            });
+        }
+        
+        for (const event of ['workflow:started', 'workflow:step', 'workflow:resumed', 'workflow:completed', 'workflow:failed', 'workflow:cancelled', 'workflow:interrupted']) {
+            this.prpMethodology.workflows.on(event, (update) => {
+                this.io.to('prp-updates').emit(event, update);
+            });
+        }
+        
+        // Agent registry changes
+        this.agentRegistry.on('agent:registered', (agent) => {
+            this.io.to('agent-updates').emit('agent:registered', agent);
+        });
+        
+        this.agentRegistry.on('agent:updated', ({ agent, changes }) => {
+            this.io.to('agent-updates').emit('agent:updated', { agent, changes });
+        });
+        
+        this.agentRegistry.on('agent:retired', (agent) => {
+            this.io.to('agent-updates').emit('agent:retired', agent);
+        });
+        
+        // Agent health transitions (only emitted when a state actually changes)
+        this.bmadEngine.on('agent:health-changed', (change) => {
+            this.io.to('agent-updates').emit('agent:health-changed', change);
+        });
+        
         // Start real-time data broadcasting
         this.startRealTimeUpdates();
     }
@@ -417,7 +1298,9 @@ class TrinityBackendServer {
     async shutdown() {
         this.logger.info('Shutting down Trinity Backend Server...');
         
-        this.server.close(() => {
+        this.server.close(async () => {
+            await this.prpMethodology.shutdown();
+            await this.store.disconnect();
             DatabaseConnection.disconnect();
             RedisConnection.disconnect();
             this.logger.info('Server shutdown complete');
@@ -426,17 +1309,21 @@ class TrinityBackendServer {
     }
 }
 
-// Initialize and start the server
-const server = new TrinityBackendServer();
+// Initialize and start the server when run directly; tests import the class
+const isEntryPoint = process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href;
+const server = isEntryPoint ? new TrinityBackendServer() : null;
 
-// Graceful shutdown handlers
-process.on('SIGTERM', () => server.shutdown());
-process.on('SIGINT', () => server.shutdown());
-
-// Start the server
-server.start().catch((error) => {
-    console.error('Failed to start Trinity Backend Server:', error);
-    process.exit(1);
-});
+if (server) {
+    // Graceful shutdown handlers
+    process.on('SIGTERM', () => server.shutdown());
+    process.on('SIGINT', () => server.shutdown());
+    
+    // Start the server
+    server.start().catch((error) => {
+        console.error('Failed to start Trinity Backend Server:', error);
+        process.exit(1);
+    });
+}
 
+export { TrinityBackendServer };
 export default server;
\ No newline at end of file
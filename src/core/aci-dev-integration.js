@@ -7,9 +7,10 @@
 import { EventEmitter } from 'events';
 import { Logger } from '../infrastructure/logger.js';
 import axios from 'axios';
+import { ExecutionHistory } from './execution-history.js';
 
 export class ACIDevIntegration extends EventEmitter {
-    constructor() {
+    constructor(options = {}) {
         super();
         this.logger = new Logger('ACIDevIntegration');
         this.status = 'initializing';
@@ -20,7 +21,9 @@ export class ACIDevIntegration extends EventEmitter {
         this.tools = new Map();
         this.activeExecutions = new Map();
         this.toolCategories = new Map();
-        this.executionHistory = [];
+        // Shared with PRP when the server passes one in; PRP volume can evict ACI entries, hence the own total
+        this.executionHistory = options.executionHistory || new ExecutionHistory();
+        this.totalExecutions = 0;
         this.connectionStatus = 'disconnected';
         
         this.initialize();
@@ -208,7 +211,7 @@ export class ACIDevIntegration extends EventEmitter {
     }
 
     async executeTool(toolRequest) {
-        const { toolId, params = {}, priority = 'normal' } = toolRequest;
+        const { toolId, params = {}, priority = 'normal', agentId = null } = toolRequest;
         const tool = this.tools.get(toolId);
         
         if (!tool) {
@@ -224,6 +227,7 @@ export class ACIDevIntegration extends EventEmitter {
             category: tool.category,
             params,
             priority,
+            agentId,
             status: 'running',
             startTime: new Date(),
             progress: 0
@@ -255,7 +259,7 @@ export class ACIDevIntegration extends EventEmitter {
             tool.avgDuration = ((tool.avgDuration * (tool.executions - 1)) + execution.duration) / tool.executions;
             
             this.activeExecutions.delete(executionId);
-            this.executionHistory.push(execution);
+            this.recordExecution(toolId, execution);
             
             this.emit('tool:executed', execution);
             this.logger.info(`Tool execution completed: ${tool.name} (${execution.duration}ms)`);
@@ -273,7 +277,7 @@ export class ACIDevIntegration extends EventEmitter {
             execution.error = error.message;
             
             this.activeExecutions.delete(executionId);
-            this.executionHistory.push(execution);
+            this.recordExecution(toolId, execution);
             
             this.emit('tool:failed', execution);
             this.logger.error(`Tool execution failed: ${tool.name}`, error);
@@ -379,14 +383,19 @@ export class ACIDevIntegration extends EventEmitter {
         };
     }
 
-    getToolExecutionHistory(limit = 50) {
-        return this.executionHistory.slice(-limit);
+    getToolExecutionHistory(limit = 50, { toolId, ...filters } = {}) {
+        return this.executionHistory.query({ ...filters, source: 'aci', name: toolId, limit });
     }
 
     getActiveExecutions() {
         return Array.from(this.activeExecutions.values());
     }
 
+    recordExecution(name, execution) {
+        this.totalExecutions++;
+        this.executionHistory.record('aci', name, execution);
+    }
+
     getStatus() {
         return {
             status: this.status,
@@ -396,7 +405,7 @@ export class ACIDevIntegration extends EventEmitter {
             tools: this.tools.size,
             categories: this.toolCategories.size,
             activeExecutions: this.activeExecutions.size,
-            totalExecutions: this.executionHistory.length
+            totalExecutions: this.totalExecutions
         };
     }
 
@@ -406,7 +415,7 @@ export class ACIDevIntegration extends EventEmitter {
             connectionStatus: this.connectionStatus,
             toolsLoaded: this.tools.size,
             activeExecutions: this.activeExecutions.size,
-            lastExecutions: this.executionHistory.slice(-5),
+            lastExecutions: this.executionHistory.query({ source: 'aci', limit: 5 }),
             timestamp: new Date().toISOString()
         };
         
@@ -0,0 +1,150 @@
+/**
+ * Trinity Framework - Agent Registry
+ * Single source of truth for agents, shared by the BMAD engine and the orchestrator
+ * Kevin Gardner - Magnificent Worldwide
+ */
+
+import { EventEmitter } from 'events';
+import { promises as fs } from 'fs';
+import { Logger } from '../infrastructure/logger.js';
+import { MemoryStore } from '../infrastructure/storage/index.js';
+import { TrinityError } from './trinity-errors.js';
+
+const DEFAULT_AGENTS_CONFIG = new URL('../../config/agents.json', import.meta.url);
+
+export const AGENT_STATUSES = ['active', 'ready', 'monitoring', 'coordinating', 'idle', 'offline'];
+
+// Ids the BMAD engine used before the shared registry; stored state and older clients may still send them
+export const LEGACY_AGENT_IDS = {
+    'alexa-frontend': 'ALEXA',
+    'marcus-backend': 'MARCUS',
+    'alex-realtime': 'ALEX',
+    'quinn-qa': 'QUINN',
+    'aci-orchestration': 'ACI'
+};
+
+/*
+ * Agents are { id, name, role, port?, healthEndpoint?, status, technologies,
+ * responsibilities, capabilities, metadata? }. Retiring keeps the record (status
+ * 'retired') so task history and project teams still resolve; retired agents are
+ * left out of list() and cannot be updated or take new work. Lookups also accept the
+ * LEGACY_AGENT_IDS, which can therefore not be registered as new agents.
+ *
+ * Emits 'agent:registered' (agent), 'agent:updated' ({ agent, changes }) and
+ * 'agent:retired' (agent).
+ */
+export class AgentRegistry extends EventEmitter {
+    constructor({ store, seedFile } = {}) {
+        super();
+        this.logger = new Logger('AgentRegistry');
+        this.store = store || new MemoryStore();
+        this.seedFile = seedFile || DEFAULT_AGENTS_CONFIG;
+        this.agents = new Map();
+    }
+
+    async initialize() {
+        // Shared by the BMAD engine and the orchestrator; load only once
+        if (!this.initialization) {
+            this.initialization = this.load();
+        }
+        return this.initialization;
+    }
+
+    async load() {
+        await this.store.connect();
+        const agents = await this.store.loadCollection('agents');
+        
+        if (agents.length > 0) {
+            for (const agent of agents) this.agents.set(agent.id, agent);
+        } else {
+            // Seed the roster from configuration on first start
+            const seedAgents = JSON.parse(await fs.readFile(this.seedFile, 'utf8'));
+            for (const agentData of seedAgents) {
+                await this.register(agentData);
+            }
+        }
+        
+        this.logger.info(`Agent registry loaded: ${this.list().length} agents`);
+    }
+
+    list({ includeRetired = false } = {}) {
+        return Array.from(this.agents.values())
+            .filter(agent => includeRetired || agent.status !== 'retired');
+    }
+
+    // The current id for a legacy one; other ids are returned unchanged
+    resolveId(agentId) {
+        return Object.hasOwn(LEGACY_AGENT_IDS, agentId) ? LEGACY_AGENT_IDS[agentId] : agentId;
+    }
+
+    // Includes retired agents; use isAssignable() to check an agent can take work
+    get(agentId) {
+        return this.agents.get(this.resolveId(agentId)) || null;
+    }
+
+    isAssignable(agentId) {
+        const agent = this.get(agentId);
+        return Boolean(agent) && agent.status !== 'retired';
+    }
+
+    async register(agentData) {
+        if (Object.hasOwn(LEGACY_AGENT_IDS, agentData.id)) {
+            throw new TrinityError(`Agent id ${agentData.id} is reserved as the former id of ${LEGACY_AGENT_IDS[agentData.id]}`, 409);
+        }
+        if (this.agents.has(agentData.id)) {
+            throw new TrinityError(`Agent already registered: ${agentData.id}`, 409);
+        }
+        
+        const agent = {
+            name: agentData.id,
+            status: 'ready',
+            ...agentData,
+            technologies: agentData.technologies || [],
+            responsibilities: agentData.responsibilities || [],
+            capabilities: agentData.capabilities || [],
+            registeredAt: new Date(),
+            updatedAt: new Date()
+        };
+        
+        this.agents.set(agent.id, agent);
+        await this.store.saveRecord('agents', agent);
+        
+        this.logger.info(`Agent registered: ${agent.id} (${agent.role})`);
+        this.emit('agent:registered', agent);
+        return agent;
+    }
+
+    async update(agentId, changes) {
+        const agent = this.get(agentId);
+        if (!agent) return null;
+        if (agent.status === 'retired') {
+            throw new TrinityError(`Agent is retired: ${agentId}`, 409);
+        }
+        
+        Object.assign(agent, changes, { updatedAt: new Date() });
+        await this.store.saveRecord('agents', agent);
+        
+        this.emit('agent:updated', { agent, changes });
+        return agent;
+    }
+
+    async retire(agentId, { reason } = {}) {
+        const agent = this.get(agentId);
+        if (!agent) return null;
+        if (agent.status === 'retired') {
+            throw new TrinityError(`Agent is already retired: ${agentId}`, 409);
+        }
+        
+        Object.assign(agent, {
+            status: 'retired',
+            retiredAt: new Date(),
+            retiredReason: reason || null,
+            updatedAt: new Date()
+        });
+        await this.store.saveRecord('agents', agent);
+        
+        this.logger.info(`Agent retired: ${agentId}`);
+        this.emit('agent:retired', agent);
+        return agent;
+    }
+}
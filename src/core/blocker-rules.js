@@ -0,0 +1,194 @@
+/**
+ * Trinity Framework - Blocker Detection Rules
+ * Rule registry used by the orchestrator's blocker detection loop
+ * Kevin Gardner - Magnificent Worldwide
+ */
+
+const HOUR = 60 * 60 * 1000;
+
+export const BLOCKER_SEVERITIES = ['low', 'medium', 'high', 'critical'];
+
+/*
+ * A rule is { id, description, severity, options, evaluate(context, options) }.
+ * evaluate() returns findings: { subject, description, severity?, agent?, taskId?, details? }.
+ * `subject` identifies what is blocked so the same condition maps to the same blocker
+ * across detection passes. The context carries the project, its tasks, team progress,
+ * metrics, BMAD deployments, ACI tool executions and the current time.
+ */
+export const DEFAULT_BLOCKER_RULES = [
+    {
+        id: 'agent-progress',
+        description: 'Active agent has completed less than half of its assigned tasks',
+        severity: 'medium',
+        options: { minProgress: 50 },
+        evaluate({ agents }, { minProgress }) {
+            return Object.entries(agents)
+                .filter(([, agent]) => agent.status === 'active' && agent.totalTasks > 0 && agent.progress < minProgress)
+                .map(([agentId, agent]) => ({
+                    subject: agentId,
+                    agent: agentId,
+                    description: `${agentId} progress below ${minProgress}% (${agent.progress}%)`
+                }));
+        }
+    },
+    {
+        id: 'overdue-task',
+        description: 'Task is past its due date and not completed',
+        severity: 'high',
+        options: {},
+        evaluate({ tasks, now }) {
+            return tasks
+                .filter(task => task.dueDate && new Date(task.dueDate) < now && task.status !== 'completed')
+                .map(task => ({
+                    subject: task.id,
+                    taskId: task.id,
+                    agent: task.assignee,
+                    description: `${task.title} overdue`
+                }));
+        }
+    },
+    {
+        id: 'task-stuck-assigned',
+        description: "Task has sat in 'assigned' without being started",
+        severity: 'medium',
+        options: { maxHours: 24 },
+        evaluate({ tasks, now }, { maxHours }) {
+            return tasks
+                .filter(task => task.status === 'assigned')
+                .filter(task => now - new Date(task.statusChangedAt || task.created) > maxHours * HOUR)
+                .map(task => ({
+                    subject: task.id,
+                    taskId: task.id,
+                    agent: task.assignee,
+                    description: `${task.title} assigned to ${task.assignee} for over ${maxHours}h without progress`
+                }));
+        }
+    },
+    {
+        id: 'dependency-blocked',
+        description: 'Open task depends on a blocked task',
+        severity: 'high',
+        options: {},
+        evaluate({ tasks }) {
+            const taskIndex = new Map(tasks.map(task => [task.id, task]));
+            
+            return tasks
+                .filter(task => task.status !== 'completed')
+                .flatMap(task => (task.dependsOn || [])
+                    .map(id => taskIndex.get(id))
+                    .filter(dependency => dependency?.status === 'blocked')
+                    .map(dependency => ({
+                        subject: `${task.id}:${dependency.id}`,
+                        taskId: task.id,
+                        agent: task.assignee,
+                        description: `${task.title} is waiting on blocked task ${dependency.title}`,
+                        details: { dependencyId: dependency.id }
+                    })));
+        }
+    },
+    {
+        id: 'failed-deployment',
+        description: 'Recent BMAD deployment failed',
+        severity: 'critical',
+        options: { windowHours: 24 },
+        evaluate({ projectId, deployments, now }, { windowHours }) {
+            return deployments
+                .filter(deployment => deployment.status === 'failed')
+                .filter(deployment => !deployment.config?.projectId || deployment.config.projectId === projectId)
+                .filter(deployment => now - new Date(deployment.endTime || deployment.startTime) < windowHours * HOUR)
+                .map(deployment => ({
+                    subject: deployment.id,
+                    description: `Deployment ${deployment.id} failed: ${deployment.error || 'unknown error'}`,
+                    details: { deploymentId: deployment.id }
+                }));
+        }
+    },
+    {
+        id: 'aci-failure-rate',
+        description: 'ACI tool category failing above threshold',
+        severity: 'high',
+        options: { windowHours: 1, maxFailureRate: 0.25, minExecutions: 4 },
+        evaluate({ toolExecutions, now }, { windowHours, maxFailureRate, minExecutions }) {
+            const byCategory = new Map();
+            for (const execution of toolExecutions) {
+                if (now - new Date(execution.startTime) > windowHours * HOUR) continue;
+                
+                const stats = byCategory.get(execution.category) || { total: 0, failed: 0 };
+                stats.total++;
+                if (execution.status === 'failed') stats.failed++;
+                byCategory.set(execution.category, stats);
+            }
+            
+            return Array.from(byCategory.entries())
+                .filter(([, stats]) => stats.total >= minExecutions && stats.failed / stats.total > maxFailureRate)
+                .map(([category, stats]) => ({
+                    subject: category,
+                    description: `ACI ${category} tools failing: ${stats.failed}/${stats.total} executions in the last ${windowHours}h`,
+                    details: { category, ...stats }
+                }));
+        }
+    }
+];
+
+export class BlockerRuleRegistry {
+    constructor(rules = []) {
+        this.rules = new Map();
+        rules.forEach(rule => this.register(rule));
+    }
+
+    register(rule) {
+        if (!rule.id || typeof rule.evaluate !== 'function') {
+            throw new Error('Blocker rule requires an id and an evaluate() function');
+        }
+        
+        this.rules.set(rule.id, {
+            severity: 'medium',
+            options: {},
+            enabled: true,
+            ...rule
+        });
+    }
+
+    unregister(ruleId) {
+        return this.rules.delete(ruleId);
+    }
+
+    get(ruleId) {
+        return this.rules.get(ruleId) || null;
+    }
+
+    // Toggle a rule or override its severity/options without replacing it
+    configure(ruleId, { enabled, severity, options }) {
+        const rule = this.rules.get(ruleId);
+        if (!rule) return null;
+        
+        if (enabled !== undefined) rule.enabled = enabled;
+        if (severity !== undefined) rule.severity = severity;
+        if (options !== undefined) rule.options = { ...rule.options, ...options };
+        
+        return rule;
+    }
+
+    list() {
+        return Array.from(this.rules.values()).map(({ evaluate, ...rule }) => rule);
+    }
+
+    // Run every enabled rule; a failing rule is reported but never stops the others
+    evaluate(context, onError) {
+        const findings = [];
+        
+        for (const rule of this.rules.values()) {
+            if (!rule.enabled) continue;
+            
+            try {
+                for (const finding of rule.evaluate(context, rule.options)) {
+                    findings.push({ ruleId: rule.id, severity: rule.severity, ...finding });
+                }
+            } catch (error) {
+                onError?.(rule, error);
+            }
+        }
+        
+        return findings;
+    }
+}
@@ -5,10 +5,30 @@
  */
 
 import { EventEmitter } from 'events';
+import os from 'os';
+import path from 'path';
+import axios from 'axios';
 import { Logger } from '../infrastructure/logger.js';
+import { StageExecutorRegistry, createDefaultExecutors } from './deployment-executors.js';
+import { PipelineLoader, normalizePipeline, buildDefaultPipeline, evaluateCondition, DEFAULT_STAGE_NAMES } from './deployment-pipelines.js';
+import { ReleaseHistory, diffConfigs, DEFAULT_ENVIRONMENT } from './deployment-history.js';
+import { runCanary, runBlueGreen, interpolateSteps } from './deployment-strategies.js';
+import { DeploymentLogBuffer, MAX_LOGGED_DEPLOYMENTS } from './deployment-logs.js';
+import { AgentRegistry } from './agent-registry.js';
+import { TrinityError } from './trinity-errors.js';
+
+// Agent health probing defaults; each can be overridden via constructor options
+const DEFAULT_HEALTH_CHECK = {
+    host: 'localhost',
+    path: '/health',
+    timeoutMs: 2000,
+    degradedLatencyMs: 1000,
+    failureThreshold: 3,
+    intervalMs: 10000
+};
 
 export class BMADv4Engine extends EventEmitter {
-    constructor() {
+    constructor(options = {}) {
         super();
         this.logger = new Logger('BMADv4Engine');
         this.agents = new Map();
@@ -16,6 +36,43 @@ export class BMADv4Engine extends EventEmitter {
         this.status = 'initializing';
         this.version = '4.0.0';
         
+        // Health probe settings plus optional per-agent endpoint overrides ({ agentId: url })
+        this.healthCheck = { ...DEFAULT_HEALTH_CHECK, ...options.healthCheck };
+        this.agentEndpoints = options.agentEndpoints || {};
+        this.agentRegistry = options.agentRegistry || new AgentRegistry();
+        this.lastCpuUsage = process.cpuUsage();
+        this.lastCpuSample = Date.now();
+        
+        // Stage step runners (shell, npm, http by default); more via registerStageExecutor()
+        this.stageExecutors = new StageExecutorRegistry([
+            ...createDefaultExecutors(),
+            ...(options.stageExecutors || [])
+        ]);
+        
+        // Declarative pipelines, one YAML/JSON file per deploy target
+        this.pipelineLoader = new PipelineLoader(options.pipelinesDir || 'config/pipelines');
+        // Steps per default stage ({ build: [...] }) for deployments without a target, and the directory steps run in
+        this.defaultPipelineSteps = options.defaultPipelineSteps || {};
+        this.workingDir = options.workingDir || process.cwd();
+        
+        // Successful deployments per environment, used for rollback
+        this.releases = new ReleaseHistory();
+        
+        // Per-environment lock ({ running, pending }) plus handles for waiting callers and running deployments;
+        // queued operations (blue-green reverts) wait in the same queue as deployments
+        this.deploymentQueues = new Map();
+        this.deploymentWaiters = new Map();
+        this.deploymentControllers = new Map();
+        this.queuedOperations = new Map();
+        
+        // Blue-green state per environment: { activeSlot, previousSlot, deploymentId }
+        this.blueGreenSlots = new Map();
+        
+        // Captured step output and lifecycle messages, replayed to late log subscribers
+        this.deploymentLogs = new DeploymentLogBuffer();
+        // Finished deployments (and their logs) kept for status, diff and log queries; older ones are forgotten
+        this.maxFinishedDeployments = options.maxFinishedDeployments || MAX_LOGGED_DEPLOYMENTS;
+        
         // BMAD v4 Core Principles
         this.principles = {
             autonomous: true,
@@ -53,68 +110,58 @@ export class BMADv4Engine extends EventEmitter {
     }
 
     async loadAgentConfigurations() {
-        // Trinity Framework Agent Configurations
-        const agentConfigs = {
-            'alexa-frontend': {
-                port: 5001,
-                role: 'Frontend Development',
-                technologies: ['React', 'TypeScript', 'ShadCN', 'TailwindCSS'],
-                responsibilities: ['UI Components', 'Dashboard', 'User Experience'],
-                status: 'ready'
-            },
-            'marcus-backend': {
-                port: 5002,
-                role: 'Backend Development',
-                technologies: ['Node.js', 'Express', 'MongoDB', 'Redis'],
-                responsibilities: ['APIs', 'Database', 'Authentication'],
-                status: 'active'
-            },
-            'alex-realtime': {
-                port: 5003,
-                role: 'Real-time Systems',
-                technologies: ['WebSocket', 'Socket.io', 'Redis Pub/Sub'],
-                responsibilities: ['Live Updates', 'Event Streaming', 'Notifications'],
-                status: 'ready'
-            },
-            'quinn-qa': {
-                port: 5004,
-                role: 'Quality Assurance',
-                technologies: ['Jest', 'Cypress', 'Playwright', 'Artillery'],
-                responsibilities: ['Testing', 'Validation', 'Performance'],
-                status: 'monitoring'
-            },
-            'aci-orchestration': {
-                port: 5005,
-                role: 'Agent Coordination',
-                technologies: ['ACI.dev', 'Docker', 'Kubernetes', 'Prometheus'],
-                responsibilities: ['Orchestration', 'Scaling', 'Coordination'],
-                status: 'coordinating'
-            }
-        };
-        
-        for (const [agentId, config] of Object.entries(agentConfigs)) {
-            this.agents.set(agentId, {
-                ...config,
-                id: agentId,
-                lastActivity: new Date(),
-                metrics: {
-                    uptime: 0,
-                    requests: 0,
-                    errors: 0,
-                    performance: 100
-                }
-            });
+        // Agents come from the shared registry; runtime health and metrics are tracked here
+        await this.agentRegistry.initialize();
+        for (const agent of this.agentRegistry.list()) {
+            this.addRuntimeAgent(agent);
         }
         
+        this.agentRegistry.on('agent:registered', agent => this.addRuntimeAgent(agent));
+        this.agentRegistry.on('agent:updated', ({ agent }) => this.syncRuntimeAgent(agent));
+        this.agentRegistry.on('agent:retired', agent => this.agents.delete(agent.id));
+        
         this.logger.info(`Loaded ${this.agents.size} agent configurations`);
     }
 
+    resolveHealthEndpoint(agent) {
+        if (this.agentEndpoints[agent.id]) return this.agentEndpoints[agent.id];
+        if (agent.healthEndpoint) return agent.healthEndpoint;
+        return agent.port ? `http://${this.healthCheck.host}:${agent.port}${this.healthCheck.path}` : null;
+    }
+
+    addRuntimeAgent(agent) {
+        this.agents.set(agent.id, {
+            ...agent,
+            healthEndpoint: this.resolveHealthEndpoint(agent),
+            lastActivity: new Date(),
+            health: {
+                state: 'unknown',
+                latencyMs: null,
+                consecutiveFailures: 0,
+                lastCheck: null,
+                lastSuccess: null,
+                lastError: null
+            },
+            metrics: {
+                uptime: 0,
+                requests: 0,
+                errors: 0,
+                performance: 100
+            }
+        });
+    }
+
+    syncRuntimeAgent(agent) {
+        const runtime = this.agents.get(agent.id);
+        if (!runtime) return this.addRuntimeAgent(agent);
+        
+        Object.assign(runtime, agent, { healthEndpoint: this.resolveHealthEndpoint(agent) });
+    }
+
     async initializeDeploymentPipeline() {
         this.deploymentPipeline = {
-            stages: ['validate', 'build', 'test', 'deploy', 'monitor'],
-            currentStage: null,
-            history: [],
-            active: false
+            stages: DEFAULT_STAGE_NAMES,
+            history: []
         };
         
         this.logger.info('Deployment pipeline initialized');
@@ -124,7 +171,7 @@ export class BMADv4Engine extends EventEmitter {
         // Start agent health monitoring
         setInterval(() => {
             this.monitorAgentHealth();
-        }, 10000); // Every 10 seconds
+        }, this.healthCheck.intervalMs); // Every 10 seconds by default
         
         // Start performance monitoring
         setInterval(() => {
@@ -134,53 +181,318 @@ export class BMADv4Engine extends EventEmitter {
         this.logger.info('Monitoring systems started');
     }
 
+    // Picks a deployment's pipeline: the target's pipeline file or the default stages. Rollbacks
+    // pass the resolved definition of the release they restore as pipelineDefinition.
+    async resolvePipeline(config) {
+        let pipeline;
+        if (config.pipelineDefinition) {
+            pipeline = normalizePipeline(config.pipelineDefinition, this.stageExecutors, config.target || 'inline');
+        } else if (config.target) {
+            pipeline = await this.pipelineLoader.load(config.target, this.stageExecutors);
+        } else {
+            pipeline = normalizePipeline(buildDefaultPipeline(this.defaultPipelineSteps), this.stageExecutors, 'default');
+        }
+        
+        // A request may tune the pipeline's rollout (canary weights, interval), never replace its actions
+        if (config.strategy) {
+            if (!pipeline.strategy) {
+                throw new TrinityError(`Pipeline ${pipeline.name} has no rollout strategy to tune`, 400);
+            }
+            const { steps, intervalMs } = config.strategy;
+            const strategy = { ...pipeline.strategy, ...(steps && { steps }), ...(intervalMs !== undefined && { intervalMs }) };
+            pipeline = normalizePipeline({ ...pipeline, strategy }, this.stageExecutors, pipeline.name);
+        }
+        return pipeline;
+    }
+
+    async listPipelines() {
+        const targets = await this.pipelineLoader.list();
+        
+        return Promise.all(targets.map(async (target) => {
+            try {
+                const pipeline = await this.pipelineLoader.load(target, this.stageExecutors);
+                return { target, valid: true, stages: pipeline.stages.map(stage => stage.name) };
+            } catch (error) {
+                return { target, valid: false, error: error.message, problems: error.details?.problems || [] };
+            }
+        }));
+    }
+
+    async getPipeline(target) {
+        return this.pipelineLoader.load(target, this.stageExecutors);
+    }
+
+    /*
+     * Queues a deployment behind any other deployment to the same environment and
+     * resolves with its result once it has run or been cancelled. enqueueDeployment()
+     * returns the queued record immediately instead.
+     */
     async deploy(deploymentConfig) {
-        const deploymentId = `deployment-${Date.now()}`;
+        const { completion } = await this.enqueueDeployment(deploymentConfig);
+        return completion;
+    }
+
+    async enqueueDeployment(deploymentConfig) {
+        const deployment = await this.createDeployment(deploymentConfig);
+        const queue = this.getEnvironmentQueue(deployment.environment);
+        
+        const completion = new Promise(resolve => this.deploymentWaiters.set(deployment.id, resolve));
+        queue.pending.push(deployment.id);
+        this.processDeploymentQueue(deployment.environment);
+        
+        const position = this.getQueuePosition(deployment.id);
+        if (position) {
+            this.logger.info(`Queued deployment: ${deployment.id} (${deployment.environment}, position ${position})`);
+            this.logDeployment(deployment.id, `Queued in ${deployment.environment} at position ${position}`);
+            this.emit('deployment:queued', { deploymentId: deployment.id, environment: deployment.environment, position });
+        }
+        
+        return { deployment, position, completion };
+    }
+
+    async createDeployment(deploymentConfig) {
+        // Definition errors reach the caller before any deployment record is created
+        const pipeline = await this.resolvePipeline(deploymentConfig);
+        
+        const deployment = {
+            id: `deployment-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+            config: deploymentConfig,
+            pipeline: pipeline.name,
+            pipelineDefinition: pipeline,
+            environment: deploymentConfig.environment || DEFAULT_ENVIRONMENT,
+            version: deploymentConfig.version || null,
+            artifact: deploymentConfig.artifact || null,
+            status: 'queued',
+            queuedAt: new Date(),
+            startTime: null,
+            stages: [],
+            currentStage: null
+        };
+        
+        this.deployments.set(deployment.id, deployment);
+        return deployment;
+    }
+
+    getEnvironmentQueue(environment) {
+        if (!this.deploymentQueues.has(environment)) {
+            this.deploymentQueues.set(environment, { running: null, pending: [] });
+        }
+        return this.deploymentQueues.get(environment);
+    }
+
+    // Starts the environment's next deployment once its lock is free
+    processDeploymentQueue(environment) {
+        const queue = this.getEnvironmentQueue(environment);
+        if (queue.running || queue.pending.length === 0) return;
+        
+        const deploymentId = queue.pending.shift();
+        queue.running = deploymentId;
+        
+        const operation = this.queuedOperations.get(deploymentId);
+        const execution = operation
+            ? operation.run().then(operation.resolve, operation.reject).finally(() => this.queuedOperations.delete(deploymentId))
+            : this.runDeployment(this.deployments.get(deploymentId)).then(result => this.settleDeployment(deploymentId, result));
+        
+        execution.finally(() => {
+            queue.running = null;
+            this.processDeploymentQueue(environment);
+        });
+    }
+
+    // Runs `run` under the environment's lock, after the deployments already queued there
+    enqueueOperation(environment, name, run) {
+        const operationId = `${name}-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+        const completion = new Promise((resolve, reject) => {
+            this.queuedOperations.set(operationId, { name, run, resolve, reject, queuedAt: new Date() });
+        });
+        
+        this.getEnvironmentQueue(environment).pending.push(operationId);
+        this.processDeploymentQueue(environment);
+        return completion;
+    }
+
+    settleDeployment(deploymentId, result) {
+        this.deploymentWaiters.get(deploymentId)?.(result);
+        this.deploymentWaiters.delete(deploymentId);
+        this.pruneDeployments();
+    }
+
+    /*
+     * Drops the oldest finished deployments, with their logs, beyond maxFinishedDeployments.
+     * Queued and running deployments stay, as does the one the current blue-green slots
+     * point at (an instant revert reruns its switch actions).
+     */
+    pruneDeployments() {
+        const pinned = new Set(Array.from(this.blueGreenSlots.values(), slots => slots.deploymentId));
+        const finished = Array.from(this.deployments.values()).filter(deployment =>
+            deployment.status !== 'queued' && deployment.status !== 'running' && !pinned.has(deployment.id)
+        );
+        
+        for (const { id } of finished.slice(0, Math.max(0, finished.length - this.maxFinishedDeployments))) {
+            this.deployments.delete(id);
+            this.deploymentLogs.remove(id);
+        }
+    }
+
+    // 1-based position among the environment's waiting deployments; null when not queued
+    getQueuePosition(deploymentId) {
+        const deployment = this.deployments.get(deploymentId);
+        if (deployment?.status !== 'queued') return null;
+        
+        const index = this.getEnvironmentQueue(deployment.environment).pending.indexOf(deploymentId);
+        return index === -1 ? null : index + 1;
+    }
+
+    getDeploymentQueues() {
+        return Array.from(this.deploymentQueues.entries()).map(([environment, queue]) => ({
+            environment,
+            running: queue.running,
+            pending: queue.pending.map((deploymentId, index) => {
+                const operation = this.queuedOperations.get(deploymentId);
+                if (operation) {
+                    return { operationId: deploymentId, operation: operation.name, position: index + 1, queuedAt: operation.queuedAt };
+                }
+                
+                const deployment = this.deployments.get(deploymentId);
+                return {
+                    deploymentId,
+                    position: index + 1,
+                    version: deployment.version,
+                    queuedAt: deployment.queuedAt
+                };
+            })
+        }));
+    }
+
+    /*
+     * Queued deployments are dropped from their queue right away. Running ones are
+     * aborted: in-flight steps are stopped and no further stages start; the record
+     * turns 'cancelled' once the current step has wound down.
+     */
+    cancelDeployment(deploymentId) {
+        const deployment = this.deployments.get(deploymentId);
+        if (!deployment) return null;
+        
+        if (deployment.status === 'queued') {
+            const queue = this.getEnvironmentQueue(deployment.environment);
+            queue.pending = queue.pending.filter(id => id !== deploymentId);
+            
+            deployment.status = 'cancelled';
+            deployment.endTime = new Date();
+            
+            this.logger.info(`Cancelled queued deployment: ${deploymentId}`);
+            this.logDeployment(deploymentId, 'Cancelled while queued');
+            this.emit('deployment:cancelled', { deploymentId, deployment });
+            this.settleDeployment(deploymentId, {
+                success: false,
+                deploymentId,
+                status: 'cancelled',
+                error: 'Deployment cancelled'
+            });
+        } else if (deployment.status === 'running') {
+            deployment.cancelRequested = true;
+            this.deploymentControllers.get(deploymentId)?.abort();
+            this.logger.info(`Cancelling running deployment: ${deploymentId}`);
+            this.logDeployment(deploymentId, 'Cancellation requested');
+        } else {
+            throw new TrinityError(`Deployment ${deploymentId} is already ${deployment.status}`, 409);
+        }
+        
+        return deployment;
+    }
+
+    // Runs a deployment's pipeline; the caller must hold the environment's lock
+    async runDeployment(deployment) {
+        const { id: deploymentId, config: deploymentConfig, pipelineDefinition: pipeline, environment } = deployment;
+        const controller = new AbortController();
+        this.deploymentControllers.set(deploymentId, controller);
         
         try {
-            this.logger.info(`Starting deployment: ${deploymentId}`);
+            this.logger.info(`Starting deployment: ${deploymentId} (pipeline: ${pipeline.name})`);
+            this.logDeployment(deploymentId, `Starting pipeline ${pipeline.name} in ${environment}${deployment.version ? ` (version ${deployment.version})` : ''}`);
             
-            const deployment = {
-                id: deploymentId,
-                config: deploymentConfig,
-                status: 'starting',
-                startTime: new Date(),
-                stages: [],
-                currentStage: 0
+            deployment.status = 'running';
+            deployment.startTime = new Date();
+            this.emit('deployment:started', { deploymentId, environment });
+            
+            // Variables for stage and step `when` conditions and {{placeholders}}
+            const variables = {
+                environment: deploymentConfig.environment,
+                target: deploymentConfig.target,
+                version: deployment.version,
+                deploymentId,
+                ...deploymentConfig.variables
             };
+            const strategyEnv = {};
+            
+            // Blue-green installs into the idle slot; the pipeline's steps see it as {{slot}} / BMAD_SLOT
+            if (pipeline.strategy?.type === 'blue-green') {
+                const [firstSlot, secondSlot] = pipeline.strategy.slots;
+                const activeSlot = this.blueGreenSlots.get(environment)?.activeSlot || null;
+                deployment.slot = activeSlot === firstSlot ? secondSlot : firstSlot;
+                
+                Object.assign(variables, { slot: deployment.slot, activeSlot });
+                Object.assign(strategyEnv, { BMAD_SLOT: deployment.slot, BMAD_ACTIVE_SLOT: activeSlot || '' });
+            }
             
-            this.deployments.set(deploymentId, deployment);
-            this.deploymentPipeline.active = true;
+            const stageContext = {
+                deploymentId,
+                pipeline,
+                config: deploymentConfig,
+                variables,
+                env: strategyEnv,
+                signal: controller.signal
+            };
             
             // Execute deployment pipeline
-            for (let i = 0; i < this.deploymentPipeline.stages.length; i++) {
-                const stage = this.deploymentPipeline.stages[i];
-                this.deploymentPipeline.currentStage = stage;
+            for (let i = 0; i < pipeline.stages.length; i++) {
+                const stage = pipeline.stages[i];
                 deployment.currentStage = i;
                 
-                this.logger.info(`Executing stage: ${stage}`);
+                if (controller.signal.aborted) {
+                    throw new Error('Deployment cancelled');
+                }
+                
+                if (!evaluateCondition(stage.when, variables)) {
+                    this.logger.info(`Skipping stage: ${stage.name} (condition not met)`);
+                    this.logDeployment(deploymentId, 'Stage skipped (condition not met)', { stage: stage.name });
+                    deployment.stages.push({ name: stage.name, status: 'skipped', duration: 0, details: { when: stage.when } });
+                    continue;
+                }
+                
+                this.logger.info(`Executing stage: ${stage.name}`);
+                this.logDeployment(deploymentId, 'Stage started', { stage: stage.name });
                 
-                const stageResult = await this.executeDeploymentStage(stage, deploymentConfig);
+                const stageResult = await this.executeDeploymentStage(stage, stageContext);
+                this.logDeployment(deploymentId, stageResult.success
+                    ? `Stage completed in ${stageResult.duration}ms`
+                    : `Stage failed after ${stageResult.duration}ms: ${stageResult.details.error}`, { stage: stage.name });
                 deployment.stages.push({
-                    name: stage,
+                    name: stage.name,
                     status: stageResult.success ? 'completed' : 'failed',
                     duration: stageResult.duration,
                     details: stageResult.details
                 });
                 
+                this.emit('deployment:stage', { deploymentId, stage: stage.name, result: stageResult });
+                
                 if (!stageResult.success) {
-                    deployment.status = 'failed';
-                    throw new Error(`Deployment failed at stage: ${stage}`);
+                    deployment.failedStage = stage;
+                    throw new Error(`Deployment failed at stage: ${stage.name}`);
                 }
                 
-                this.emit('deployment:stage', { deploymentId, stage, result: stageResult });
+                if (pipeline.strategy?.afterStage === stage.name) {
+                    await this.executeRollout(deployment, stageContext);
+                }
             }
             
             deployment.status = 'completed';
             deployment.endTime = new Date();
-            this.deploymentPipeline.active = false;
             
-            this.logger.info(`Deployment completed: ${deploymentId}`);
+            const release = this.releases.record(deployment);
+            
+            this.logger.info(`Deployment completed: ${deploymentId} (${environment}${release.version ? ` @ ${release.version}` : ''})`);
+            this.logDeployment(deploymentId, `Deployment completed in ${deployment.endTime - deployment.startTime}ms`);
             this.emit('deployment:completed', { deploymentId, deployment });
             
             return {
@@ -191,44 +503,303 @@ export class BMADv4Engine extends EventEmitter {
             };
             
         } catch (error) {
-            this.logger.error(`Deployment failed: ${deploymentId}`, error);
-            this.deploymentPipeline.active = false;
+            deployment.endTime = new Date();
             
-            const deployment = this.deployments.get(deploymentId);
-            if (deployment) {
-                deployment.status = 'failed';
-                deployment.error = error.message;
-                deployment.endTime = new Date();
+            if (controller.signal.aborted) {
+                deployment.status = 'cancelled';
+                this.logger.info(`Deployment cancelled: ${deploymentId}`);
+                this.logDeployment(deploymentId, 'Deployment cancelled');
+                this.emit('deployment:cancelled', { deploymentId, deployment });
+                
+                return {
+                    success: false,
+                    deploymentId,
+                    status: 'cancelled',
+                    error: 'Deployment cancelled'
+                };
             }
             
+            this.logger.error(`Deployment failed: ${deploymentId}`, error);
+            this.logDeployment(deploymentId, `Deployment failed: ${error.message}`);
+            deployment.status = 'failed';
+            deployment.error = error.message;
+            
             this.emit('deployment:failed', { deploymentId, error });
             
+            // A failing monitor stage means the new version is live but unhealthy
+            const autoRollback = deploymentConfig.autoRollback ?? pipeline.autoRollback;
+            let rollback;
+            if (autoRollback && deployment.failedStage?.monitor && !deploymentConfig.rollbackOf) {
+                rollback = await this.autoRollback(environment, deploymentId);
+            }
+            
             return {
                 success: false,
                 deploymentId,
-                error: error.message
+                error: error.message,
+                ...(rollback && { rollback })
             };
+        } finally {
+            this.deploymentControllers.delete(deploymentId);
+        }
+    }
+
+    async autoRollback(environment, failedDeploymentId) {
+        try {
+            return await this.rollback(environment, { reason: 'auto', failedDeploymentId });
+        } catch (error) {
+            this.logger.error(`Auto-rollback failed for ${failedDeploymentId}`, error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /*
+     * Redeploys an earlier release of an environment with the exact pipeline it ran.
+     * Manual rollbacks return to the release before the current one; automatic ones
+     * (after a failed deployment) return to the current, last good release.
+     */
+    async rollback(environment, { toDeploymentId, reason = 'manual', failedDeploymentId } = {}) {
+        const current = this.releases.getCurrent(environment);
+        let target;
+        
+        if (toDeploymentId) {
+            target = this.releases.find(environment, toDeploymentId);
+            if (!target) {
+                throw new TrinityError(`Release ${toDeploymentId} not found in environment: ${environment}`, 404);
+            }
+        } else {
+            target = reason === 'auto' ? current : this.releases.getPrevious(environment);
+            if (!target) {
+                throw new TrinityError(`No earlier release to roll back to in environment: ${environment}`, 409);
+            }
         }
+        
+        const fromDeploymentId = failedDeploymentId || current?.deploymentId || null;
+        this.logger.warn(`Rolling back ${environment} to ${target.deploymentId}${target.version ? ` (${target.version})` : ''} [${reason}]`);
+        
+        const rollbackConfig = {
+            ...target.config,
+            pipelineDefinition: target.pipelineDefinition,
+            autoRollback: false,
+            rollbackOf: fromDeploymentId,
+            restoresDeploymentId: target.sourceDeploymentId
+        };
+        
+        // An auto-rollback runs while the failed deployment still holds the environment lock
+        const result = reason === 'auto'
+            ? await this.runDeployment(await this.createDeployment(rollbackConfig))
+            : await this.deploy(rollbackConfig);
+        
+        const rollback = {
+            ...result,
+            environment,
+            reason,
+            fromDeploymentId,
+            rolledBackTo: { deploymentId: target.deploymentId, version: target.version }
+        };
+        this.emit('deployment:rolled-back', rollback);
+        
+        return rollback;
+    }
+
+    getEnvironments() {
+        return this.releases.listEnvironments().map(entry => ({
+            ...entry,
+            blueGreen: this.blueGreenSlots.get(entry.environment) || null
+        }));
     }
 
-    async executeDeploymentStage(stage, config) {
+    getReleaseHistory(environment) {
+        return this.releases.getHistory(environment);
+    }
+
+    diffDeployments(fromDeploymentId, toDeploymentId) {
+        const from = this.deployments.get(fromDeploymentId);
+        const to = this.deployments.get(toDeploymentId);
+        if (!from || !to) return null;
+        
+        const summarize = (deployment) => ({
+            id: deployment.id,
+            environment: deployment.environment,
+            version: deployment.version,
+            pipeline: deployment.pipeline,
+            status: deployment.status,
+            startTime: deployment.startTime
+        });
+        
+        return {
+            from: summarize(from),
+            to: summarize(to),
+            changes: diffConfigs(from.config, to.config),
+            pipelineChanges: diffConfigs(from.pipelineDefinition, to.pipelineDefinition)
+        };
+    }
+
+    registerStageExecutor(executor) {
+        this.stageExecutors.register(executor);
+        this.logger.info(`Registered deployment stage executor: ${executor.type}`);
+    }
+
+    /*
+     * Runs the pipeline's canary or blue-green rollout as its own stage. A failed rollout
+     * has already put traffic back where it was, so it fails the deployment without
+     * counting as a monitor failure (no auto-rollback).
+     */
+    async executeRollout(deployment, stageContext) {
+        const { strategy } = stageContext.pipeline;
         const startTime = Date.now();
         
+        const runActions = (name, steps, variables, { cancellable = true } = {}) => this.executeDeploymentStage(
+            { name: `${strategy.type}:${name}`, steps, parallel: false },
+            {
+                ...stageContext,
+                variables: { ...stageContext.variables, ...variables },
+                env: {
+                    ...stageContext.env,
+                    ...(variables.weight !== undefined && { BMAD_TRAFFIC_WEIGHT: variables.weight }),
+                    ...(variables.slot && { BMAD_SLOT: variables.slot })
+                },
+                signal: cancellable ? stageContext.signal : undefined
+            }
+        );
+        
+        this.logger.info(`Starting ${strategy.type} rollout: ${deployment.id}`);
+        this.logDeployment(deployment.id, `Starting ${strategy.type} rollout`, { stage: strategy.type });
+        
+        const rollout = strategy.type === 'canary'
+            ? await runCanary(strategy, { runActions, signal: stageContext.signal })
+            : await runBlueGreen(strategy, {
+                runActions,
+                signal: stageContext.signal,
+                activeSlot: stageContext.variables.activeSlot,
+                targetSlot: deployment.slot
+            });
+        
+        const result = { success: rollout.success, duration: Date.now() - startTime, details: rollout };
+        deployment.stages.push({
+            name: strategy.type,
+            status: rollout.success ? 'completed' : 'failed',
+            duration: result.duration,
+            details: rollout
+        });
+        this.emit('deployment:stage', { deploymentId: deployment.id, stage: strategy.type, result });
+        this.logDeployment(deployment.id, rollout.success
+            ? `Rollout completed in ${result.duration}ms`
+            : `Rollout failed: ${rollout.error}`, { stage: strategy.type });
+        
+        if (rollout.switched) {
+            const reverted = !rollout.success && rollout.reverted;
+            if (!reverted) {
+                this.blueGreenSlots.set(deployment.environment, {
+                    activeSlot: deployment.slot,
+                    previousSlot: stageContext.variables.activeSlot,
+                    deploymentId: deployment.id
+                });
+            }
+        }
+        
+        if (!rollout.success) {
+            deployment.failedStage = { name: strategy.type, monitor: false };
+            throw new Error(`Deployment failed during ${strategy.type} rollout: ${rollout.error}`);
+        }
+    }
+
+    /*
+     * Instant blue-green revert: switches traffic back to the previously active slot
+     * without redeploying. Waits behind deployments already queued for the environment
+     * and holds its lock while switching.
+     */
+    async revertBlueGreen(environment) {
+        if (!this.blueGreenSlots.get(environment)?.previousSlot) {
+            throw new TrinityError(`No previous blue-green slot to revert to in environment: ${environment}`, 409);
+        }
+        return this.enqueueOperation(environment, 'blue-green-revert', () => this.runBlueGreenRevert(environment));
+    }
+
+    // The caller must hold the environment's lock; the slots are read again since deployments may have run
+    async runBlueGreenRevert(environment) {
+        const slots = this.blueGreenSlots.get(environment);
+        if (!slots?.previousSlot) {
+            throw new TrinityError(`No previous blue-green slot to revert to in environment: ${environment}`, 409);
+        }
+        
+        const deployment = this.deployments.get(slots.deploymentId);
+        const { pipelineDefinition: pipeline, config } = deployment;
+        const variables = {
+            environment,
+            version: deployment.version,
+            deploymentId: deployment.id,
+            ...config.variables,
+            slot: slots.previousSlot,
+            activeSlot: slots.activeSlot
+        };
+        
+        this.logger.warn(`Reverting ${environment} from slot ${slots.activeSlot} to ${slots.previousSlot}`);
+        
+        const result = await this.executeDeploymentStage(
+            { name: 'blue-green:revert', steps: pipeline.strategy.switch, parallel: false },
+            { deploymentId: deployment.id, pipeline, config, variables, env: { BMAD_SLOT: slots.previousSlot } }
+        );
+        
+        if (result.success) {
+            this.blueGreenSlots.set(environment, {
+                activeSlot: slots.previousSlot,
+                previousSlot: slots.activeSlot,
+                deploymentId: deployment.id
+            });
+        }
+        
+        const revert = {
+            success: result.success,
+            environment,
+            fromSlot: slots.activeSlot,
+            toSlot: slots.previousSlot,
+            duration: result.duration,
+            details: result.details
+        };
+        this.emit('deployment:reverted', revert);
+        
+        return revert;
+    }
+
+    async executeDeploymentStage(stage, context) {
+        const startTime = Date.now();
+        const { pipeline } = context;
+        const stageContext = {
+            ...context,
+            stage: stage.name,
+            cwd: path.resolve(this.workingDir, pipeline.cwd || '.'),
+            env: { ...pipeline.env, ...context.env, ...stage.env }
+        };
+        let steps = [];
+        
         try {
-            switch (stage) {
-                case 'validate':
-                    return await this.validateDeployment(config);
-                case 'build':
-                    return await this.buildDeployment(config);
-                case 'test':
-                    return await this.testDeployment(config);
-                case 'deploy':
-                    return await this.executeDeployment(config);
-                case 'monitor':
-                    return await this.monitorDeployment(config);
-                default:
-                    throw new Error(`Unknown deployment stage: ${stage}`);
+            let results;
+            steps = interpolateSteps(stage.steps, context.variables || {});
+            
+            if (stage.parallel) {
+                results = await Promise.all(steps.map(step => this.executeStep(step, stageContext)));
+            } else {
+                results = [];
+                for (const step of steps) {
+                    const result = await this.executeStep(step, stageContext);
+                    results.push(result);
+                    if ((!result.success && !step.continueOnError) || context.signal?.aborted) break;
+                }
             }
+            
+            const failed = results.find((result, index) => !result.success && !steps[index].continueOnError);
+            
+            return {
+                success: !failed,
+                duration: Date.now() - startTime,
+                details: {
+                    parallel: stage.parallel,
+                    steps: results,
+                    skipped: steps.length === 0,
+                    ...(failed && { error: `Step ${failed.name} failed: ${failed.error}` })
+                }
+            };
         } catch (error) {
             return {
                 success: false,
@@ -238,85 +809,173 @@ export class BMADv4Engine extends EventEmitter {
         }
     }
 
-    async validateDeployment(config) {
-        // Validate configuration and prerequisites
-        await new Promise(resolve => setTimeout(resolve, 1000)); // Simulate validation
+    // Runs one step with its condition, merged environment and retry policy applied
+    async executeStep(step, stageContext) {
+        const name = step.name || step.type;
         
-        return {
-            success: true,
-            duration: 1000,
-            details: { validation: 'passed', config: 'valid' }
+        if (!evaluateCondition(step.when, stageContext.variables)) {
+            return { name, type: step.type, success: true, skipped: true, duration: 0 };
+        }
+        
+        const env = Object.fromEntries(
+            Object.entries({ ...stageContext.env, ...step.env }).map(([key, value]) => [key, String(value)])
+        );
+        const resolvedStep = {
+            ...step,
+            cwd: step.cwd ? path.resolve(stageContext.cwd, step.cwd) : stageContext.cwd,
+            env
+        };
+        const { deploymentId, stage } = stageContext;
+        const source = { stage, step: name };
+        const stepContext = {
+            ...stageContext,
+            onOutput: (stream, chunk) => this.recordDeploymentOutput(deploymentId, { ...source, stream }, chunk)
         };
+        
+        let result;
+        for (let attempt = 1; attempt <= step.retries + 1; attempt++) {
+            this.logDeployment(deploymentId, `Running ${step.type} step${attempt > 1 ? ` (attempt ${attempt})` : ''}`, source);
+            
+            result = await this.stageExecutors.runStep(resolvedStep, stepContext);
+            result.attempts = attempt;
+            
+            this.deploymentLogs.flush(deploymentId, source).forEach(line => this.emit('deployment:log', line));
+            this.logDeployment(deploymentId, result.success
+                ? `Step succeeded in ${result.duration}ms`
+                : `Step failed in ${result.duration}ms: ${result.error}`, source);
+            
+            if (result.success || attempt > step.retries || stageContext.signal?.aborted) break;
+            
+            this.logger.warn(`Step ${name} failed (attempt ${attempt}/${step.retries + 1}), retrying in ${step.retryDelayMs}ms`);
+            await new Promise(resolve => setTimeout(resolve, step.retryDelayMs));
+        }
+        
+        return result;
     }
 
-    async buildDeployment(config) {
-        // Build and prepare deployment artifacts
-        await new Promise(resolve => setTimeout(resolve, 2000)); // Simulate build
-        
-        return {
-            success: true,
-            duration: 2000,
-            details: { build: 'completed', artifacts: 'generated' }
-        };
+    logDeployment(deploymentId, message, source) {
+        this.emit('deployment:log', this.deploymentLogs.system(deploymentId, message, source));
     }
 
-    async testDeployment(config) {
-        // Execute tests and quality checks
-        await new Promise(resolve => setTimeout(resolve, 1500)); // Simulate testing
-        
-        return {
-            success: true,
-            duration: 1500,
-            details: { tests: 'passed', coverage: '95%' }
-        };
+    recordDeploymentOutput(deploymentId, source, chunk) {
+        this.deploymentLogs.append(deploymentId, source, chunk).forEach(line => this.emit('deployment:log', line));
+    }
+
+    getDeploymentLogs(deploymentId, query) {
+        if (!this.deployments.has(deploymentId)) return null;
+        return { deploymentId, ...this.deploymentLogs.query(deploymentId, query) };
     }
 
-    async executeDeployment(config) {
-        // Deploy to target environment
-        await new Promise(resolve => setTimeout(resolve, 3000)); // Simulate deployment
+    // Compact, serializable view of a deployment for event payloads
+    getDeploymentSummary(deploymentId) {
+        const deployment = this.deployments.get(deploymentId);
+        if (!deployment) return null;
         
         return {
-            success: true,
-            duration: 3000,
-            details: { deployment: 'successful', environment: 'production' }
+            deploymentId,
+            environment: deployment.environment,
+            version: deployment.version,
+            pipeline: deployment.pipeline,
+            status: deployment.status,
+            position: this.getQueuePosition(deploymentId),
+            currentStage: deployment.currentStage,
+            startTime: deployment.startTime,
+            endTime: deployment.endTime,
+            error: deployment.error
         };
     }
 
-    async monitorDeployment(config) {
-        // Start monitoring deployed system
-        await new Promise(resolve => setTimeout(resolve, 500)); // Simulate monitoring setup
+    async monitorAgentHealth() {
+        // A slow probe round must not overlap the next one
+        if (this.healthCheckInFlight) return;
+        this.healthCheckInFlight = true;
         
-        return {
-            success: true,
-            duration: 500,
-            details: { monitoring: 'active', alerts: 'configured' }
-        };
+        try {
+            // Agents registered without a port or health endpoint are not probed
+            const probed = Array.from(this.agents.values()).filter(agent => agent.healthEndpoint);
+            await Promise.all(probed.map(agent => this.probeAgent(agent)));
+        } finally {
+            this.healthCheckInFlight = false;
+        }
     }
 
-    monitorAgentHealth() {
-        for (const [agentId, agent] of this.agents.entries()) {
-            // Simulate health check
-            const healthScore = Math.random() * 100;
-            agent.metrics.performance = Math.round(healthScore);
+    async probeAgent(agent) {
+        const { timeoutMs, degradedLatencyMs, failureThreshold } = this.healthCheck;
+        const health = agent.health;
+        const previousState = health.state;
+        const startTime = Date.now();
+        
+        agent.metrics.requests++;
+        health.lastCheck = new Date();
+        
+        try {
+            await axios.get(agent.healthEndpoint, { timeout: timeoutMs });
+            
+            health.latencyMs = Date.now() - startTime;
+            health.consecutiveFailures = 0;
+            health.lastSuccess = new Date();
+            health.lastError = null;
+            health.state = health.latencyMs > degradedLatencyMs ? 'degraded' : 'healthy';
             agent.lastActivity = new Date();
+        } catch (error) {
+            agent.metrics.errors++;
+            health.latencyMs = null;
+            health.consecutiveFailures++;
+            health.lastError = error.message;
+            // A few misses degrade the agent; it is only down after repeated failures
+            health.state = health.consecutiveFailures >= failureThreshold ? 'down' : 'degraded';
+        }
+        
+        agent.metrics.uptime = Math.round(((agent.metrics.requests - agent.metrics.errors) / agent.metrics.requests) * 100);
+        agent.metrics.performance = { healthy: 100, degraded: 50, down: 0 }[health.state];
+        
+        if (health.state !== previousState) {
+            this.logger.info(`Agent ${agent.id} health: ${previousState} -> ${health.state}`);
+            this.emit('agent:health-changed', { agentId: agent.id, from: previousState, to: health.state, health });
             
-            if (healthScore < 50) {
-                this.logger.warn(`Agent ${agentId} health low: ${healthScore}`);
-                this.emit('agent:health-warning', { agentId, health: healthScore });
+            if (health.state !== 'healthy') {
+                this.logger.warn(`Agent ${agent.id} ${health.state}: ${health.lastError || `${health.latencyMs}ms latency`}`);
+                this.emit('agent:health-warning', { agentId: agent.id, health: agent.metrics.performance, state: health.state });
             }
         }
     }
 
+    getAgentHealth() {
+        return Array.from(this.agents.values()).map(agent => ({
+            id: agent.id,
+            endpoint: agent.healthEndpoint,
+            ...agent.health
+        }));
+    }
+
     monitorPerformance() {
+        // CPU share of this process since the previous sample, across all cores
+        const now = Date.now();
+        const cpuUsage = process.cpuUsage(this.lastCpuUsage);
+        const elapsedMicros = Math.max(1, (now - this.lastCpuSample) * 1000);
+        this.lastCpuUsage = process.cpuUsage();
+        this.lastCpuSample = now;
+        
+        const memory = process.memoryUsage();
+        
         const systemMetrics = {
             timestamp: new Date(),
             agents: this.agents.size,
-            activeDeployments: Array.from(this.deployments.values()).filter(d => d.status === 'active').length,
-            systemLoad: Math.random() * 100,
-            memoryUsage: Math.random() * 100
+            activeDeployments: Array.from(this.deployments.values()).filter(d => d.status === 'running').length,
+            queuedDeployments: Array.from(this.deployments.values()).filter(d => d.status === 'queued').length,
+            cpuUsage: ((cpuUsage.user + cpuUsage.system) / elapsedMicros / os.cpus().length) * 100,
+            systemLoad: (os.loadavg()[0] / os.cpus().length) * 100,
+            memoryUsage: (memory.rss / os.totalmem()) * 100,
+            memory: {
+                rss: memory.rss,
+                heapUsed: memory.heapUsed,
+                heapTotal: memory.heapTotal,
+                external: memory.external
+            }
         };
         
         this.emit('performance:metrics', systemMetrics);
+        return systemMetrics;
     }
 
     getStatus() {
@@ -325,7 +984,8 @@ export class BMADv4Engine extends EventEmitter {
             version: this.version,
             principles: this.principles,
             agents: this.agents.size,
-            activeDeployments: Array.from(this.deployments.values()).filter(d => d.status === 'active').length
+            activeDeployments: Array.from(this.deployments.values()).filter(d => d.status === 'running').length,
+            queuedDeployments: Array.from(this.deployments.values()).filter(d => d.status === 'queued').length
         };
     }
 
@@ -334,24 +994,24 @@ export class BMADv4Engine extends EventEmitter {
             ...this.getStatus(),
             agents: Array.from(this.agents.entries()).map(([id, agent]) => ({ id, ...agent })),
             deployments: Array.from(this.deployments.entries()).map(([id, deployment]) => ({ id, ...deployment })),
-            pipeline: this.deploymentPipeline
+            pipeline: this.deploymentPipeline,
+            queues: this.getDeploymentQueues()
         };
     }
 
     getAgent(agentId) {
-        return this.agents.get(agentId);
+        return this.agents.get(this.agentRegistry.resolveId(agentId));
     }
 
     getAllAgents() {
         return Array.from(this.agents.values());
     }
 
-    updateAgentStatus(agentId, status) {
-        const agent = this.agents.get(agentId);
+    async updateAgentStatus(agentId, status) {
+        const agent = await this.agentRegistry.update(agentId, { status });
         if (agent) {
-            agent.status = status;
-            agent.lastActivity = new Date();
-            this.emit('agent:status-updated', { agentId, status });
+            this.agents.get(agent.id).lastActivity = new Date();
+            this.emit('agent:status-updated', { agentId: agent.id, status });
         }
     }
 
@@ -0,0 +1,272 @@
+/**
+ * BMAD v4 - Deployment Stage Executors
+ * Pluggable step runners for deployment stages (shell, npm, HTTP, ACI.dev tools)
+ * Kevin Gardner - Magnificent Worldwide
+ */
+
+import { spawn } from 'child_process';
+import axios from 'axios';
+
+const DEFAULT_STEP_TIMEOUT_MS = 10 * 60 * 1000;
+const MAX_CAPTURED_OUTPUT = 1024 * 1024; // Keep the last 1MB of each stream
+
+/*
+ * An executor is { type, validate?(step), run(step, context) }.
+ * run() resolves to { success, exitCode?, stdout?, stderr?, timedOut?, error?, details? };
+ * it should not throw for ordinary failures. `context` carries the deployment config,
+ * the stage name, an optional onOutput(stream, chunk) callback for live output and an
+ * AbortSignal that fires when the deployment is cancelled.
+ */
+
+// Also used by the PRP worker threads to run shell jobs
+export function runProcess(command, args, { cwd, env, timeoutMs, shell, onOutput, signal }) {
+    return new Promise((resolve) => {
+        if (signal?.aborted) {
+            resolve({ success: false, exitCode: null, cancelled: true, error: 'Cancelled' });
+            return;
+        }
+        
+        const output = { stdout: '', stderr: '' };
+        let timedOut = false;
+        let cancelled = false;
+        
+        // Own process group so a timeout also stops anything the command spawned
+        const detached = process.platform !== 'win32';
+        const child = spawn(command, args, {
+            cwd,
+            shell,
+            detached,
+            env: { ...process.env, ...env }
+        });
+        
+        const kill = (signal) => {
+            try {
+                if (detached) process.kill(-child.pid, signal);
+                else child.kill(signal);
+            } catch {
+                // Already exited
+            }
+        };
+        
+        const capture = (stream) => (chunk) => {
+            const text = chunk.toString();
+            output[stream] = (output[stream] + text).slice(-MAX_CAPTURED_OUTPUT);
+            onOutput?.(stream, text);
+        };
+        child.stdout.on('data', capture('stdout'));
+        child.stderr.on('data', capture('stderr'));
+        
+        const stop = () => {
+            kill('SIGTERM');
+            // Escalate if the process ignores SIGTERM
+            setTimeout(() => kill('SIGKILL'), 5000).unref();
+        };
+        const timer = setTimeout(() => {
+            timedOut = true;
+            stop();
+        }, timeoutMs);
+        const onAbort = () => {
+            cancelled = true;
+            stop();
+        };
+        signal?.addEventListener('abort', onAbort, { once: true });
+        
+        child.on('error', (error) => {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', onAbort);
+            resolve({ success: false, exitCode: null, ...output, error: error.message });
+        });
+        
+        child.on('close', (exitCode, exitSignal) => {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', onAbort);
+            
+            let error;
+            if (cancelled) error = 'Cancelled';
+            else if (timedOut) error = `Timed out after ${timeoutMs}ms`;
+            else if (exitCode !== 0) error = `Exited with code ${exitCode}`;
+            
+            resolve({
+                success: exitCode === 0 && !timedOut && !cancelled,
+                exitCode,
+                signal: exitSignal,
+                timedOut,
+                cancelled,
+                ...output,
+                error
+            });
+        });
+    });
+}
+
+export class ShellExecutor {
+    constructor() {
+        this.type = 'shell';
+    }
+
+    validate(step) {
+        if (!step.command) return 'shell step requires a command';
+        return null;
+    }
+
+    async run(step, context) {
+        return runProcess(step.command, [], {
+            cwd: step.cwd || context.cwd,
+            env: step.env,
+            timeoutMs: step.timeoutMs || DEFAULT_STEP_TIMEOUT_MS,
+            shell: true,
+            onOutput: context.onOutput,
+            signal: context.signal
+        });
+    }
+}
+
+export class NpmScriptExecutor {
+    constructor() {
+        this.type = 'npm';
+    }
+
+    validate(step) {
+        if (!step.script) return 'npm step requires a script';
+        return null;
+    }
+
+    async run(step, context) {
+        const args = ['run', step.script, ...(step.args?.length ? ['--', ...step.args] : [])];
+        return runProcess(process.platform === 'win32' ? 'npm.cmd' : 'npm', args, {
+            cwd: step.cwd || context.cwd,
+            env: step.env,
+            timeoutMs: step.timeoutMs || DEFAULT_STEP_TIMEOUT_MS,
+            shell: false,
+            onOutput: context.onOutput,
+            signal: context.signal
+        });
+    }
+}
+
+export class HttpExecutor {
+    constructor() {
+        this.type = 'http';
+    }
+
+    validate(step) {
+        if (!step.url) return 'http step requires a url';
+        return null;
+    }
+
+    async run(step, context) {
+        const expectStatus = step.expectStatus || [200, 201, 202, 204];
+        
+        try {
+            const response = await axios({
+                url: step.url,
+                method: step.method || 'GET',
+                data: step.body,
+                headers: step.headers,
+                timeout: step.timeoutMs || 30000,
+                signal: context.signal,
+                validateStatus: () => true
+            });
+            
+            const body = typeof response.data === 'string' ? response.data : JSON.stringify(response.data);
+            context.onOutput?.('stdout', `${step.method || 'GET'} ${step.url} -> ${response.status}\n`);
+            
+            const success = [].concat(expectStatus).includes(response.status);
+            return {
+                success,
+                exitCode: success ? 0 : 1,
+                stdout: body?.slice(-MAX_CAPTURED_OUTPUT),
+                details: { status: response.status },
+                error: success ? undefined : `Unexpected HTTP status ${response.status}`
+            };
+        } catch (error) {
+            context.onOutput?.('stderr', `${step.method || 'GET'} ${step.url} failed: ${error.message}\n`);
+            return {
+                success: false,
+                exitCode: null,
+                timedOut: error.code === 'ECONNABORTED',
+                cancelled: axios.isCancel(error),
+                error: error.message
+            };
+        }
+    }
+}
+
+export class ACIToolExecutor {
+    constructor(aciIntegration) {
+        this.type = 'aci';
+        this.aciIntegration = aciIntegration;
+    }
+
+    validate(step) {
+        if (!step.toolId) return 'aci step requires a toolId';
+        return null;
+    }
+
+    async run(step, context) {
+        try {
+            const result = await this.aciIntegration.executeTool({ toolId: step.toolId, params: step.params });
+            context.onOutput?.('stdout', `ACI tool ${step.toolId}: ${result.success ? 'completed' : 'failed'}\n`);
+            
+            return {
+                success: result.success,
+                exitCode: result.success ? 0 : 1,
+                details: { executionId: result.execution?.id, result: result.result },
+                error: result.error
+            };
+        } catch (error) {
+            return { success: false, exitCode: null, error: error.message };
+        }
+    }
+}
+
+export class StageExecutorRegistry {
+    constructor(executors = []) {
+        this.executors = new Map();
+        executors.forEach(executor => this.register(executor));
+    }
+
+    register(executor) {
+        if (!executor.type || typeof executor.run !== 'function') {
+            throw new Error('Stage executor requires a type and a run() function');
+        }
+        this.executors.set(executor.type, executor);
+    }
+
+    get(type) {
+        return this.executors.get(type) || null;
+    }
+
+    types() {
+        return Array.from(this.executors.keys());
+    }
+
+    // Returns a list of problems with a step definition (empty when valid)
+    validateStep(step) {
+        const executor = this.get(step.type);
+        if (!executor) return [`unknown step type: ${step.type}`];
+        
+        const problem = executor.validate?.(step);
+        return problem ? [problem] : [];
+    }
+
+    async runStep(step, context) {
+        const executor = this.get(step.type);
+        const startTime = Date.now();
+        
+        const result = executor
+            ? await executor.run(step, context)
+            : { success: false, error: `Unknown step type: ${step.type}` };
+        
+        return {
+            name: step.name || step.type,
+            type: step.type,
+            ...result,
+            duration: Date.now() - startTime
+        };
+    }
+}
+
+export function createDefaultExecutors() {
+    return [new ShellExecutor(), new NpmScriptExecutor(), new HttpExecutor()];
+}
@@ -0,0 +1,110 @@
+/**
+ * BMAD v4 - Deployment Release History
+ * Tracks what is deployed to each environment and diffs deployment configs
+ * Kevin Gardner - Magnificent Worldwide
+ */
+
+export const DEFAULT_ENVIRONMENT = 'default';
+
+const MAX_RELEASES_PER_ENVIRONMENT = 50;
+
+// Config keys that describe how a deployment ran rather than what it deployed
+// (pipelines are diffed separately, from the resolved definitions)
+const DIFF_IGNORED_KEYS = ['rollbackOf', 'restoresDeploymentId', 'autoRollback', 'pipelineDefinition'];
+
+export class ReleaseHistory {
+    constructor({ maxReleases = MAX_RELEASES_PER_ENVIRONMENT } = {}) {
+        this.maxReleases = maxReleases;
+        this.environments = new Map();
+    }
+
+    record(deployment) {
+        const environment = deployment.environment || DEFAULT_ENVIRONMENT;
+        const releases = this.environments.get(environment) || [];
+        
+        const release = {
+            environment,
+            deploymentId: deployment.id,
+            version: deployment.version,
+            artifact: deployment.artifact,
+            slot: deployment.slot || null,
+            pipeline: deployment.pipeline,
+            pipelineDefinition: deployment.pipelineDefinition,
+            config: deployment.config,
+            rollbackOf: deployment.config.rollbackOf || null,
+            // A rollback redeploys an earlier release; it keeps that release's identity
+            sourceDeploymentId: deployment.config.restoresDeploymentId || deployment.id,
+            deployedAt: deployment.endTime || new Date()
+        };
+        
+        releases.push(release);
+        if (releases.length > this.maxReleases) {
+            releases.splice(0, releases.length - this.maxReleases);
+        }
+        this.environments.set(environment, releases);
+        
+        return release;
+    }
+
+    getCurrent(environment) {
+        return this.environments.get(environment)?.at(-1) || null;
+    }
+
+    // The latest release that differs from the current one, i.e. what a manual rollback returns to
+    getPrevious(environment) {
+        const releases = this.environments.get(environment) || [];
+        const current = releases.at(-1);
+        
+        return releases.findLast(release => release.sourceDeploymentId !== current.sourceDeploymentId) || null;
+    }
+
+    find(environment, deploymentId) {
+        return this.environments.get(environment)?.find(release => release.deploymentId === deploymentId) || null;
+    }
+
+    getHistory(environment) {
+        return [...(this.environments.get(environment) || [])].reverse();
+    }
+
+    listEnvironments() {
+        return Array.from(this.environments.keys()).map(environment => ({
+            environment,
+            current: this.getCurrent(environment),
+            releases: this.environments.get(environment).length
+        }));
+    }
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+}
+
+/*
+ * Structural diff of two deployment configs. Returns one entry per differing
+ * leaf: { path, change: 'added' | 'removed' | 'changed', from, to }.
+ * Arrays are compared element by element.
+ */
+export function diffConfigs(fromConfig = {}, toConfig = {}, basePath = '') {
+    const changes = [];
+    const keys = new Set([...Object.keys(fromConfig), ...Object.keys(toConfig)]);
+    
+    for (const key of keys) {
+        if (!basePath && DIFF_IGNORED_KEYS.includes(key)) continue;
+        
+        const path = basePath ? `${basePath}.${key}` : key;
+        const from = fromConfig[key];
+        const to = toConfig[key];
+        
+        if (from === undefined) {
+            changes.push({ path, change: 'added', to });
+        } else if (to === undefined) {
+            changes.push({ path, change: 'removed', from });
+        } else if ((isPlainObject(from) && isPlainObject(to)) || (Array.isArray(from) && Array.isArray(to))) {
+            changes.push(...diffConfigs(from, to, path));
+        } else if (JSON.stringify(from) !== JSON.stringify(to)) {
+            changes.push({ path, change: 'changed', from, to });
+        }
+    }
+    
+    return changes;
+}
@@ -0,0 +1,107 @@
+/**
+ * BMAD v4 - Deployment Log Buffer
+ * Line-oriented, bounded log capture per deployment for replay and pagination
+ * Kevin Gardner - Magnificent Worldwide
+ */
+
+export const LOG_STREAMS = ['stdout', 'stderr', 'system'];
+
+const MAX_LINES_PER_DEPLOYMENT = 10000;
+// Also the number of finished deployments the engine keeps, so records and logs age out together
+export const MAX_LOGGED_DEPLOYMENTS = 100;
+
+/*
+ * Output arrives in arbitrary chunks; complete lines are stored immediately and a
+ * trailing partial line is held per (stage, step, stream) until its newline arrives
+ * or the step finishes. Each stored line gets a per-deployment sequence number so
+ * socket subscribers can stitch a replay onto the live stream without duplicates.
+ */
+export class DeploymentLogBuffer {
+    constructor({ maxLines = MAX_LINES_PER_DEPLOYMENT, maxDeployments = MAX_LOGGED_DEPLOYMENTS } = {}) {
+        this.maxLines = maxLines;
+        this.maxDeployments = maxDeployments;
+        this.logs = new Map();
+    }
+
+    getLog(deploymentId) {
+        if (!this.logs.has(deploymentId)) {
+            // Drop the oldest deployment's log once the limit is reached
+            if (this.logs.size >= this.maxDeployments) {
+                this.logs.delete(this.logs.keys().next().value);
+            }
+            this.logs.set(deploymentId, { lines: [], nextSeq: 1, partials: new Map() });
+        }
+        return this.logs.get(deploymentId);
+    }
+
+    remove(deploymentId) {
+        this.logs.delete(deploymentId);
+    }
+
+    push(log, deploymentId, { stage = null, step = null, stream }, message) {
+        const line = {
+            seq: log.nextSeq++,
+            deploymentId,
+            timestamp: new Date(),
+            stage,
+            step,
+            stream,
+            message
+        };
+        
+        log.lines.push(line);
+        if (log.lines.length > this.maxLines) {
+            log.lines.splice(0, log.lines.length - this.maxLines);
+        }
+        return line;
+    }
+
+    // Appends a raw output chunk; returns the complete lines it produced
+    append(deploymentId, source, chunk) {
+        const log = this.getLog(deploymentId);
+        const key = `${source.stage}|${source.step}|${source.stream}`;
+        
+        const parts = ((log.partials.get(key) || '') + chunk).split(/\r?\n/);
+        const remainder = parts.pop();
+        if (remainder) log.partials.set(key, remainder);
+        else log.partials.delete(key);
+        
+        return parts.map(message => this.push(log, deploymentId, source, message));
+    }
+
+    // Emits any unterminated output held for a step (called when the step finishes)
+    flush(deploymentId, { stage, step }) {
+        const log = this.logs.get(deploymentId);
+        if (!log) return [];
+        
+        const flushed = [];
+        for (const stream of ['stdout', 'stderr']) {
+            const key = `${stage}|${step}|${stream}`;
+            const remainder = log.partials.get(key);
+            if (remainder) {
+                log.partials.delete(key);
+                flushed.push(this.push(log, deploymentId, { stage, step, stream }, remainder));
+            }
+        }
+        return flushed;
+    }
+
+    system(deploymentId, message, { stage = null, step = null } = {}) {
+        return this.push(this.getLog(deploymentId), deploymentId, { stage, step, stream: 'system' }, message);
+    }
+
+    query(deploymentId, { offset = 0, limit = 200, afterSeq, stage, stream } = {}) {
+        const lines = (this.logs.get(deploymentId)?.lines || []).filter(line =>
+            (afterSeq === undefined || line.seq > afterSeq) &&
+            (!stage || line.stage === stage) &&
+            (!stream || line.stream === stream)
+        );
+        
+        return {
+            total: lines.length,
+            offset,
+            limit,
+            lines: lines.slice(offset, offset + limit)
+        };
+    }
+}
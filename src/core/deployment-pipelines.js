@@ -0,0 +1,243 @@
+/**
+ * BMAD v4 - Deployment Pipeline Definitions
+ * Loads and validates declarative YAML/JSON pipelines (one file per deploy target)
+ * Kevin Gardner - Magnificent Worldwide
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import Joi from 'joi';
+import { load as parseYaml } from 'js-yaml';
+import { TrinityError } from './trinity-errors.js';
+
+export const DEFAULT_STAGE_NAMES = ['validate', 'build', 'test', 'deploy', 'monitor'];
+
+const PIPELINE_EXTENSIONS = ['.yml', '.yaml', '.json'];
+
+const envSchema = Joi.object().pattern(Joi.string(), Joi.alternatives(Joi.string(), Joi.number(), Joi.boolean()));
+
+// A condition matches when every variable equals the given value (or one of the listed values)
+const conditionSchema = Joi.object().pattern(
+    Joi.string(),
+    Joi.alternatives(Joi.string(), Joi.number(), Joi.boolean(), Joi.array().items(Joi.string(), Joi.number(), Joi.boolean()))
+);
+
+// Executor-specific fields (command, script, url, toolId, ...) are checked against the executor registry
+const stepSchema = Joi.object({
+    type: Joi.string().trim().required(),
+    name: Joi.string().trim(),
+    cwd: Joi.string(),
+    env: envSchema,
+    when: conditionSchema,
+    timeoutMs: Joi.number().integer().min(1),
+    retries: Joi.number().integer().min(0).max(10).default(0),
+    retryDelayMs: Joi.number().integer().min(0).default(1000),
+    continueOnError: Joi.boolean().default(false)
+}).unknown(true);
+
+const stageSchema = Joi.object({
+    name: Joi.string().trim().required(),
+    parallel: Joi.boolean().default(false),
+    // Failure of a monitor stage triggers auto-rollback (defaults to true for a stage named "monitor")
+    monitor: Joi.boolean(),
+    env: envSchema,
+    when: conditionSchema,
+    steps: Joi.array().items(stepSchema).default([])
+});
+
+export const STRATEGY_TYPES = ['canary', 'blue-green'];
+
+const actionsSchema = Joi.array().items(stepSchema).min(1);
+
+// Traffic weights must climb and end with the new version taking all traffic
+const canaryWeightsSchema = Joi.array()
+    .items(Joi.number().integer().min(1).max(100))
+    .min(1)
+    .default([10, 50, 100])
+    .custom((weights, helpers) => {
+        const ascending = weights.every((weight, index) => index === 0 || weight > weights[index - 1]);
+        if (!ascending || weights.at(-1) !== 100) {
+            return helpers.message('{{#label}} must be ascending traffic weights ending at 100');
+        }
+        return weights;
+    });
+
+// `afterStage` names the pipeline stage that installs the new version; the rollout runs right after it
+const canaryStrategySchema = Joi.object({
+    type: Joi.string().valid('canary').required(),
+    afterStage: Joi.string().trim(),
+    steps: canaryWeightsSchema,
+    intervalMs: Joi.number().integer().min(0).default(60000),
+    traffic: actionsSchema.required(),
+    healthGate: actionsSchema.required(),
+    revert: actionsSchema
+});
+
+const blueGreenStrategySchema = Joi.object({
+    type: Joi.string().valid('blue-green').required(),
+    afterStage: Joi.string().trim(),
+    slots: Joi.array().items(Joi.string().trim()).length(2).unique().default(['blue', 'green']),
+    healthGate: actionsSchema.required(),
+    switch: actionsSchema.required(),
+    verify: actionsSchema
+});
+
+export const strategySchema = Joi.alternatives().conditional('.type', {
+    switch: [
+        { is: 'canary', then: canaryStrategySchema },
+        { is: 'blue-green', then: blueGreenStrategySchema }
+    ],
+    otherwise: Joi.object({ type: Joi.string().valid(...STRATEGY_TYPES).required() }).unknown(true)
+});
+
+export const pipelineDefinitionSchema = Joi.object({
+    name: Joi.string().trim(),
+    description: Joi.string().allow(''),
+    cwd: Joi.string(),
+    env: envSchema,
+    autoRollback: Joi.boolean().default(false),
+    strategy: strategySchema,
+    stages: Joi.array().items(stageSchema).min(1).unique('name').required()
+});
+
+const STRATEGY_ACTION_KEYS = ['traffic', 'healthGate', 'revert', 'switch', 'verify'];
+
+// `label(index)` names a step in the problem messages
+function collectStepProblems(steps, label, executorRegistry) {
+    return (Array.isArray(steps) ? steps : []).flatMap((step, stepIndex) => {
+        if (!step?.type) return [];
+        return executorRegistry.validateStep(step).map(problem => `${label(stepIndex)}: ${problem}`);
+    });
+}
+
+/*
+ * Validates a raw definition and returns the normalized pipeline (defaults applied).
+ * Throws a 400 TrinityError listing every problem, including steps whose type has
+ * no registered executor or that the executor itself rejects.
+ */
+export function normalizePipeline(definition, executorRegistry, source = 'pipeline') {
+    const { error, value } = pipelineDefinitionSchema.validate(definition, { abortEarly: false });
+    const problems = error
+        ? error.details.map(detail => `${detail.path.join('.') || source}: ${detail.message}`)
+        : [];
+    
+    if (executorRegistry && Array.isArray(value?.stages)) {
+        value.stages.forEach((stage, stageIndex) => {
+            const label = stepIndex => `stages.${stageIndex}.steps.${stepIndex} (${stage?.name || 'unnamed'})`;
+            problems.push(...collectStepProblems(stage?.steps, label, executorRegistry));
+        });
+    }
+    
+    const strategy = value?.strategy;
+    if (strategy && Array.isArray(value.stages)) {
+        if (executorRegistry) {
+            STRATEGY_ACTION_KEYS.forEach(key => {
+                problems.push(...collectStepProblems(strategy[key], stepIndex => `strategy.${key}.${stepIndex}`, executorRegistry));
+            });
+        }
+        
+        // Default to the "deploy" stage, or the last stage when there is none
+        const stageNames = value.stages.map(stage => stage?.name);
+        strategy.afterStage = strategy.afterStage || (stageNames.includes('deploy') ? 'deploy' : stageNames.at(-1));
+        if (!stageNames.includes(strategy.afterStage)) {
+            problems.push(`strategy.afterStage: no stage named "${strategy.afterStage}"`);
+        }
+    }
+    
+    if (problems.length > 0) {
+        throw new TrinityError(`Invalid pipeline definition: ${source}`, 400, { problems });
+    }
+    
+    value.stages.forEach(stage => {
+        stage.monitor = stage.monitor ?? stage.name === 'monitor';
+    });
+    
+    return { name: source, ...value };
+}
+
+// The built-in validate/build/test/deploy/monitor pipeline, filled from a { stage: [steps] } map
+export function buildDefaultPipeline(stepsByStage = {}) {
+    const unknownStages = Object.keys(stepsByStage).filter(stage => !DEFAULT_STAGE_NAMES.includes(stage));
+    if (unknownStages.length > 0) {
+        throw new TrinityError('Invalid pipeline definition: default', 400, {
+            problems: unknownStages.map(stage => `steps.${stage}: unknown deployment stage`)
+        });
+    }
+    
+    return {
+        name: 'default',
+        stages: DEFAULT_STAGE_NAMES.map(name => ({ name, steps: stepsByStage[name] || [] }))
+    };
+}
+
+export function evaluateCondition(condition, variables) {
+    if (!condition) return true;
+    
+    return Object.entries(condition).every(([key, expected]) => {
+        const actual = variables[key];
+        const allowed = Array.isArray(expected) ? expected : [expected];
+        return actual !== undefined && allowed.some(value => String(value) === String(actual));
+    });
+}
+
+export class PipelineLoader {
+    constructor(pipelinesDir) {
+        this.pipelinesDir = pipelinesDir;
+    }
+
+    async findPipelineFile(target) {
+        if (!/^[\w.-]+$/.test(target)) {
+            throw new TrinityError(`Invalid pipeline target: ${target}`, 400);
+        }
+        
+        for (const extension of PIPELINE_EXTENSIONS) {
+            const file = path.join(this.pipelinesDir, `${target}${extension}`);
+            try {
+                await fs.access(file);
+                return file;
+            } catch {
+                // Try the next extension
+            }
+        }
+        
+        return null;
+    }
+
+    async readDefinition(file) {
+        const contents = await fs.readFile(file, 'utf8');
+        
+        try {
+            return file.endsWith('.json') ? JSON.parse(contents) : parseYaml(contents);
+        } catch (error) {
+            throw new TrinityError(`Failed to parse pipeline file: ${path.basename(file)}`, 400, {
+                problems: [error.message]
+            });
+        }
+    }
+
+    // Files are re-read on every load so edits apply to the next deployment
+    async load(target, executorRegistry) {
+        const file = await this.findPipelineFile(target);
+        if (!file) {
+            throw new TrinityError(`Pipeline not found for target: ${target}`, 404);
+        }
+        
+        const definition = await this.readDefinition(file);
+        return normalizePipeline(definition, executorRegistry, target);
+    }
+
+    async list() {
+        let entries;
+        try {
+            entries = await fs.readdir(this.pipelinesDir);
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+        
+        return entries
+            .filter(entry => PIPELINE_EXTENSIONS.includes(path.extname(entry)))
+            .map(entry => path.basename(entry, path.extname(entry)))
+            .sort();
+    }
+}
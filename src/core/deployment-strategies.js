@@ -0,0 +1,168 @@
+/**
+ * BMAD v4 - Deployment Rollout Strategies
+ * Canary traffic stepping and blue-green slot switching with health gates
+ * Kevin Gardner - Magnificent Worldwide
+ */
+
+/*
+ * Strategies do not talk to load balancers themselves: traffic shifts, slot switches
+ * and health gates are ordinary pipeline steps (shell, http, aci, ...) run through the
+ * engine's stage executors, so a rollout can target real infrastructure or local
+ * stand-ins (a localhost router, a script writing a weights file) alike.
+ *
+ * runActions(name, steps, variables, { cancellable }) runs a list of steps with the
+ * variables available as {{placeholders}} and resolves to a stage result.
+ */
+
+// Single-quotes a value as one POSIX shell word
+export function shellQuote(value) {
+    return `'${String(value).replace(/'/g, `'\\''`)}'`;
+}
+
+/*
+ * Placeholder values carry request data, so each is encoded for where it lands:
+ *   shell command  -> a single-quoted word (write `echo {{version}}`, not `echo "{{version}}"`)
+ *   http url       -> URL-encoded, so a value stays inside its path segment or query value
+ *   http headers   -> as-is, but values containing CR, LF or NUL are rejected
+ *   http body text -> JSON-string-escaped (object bodies are serialized as a whole anyway)
+ *   npm args       -> as-is (each arg is its own argv entry), but values that would read
+ *                     as an option (leading "-") are rejected
+ * Anywhere else (names, env, conditions, strategy settings) values are inserted verbatim.
+ */
+const rejectIf = (test, reason) => (value, key) => {
+    if (test(value)) throw new Error(`Variable ${key} ${reason}`);
+    return value;
+};
+
+const PLACEHOLDER_ENCODERS = {
+    shell: { command: shellQuote },
+    http: {
+        url: value => encodeURIComponent(value),
+        headers: rejectIf(value => /[\r\n\0]/.test(value), 'cannot be used in an HTTP header: it contains a line break or NUL'),
+        body: value => JSON.stringify(value).slice(1, -1)
+    },
+    npm: { args: rejectIf(value => value.startsWith('-'), 'cannot be used as an npm argument: it starts with "-"') }
+};
+
+/*
+ * Replaces {{name}} placeholders in every string of a step definition, encoded per the
+ * table above; unknown names are left as-is. Throws when a value is not allowed where
+ * its placeholder sits.
+ */
+export function interpolateSteps(steps, variables) {
+    const interpolate = (value, encode) => {
+        if (typeof value === 'string') {
+            return value.replace(/\{\{\s*([\w.-]+)\s*\}\}/g, (match, key) => {
+                if (variables[key] === undefined || variables[key] === null) return match;
+                return encode ? encode(String(variables[key]), key) : String(variables[key]);
+            });
+        }
+        if (Array.isArray(value)) return value.map(entry => interpolate(entry, encode));
+        if (value && typeof value === 'object') {
+            return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, interpolate(entry, encode)]));
+        }
+        return value;
+    };
+    
+    return steps.map(step => Object.fromEntries(Object.entries(step).map(([key, value]) => {
+        const encode = PLACEHOLDER_ENCODERS[step.type]?.[key];
+        // Structured http bodies are JSON-serialized by the client, so their strings need no escaping
+        const structured = step.type === 'http' && key === 'body' && typeof value !== 'string';
+        return [key, interpolate(value, structured ? null : encode)];
+    })));
+}
+
+// Resolves after `ms`, or as soon as the signal aborts
+export function delay(ms, signal) {
+    return new Promise(resolve => {
+        if (signal?.aborted) return resolve();
+        
+        const timer = setTimeout(done, ms);
+        function done() {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', done);
+            resolve();
+        }
+        signal?.addEventListener('abort', done, { once: true });
+    });
+}
+
+function phase(action, variables, result) {
+    return {
+        action,
+        ...variables,
+        success: result.success,
+        duration: result.duration,
+        steps: result.details.steps,
+        ...(result.details.error && { error: result.details.error })
+    };
+}
+
+/*
+ * Shifts traffic to the new version one weight at a time. After each shift it waits
+ * intervalMs and runs the health gate; a failing gate (or cancellation) sends all
+ * traffic back with the revert actions (the traffic actions at weight 0 by default).
+ */
+export async function runCanary(strategy, { runActions, signal }) {
+    const phases = [];
+    
+    const revert = async (error) => {
+        const result = await runActions('revert', strategy.revert || strategy.traffic, { weight: 0 }, { cancellable: false });
+        phases.push(phase('revert', { weight: 0 }, result));
+        return { success: false, reverted: result.success, phases, error };
+    };
+    
+    for (const weight of strategy.steps) {
+        const shift = await runActions('traffic', strategy.traffic, { weight });
+        phases.push(phase('traffic', { weight }, shift));
+        if (!shift.success) return revert(`Traffic shift to ${weight}% failed`);
+        
+        await delay(strategy.intervalMs, signal);
+        if (signal?.aborted) return revert('Cancelled');
+        
+        const gate = await runActions('health-gate', strategy.healthGate, { weight });
+        phases.push(phase('health-gate', { weight }, gate));
+        if (!gate.success) return revert(`Health gate failed at ${weight}% traffic`);
+    }
+    
+    return { success: true, phases, weight: strategy.steps.at(-1) };
+}
+
+/*
+ * The pipeline has deployed to the idle slot (`targetSlot`). The health gate checks it
+ * before any traffic moves; then the switch actions point traffic at it and the optional
+ * verify actions check it live. A failed switch or verification switches straight back.
+ */
+export async function runBlueGreen(strategy, { runActions, signal, activeSlot, targetSlot }) {
+    const phases = [];
+    
+    const gate = await runActions('health-gate', strategy.healthGate, { slot: targetSlot, activeSlot });
+    phases.push(phase('health-gate', { slot: targetSlot }, gate));
+    if (!gate.success) {
+        return { success: false, switched: false, phases, error: `Health gate failed for slot ${targetSlot}` };
+    }
+    
+    if (signal?.aborted) {
+        return { success: false, switched: false, phases, error: 'Cancelled' };
+    }
+    
+    const switchBack = async (error) => {
+        if (!activeSlot) return { success: false, switched: true, reverted: false, phases, error };
+        
+        const result = await runActions('switch', strategy.switch, { slot: activeSlot, activeSlot: targetSlot }, { cancellable: false });
+        phases.push(phase('revert', { slot: activeSlot }, result));
+        return { success: false, switched: true, reverted: result.success, phases, error };
+    };
+    
+    const switchOver = await runActions('switch', strategy.switch, { slot: targetSlot, activeSlot }, { cancellable: false });
+    phases.push(phase('switch', { slot: targetSlot }, switchOver));
+    if (!switchOver.success) return switchBack(`Switch to slot ${targetSlot} failed`);
+    
+    if (strategy.verify) {
+        const verify = await runActions('verify', strategy.verify, { slot: targetSlot, activeSlot });
+        phases.push(phase('verify', { slot: targetSlot }, verify));
+        if (!verify.success) return switchBack(`Verification failed on slot ${targetSlot}`);
+    }
+    
+    return { success: true, switched: true, phases, activeSlot: targetSlot, previousSlot: activeSlot };
+}
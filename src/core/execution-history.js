@@ -0,0 +1,126 @@
+/**
+ * Trinity Framework - Execution History
+ * Bounded, queryable record of PRP command and ACI tool executions with stats and export
+ * Kevin Gardner - Magnificent Worldwide
+ */
+
+export const EXECUTION_SOURCES = ['prp', 'aci'];
+export const EXPORT_FORMATS = ['ndjson', 'csv'];
+
+const DEFAULT_MAX_ENTRIES = 5000;
+
+const CSV_COLUMNS = ['id', 'source', 'name', 'status', 'agentId', 'startTime', 'endTime', 'duration', 'error'];
+
+// Nearest-rank percentile, as in project analytics
+function percentile(values, p) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+function summarize(entries) {
+    const durations = entries.map(entry => entry.duration).filter(Number.isFinite);
+    const failed = entries.filter(entry => entry.status === 'failed').length;
+    
+    return {
+        count: entries.length,
+        completed: entries.filter(entry => entry.status === 'completed').length,
+        failed,
+        failureRate: entries.length > 0 ? failed / entries.length : null,
+        avgDuration: durations.length > 0 ? durations.reduce((sum, value) => sum + value, 0) / durations.length : null,
+        p50Duration: percentile(durations, 50),
+        p95Duration: percentile(durations, 95),
+        maxDuration: durations.length > 0 ? Math.max(...durations) : null
+    };
+}
+
+function csvValue(value) {
+    if (value === undefined || value === null) return '';
+    const text = value instanceof Date ? value.toISOString() : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/*
+ * Shared by PRPMethodology and ACIDevIntegration. Each entry is the component's
+ * execution record plus `source` ('prp' or 'aci') and `name` (the PRP command id or
+ * ACI tool id). Entries beyond maxEntries, or older than maxAgeMs when set, are
+ * dropped oldest first as new ones are recorded.
+ */
+export class ExecutionHistory {
+    constructor({ maxEntries = DEFAULT_MAX_ENTRIES, maxAgeMs = null } = {}) {
+        this.maxEntries = maxEntries;
+        this.maxAgeMs = maxAgeMs;
+        this.entries = [];
+    }
+
+    record(source, name, execution) {
+        const entry = { ...execution, source, name, agentId: execution.agentId || null };
+        this.entries.push(entry);
+        this.prune();
+        return entry;
+    }
+
+    prune(now = Date.now()) {
+        if (this.entries.length > this.maxEntries) {
+            this.entries.splice(0, this.entries.length - this.maxEntries);
+        }
+        if (this.maxAgeMs) {
+            const cutoff = now - this.maxAgeMs;
+            const firstKept = this.entries.findIndex(entry => new Date(entry.startTime).getTime() >= cutoff);
+            this.entries.splice(0, firstKept === -1 ? this.entries.length : firstKept);
+        }
+    }
+
+    matches(entry, { source, name, status, agentId, from, to } = {}) {
+        const startTime = new Date(entry.startTime);
+        
+        if (source && entry.source !== source) return false;
+        if (name && entry.name !== name) return false;
+        if (status && entry.status !== status) return false;
+        if (agentId && entry.agentId !== agentId) return false;
+        if (from && startTime < new Date(from)) return false;
+        if (to && startTime > new Date(to)) return false;
+        return true;
+    }
+
+    // Oldest first; `limit` keeps the most recent matches
+    query({ limit, ...filters } = {}) {
+        const matches = this.entries.filter(entry => this.matches(entry, filters));
+        return limit ? matches.slice(-limit) : matches;
+    }
+
+    count(filters = {}) {
+        return this.entries.reduce((total, entry) => total + (this.matches(entry, filters) ? 1 : 0), 0);
+    }
+
+    // Totals, failure rate and duration percentiles (ms) for the matches, overall and per command/tool
+    getStats(query = {}) {
+        const entries = this.query(query);
+        const byName = new Map();
+        for (const entry of entries) {
+            const key = `${entry.source}:${entry.name}`;
+            if (!byName.has(key)) byName.set(key, []);
+            byName.get(key).push(entry);
+        }
+        
+        return {
+            ...summarize(entries),
+            from: entries[0]?.startTime ?? null,
+            to: entries.at(-1)?.startTime ?? null,
+            byName: Array.from(byName.values())
+                .map(group => ({ source: group[0].source, name: group[0].name, ...summarize(group) }))
+                .sort((a, b) => b.count - a.count)
+        };
+    }
+
+    // NDJSON carries whole records; CSV a fixed set of summary columns
+    export(format = 'ndjson', query = {}) {
+        const entries = this.query(query);
+        
+        if (format === 'csv') {
+            const rows = entries.map(entry => CSV_COLUMNS.map(column => csvValue(entry[column])).join(','));
+            return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+        }
+        return entries.map(entry => JSON.stringify(entry)).join('\n') + (entries.length > 0 ? '\n' : '');
+    }
+}
@@ -0,0 +1,173 @@
+/**
+ * Trinity Framework - Time-Series Metric Store
+ * Raw samples for a short window, rolled up into minute/hour/day aggregates
+ * Kevin Gardner - Magnificent Worldwide
+ */
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+export const METRIC_RESOLUTIONS = ['raw', 'minute', 'hour', 'day'];
+
+const DEFAULT_RETENTION = {
+    raw: HOUR,
+    minute: DAY,
+    hour: 30 * DAY,
+    day: 365 * DAY
+};
+
+const BUCKET_SIZES = { minute: MINUTE, hour: HOUR, day: DAY };
+const MAX_AUTO_POINTS = 1440;
+
+export class MetricStore {
+    constructor(options = {}) {
+        this.retention = { ...DEFAULT_RETENTION, ...options.retention };
+        this.trendWindowMs = options.trendWindowMs || 15 * MINUTE;
+        // Relative change over the trend window below which a series counts as stable
+        this.trendThreshold = options.trendThreshold ?? 0.01;
+        this.series = new Map();
+    }
+
+    static seriesKey(name, scope) {
+        return scope ? `${scope}:${name}` : name;
+    }
+
+    getSeries(name, scope) {
+        const key = MetricStore.seriesKey(name, scope);
+        if (!this.series.has(key)) {
+            this.series.set(key, {
+                name,
+                scope: scope || null,
+                raw: [],
+                minute: [],
+                hour: [],
+                day: []
+            });
+        }
+        return this.series.get(key);
+    }
+
+    hasSeries(name, scope) {
+        return this.series.has(MetricStore.seriesKey(name, scope));
+    }
+
+    listSeries() {
+        return Array.from(this.series.values()).map(series => ({
+            name: series.name,
+            scope: series.scope,
+            points: series.raw.length,
+            latest: series.raw[series.raw.length - 1] || null
+        }));
+    }
+
+    record(name, value, { scope, timestamp = new Date() } = {}) {
+        const series = this.getSeries(name, scope);
+        const time = new Date(timestamp).getTime();
+        
+        series.raw.push({ timestamp: time, value });
+        
+        for (const [resolution, size] of Object.entries(BUCKET_SIZES)) {
+            const buckets = series[resolution];
+            const bucketStart = Math.floor(time / size) * size;
+            let bucket = buckets[buckets.length - 1];
+            
+            if (!bucket || bucket.timestamp < bucketStart) {
+                bucket = { timestamp: bucketStart, min: value, max: value, sum: 0, count: 0, last: value };
+                buckets.push(bucket);
+            }
+            
+            bucket.min = Math.min(bucket.min, value);
+            bucket.max = Math.max(bucket.max, value);
+            bucket.sum += value;
+            bucket.count++;
+            bucket.last = value;
+        }
+        
+        this.prune(series, time);
+    }
+
+    prune(series, now) {
+        for (const resolution of METRIC_RESOLUTIONS) {
+            const cutoff = now - this.retention[resolution];
+            const points = series[resolution];
+            
+            let expired = 0;
+            while (expired < points.length && points[expired].timestamp < cutoff) expired++;
+            if (expired > 0) points.splice(0, expired);
+        }
+    }
+
+    // Finest resolution that still retains data back to `from` without returning too many buckets
+    resolveStep(from, to) {
+        const age = Date.now() - from;
+        const range = to - from;
+        
+        return METRIC_RESOLUTIONS.find(resolution =>
+            this.retention[resolution] >= age &&
+            (resolution === 'raw' || range / BUCKET_SIZES[resolution] <= MAX_AUTO_POINTS)
+        ) || 'day';
+    }
+
+    query(name, { scope, from, to = new Date(), step } = {}) {
+        if (!this.hasSeries(name, scope)) return null;
+        
+        const series = this.getSeries(name, scope);
+        const end = new Date(to).getTime();
+        const start = from ? new Date(from).getTime() : end - HOUR;
+        const resolution = step || this.resolveStep(start, end);
+        
+        const points = series[resolution]
+            .filter(point => point.timestamp >= start && point.timestamp <= end)
+            .map(point => resolution === 'raw'
+                ? { timestamp: new Date(point.timestamp), value: point.value }
+                : {
+                    timestamp: new Date(point.timestamp),
+                    min: point.min,
+                    max: point.max,
+                    avg: point.sum / point.count,
+                    last: point.last,
+                    count: point.count
+                });
+        
+        return {
+            name,
+            scope: series.scope,
+            step: resolution,
+            from: new Date(start),
+            to: new Date(end),
+            points
+        };
+    }
+
+    // Least-squares slope over the trend window, judged relative to the window's mean
+    trend(name, { scope, windowMs = this.trendWindowMs, now = Date.now() } = {}) {
+        if (!this.hasSeries(name, scope)) return 'stable';
+        
+        const series = this.getSeries(name, scope);
+        const source = windowMs <= this.retention.raw
+            ? series.raw.map(point => ({ timestamp: point.timestamp, value: point.value }))
+            : series.minute.map(bucket => ({ timestamp: bucket.timestamp, value: bucket.sum / bucket.count }));
+        const points = source.filter(point => point.timestamp >= now - windowMs);
+        
+        if (points.length < 2) return 'stable';
+        
+        const meanTime = points.reduce((sum, point) => sum + point.timestamp, 0) / points.length;
+        const meanValue = points.reduce((sum, point) => sum + point.value, 0) / points.length;
+        
+        let covariance = 0;
+        let variance = 0;
+        for (const point of points) {
+            covariance += (point.timestamp - meanTime) * (point.value - meanValue);
+            variance += (point.timestamp - meanTime) ** 2;
+        }
+        if (variance === 0) return 'stable';
+        
+        const changeOverWindow = (covariance / variance) * windowMs;
+        const relativeChange = changeOverWindow / (Math.abs(meanValue) || 1);
+        
+        if (relativeChange > this.trendThreshold) return 'increasing';
+        if (relativeChange < -this.trendThreshold) return 'decreasing';
+        return 'stable';
+    }
+}
@@ -0,0 +1,76 @@
+/**
+ * Trinity Framework - Progress Roll-up
+ * Derives phase, milestone and overall completion from task state
+ * Kevin Gardner - Magnificent Worldwide
+ */
+
+import { getRemainingHours } from './task-graph.js';
+
+const HOUR = 60 * 60 * 1000;
+
+// Tasks without an estimate count as one hour so they still move the needle
+export function getTaskEffort(task) {
+    return task.estimatedHours > 0 ? task.estimatedHours : 1;
+}
+
+// Effort-weighted completion percentage (0-100) for a set of tasks
+export function computeCompletion(tasks) {
+    const totalEffort = tasks.reduce((sum, task) => sum + getTaskEffort(task), 0);
+    if (totalEffort === 0) return 0;
+    
+    const completedEffort = tasks
+        .filter(task => task.status === 'completed')
+        .reduce((sum, task) => sum + getTaskEffort(task), 0);
+    
+    return Math.round((completedEffort / totalEffort) * 100);
+}
+
+function deriveStatus(tasks, fallbackStatus) {
+    if (tasks.length === 0) return fallbackStatus;
+    if (tasks.every(task => task.status === 'completed')) return 'completed';
+    if (tasks.some(task => task.status !== 'new')) return 'in-progress';
+    return 'pending';
+}
+
+// Phases with tasks take completion and status from them; empty phases keep their declared status
+export function computePhaseProgress(phases, tasks) {
+    return phases.map(phase => {
+        const phaseTasks = tasks.filter(task => task.phaseId === phase.id);
+        const status = deriveStatus(phaseTasks, phase.status);
+        
+        return {
+            id: phase.id,
+            name: phase.name,
+            status,
+            completion: phaseTasks.length > 0 ? computeCompletion(phaseTasks) : (status === 'completed' ? 100 : 0),
+            taskCount: phaseTasks.length,
+            remainingHours: phaseTasks.reduce((sum, task) => sum + getRemainingHours(task), 0)
+        };
+    });
+}
+
+// A milestone is at risk when its remaining estimated work exceeds the hours left before it is due
+export function computeMilestoneProgress(milestone, tasks, now = new Date()) {
+    const milestoneTasks = tasks.filter(task => task.milestoneId === milestone.id);
+    const completion = computeCompletion(milestoneTasks);
+    const remainingHours = milestoneTasks.reduce((sum, task) => sum + getRemainingHours(task), 0);
+    const hoursLeft = (new Date(milestone.dueDate) - now) / HOUR;
+    
+    let status = 'pending';
+    // Rounded completion reaches 100 before the last small task is done
+    if (milestoneTasks.length > 0 && milestoneTasks.every(task => task.status === 'completed')) {
+        status = 'completed';
+    } else if (hoursLeft <= 0) {
+        status = 'missed';
+    } else if (remainingHours > hoursLeft) {
+        status = 'at-risk';
+    }
+    
+    return {
+        status,
+        completion,
+        taskCount: milestoneTasks.length,
+        remainingHours,
+        hoursLeft: Math.max(0, hoursLeft)
+    };
+}
@@ -0,0 +1,206 @@
+/**
+ * Trinity Framework - Project Analytics
+ * Burndown, throughput, cycle/lead time and forecasts from task status transitions
+ * Kevin Gardner - Magnificent Worldwide
+ */
+
+import { getTaskEffort } from './progress-rollup.js';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const STEP_SIZES = { hour: HOUR, day: DAY, week: 7 * DAY };
+const MAX_POINTS = 1000;
+
+/*
+ * Transitions are 'task_status_changed' activity entries:
+ * { taskId, from, to, assignee, timestamp }. Each task gets an ordered timeline;
+ * tasks predating transition logging fall back to their own timestamps.
+ */
+export function buildTaskTimelines(tasks, transitions) {
+    const timelines = new Map(tasks.map(task => [task.id, []]));
+    
+    for (const transition of transitions) {
+        timelines.get(transition.taskId)?.push({
+            from: transition.from,
+            to: transition.to,
+            assignee: transition.assignee,
+            timestamp: new Date(transition.timestamp)
+        });
+    }
+    
+    for (const task of tasks) {
+        const timeline = timelines.get(task.id);
+        timeline.sort((a, b) => a.timestamp - b.timestamp);
+        
+        if (timeline.length === 0) {
+            timeline.push({ from: null, to: 'new', assignee: task.assignee, timestamp: new Date(task.created) });
+            if (task.status !== 'new') {
+                timeline.push({ from: 'new', to: task.status, assignee: task.assignee, timestamp: new Date(task.lastModified || task.created) });
+            }
+        }
+    }
+    
+    return timelines;
+}
+
+function statusAt(timeline, time) {
+    let status = null;
+    for (const entry of timeline) {
+        if (entry.timestamp > time) break;
+        status = entry.to;
+    }
+    return status;
+}
+
+// Final completion of a task (a task reopened after completing is not done)
+function getCompletion(timeline) {
+    const last = timeline[timeline.length - 1];
+    return last?.to === 'completed' ? last : null;
+}
+
+// Work starts when a task first goes in-progress; tasks that skipped it start on assignment
+function getStart(timeline) {
+    return timeline.find(entry => entry.to === 'in-progress') ||
+        timeline.find(entry => entry.to === 'assigned') ||
+        null;
+}
+
+function percentile(values, p) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+function summarize(values) {
+    return {
+        count: values.length,
+        avgHours: values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null,
+        p50Hours: percentile(values, 50),
+        p85Hours: percentile(values, 85)
+    };
+}
+
+// Burndown (remaining effort) and burnup (completed effort vs. total scope) per time bucket
+export function computeBurndown(tasks, timelines, { from, to = new Date(), step = 'day' } = {}) {
+    const stepSize = STEP_SIZES[step];
+    const start = from ? new Date(from) : new Date(Math.min(to, ...tasks.map(task => new Date(task.created))));
+    
+    // Bucket boundaries from `from` in whole steps, always closing on `to`
+    const timestamps = [];
+    for (let time = start.getTime(); time < to.getTime() && timestamps.length < MAX_POINTS - 1; time += stepSize) {
+        timestamps.push(new Date(time));
+    }
+    timestamps.push(new Date(to));
+    
+    const series = [];
+    for (const timestamp of timestamps) {
+        let scope = 0;
+        let completed = 0;
+        
+        for (const task of tasks) {
+            const status = statusAt(timelines.get(task.id), timestamp);
+            if (status === null) continue;
+            
+            scope += getTaskEffort(task);
+            if (status === 'completed') completed += getTaskEffort(task);
+        }
+        
+        series.push({ timestamp, scope, completed, remaining: scope - completed });
+    }
+    
+    return { step, from: start, to, series };
+}
+
+// Completed tasks and effort per agent in [from, to], with their cycle and lead times
+export function computeThroughput(tasks, timelines, { from, to = new Date() } = {}) {
+    const start = from ? new Date(from) : new Date(to - 30 * DAY);
+    const days = Math.max(1, (to - start) / DAY);
+    const agents = new Map();
+    
+    for (const task of tasks) {
+        const timeline = timelines.get(task.id);
+        const completion = getCompletion(timeline);
+        if (!completion || completion.timestamp < start || completion.timestamp > to) continue;
+        
+        const agentId = completion.assignee || task.assignee || 'unassigned';
+        const stats = agents.get(agentId) || { agent: agentId, tasks: 0, hours: 0, cycleTimes: [], leadTimes: [] };
+        const started = getStart(timeline);
+        
+        stats.tasks++;
+        stats.hours += getTaskEffort(task);
+        stats.leadTimes.push((completion.timestamp - timeline[0].timestamp) / HOUR);
+        if (started) stats.cycleTimes.push((completion.timestamp - started.timestamp) / HOUR);
+        agents.set(agentId, stats);
+    }
+    
+    return {
+        from: start,
+        to,
+        agents: Array.from(agents.values()).map(({ cycleTimes, leadTimes, ...stats }) => ({
+            ...stats,
+            tasksPerDay: stats.tasks / days,
+            hoursPerDay: stats.hours / days,
+            cycleTime: summarize(cycleTimes),
+            leadTime: summarize(leadTimes)
+        }))
+    };
+}
+
+// Cycle time: first start of work -> completion. Lead time: creation -> completion.
+export function computeCycleTimes(tasks, timelines) {
+    const entries = [];
+    
+    for (const task of tasks) {
+        const timeline = timelines.get(task.id);
+        const completion = getCompletion(timeline);
+        if (!completion) continue;
+        
+        const started = getStart(timeline);
+        entries.push({
+            taskId: task.id,
+            title: task.title,
+            assignee: completion.assignee || task.assignee,
+            completedAt: completion.timestamp,
+            leadTimeHours: (completion.timestamp - timeline[0].timestamp) / HOUR,
+            cycleTimeHours: started ? (completion.timestamp - started.timestamp) / HOUR : null
+        });
+    }
+    
+    return {
+        cycleTime: summarize(entries.filter(entry => entry.cycleTimeHours !== null).map(entry => entry.cycleTimeHours)),
+        leadTime: summarize(entries.map(entry => entry.leadTimeHours)),
+        tasks: entries
+    };
+}
+
+// Effort completed per day over the trailing window, projected over the remaining effort
+export function computeForecast(tasks, timelines, { dueDate, windowDays = 14, now = new Date() } = {}) {
+    const windowStart = new Date(now - windowDays * DAY);
+    
+    let completedInWindow = 0;
+    let remaining = 0;
+    for (const task of tasks) {
+        const completion = getCompletion(timelines.get(task.id));
+        if (!completion) {
+            remaining += getTaskEffort(task);
+        } else if (completion.timestamp >= windowStart) {
+            completedInWindow += getTaskEffort(task);
+        }
+    }
+    
+    const velocityPerDay = completedInWindow / windowDays;
+    const forecastDate = remaining === 0
+        ? now
+        : velocityPerDay > 0 ? new Date(now.getTime() + (remaining / velocityPerDay) * DAY) : null;
+    const due = dueDate ? new Date(dueDate) : null;
+    
+    return {
+        windowDays,
+        velocityPerDay,
+        remainingEffort: remaining,
+        forecastDate,
+        dueDate: due,
+        onTrack: forecastDate && due ? forecastDate <= due : null,
+        daysLate: forecastDate && due ? Math.max(0, (forecastDate - due) / DAY) : null
+    };
+}
@@ -0,0 +1,63 @@
+/**
+ * PRP Methodology - Job Registry
+ * Named job functions and commands that parallel jobs may run, configured server-side
+ * Kevin Gardner - Magnificent Worldwide
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+
+export const DEFAULT_COMMANDS_CONFIG = new URL('../../config/prp-commands.json', import.meta.url);
+
+/*
+ * Job functions run inside worker threads: fn(...args) -> result, where args and the
+ * result are structured-cloneable. Further functions come from server-configured
+ * modules whose exported functions are registered under their export names.
+ */
+export const DEFAULT_JOB_FUNCTIONS = {
+    echo: (...args) => args,
+    sum: (...values) => values.flat().reduce((total, value) => total + (Number(value) || 0), 0),
+    sleep: ms => new Promise(resolve => setTimeout(() => resolve(ms), Number(ms) || 0))
+};
+
+function moduleUrl(specifier) {
+    if (specifier instanceof URL) return specifier.href;
+    return /^file:/.test(specifier) ? specifier : pathToFileURL(path.resolve(specifier)).href;
+}
+
+// Loaded by every worker thread, and by the pool to check job names up front
+export async function loadJobFunctions(modules = []) {
+    const functions = new Map(Object.entries(DEFAULT_JOB_FUNCTIONS));
+    for (const specifier of modules) {
+        const exports = await import(moduleUrl(specifier));
+        for (const [name, fn] of Object.entries(exports)) {
+            if (typeof fn === 'function') functions.set(name, fn);
+        }
+    }
+    return functions;
+}
+
+/*
+ * Commands are { command, args?, shell?, cwd?, env?, timeoutMs? } keyed by name. They
+ * run without a shell unless the entry sets shell: true; jobs only pick one by name,
+ * and their JSON args reach it as environment variables, never as command text.
+ */
+export async function loadJobCommands(file = DEFAULT_COMMANDS_CONFIG) {
+    try {
+        return new Map(Object.entries(JSON.parse(await fs.readFile(file, 'utf8'))));
+    } catch (error) {
+        if (error.code === 'ENOENT') return new Map();
+        throw error;
+    }
+}
+
+// PRP_ARGS holds the job's args as JSON; distributed jobs also get PRP_ITEM and PRP_INDEX
+export function commandEnvironment(job) {
+    const env = { PRP_ARGS: JSON.stringify(job.args ?? {}) };
+    if (job.index !== undefined) {
+        env.PRP_ITEM = typeof job.item === 'string' ? job.item : JSON.stringify(job.item) ?? '';
+        env.PRP_INDEX = String(job.index);
+    }
+    return env;
+}
@@ -6,22 +6,36 @@
 
 import { EventEmitter } from 'events';
 import { Logger } from '../infrastructure/logger.js';
+import { ParallelProcessor } from './prp-parallel.js';
+import { RecursiveEngine } from './prp-recursive.js';
+import { PersistenceManager } from './prp-persistence.js';
+import { WorkflowEngine } from './prp-workflows.js';
+import { ExecutionHistory } from './execution-history.js';
+import { DEFAULT_PRP_VALIDATION_RULES } from './prp-validation-rules.js';
+import { TrinityError } from './trinity-errors.js';
 
 export class PRPMethodology extends EventEmitter {
-    constructor() {
+    constructor(options = {}) {
         super();
         this.logger = new Logger('PRPMethodology');
         this.status = 'initializing';
         this.version = '1.0.0';
         
         // PRP Core Components
-        this.parallel = new ParallelProcessor();
-        this.recursive = new RecursiveEngine();
-        this.persistent = new PersistenceManager();
+        this.parallel = new ParallelProcessor({
+            aciIntegration: options.aciIntegration,
+            ...options.parallel
+        });
+        this.recursive = new RecursiveEngine(options.recursive);
+        this.persistent = new PersistenceManager(options.persistence);
+        this.workflows = new WorkflowEngine(this, { persistence: this.persistent, ...options.workflows });
         
         this.commands = new Map();
         this.validationRules = new Map();
-        this.executionHistory = [];
+        this.ruleDefinitions = [...DEFAULT_PRP_VALIDATION_RULES, ...(options.validationRules || [])];
+        // Shared with ACI when the server passes one in; it evicts old entries, so totals are counted here
+        this.executionHistory = options.executionHistory || new ExecutionHistory();
+        this.totalExecutions = 0;
         
         this.initialize();
     }
@@ -97,27 +111,16 @@ export class PRPMethodology extends EventEmitter {
     }
 
     async setupValidationRules() {
-        const validationRules = {
-            'parallel.consistency': 'Ensure parallel processes maintain data consistency',
-            'parallel.deadlock': 'Prevent deadlocks in concurrent operations',
-            'parallel.resource': 'Monitor resource utilization in parallel execution',
-            
-            'recursive.termination': 'Ensure recursive processes have termination conditions',
-            'recursive.stack': 'Monitor stack depth to prevent overflow',
-            'recursive.convergence': 'Validate convergence criteria are met',
-            
-            'persistent.integrity': 'Ensure data integrity in persistent storage',
-            'persistent.consistency': 'Maintain consistency across persistent operations',
-            'persistent.durability': 'Ensure durability of persistent data'
-        };
-        
-        for (const [rule, description] of Object.entries(validationRules)) {
-            this.validationRules.set(rule, {
-                id: rule,
-                description,
+        for (const rule of this.ruleDefinitions) {
+            this.validationRules.set(rule.id, {
+                options: {},
+                ...rule,
+                locked: rule.locked === true,
                 active: true,
+                disabledFor: [], // Command ids this rule is switched off for
                 violations: 0,
-                lastCheck: null
+                lastCheck: null,
+                lastViolation: null
             });
         }
         
@@ -128,20 +131,22 @@ export class PRPMethodology extends EventEmitter {
         await this.parallel.initialize();
         await this.recursive.initialize();
         await this.persistent.initialize();
+        await this.workflows.initialize();
         
         this.logger.info('PRP components initialized');
     }
 
-    async executeCommand(commandId, params = {}) {
+    async executeCommand(commandId, params = {}, { agentId = null } = {}) {
         const command = this.commands.get(commandId);
         if (!command) {
-            throw new Error(`Unknown PRP command: ${commandId}`);
+            throw new TrinityError(`Unknown PRP command: ${commandId}`, 404);
         }
         
         const execution = {
-            id: `exec-${Date.now()}`,
+            id: `exec-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
             commandId,
             params,
+            agentId,
             startTime: new Date(),
             status: 'running'
         };
@@ -178,7 +183,7 @@ export class PRPMethodology extends EventEmitter {
             command.lastExecution = new Date();
             command.avgDuration = ((command.avgDuration * (command.executions - 1)) + execution.duration) / command.executions;
             
-            this.executionHistory.push(execution);
+            this.recordExecution(commandId, execution);
             this.emit('command:executed', execution);
             
             this.logger.info(`PRP command completed: ${commandId} (${execution.duration}ms)`);
@@ -195,7 +200,7 @@ export class PRPMethodology extends EventEmitter {
             execution.status = 'failed';
             execution.error = error.message;
             
-            this.executionHistory.push(execution);
+            this.recordExecution(commandId, execution);
             this.emit('command:failed', execution);
             
             this.logger.error(`PRP command failed: ${commandId}`, error);
@@ -203,32 +208,98 @@ export class PRPMethodology extends EventEmitter {
             return {
                 success: false,
                 execution,
-                error: error.message
+                error: error.message,
+                statusCode: error.statusCode || 500,
+                ...(error.details && { details: error.details }),
+                ...(error.details?.violations && { violations: error.details.violations })
             };
         }
     }
 
     async validateExecution(commandId, params) {
-        // Run relevant validation rules
+        // Run relevant validation rules and report every violation at once
         const command = this.commands.get(commandId);
         const relevantRules = Array.from(this.validationRules.values())
-            .filter(rule => rule.id.startsWith(command.type) && rule.active);
+            .filter(rule => rule.id.startsWith(`${command.type}.`) && this.isRuleActive(rule, commandId))
+            .filter(rule => !rule.commands || rule.commands.includes(commandId));
         
+        const violations = [];
         for (const rule of relevantRules) {
-            await this.validateRule(rule, commandId, params);
+            const reasons = this.validateRule(rule, commandId, params);
+            violations.push(...reasons.map(reason => ({ rule: rule.id, reason })));
+        }
+        
+        if (violations.length > 0) {
+            throw new TrinityError(
+                `Validation failed for ${commandId}: ${violations.map(violation => `${violation.rule}: ${violation.reason}`).join('; ')}`,
+                400,
+                { violations }
+            );
         }
     }
 
-    async validateRule(rule, commandId, params) {
-        // Simulate rule validation
-        const isValid = Math.random() > 0.1; // 90% success rate
+    validateRule(rule, commandId, params) {
+        const context = {
+            commandId,
+            action: commandId.slice(commandId.indexOf('.') + 1),
+            params,
+            component: this.getComponent(this.commands.get(commandId).type)
+        };
         
-        rule.lastCheck = new Date();
+        let reasons;
+        try {
+            reasons = rule.evaluate(context, rule.options);
+        } catch (error) {
+            // A broken rule must not block every command of its type
+            this.logger.error(`Validation rule ${rule.id} failed to evaluate:`, error);
+            reasons = [];
+        }
         
-        if (!isValid) {
+        rule.lastCheck = new Date();
+        if (reasons.length > 0) {
             rule.violations++;
-            throw new Error(`Validation rule violated: ${rule.id}`);
+            rule.lastViolation = { commandId, reasons, timestamp: new Date() };
+        }
+        return reasons;
+    }
+
+    isRuleActive(rule, commandId) {
+        return rule.active && !rule.disabledFor.includes(commandId);
+    }
+
+    // Lets recursive.decompose turn subtask trees into orchestrator tasks
+    setTaskOrchestrator(orchestrator) {
+        this.recursive.taskOrchestrator = orchestrator;
+    }
+
+    getComponent(type) {
+        return { parallel: this.parallel, recursive: this.recursive, persistent: this.persistent }[type];
+    }
+
+    // Switch a rule on or off everywhere, or for a single command when commandId is given
+    toggleRule(ruleId, active, commandId = null) {
+        const rule = this.validationRules.get(ruleId);
+        if (!rule) {
+            throw new TrinityError(`Validation rule not found: ${ruleId}`, 404);
+        }
+        if (rule.locked && !active) {
+            throw new TrinityError(`Validation rule ${ruleId} enforces safety limits and cannot be disabled`, 409);
+        }
+        
+        if (!commandId) {
+            rule.active = active;
+        } else {
+            const command = this.commands.get(commandId);
+            if (!command || !ruleId.startsWith(`${command.type}.`)) {
+                throw new TrinityError(`Rule ${ruleId} does not apply to command: ${commandId}`, 400);
+            }
+            rule.disabledFor = active
+                ? rule.disabledFor.filter(id => id !== commandId)
+                : [...new Set([...rule.disabledFor, commandId])];
         }
+        
+        this.logger.info(`Validation rule ${ruleId} ${active ? 'enabled' : 'disabled'}${commandId ? ` for ${commandId}` : ''}`);
+        return this.getValidationRules().find(entry => entry.id === ruleId);
     }
 
     async validateSystem() {
@@ -310,18 +381,34 @@ export class PRPMethodology extends EventEmitter {
         return recommendations;
     }
 
+    async shutdown() {
+        const workflowsStopped = this.workflows.shutdown();
+        await this.parallel.shutdown();
+        await workflowsStopped;
+    }
+
+    recordExecution(name, execution) {
+        this.totalExecutions++;
+        this.executionHistory.record('prp', name, execution);
+    }
+
     getStatus() {
         return {
             status: this.status,
             version: this.version,
             commands: this.commands.size,
             validationRules: this.validationRules.size,
-            executionHistory: this.executionHistory.length
+            executionHistory: this.totalExecutions
         };
     }
 
-    getExecutionHistory(limit = 100) {
-        return this.executionHistory.slice(-limit);
+    getExecutionHistory(limit = 100, { commandId, ...filters } = {}) {
+        return this.executionHistory.query({ ...filters, source: 'prp', name: commandId, limit });
+    }
+
+    getCommand(commandId) {
+        const command = this.commands.get(commandId);
+        return command ? { ...command } : null;
     }
 
     getCommandStatistics() {
@@ -329,108 +416,6 @@ export class PRPMethodology extends EventEmitter {
     }
 
     getValidationRules() {
-        return Array.from(this.validationRules.entries()).map(([id, rule]) => ({ id, ...rule }));
-    }
-}
-
-// Parallel Processor Component
-class ParallelProcessor {
-    constructor() {
-        this.activeProcesses = new Map();
-        this.loadBalancer = new LoadBalancer();
-    }
-
-    async initialize() {
-        await this.loadBalancer.initialize();
-    }
-
-    async execute(commandId, params) {
-        // Simulate parallel execution
-        await new Promise(resolve => setTimeout(resolve, Math.random() * 1000));
-        
-        return {
-            commandId,
-            type: 'parallel',
-            result: `Parallel execution completed: ${commandId}`,
-            processes: params.processes || 1
-        };
-    }
-
-    async validate() {
-        return this.activeProcesses.size < 100 ? 'healthy' : 'warning';
-    }
-}
-
-// Recursive Engine Component
-class RecursiveEngine {
-    constructor() {
-        this.recursionStack = [];
-        this.maxDepth = 1000;
-    }
-
-    async initialize() {
-        // Initialize recursive engine
-    }
-
-    async execute(commandId, params) {
-        // Simulate recursive execution
-        await new Promise(resolve => setTimeout(resolve, Math.random() * 800));
-        
-        return {
-            commandId,
-            type: 'recursive',
-            result: `Recursive execution completed: ${commandId}`,
-            depth: params.depth || 1
-        };
-    }
-
-    async validate() {
-        return this.recursionStack.length < this.maxDepth ? 'healthy' : 'critical';
+        return Array.from(this.validationRules.values()).map(({ evaluate, ...rule }) => rule);
     }
 }
-
-// Persistence Manager Component
-class PersistenceManager {
-    constructor() {
-        this.storage = new Map();
-        this.backups = new Map();
-    }
-
-    async initialize() {
-        // Initialize persistence manager
-    }
-
-    async execute(commandId, params) {
-        // Simulate persistent operation
-        await new Promise(resolve => setTimeout(resolve, Math.random() * 600));
-        
-        return {
-            commandId,
-            type: 'persistent',
-            result: `Persistent operation completed: ${commandId}`,
-            stored: params.data ? 'success' : 'no-data'
-        };
-    }
-
-    async validate() {
-        return this.storage.size < 10000 ? 'healthy' : 'warning';
-    }
-}
-
-// Load Balancer for Parallel Processing
-class LoadBalancer {
-    constructor() {
-        this.workers = [];
-        this.currentWorker = 0;
-    }
-
-    async initialize() {
-        // Initialize load balancer
-    }
-
-    getNextWorker() {
-        const worker = this.workers[this.currentWorker];
-        this.currentWorker = (this.currentWorker + 1) % this.workers.length;
-        return worker;
-    }
-}
\ No newline at end of file
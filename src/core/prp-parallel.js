@@ -0,0 +1,662 @@
+/**
+ * PRP Methodology - Parallel Execution Engine
+ * Runs batches of jobs on a bounded worker_threads pool with pluggable load balancing
+ * Kevin Gardner - Magnificent Worldwide
+ */
+
+import { EventEmitter } from 'events';
+import { Worker } from 'worker_threads';
+import os from 'os';
+import { commandEnvironment, loadJobCommands, loadJobFunctions } from './prp-jobs.js';
+import { TrinityError } from './trinity-errors.js';
+
+export const BALANCING_STRATEGIES = ['round-robin', 'least-loaded'];
+export const JOB_TYPES = ['function', 'command', 'aci'];
+export const MERGE_STRATEGIES = ['array', 'concat', 'object', 'sum', 'keyed'];
+
+const WORKER_FILE = new URL('./prp-worker.js', import.meta.url);
+const DEFAULT_POOL_SIZE = Math.max(1, Math.min(4, os.cpus().length));
+const MAX_POOL_SIZE = 32;
+const DEFAULT_JOB_TIMEOUT_MS = 5 * 60 * 1000;
+const MAX_RETRIES = 5;
+const SHUTDOWN_GRACE_MS = 2000;
+const MAX_BATCHES = 100;
+
+const FINISHED_BATCH_STATUSES = ['completed', 'partial', 'failed', 'cancelled'];
+
+// Load Balancer for Parallel Processing
+export class LoadBalancer {
+    constructor(strategy = 'least-loaded') {
+        this.workers = [];
+        this.currentWorker = 0;
+        this.setStrategy(strategy);
+    }
+
+    setStrategy(strategy) {
+        if (!BALANCING_STRATEGIES.includes(strategy)) {
+            throw new TrinityError(`Unknown balancing strategy: ${strategy}`, 400, { strategies: BALANCING_STRATEGIES });
+        }
+        this.strategy = strategy;
+    }
+
+    // Returns null when the pool has no workers
+    getNextWorker() {
+        if (this.workers.length === 0) return null;
+        
+        if (this.strategy === 'least-loaded') {
+            return this.workers.reduce((best, worker) => (
+                worker.activeJobs < best.activeJobs ||
+                (worker.activeJobs === best.activeJobs && worker.completed + worker.failed < best.completed + best.failed)
+                    ? worker
+                    : best
+            ));
+        }
+        
+        this.currentWorker = this.currentWorker % this.workers.length;
+        const worker = this.workers[this.currentWorker];
+        this.currentWorker = (this.currentWorker + 1) % this.workers.length;
+        return worker;
+    }
+}
+
+/*
+ * A job is one of
+ *   { type: 'function', name, args? }         a registered job function; args is an array
+ *   { type: 'command', name, args? }          a registered command; args is a JSON object
+ *   { type: 'aci', toolId, params? }
+ * plus an optional id and timeoutMs. Jobs only name what to run, so nothing a caller
+ * sends is evaluated as code or shell text. Returns the problems with a job definition.
+ */
+export function validateJob(job, { aciIntegration, functions = new Set(), commands = new Map() } = {}) {
+    if (!job || typeof job !== 'object') return ['job must be an object'];
+    if (!JOB_TYPES.includes(job.type)) return [`unknown job type "${job.type}" (expected ${JOB_TYPES.join(', ')})`];
+    
+    const problems = [];
+    if (job.type === 'function' && !functions.has(job.name)) {
+        problems.push(`unknown job function "${job.name}" (available: ${Array.from(functions.keys()).join(', ') || 'none'})`);
+    }
+    if (job.type === 'function' && job.args !== undefined && !Array.isArray(job.args)) {
+        problems.push('function job args must be an array');
+    }
+    if (job.type === 'command' && !commands.has(job.name)) {
+        problems.push(`unknown command "${job.name}" (available: ${Array.from(commands.keys()).join(', ') || 'none'})`);
+    }
+    if (job.type === 'command' && job.args !== undefined && (typeof job.args !== 'object' || job.args === null || Array.isArray(job.args))) {
+        problems.push('command job args must be an object');
+    }
+    if (job.type === 'aci' && !job.toolId) problems.push('aci job requires a toolId');
+    if (job.type === 'aci' && !aciIntegration) problems.push('aci jobs need an ACI.dev integration');
+    return problems;
+}
+
+/*
+ * Bounded pool of worker threads. Function and command jobs run inside a worker; ACI
+ * tool calls need the integration's client state, so they run on the main thread but
+ * still occupy a slot on the worker the balancer picked.
+ *
+ * A running function job can only be stopped by terminating its thread, so a timeout
+ * or cancellation restarts that worker and fails anything else queued on it. Command
+ * jobs are stopped in place (the worker kills the command's process group).
+ */
+export class WorkerPool extends EventEmitter {
+    constructor({ size = DEFAULT_POOL_SIZE, strategy, aciIntegration, functionModules = [], commands = new Map() } = {}) {
+        super();
+        this.size = clampPoolSize(size);
+        this.loadBalancer = new LoadBalancer(strategy);
+        this.aciIntegration = aciIntegration;
+        this.functionModules = functionModules;
+        this.commands = commands;
+        this.draining = new Set();
+        this.nextWorkerId = 1;
+        this.nextJobId = 1;
+    }
+
+    get workers() {
+        return this.loadBalancer.workers;
+    }
+
+    // Workers start with the first job, or when the pool is explicitly started/scaled
+    start() {
+        while (this.workers.length < this.size) {
+            this.workers.push(this.spawnWorker());
+        }
+    }
+
+    spawnWorker() {
+        const worker = {
+            id: `worker-${this.nextWorkerId++}`,
+            thread: new Worker(WORKER_FILE, { workerData: { functionModules: this.functionModules.map(String) } }),
+            activeJobs: 0,
+            completed: 0,
+            failed: 0,
+            pending: new Map(),
+            startedAt: new Date()
+        };
+        
+        // Idle workers must not keep the process alive
+        worker.thread.unref();
+        worker.thread.on('message', reply => this.settle(worker, reply.jobId, reply));
+        worker.thread.on('error', error => this.replaceWorker(worker, `Worker crashed: ${error.message}`));
+        worker.thread.on('exit', code => {
+            if (!worker.stopping) this.replaceWorker(worker, `Worker exited with code ${code}`);
+        });
+        
+        this.emit('worker:started', { workerId: worker.id });
+        return worker;
+    }
+
+    // Resolves to { jobId, workerId, success, result?, error?, timedOut?, cancelled? }; never rejects
+    run(job, { timeoutMs = job.timeoutMs || DEFAULT_JOB_TIMEOUT_MS, signal } = {}) {
+        this.start();
+        const worker = this.loadBalancer.getNextWorker();
+        const jobId = `job-${this.nextJobId++}`;
+        
+        return new Promise(resolve => {
+            if (signal?.aborted) {
+                resolve({ jobId, workerId: null, success: false, cancelled: true, error: 'Cancelled' });
+                return;
+            }
+            
+            const entry = { job, resolve };
+            entry.timer = setTimeout(() => {
+                this.stopJob(worker, jobId, { timedOut: true, error: `Timed out after ${timeoutMs}ms` });
+            }, timeoutMs);
+            if (signal) {
+                entry.onAbort = () => this.stopJob(worker, jobId, { cancelled: true, error: 'Cancelled' });
+                entry.signal = signal;
+                signal.addEventListener('abort', entry.onAbort, { once: true });
+            }
+            
+            worker.pending.set(jobId, entry);
+            worker.activeJobs++;
+            worker.thread.ref();
+            
+            if (job.type === 'aci') {
+                this.runACITool(worker, jobId, job);
+            } else {
+                worker.thread.postMessage({ jobId, job: this.workerJob(job) });
+            }
+        });
+    }
+
+    // Only the job's name and JSON args cross to the worker; commands are resolved here
+    workerJob(job) {
+        if (job.type === 'function') return { type: 'function', name: job.name, args: job.args };
+        return { type: 'command', spec: this.commands.get(job.name), env: commandEnvironment(job) };
+    }
+
+    async runACITool(worker, jobId, job) {
+        try {
+            const execution = await this.aciIntegration.executeTool({ toolId: job.toolId, params: job.params });
+            this.settle(worker, jobId, {
+                success: execution.success,
+                result: execution.result,
+                error: execution.error,
+                executionId: execution.execution?.id
+            });
+        } catch (error) {
+            this.settle(worker, jobId, { success: false, error: error.message });
+        }
+    }
+
+    settle(worker, jobId, reply) {
+        const entry = worker.pending.get(jobId);
+        if (!entry) return; // Already timed out or cancelled
+        
+        worker.pending.delete(jobId);
+        clearTimeout(entry.timer);
+        entry.signal?.removeEventListener('abort', entry.onAbort);
+        
+        worker.activeJobs--;
+        if (reply.success) worker.completed++;
+        else worker.failed++;
+        
+        if (worker.activeJobs === 0) {
+            if (this.draining.has(worker)) this.stopWorker(worker);
+            else worker.thread.unref();
+        }
+        
+        entry.resolve({ ...reply, jobId, workerId: worker.id });
+    }
+
+    stopJob(worker, jobId, outcome) {
+        const entry = worker.pending.get(jobId);
+        if (!entry) return;
+        
+        this.settle(worker, jobId, { success: false, ...outcome });
+        if (entry.job.type === 'command') {
+            worker.thread.postMessage({ type: 'cancel', jobId });
+        } else if (entry.job.type === 'function') {
+            this.replaceWorker(worker, `Worker restarted to stop job ${jobId}`);
+        }
+        // ACI tool calls cannot be interrupted; their late result is ignored
+    }
+
+    replaceWorker(worker, reason) {
+        if (worker.stopping) return;
+        
+        for (const jobId of Array.from(worker.pending.keys())) {
+            this.settle(worker, jobId, { success: false, error: reason });
+        }
+        this.stopWorker(worker);
+        
+        const index = this.workers.indexOf(worker);
+        if (index !== -1) {
+            this.workers.splice(index, 1);
+            if (this.workers.length < this.size) this.workers.push(this.spawnWorker());
+        }
+        this.emit('worker:replaced', { workerId: worker.id, reason });
+    }
+
+    stopWorker(worker) {
+        worker.stopping = true;
+        this.draining.delete(worker);
+        worker.thread.terminate();
+    }
+
+    // Shrinking retires idle workers at once and busy ones when their jobs finish
+    resize(size) {
+        this.size = clampPoolSize(size);
+        
+        if (this.workers.length > this.size) {
+            const excess = this.workers
+                .slice()
+                .sort((a, b) => a.activeJobs - b.activeJobs)
+                .slice(0, this.workers.length - this.size);
+            
+            for (const worker of excess) {
+                this.workers.splice(this.workers.indexOf(worker), 1);
+                if (worker.activeJobs === 0) this.stopWorker(worker);
+                else this.draining.add(worker);
+            }
+        } else if (this.workers.length > 0) {
+            this.start();
+        }
+        return this.size;
+    }
+
+    // Cancels everything in flight and stops all threads; the pool restarts on the next job
+    async terminate() {
+        const workers = [...this.workers, ...this.draining];
+        this.workers.length = 0;
+        
+        await Promise.all(workers.map(async (worker) => {
+            const jobs = Array.from(worker.pending.entries());
+            const commandJobs = jobs.filter(([, entry]) => entry.job.type === 'command');
+            
+            // Give commands a moment to kill their process groups before the thread goes away
+            for (const [jobId] of commandJobs) worker.thread.postMessage({ type: 'cancel', jobId });
+            for (const [jobId] of jobs) this.settle(worker, jobId, { success: false, cancelled: true, error: 'Pool terminated' });
+            if (commandJobs.length > 0) await new Promise(resolve => setTimeout(resolve, SHUTDOWN_GRACE_MS));
+            
+            this.stopWorker(worker);
+        }));
+    }
+
+    getStats() {
+        return {
+            size: this.size,
+            strategy: this.loadBalancer.strategy,
+            started: this.workers.length > 0,
+            activeJobs: this.workers.reduce((sum, worker) => sum + worker.activeJobs, 0),
+            workers: this.workers.map(worker => ({
+                id: worker.id,
+                activeJobs: worker.activeJobs,
+                completed: worker.completed,
+                failed: worker.failed,
+                startedAt: worker.startedAt
+            })),
+            draining: this.draining.size
+        };
+    }
+}
+
+function clampPoolSize(size) {
+    const value = Number(size);
+    if (!Number.isInteger(value) || value < 1 || value > MAX_POOL_SIZE) {
+        throw new TrinityError(`Pool size must be an integer between 1 and ${MAX_POOL_SIZE}`, 400);
+    }
+    return value;
+}
+
+/*
+ * Combines the results of a batch's successful jobs, in job order:
+ *   array   [result, ...]
+ *   concat  array results flattened one level
+ *   object  object results shallow-merged (later jobs win)
+ *   sum     numeric results added up
+ *   keyed   { jobId: result }
+ */
+export function mergeResults(jobs, strategy = 'array') {
+    if (!MERGE_STRATEGIES.includes(strategy)) {
+        throw new TrinityError(`Unknown merge strategy: ${strategy}`, 400, { strategies: MERGE_STRATEGIES });
+    }
+    
+    const succeeded = jobs.filter(job => job.status === 'succeeded');
+    const results = succeeded.map(job => job.result);
+    
+    switch (strategy) {
+        case 'concat':
+            return results.flatMap(result => (Array.isArray(result) ? result : [result]));
+        case 'object':
+            return Object.assign({}, ...results.filter(result => result && typeof result === 'object'));
+        case 'sum':
+            return results.reduce((sum, result) => sum + (Number(result) || 0), 0);
+        case 'keyed':
+            return Object.fromEntries(succeeded.map(job => [job.id, job.result]));
+        default:
+            return results;
+    }
+}
+
+/*
+ * Parallel Processor Component. Job functions come from the built-ins plus
+ * functionModules (module paths every worker imports); commands from commandsFile
+ * (config/prp-commands.json by default) plus registerCommand().
+ */
+export class ParallelProcessor extends EventEmitter {
+    constructor({ aciIntegration, poolSize, strategy, functionModules = [], commandsFile } = {}) {
+        super();
+        this.aciIntegration = aciIntegration;
+        this.functionModules = functionModules;
+        this.commandsFile = commandsFile;
+        this.functions = new Map();
+        this.commands = new Map();
+        this.pool = new WorkerPool({ size: poolSize, strategy, aciIntegration, functionModules, commands: this.commands });
+        this.batches = new Map();
+        this.nextBatch = 1;
+    }
+
+    async initialize() {
+        // Worker threads start with the first batch (or parallel.init); the registries load now
+        this.functions = await loadJobFunctions(this.functionModules);
+        for (const [name, spec] of await loadJobCommands(this.commandsFile)) {
+            this.registerCommand(name, spec);
+        }
+    }
+
+    registerCommand(name, spec) {
+        if (!spec || typeof spec.command !== 'string' || spec.command.trim() === '') {
+            throw new TrinityError(`Command ${name} requires a command`, 400);
+        }
+        if (spec.args !== undefined && !Array.isArray(spec.args)) {
+            throw new TrinityError(`Command ${name} args must be an array`, 400);
+        }
+        this.commands.set(name, spec);
+    }
+
+    async execute(commandId, params = {}) {
+        let result;
+        switch (commandId) {
+            case 'parallel.init':
+                if (params.size) this.pool.resize(params.size);
+                if (params.strategy) this.pool.loadBalancer.setStrategy(params.strategy);
+                this.pool.start();
+                result = this.pool.getStats();
+                break;
+            case 'parallel.spawn':
+                result = await this.spawn(params.jobs, params);
+                break;
+            case 'parallel.distribute':
+                result = await this.distribute(params.job, params.items, params);
+                break;
+            case 'parallel.sync':
+                result = await this.sync(params.batchId);
+                break;
+            case 'parallel.merge':
+                result = await this.merge(params.batchId, params.strategy);
+                break;
+            case 'parallel.balance':
+                this.pool.loadBalancer.setStrategy(params.strategy);
+                result = { strategy: this.pool.loadBalancer.strategy };
+                break;
+            case 'parallel.monitor':
+                result = this.getStats();
+                break;
+            case 'parallel.scale':
+                result = { size: this.pool.resize(params.size) };
+                break;
+            case 'parallel.optimize':
+                result = { size: this.optimize() };
+                break;
+            case 'parallel.terminate':
+                result = await this.terminate(params.batchId);
+                break;
+            default:
+                throw new TrinityError(`Unknown parallel command: ${commandId}`, 400);
+        }
+        
+        return { commandId, type: 'parallel', ...result };
+    }
+
+    /*
+     * Starts a batch. Options: concurrency (jobs in flight, default the pool size),
+     * timeoutMs and retries per job (at most MAX_RETRIES), failFast (cancel the rest after
+     * the first failure) and wait (default true; false returns the running batch for parallel.sync).
+     */
+    async spawn(jobs, { concurrency, timeoutMs, retries = 0, failFast = false, wait = true } = {}) {
+        if (!Array.isArray(jobs) || jobs.length === 0) {
+            throw new TrinityError('parallel.spawn requires a non-empty jobs array', 400);
+        }
+        
+        const problems = jobs.flatMap((job, index) =>
+            validateJob(job, {
+                aciIntegration: this.aciIntegration,
+                functions: this.functions,
+                commands: this.commands
+            }).map(problem => `jobs.${index}: ${problem}`)
+        );
+        if (problems.length > 0) {
+            throw new TrinityError('Invalid parallel jobs', 400, { problems });
+        }
+        
+        const batch = this.createBatch(jobs);
+        batch.completion = this.runBatch(batch, jobs, {
+            concurrency: Math.max(1, concurrency || this.pool.size),
+            timeoutMs,
+            retries: Math.min(Math.max(0, Math.trunc(retries) || 0), MAX_RETRIES),
+            failFast
+        });
+        
+        if (!wait) return this.summarizeBatch(batch);
+        await batch.completion;
+        return this.summarizeBatch(batch);
+    }
+
+    // One job per item: function jobs get the item as their first argument, ACI tools as
+    // params.item and params.index, and commands as the PRP_ITEM and PRP_INDEX variables
+    async distribute(template, items, options = {}) {
+        if (!template || !Array.isArray(items) || items.length === 0) {
+            throw new TrinityError('parallel.distribute requires a job and a non-empty items array', 400);
+        }
+        
+        const jobs = items.map((item, index) => {
+            if (template.type === 'function') return { ...template, args: [item, ...(template.args || [])] };
+            if (template.type === 'aci') return { ...template, params: { ...template.params, item, index } };
+            return { ...template, item, index };
+        });
+        return this.spawn(jobs, options);
+    }
+
+    createBatch(jobs) {
+        const batch = {
+            id: `batch-${Date.now()}-${this.nextBatch++}`,
+            status: 'running',
+            strategy: this.pool.loadBalancer.strategy,
+            controller: new AbortController(),
+            startTime: new Date(),
+            jobs: jobs.map((job, index) => ({
+                id: job.id || `job-${index}`,
+                index,
+                type: job.type,
+                status: 'queued',
+                attempts: 0,
+                workerId: null
+            }))
+        };
+        
+        // Keep a bounded window of batches, dropping the oldest finished ones
+        for (const [batchId, existing] of this.batches) {
+            if (this.batches.size < MAX_BATCHES) break;
+            if (FINISHED_BATCH_STATUSES.includes(existing.status)) this.batches.delete(batchId);
+        }
+        this.batches.set(batch.id, batch);
+        this.emit('batch:started', this.summarizeBatch(batch));
+        return batch;
+    }
+
+    async runBatch(batch, jobs, { concurrency, timeoutMs, retries, failFast }) {
+        const { signal } = batch.controller;
+        let nextIndex = 0;
+        
+        const runNext = async () => {
+            while (nextIndex < jobs.length) {
+                const index = nextIndex++;
+                const entry = batch.jobs[index];
+                if (signal.aborted) {
+                    entry.status = 'cancelled';
+                    continue;
+                }
+                
+                entry.status = 'running';
+                entry.startTime = new Date();
+                
+                let outcome;
+                for (let attempt = 0; attempt <= retries; attempt++) {
+                    entry.attempts = attempt + 1;
+                    outcome = await this.pool.run(jobs[index], { timeoutMs: timeoutMs || jobs[index].timeoutMs, signal });
+                    if (outcome.success || outcome.cancelled || signal.aborted) break;
+                }
+                
+                entry.endTime = new Date();
+                entry.duration = entry.endTime - entry.startTime;
+                entry.workerId = outcome.workerId;
+                entry.status = outcome.success ? 'succeeded' : (outcome.cancelled ? 'cancelled' : 'failed');
+                if (outcome.success) entry.result = outcome.result;
+                else entry.error = outcome.error;
+                if (outcome.timedOut) entry.timedOut = true;
+                
+                this.emit('job:completed', { batchId: batch.id, job: entry });
+                
+                if (entry.status === 'failed' && failFast && !signal.aborted) {
+                    batch.failFast = entry.id;
+                    batch.controller.abort();
+                }
+            }
+        };
+        
+        await Promise.all(Array.from({ length: Math.min(concurrency, jobs.length) }, runNext));
+        
+        const succeeded = batch.jobs.filter(job => job.status === 'succeeded').length;
+        if (succeeded === batch.jobs.length) batch.status = 'completed';
+        else if (signal.aborted && !batch.failFast) batch.status = 'cancelled';
+        else if (succeeded > 0) batch.status = 'partial';
+        else batch.status = 'failed';
+        
+        batch.endTime = new Date();
+        batch.duration = batch.endTime - batch.startTime;
+        this.emit('batch:completed', this.summarizeBatch(batch));
+    }
+
+    getBatch(batchId) {
+        const batch = this.batches.get(batchId);
+        if (!batch) {
+            throw new TrinityError(`Batch not found: ${batchId}`, 404);
+        }
+        return batch;
+    }
+
+    // Waits for one batch, or for every running batch when no id is given
+    async sync(batchId) {
+        if (batchId) {
+            const batch = this.getBatch(batchId);
+            await batch.completion;
+            return this.summarizeBatch(batch);
+        }
+        
+        const running = Array.from(this.batches.values()).filter(batch => batch.status === 'running');
+        await Promise.all(running.map(batch => batch.completion));
+        return { batches: running.map(batch => this.summarizeBatch(batch)) };
+    }
+
+    async merge(batchId, strategy = 'array') {
+        const batch = this.getBatch(batchId);
+        await batch.completion;
+        
+        const unmerged = batch.jobs.filter(job => job.status !== 'succeeded');
+        return {
+            batchId,
+            status: batch.status,
+            strategy,
+            merged: mergeResults(batch.jobs, strategy),
+            included: batch.jobs.length - unmerged.length,
+            complete: unmerged.length === 0,
+            excluded: unmerged.map(job => ({ id: job.id, status: job.status, error: job.error }))
+        };
+    }
+
+    // Cancels one batch, or every batch and the worker threads when no id is given
+    async terminate(batchId) {
+        if (batchId) {
+            const batch = this.getBatch(batchId);
+            batch.controller.abort();
+            await batch.completion;
+            return this.summarizeBatch(batch);
+        }
+        
+        // Stop the pool first: it settles every job synchronously, so aborting the batches
+        // afterwards neither restarts workers nor dispatches queued jobs
+        const running = Array.from(this.batches.values()).filter(batch => batch.status === 'running');
+        const stopped = this.pool.terminate();
+        running.forEach(batch => batch.controller.abort());
+        await stopped;
+        await Promise.all(running.map(batch => batch.completion));
+        return { cancelled: running.map(batch => batch.id), pool: this.pool.getStats() };
+    }
+
+    // Sizes the pool to the work in flight, between one worker and one per CPU
+    optimize() {
+        const queued = Array.from(this.batches.values())
+            .filter(batch => batch.status === 'running')
+            .reduce((sum, batch) => sum + batch.jobs.filter(job => ['queued', 'running'].includes(job.status)).length, 0);
+        
+        return this.pool.resize(Math.max(1, Math.min(queued, os.cpus().length, MAX_POOL_SIZE)));
+    }
+
+    summarizeBatch(batch) {
+        const count = status => batch.jobs.filter(job => job.status === status).length;
+        return {
+            batchId: batch.id,
+            status: batch.status,
+            strategy: batch.strategy,
+            total: batch.jobs.length,
+            succeeded: count('succeeded'),
+            failed: count('failed'),
+            cancelled: count('cancelled'),
+            pending: count('queued') + count('running'),
+            ...(batch.failFast && { failFastTriggeredBy: batch.failFast }),
+            startTime: batch.startTime,
+            endTime: batch.endTime,
+            duration: batch.duration,
+            jobs: batch.jobs
+        };
+    }
+
+    getStats() {
+        return {
+            pool: this.pool.getStats(),
+            batches: {
+                total: this.batches.size,
+                running: Array.from(this.batches.values()).filter(batch => batch.status === 'running').length
+            }
+        };
+    }
+
+    async shutdown() {
+        await this.terminate();
+    }
+
+    async validate() {
+        return this.pool.getStats().activeJobs < 100 ? 'healthy' : 'warning';
+    }
+}
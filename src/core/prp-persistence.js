@@ -0,0 +1,524 @@
+/**
+ * PRP Methodology - Persistence Manager
+ * Namespaced key/value storage on disk with version history, backups and archives
+ * Kevin Gardner - Magnificent Worldwide
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { createHash } from 'crypto';
+import { promisify } from 'util';
+import { gzip, gunzip } from 'zlib';
+import { TrinityError } from './trinity-errors.js';
+
+const gzipAsync = promisify(gzip);
+const gunzipAsync = promisify(gunzip);
+
+export const DEFAULT_NAMESPACE = 'default';
+
+const DEFAULT_MAX_VERSIONS = 20;
+const NAME_PATTERN = /^[\w.-]+$/;
+const MAX_KEY_LENGTH = 256;
+
+export function checksum(content) {
+    return createHash('sha256').update(content).digest('hex');
+}
+
+// Timestamps come back from disk as strings; payloads are left as written
+function reviveDates(key, value) {
+    return (key === 'storedAt' || key === 'createdAt') && typeof value === 'string' ? new Date(value) : value;
+}
+
+// Names become file and directory names; '.' and '..' would step out of their directory
+function assertName(kind, name) {
+    if (typeof name !== 'string' || !NAME_PATTERN.test(name) || /^\.+$/.test(name)) {
+        throw new TrinityError(`Invalid ${kind}: ${name}`, 400);
+    }
+}
+
+function assertKey(key) {
+    if (typeof key !== 'string' || key.length === 0 || key.length > MAX_KEY_LENGTH) {
+        throw new TrinityError(`Invalid key: keys must be strings of 1 to ${MAX_KEY_LENGTH} characters`, 400);
+    }
+}
+
+// Keys are client-supplied, so a namespace's records never inherit from Object.prototype
+// ('constructor', 'toString' and '__proto__' are ordinary keys)
+function createRecords(entries = {}) {
+    return Object.assign(Object.create(null), entries);
+}
+
+/*
+ * Layout under dataDir:
+ *   namespaces/<namespace>.json       { key: { key, versions: [...] } }
+ *   namespaces/<namespace>/<key>.json { key, versions: [...] } for perKeyFiles namespaces
+ *   backups/<backupId>.json.gz        snapshot of every (or one) namespace
+ *   backups/<backupId>.manifest.json  { backupId, namespaces, keys, checksum, ... }
+ *   archives/<archiveId>.json.gz      keys copied (or moved) out of a namespace
+ *   replicas/<target>/<namespace>.json verified copies (replicasDir can point at another volume)
+ *
+ * Each version is { version, payload, checksum, storedAt } where payload is the value's
+ * JSON text, so what is read back is byte-for-byte what was written and the sha256
+ * checksum can be verified on every read. Namespaces are cached in memory; every
+ * mutation changes a copy of the namespace, writes it through a serialized, atomic
+ * (temp + rename) write and only then replaces the cached copy, so a failed write
+ * leaves memory matching what is on disk. Namespaces whose keys change often (workflow
+ * runs) can keep one file per key, so a write only touches the keys it changed.
+ *
+ * Reserved namespaces hold an engine's own state (workflow definitions and runs). The
+ * engine calls store/remove directly; persistent.* commands cannot name them, and a
+ * whole-backup restore leaves them alone.
+ */
+export class PersistenceManager {
+    constructor({ dataDir = './data/prp', replicasDir, maxVersions = DEFAULT_MAX_VERSIONS } = {}) {
+        this.dataDir = dataDir;
+        this.namespacesDir = path.join(dataDir, 'namespaces');
+        this.backupsDir = path.join(dataDir, 'backups');
+        this.archivesDir = path.join(dataDir, 'archives');
+        this.replicasDir = replicasDir || path.join(dataDir, 'replicas');
+        this.maxVersions = maxVersions;
+        
+        this.storage = new Map(); // namespace -> { key: record }
+        this.backups = new Map(); // backupId -> manifest
+        this.namespaceOptions = new Map(); // namespace -> { maxVersions, reserved, perKeyFiles }
+        this.lastMaintenance = null;
+        this.writeQueue = Promise.resolve();
+    }
+
+    async initialize() {
+        await Promise.all([this.namespacesDir, this.backupsDir, this.archivesDir].map(dir => fs.mkdir(dir, { recursive: true })));
+        
+        for (const entry of await fs.readdir(this.namespacesDir, { withFileTypes: true })) {
+            if (entry.isDirectory()) {
+                this.storage.set(entry.name, await this.readKeyFiles(path.join(this.namespacesDir, entry.name)));
+            } else if (entry.name.endsWith('.json')) {
+                const records = JSON.parse(await fs.readFile(path.join(this.namespacesDir, entry.name), 'utf8'), reviveDates);
+                this.storage.set(path.basename(entry.name, '.json'), createRecords(records));
+            }
+        }
+        
+        for (const file of await fs.readdir(this.backupsDir)) {
+            if (!file.endsWith('.manifest.json')) continue;
+            const manifest = JSON.parse(await fs.readFile(path.join(this.backupsDir, file), 'utf8'), reviveDates);
+            this.backups.set(manifest.backupId, manifest);
+        }
+    }
+
+    async readKeyFiles(dir) {
+        const records = createRecords();
+        for (const file of await fs.readdir(dir)) {
+            if (!file.endsWith('.json')) continue;
+            const record = JSON.parse(await fs.readFile(path.join(dir, file), 'utf8'), reviveDates);
+            records[record.key] = record;
+        }
+        return records;
+    }
+
+    async execute(commandId, params = {}) {
+        if (params.namespace !== undefined && this.isReserved(params.namespace)) {
+            throw new TrinityError(`Namespace ${params.namespace} is reserved`, 403);
+        }
+        
+        let result;
+        switch (commandId) {
+            case 'persistent.store':
+                result = await this.store(params);
+                break;
+            case 'persistent.retrieve':
+                result = this.retrieve(params);
+                break;
+            case 'persistent.version':
+                result = this.getVersionHistory(params);
+                break;
+            case 'persistent.backup':
+                result = await this.backup(params);
+                break;
+            case 'persistent.restore':
+                result = await this.restore(params);
+                break;
+            case 'persistent.archive':
+                result = await this.archive(params);
+                break;
+            case 'persistent.replicate':
+                result = await this.replicate(params);
+                break;
+            case 'persistent.maintain':
+                result = await this.maintain(params);
+                break;
+            default:
+                throw new TrinityError(`Unknown persistent command: ${commandId}`, 400);
+        }
+        
+        return { commandId, type: 'persistent', ...result };
+    }
+
+    // Serialize all file writes so concurrent mutations never interleave
+    enqueue(operation) {
+        const run = this.writeQueue.then(operation);
+        this.writeQueue = run.catch(() => {});
+        return run;
+    }
+
+    async writeFileAtomic(file, contents) {
+        // Write to a temp file and rename so a crash never leaves a torn document
+        const tempFile = `${file}.tmp`;
+        await fs.writeFile(tempFile, contents);
+        await fs.rename(tempFile, file);
+    }
+
+    async commitNamespace(namespace, records) {
+        if (!this.namespaceOptions.get(namespace)?.perKeyFiles) {
+            await this.writeFileAtomic(path.join(this.namespacesDir, `${namespace}.json`), JSON.stringify(records, null, 2));
+            this.storage.set(namespace, records);
+            return;
+        }
+        
+        // Only changed keys are written; the cache follows each file that made it to disk
+        const dir = path.join(this.namespacesDir, namespace);
+        const cached = createRecords(this.storage.get(namespace));
+        this.storage.set(namespace, cached);
+        await fs.mkdir(dir, { recursive: true });
+        
+        for (const key of Object.keys(records)) {
+            if (records[key] === cached[key]) continue;
+            await this.writeFileAtomic(path.join(dir, `${key}.json`), JSON.stringify(records[key], null, 2));
+            cached[key] = records[key];
+        }
+        for (const key of Object.keys(cached)) {
+            if (Object.hasOwn(records, key)) continue;
+            await fs.rm(path.join(dir, `${key}.json`), { force: true });
+            delete cached[key];
+        }
+    }
+
+    // Read-modify-write of one namespace. `change` edits a copy and must replace, not
+    // mutate, the records it changes; the copy is cached only once it is on disk.
+    updateNamespace(namespace, change) {
+        return this.enqueue(async () => {
+            const records = createRecords(this.storage.get(namespace));
+            const result = change(records);
+            await this.commitNamespace(namespace, records);
+            return result;
+        });
+    }
+
+    getRecord(namespace, key) {
+        const records = this.storage.get(namespace);
+        return records && Object.hasOwn(records, key) ? records[key] : null;
+    }
+
+    hasKey(namespace = DEFAULT_NAMESPACE, key) {
+        return Boolean(this.getRecord(namespace, key));
+    }
+
+    countKeys() {
+        let keys = 0;
+        for (const records of this.storage.values()) keys += Object.keys(records).length;
+        return keys;
+    }
+
+    getCurrentVersion(namespace = DEFAULT_NAMESPACE, key) {
+        return this.getRecord(namespace, key)?.versions.at(-1)?.version ?? 0;
+    }
+
+    /*
+     * Per-namespace settings for a component's own namespace: fewer versions (e.g. 1 for
+     * state that is rewritten often), reserved for the component, and one file per key.
+     * Call it before the namespace is first written.
+     */
+    configureNamespace(namespace, { maxVersions, reserved = false, perKeyFiles = false } = {}) {
+        assertName('namespace', namespace);
+        if (maxVersions !== undefined && (!Number.isInteger(maxVersions) || maxVersions < 1)) {
+            throw new TrinityError(`maxVersions must be a positive integer, got ${maxVersions}`, 400);
+        }
+        this.namespaceOptions.set(namespace, { maxVersions, reserved, perKeyFiles });
+    }
+
+    isReserved(namespace) {
+        return this.namespaceOptions.get(namespace)?.reserved === true;
+    }
+
+    getMaxVersions(namespace) {
+        return Math.min(this.maxVersions, this.namespaceOptions.get(namespace)?.maxVersions ?? Infinity);
+    }
+
+    async store({ namespace = DEFAULT_NAMESPACE, key, data }) {
+        assertName('namespace', namespace);
+        assertKey(key);
+        // Keys of perKeyFiles namespaces become file names
+        if (this.namespaceOptions.get(namespace)?.perKeyFiles) assertName('key', key);
+        
+        const payload = JSON.stringify(data);
+        return this.updateNamespace(namespace, records => {
+            const versions = Object.hasOwn(records, key) ? records[key].versions : [];
+            const entry = {
+                version: (versions.at(-1)?.version ?? 0) + 1,
+                payload,
+                checksum: checksum(payload),
+                storedAt: new Date()
+            };
+            
+            records[key] = { key, versions: [...versions, entry].slice(-this.getMaxVersions(namespace)) };
+            return { namespace, key, version: entry.version, checksum: entry.checksum, storedAt: entry.storedAt };
+        });
+    }
+
+    // Latest value, or the value as of a given version; verified against its checksum
+    retrieve({ namespace = DEFAULT_NAMESPACE, key, version }) {
+        const record = this.getRecord(namespace, key);
+        if (!record) {
+            throw new TrinityError(`Key not found: ${namespace}/${key}`, 404);
+        }
+        
+        const entry = version === undefined
+            ? record.versions.at(-1)
+            : record.versions.find(candidate => candidate.version === version);
+        if (!entry) {
+            throw new TrinityError(`Version ${version} of ${namespace}/${key} not found`, 404, {
+                versions: record.versions.map(candidate => candidate.version)
+            });
+        }
+        if (checksum(entry.payload) !== entry.checksum) {
+            throw new TrinityError(`Integrity check failed for ${namespace}/${key}@${entry.version}`, 500);
+        }
+        
+        return {
+            namespace,
+            key,
+            version: entry.version,
+            data: JSON.parse(entry.payload),
+            checksum: entry.checksum,
+            storedAt: entry.storedAt
+        };
+    }
+
+    // Drops a key and its whole version history
+    async remove({ namespace = DEFAULT_NAMESPACE, key }) {
+        if (!this.hasKey(namespace, key)) {
+            throw new TrinityError(`Key not found: ${namespace}/${key}`, 404);
+        }
+        
+        await this.updateNamespace(namespace, records => {
+            delete records[key];
+        });
+        return { namespace, key, removedAt: new Date() };
+    }
+
+    getVersionHistory({ namespace = DEFAULT_NAMESPACE, key }) {
+        const record = this.getRecord(namespace, key);
+        if (!record) {
+            throw new TrinityError(`Key not found: ${namespace}/${key}`, 404);
+        }
+        
+        return {
+            namespace,
+            key,
+            current: record.versions.at(-1).version,
+            versions: record.versions.map(({ payload, ...entry }) => ({ ...entry, size: payload.length }))
+        };
+    }
+
+    // Versions whose payload no longer matches its checksum, as "namespace/key@version"
+    findCorruption(namespace, key) {
+        const namespaces = namespace ? [namespace] : Array.from(this.storage.keys());
+        const corrupted = [];
+        
+        for (const name of namespaces) {
+            const records = this.storage.get(name) || {};
+            for (const record of Object.values(records)) {
+                if (key !== undefined && record.key !== key) continue;
+                for (const entry of record.versions) {
+                    if (checksum(entry.payload) !== entry.checksum) corrupted.push(`${name}/${record.key}@${entry.version}`);
+                }
+            }
+        }
+        return corrupted;
+    }
+
+    // Point-in-time snapshot of every namespace, or of one
+    async backup({ namespace, label } = {}) {
+        if (namespace !== undefined) assertName('namespace', namespace);
+        
+        const namespaces = namespace ? [namespace] : Array.from(this.storage.keys());
+        const missing = namespaces.filter(name => !this.storage.has(name));
+        if (missing.length > 0) {
+            throw new TrinityError(`Namespace not found: ${missing.join(', ')}`, 404);
+        }
+        
+        const backupId = `backup-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+        const snapshot = Object.fromEntries(namespaces.map(name => [name, this.storage.get(name)]));
+        const compressed = await gzipAsync(JSON.stringify({ backupId, namespaces: snapshot }));
+        
+        const manifest = {
+            backupId,
+            label: label || null,
+            file: `${backupId}.json.gz`,
+            namespaces,
+            keys: namespaces.reduce((sum, name) => sum + Object.keys(snapshot[name]).length, 0),
+            size: compressed.length,
+            checksum: checksum(compressed),
+            createdAt: new Date()
+        };
+        
+        await this.enqueue(async () => {
+            await this.writeFileAtomic(path.join(this.backupsDir, manifest.file), compressed);
+            await this.writeFileAtomic(path.join(this.backupsDir, `${backupId}.manifest.json`), JSON.stringify(manifest, null, 2));
+        });
+        this.backups.set(backupId, manifest);
+        
+        return manifest;
+    }
+
+    async readSnapshot(file, expectedChecksum) {
+        const compressed = await fs.readFile(file);
+        if (checksum(compressed) !== expectedChecksum) {
+            throw new TrinityError(`Integrity check failed for ${path.basename(file)}`, 500);
+        }
+        return JSON.parse((await gunzipAsync(compressed)).toString('utf8'), reviveDates);
+    }
+
+    // Replaces the backed-up namespaces (or just `namespace`) with their state at backup time
+    async restore({ backupId, namespace }) {
+        if (namespace !== undefined) assertName('namespace', namespace);
+        
+        const manifest = this.backups.get(backupId);
+        if (!manifest) {
+            throw new TrinityError(`Backup not found: ${backupId}`, 404);
+        }
+        if (namespace && !manifest.namespaces.includes(namespace)) {
+            throw new TrinityError(`Backup ${backupId} does not contain namespace: ${namespace}`, 404);
+        }
+        
+        const snapshot = await this.readSnapshot(path.join(this.backupsDir, manifest.file), manifest.checksum);
+        // Reserved namespaces are cached by their engine; restoring them underneath it would be lost
+        const namespaces = namespace ? [namespace] : manifest.namespaces.filter(name => !this.isReserved(name));
+        
+        const corrupted = namespaces.flatMap(name => Object.values(snapshot.namespaces[name]).flatMap(record =>
+            record.versions
+                .filter(entry => checksum(entry.payload) !== entry.checksum)
+                .map(entry => `${name}/${record.key}@${entry.version}`)
+        ));
+        if (corrupted.length > 0) {
+            throw new TrinityError(`Backup ${backupId} contains corrupted values`, 500, { corrupted });
+        }
+        
+        await Promise.all(namespaces.map(name => this.enqueue(() => this.commitNamespace(name, createRecords(snapshot.namespaces[name])))));
+        
+        return {
+            backupId,
+            restoredAt: new Date(),
+            namespaces: namespaces.map(name => ({ namespace: name, keys: Object.keys(snapshot.namespaces[name]).length }))
+        };
+    }
+
+    // Writes one key (or a whole namespace) to a compressed archive; `purge` also removes it from storage
+    async archive({ namespace = DEFAULT_NAMESPACE, key, purge = false }) {
+        assertName('namespace', namespace);
+        
+        const records = this.storage.get(namespace);
+        if (!records || (key !== undefined && !this.hasKey(namespace, key))) {
+            throw new TrinityError(`Nothing to archive: ${namespace}${key !== undefined ? `/${key}` : ''}`, 404);
+        }
+        
+        const archived = key !== undefined ? { [key]: records[key] } : { ...records };
+        const archiveId = `archive-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+        const compressed = await gzipAsync(JSON.stringify({ archiveId, namespace, records: archived }));
+        const file = `${archiveId}.json.gz`;
+        
+        await this.enqueue(() => this.writeFileAtomic(path.join(this.archivesDir, file), compressed));
+        
+        if (purge) {
+            await this.updateNamespace(namespace, current => {
+                for (const archivedKey of Object.keys(archived)) delete current[archivedKey];
+            });
+        }
+        
+        return {
+            archiveId,
+            file: path.join(this.archivesDir, file),
+            namespace,
+            keys: Object.keys(archived),
+            purged: purge,
+            size: compressed.length,
+            checksum: checksum(compressed)
+        };
+    }
+
+    // Copies namespaces to a named replica under replicasDir and verifies the copy
+    async replicate({ target = DEFAULT_NAMESPACE, namespace }) {
+        assertName('replica target', target);
+        if (namespace !== undefined) assertName('namespace', namespace);
+        
+        const targetDir = path.join(this.replicasDir, target);
+        const namespaces = namespace ? [namespace] : Array.from(this.storage.keys());
+        await fs.mkdir(targetDir, { recursive: true });
+        
+        const replicated = [];
+        for (const name of namespaces) {
+            const contents = JSON.stringify(this.storage.get(name) || {}, null, 2);
+            const file = path.join(targetDir, `${name}.json`);
+            await this.enqueue(() => this.writeFileAtomic(file, contents));
+            
+            const copy = await fs.readFile(file, 'utf8');
+            if (checksum(copy) !== checksum(contents)) {
+                throw new TrinityError(`Replica of namespace ${name} failed verification`, 500);
+            }
+            replicated.push({ namespace: name, keys: Object.keys(this.storage.get(name) || {}).length, checksum: checksum(copy) });
+        }
+        
+        return { target, targetDir, namespaces: replicated, verifiedAt: new Date() };
+    }
+
+    // Verifies every stored version and backup file, and trims version history
+    async maintain({ maxVersions = this.maxVersions } = {}) {
+        // Every key keeps at least its current version
+        if (!Number.isInteger(maxVersions) || maxVersions < 1) {
+            throw new TrinityError(`maxVersions must be a positive integer, got ${maxVersions}`, 400);
+        }
+        
+        const corrupted = this.findCorruption();
+        
+        let pruned = 0;
+        for (const [namespace, records] of this.storage) {
+            const keep = Math.min(maxVersions, this.getMaxVersions(namespace));
+            if (!Object.values(records).some(record => record.versions.length > keep)) continue;
+            
+            pruned += await this.updateNamespace(namespace, current => {
+                let count = 0;
+                for (const [key, record] of Object.entries(current)) {
+                    if (record.versions.length <= keep) continue;
+                    count += record.versions.length - keep;
+                    current[key] = { ...record, versions: record.versions.slice(-keep) };
+                }
+                return count;
+            });
+        }
+        
+        const corruptedBackups = [];
+        for (const manifest of this.backups.values()) {
+            try {
+                const compressed = await fs.readFile(path.join(this.backupsDir, manifest.file));
+                if (checksum(compressed) !== manifest.checksum) corruptedBackups.push(manifest.backupId);
+            } catch {
+                corruptedBackups.push(manifest.backupId);
+            }
+        }
+        
+        this.lastMaintenance = {
+            timestamp: new Date(),
+            keys: this.countKeys(),
+            corrupted,
+            corruptedBackups,
+            pruned
+        };
+        return this.lastMaintenance;
+    }
+
+    async validate() {
+        const maintenance = this.lastMaintenance;
+        if (maintenance && (maintenance.corrupted.length > 0 || maintenance.corruptedBackups.length > 0)) {
+            return 'critical';
+        }
+        return this.countKeys() < 10000 ? 'healthy' : 'warning';
+    }
+}
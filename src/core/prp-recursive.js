@@ -0,0 +1,318 @@
+/**
+ * PRP Methodology - Recursive Engine
+ * Task decomposition into subtask trees and step-function iteration to convergence
+ * Kevin Gardner - Magnificent Worldwide
+ */
+
+import { TrinityError } from './trinity-errors.js';
+
+const DEFAULT_MAX_DEPTH = 1000;
+const DEFAULT_DECOMPOSE_DEPTH = 10;
+const DEFAULT_MAX_NODES = 1000;
+const DEFAULT_MAX_ITERATIONS = 100;
+const DEFAULT_TOLERANCE = 1e-6;
+const HISTORY_LIMIT = 100;
+
+// Task fields carried from a subtask spec onto materialized orchestrator tasks
+const TASK_FIELDS = ['description', 'priority', 'tags', 'requiredSkills', 'estimatedHours'];
+
+/*
+ * Decomposers split one task into its direct subtasks:
+ *   decompose(task, { depth, path, params }) -> Array<string | { title, ... }>
+ * An empty array makes the task a leaf. The engine recurses into every subtask,
+ * so a decomposer only ever describes a single level.
+ */
+export const DEFAULT_DECOMPOSERS = {
+    // Subtasks given inline as task.subtasks (nested to any depth)
+    explicit: task => task.subtasks || [],
+    
+    // Top-level list items of the description; indented lines become that item's description
+    outline: (task) => {
+        const lines = (task.description || '').split('\n').filter(line => line.trim() !== '');
+        const items = [];
+        let indent = null;
+        
+        for (const line of lines) {
+            const match = line.match(/^(\s*)(?:[-*+]|\d+[.)])\s+(.*)$/);
+            const lineIndent = line.length - line.trimStart().length;
+            
+            if (match && (indent === null || match[1].length <= indent)) {
+                indent = match[1].length;
+                items.push({ title: match[2].trim(), body: [] });
+            } else if (items.length > 0 && lineIndent > indent) {
+                items.at(-1).body.push(line);
+            }
+        }
+        
+        return items.map(({ title, body }) => {
+            const bodyIndent = Math.min(...body.map(line => line.length - line.trimStart().length));
+            return { title, description: body.map(line => line.slice(bodyIndent)).join('\n') };
+        });
+    },
+    
+    // One level of delivery phases under the root task
+    phases: (task, { depth }) => depth > 0 ? [] : ['Design', 'Implement', 'Test', 'Review'].map(phase => ({
+        title: `${phase}: ${task.title}`,
+        tags: task.tags,
+        requiredSkills: task.requiredSkills
+    }))
+};
+
+const distance = (a, b) => {
+    if (typeof a === 'number' && typeof b === 'number') return Math.abs(a - b);
+    if (Array.isArray(a) && Array.isArray(b) && a.length === b.length) {
+        return Math.max(0, ...a.map((value, index) => distance(value, b[index])));
+    }
+    return JSON.stringify(a) === JSON.stringify(b) ? 0 : Infinity;
+};
+
+/*
+ * Step functions produce the next value: step(value, { iteration, args }) -> value.
+ * Predicates decide when to stop: until(current, previous, { iteration, tolerance, args }) -> boolean.
+ */
+export const DEFAULT_STEPS = {
+    // Newton's method for the square root of args.n
+    sqrt: (value, { args }) => (value + args.n / value) / 2,
+    // Move a number (or each number of an array) toward args.target by args.rate
+    relax: (value, { args }) => {
+        const rate = args.rate ?? 0.5;
+        const move = (current, target) => current + (target - current) * rate;
+        return Array.isArray(value) ? value.map((current, index) => move(current, args.target[index])) : move(value, args.target);
+    }
+};
+
+export const DEFAULT_PREDICATES = {
+    unchanged: (current, previous) => distance(current, previous) === 0,
+    'within-tolerance': (current, previous, { tolerance }) => distance(current, previous) <= tolerance
+};
+
+// Default stop condition per loop command; iterate runs until maxIterations unless told otherwise
+const LOOP_DEFAULTS = {
+    'recursive.iterate': null,
+    'recursive.refine': 'unchanged',
+    'recursive.converge': 'within-tolerance'
+};
+
+export class RecursiveEngine {
+    constructor({ maxDepth = DEFAULT_MAX_DEPTH, maxNodes = DEFAULT_MAX_NODES, maxIterations = DEFAULT_MAX_ITERATIONS, decomposers, steps, predicates } = {}) {
+        this.recursionStack = [];
+        this.maxDepth = maxDepth;
+        this.maxNodes = maxNodes;
+        this.maxIterations = maxIterations;
+        
+        this.decomposers = new Map(Object.entries({ ...DEFAULT_DECOMPOSERS, ...decomposers }));
+        this.steps = new Map(Object.entries({ ...DEFAULT_STEPS, ...steps }));
+        this.predicates = new Map(Object.entries({ ...DEFAULT_PREDICATES, ...predicates }));
+        
+        // Set via PRPMethodology.setTaskOrchestrator() to materialize subtask trees as tasks
+        this.taskOrchestrator = null;
+    }
+
+    async initialize() {
+        // Nothing to load; decomposers and steps are registered in memory
+    }
+
+    registerDecomposer(name, decompose) {
+        this.decomposers.set(name, decompose);
+    }
+
+    registerStep(name, step) {
+        this.steps.set(name, step);
+    }
+
+    registerPredicate(name, predicate) {
+        this.predicates.set(name, predicate);
+    }
+
+    async execute(commandId, params = {}) {
+        let result;
+        switch (commandId) {
+            case 'recursive.decompose':
+                result = await this.decompose(params);
+                break;
+            case 'recursive.iterate':
+            case 'recursive.refine':
+            case 'recursive.converge':
+                result = await this.iterate(commandId, params);
+                break;
+            default:
+                // analyze, validate, improve, learn, adapt and evolve have no engine behaviour yet
+                throw new TrinityError(`Recursive command not implemented: ${commandId}`, 501);
+        }
+        
+        return { commandId, type: 'recursive', ...result };
+    }
+
+    // Named registry entry, or a function passed directly by in-process callers
+    resolve(registry, kind, nameOrFn) {
+        if (typeof nameOrFn === 'function') return nameOrFn;
+        
+        const fn = registry.get(nameOrFn);
+        if (!fn) {
+            throw new TrinityError(`Unknown ${kind}: ${nameOrFn}`, 400, { available: Array.from(registry.keys()) });
+        }
+        return fn;
+    }
+
+    pushFrame(frame) {
+        if (this.recursionStack.length >= this.maxDepth) {
+            throw new TrinityError(`Recursion stack exhausted (max depth ${this.maxDepth})`, 400);
+        }
+        this.recursionStack.push(frame);
+    }
+
+    popFrame(frame) {
+        const index = this.recursionStack.lastIndexOf(frame);
+        if (index !== -1) this.recursionStack.splice(index, 1);
+    }
+
+    /*
+     * Builds the subtask tree for params.task. Each node is
+     * { id, title, depth, path, children, ...spec fields }; nodes whose decomposer still
+     * had subtasks to give at maxDepth are marked truncated. With params.materialize
+     * (true or { projectId, phaseId, milestoneId, autoAssign }) every node also becomes an
+     * orchestrator task, leaves first, with each parent depending on its children; if any
+     * task cannot be created, the ones already created are deleted again.
+     */
+    async decompose({ task, decomposer, maxDepth = DEFAULT_DECOMPOSE_DEPTH, materialize = false, ...params }) {
+        if (!task || typeof task.title !== 'string' || task.title.trim() === '') {
+            throw new TrinityError('Decomposition requires a task with a title', 400);
+        }
+        
+        const decompose = this.resolve(this.decomposers, 'decomposer', decomposer || (task.subtasks ? 'explicit' : 'outline'));
+        const stats = { nodes: 0, leaves: 0, maxDepthReached: 0, truncated: 0 };
+        
+        const expand = async (spec, depth, path) => {
+            if (++stats.nodes > this.maxNodes) {
+                throw new TrinityError(`Decomposition exceeded ${this.maxNodes} subtasks`, 400);
+            }
+            
+            const normalized = typeof spec === 'string' ? { title: spec } : spec;
+            if (typeof normalized?.title !== 'string' || normalized.title.trim() === '') {
+                throw new TrinityError(`Subtask ${path} has no title`, 400);
+            }
+            
+            const { subtasks, ...fields } = normalized;
+            const node = {
+                ...fields,
+                id: `subtask-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+                depth,
+                path,
+                children: []
+            };
+            stats.maxDepthReached = Math.max(stats.maxDepthReached, depth);
+            
+            const frame = { command: 'recursive.decompose', nodeId: node.id, depth };
+            this.pushFrame(frame);
+            try {
+                const children = await decompose(normalized, { depth, path, params }) || [];
+                if (children.length > 0 && depth >= maxDepth) {
+                    node.truncated = true;
+                    stats.truncated++;
+                } else {
+                    for (const [index, child] of children.entries()) {
+                        node.children.push(await expand(child, depth + 1, `${path}.${index}`));
+                    }
+                }
+            } finally {
+                this.popFrame(frame);
+            }
+            
+            if (node.children.length === 0) stats.leaves++;
+            return node;
+        };
+        
+        const tree = await expand(task, 0, '0');
+        const tasks = materialize ? await this.materialize(tree, materialize === true ? {} : materialize) : [];
+        
+        return { tree, ...stats, tasks };
+    }
+
+    async materialize(root, { projectId, phaseId, milestoneId, autoAssign } = {}) {
+        if (!this.taskOrchestrator) {
+            throw new TrinityError('Task materialization is unavailable: no orchestrator attached to the PRP engine', 400);
+        }
+        
+        const created = [];
+        const create = async (node) => {
+            const dependsOn = [];
+            for (const child of node.children) dependsOn.push(await create(child));
+            
+            const fields = Object.fromEntries(TASK_FIELDS.filter(field => node[field] !== undefined).map(field => [field, node[field]]));
+            const task = await this.taskOrchestrator.createTask({
+                ...fields,
+                title: node.title.slice(0, 200),
+                dependsOn,
+                projectId,
+                phaseId,
+                milestoneId,
+                autoAssign
+            });
+            
+            node.taskId = task.id;
+            created.push(task.id);
+            return task.id;
+        };
+        
+        try {
+            await create(root);
+        } catch (error) {
+            // Leave no orphaned subtasks behind: remove what was created, parents first
+            for (const taskId of created.reverse()) {
+                await this.taskOrchestrator.deleteTask(taskId).catch(() => {});
+            }
+            throw error;
+        }
+        return created;
+    }
+
+    /*
+     * Applies a step function to params.value until the stop predicate holds or
+     * maxIterations (or maxDepth, when given) is reached; a requested maxIterations
+     * can lower the engine's limit but never raise it. Returns the final value,
+     * whether the predicate was met, and the last HISTORY_LIMIT values.
+     */
+    async iterate(commandId, { step, value, args = {}, until, tolerance = DEFAULT_TOLERANCE, maxIterations = this.maxIterations, maxDepth }) {
+        if (step === undefined) {
+            throw new TrinityError(`${commandId} requires a step function`, 400, { available: Array.from(this.steps.keys()) });
+        }
+        
+        const stepFn = this.resolve(this.steps, 'step', step);
+        const predicateName = until ?? LOOP_DEFAULTS[commandId];
+        const predicate = predicateName ? this.resolve(this.predicates, 'predicate', predicateName) : null;
+        const limit = Math.min(maxIterations, this.maxIterations, maxDepth ?? Infinity);
+        
+        const frame = { command: commandId, iteration: 0 };
+        this.pushFrame(frame);
+        
+        const history = [{ iteration: 0, value }];
+        let current = value;
+        let converged = false;
+        try {
+            while (frame.iteration < limit && !converged) {
+                frame.iteration++;
+                const previous = current;
+                current = await stepFn(previous, { iteration: frame.iteration, args });
+                
+                history.push({ iteration: frame.iteration, value: current, delta: distance(current, previous) });
+                if (history.length > HISTORY_LIMIT) history.shift();
+                
+                converged = Boolean(predicate && await predicate(current, previous, { iteration: frame.iteration, tolerance, args }));
+            }
+        } finally {
+            this.popFrame(frame);
+        }
+        
+        return {
+            value: current,
+            iterations: frame.iteration,
+            converged,
+            stoppedBy: converged ? 'predicate' : 'max-iterations',
+            history
+        };
+    }
+
+    async validate() {
+        return this.recursionStack.length < this.maxDepth ? 'healthy' : 'critical';
+    }
+}
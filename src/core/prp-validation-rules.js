@@ -0,0 +1,243 @@
+/**
+ * PRP Methodology - Validation Rules
+ * Deterministic pre-execution checks over command params and component state
+ * Kevin Gardner - Magnificent Worldwide
+ */
+
+/*
+ * A rule is { id, description, commands?, options, evaluate(context, options) }.
+ * The rule id's prefix (parallel/recursive/persistent) selects the command type it
+ * guards; `commands` narrows it to specific command ids. evaluate() returns the
+ * reasons the command violates the rule (an empty array when it passes). The
+ * context is { commandId, action, params, component }, where `action` is the part
+ * of the command id after the dot and `component` is the PRP component (parallel
+ * processor, recursive engine or persistence manager) that will run the command.
+ *
+ * `locked` rules are the only place hard limits are enforced (pool size, batch size,
+ * active jobs and retries; recursion depth; checksums), so they cannot be switched off.
+ */
+
+const isPositiveInteger = value => Number.isInteger(value) && value > 0;
+
+// Jobs for spawn, or the template repeated once per item for distribute
+function batchJobs({ action, params }) {
+    if (action === 'spawn') return Array.isArray(params.jobs) ? params.jobs : [];
+    if (action === 'distribute' && params.job && Array.isArray(params.items)) {
+        return params.items.map(() => params.job);
+    }
+    return [];
+}
+
+// Paths of values that do not survive a JSON round trip
+function findUnserializable(value, path = 'data', seen = new Set()) {
+    if (value === undefined) return [`${path} is undefined`];
+    if (typeof value === 'function') return [`${path} is a function`];
+    if (typeof value === 'bigint' || typeof value === 'symbol') return [`${path} is a ${typeof value}`];
+    if (typeof value === 'number' && !Number.isFinite(value)) return [`${path} is ${value}`];
+    if (value === null || typeof value !== 'object' || value instanceof Date) return [];
+    if (seen.has(value)) return [`${path} is a circular reference`];
+    
+    seen.add(value);
+    const problems = Object.entries(value).flatMap(([key, entry]) =>
+        findUnserializable(entry, Array.isArray(value) ? `${path}[${key}]` : `${path}.${key}`, seen)
+    );
+    seen.delete(value);
+    return problems;
+}
+
+export const DEFAULT_PRP_VALIDATION_RULES = [
+    {
+        id: 'parallel.consistency',
+        description: 'Ensure parallel processes maintain data consistency',
+        commands: ['parallel.spawn', 'parallel.distribute', 'parallel.merge'],
+        options: {},
+        evaluate(context) {
+            const { action, params } = context;
+            const reasons = [];
+            
+            if (action === 'spawn') {
+                const ids = batchJobs(context).map(job => job?.id).filter(Boolean);
+                const duplicates = [...new Set(ids.filter((id, index) => ids.indexOf(id) !== index))];
+                if (duplicates.length > 0) reasons.push(`Duplicate job ids would overwrite each other's results: ${duplicates.join(', ')}`);
+            }
+            if (action === 'distribute' && params.job?.id) {
+                reasons.push('A distributed job template must not set an id (every job would share it)');
+            }
+            if (action === 'merge' && !params.batchId) {
+                reasons.push('Merging requires the batchId of the batch to merge');
+            }
+            return reasons;
+        }
+    },
+    {
+        id: 'parallel.deadlock',
+        description: 'Prevent deadlocks in concurrent operations',
+        commands: ['parallel.spawn', 'parallel.distribute'],
+        options: {},
+        evaluate(context) {
+            const { params } = context;
+            const reasons = [];
+            
+            if (params.concurrency !== undefined && !isPositiveInteger(params.concurrency)) {
+                reasons.push(`concurrency must be a positive integer, got ${params.concurrency}; the batch would never start`);
+            }
+            if (params.timeoutMs !== undefined && !isPositiveInteger(params.timeoutMs)) {
+                reasons.push(`timeoutMs must be a positive integer, got ${params.timeoutMs}; a hung job would block the batch`);
+            }
+            batchJobs(context).forEach((job, index) => {
+                if (job?.timeoutMs !== undefined && !isPositiveInteger(job.timeoutMs)) {
+                    reasons.push(`jobs.${index}.timeoutMs must be a positive integer, got ${job.timeoutMs}`);
+                }
+            });
+            return [...new Set(reasons)];
+        }
+    },
+    {
+        id: 'parallel.resource',
+        description: 'Monitor resource utilization in parallel execution',
+        locked: true,
+        commands: ['parallel.spawn', 'parallel.distribute', 'parallel.init', 'parallel.scale'],
+        options: { maxJobsPerBatch: 1000, maxActiveJobs: 100, maxPoolSize: 32, maxRetries: 5 },
+        evaluate(context, { maxJobsPerBatch, maxActiveJobs, maxPoolSize, maxRetries }) {
+            const { action, params, component } = context;
+            const reasons = [];
+            
+            if (action === 'spawn' || action === 'distribute') {
+                const jobs = batchJobs(context).length;
+                if (jobs > maxJobsPerBatch) reasons.push(`Batch of ${jobs} jobs exceeds the limit of ${maxJobsPerBatch}`);
+                
+                const activeJobs = component.pool.getStats().activeJobs;
+                if (activeJobs >= maxActiveJobs) reasons.push(`Worker pool is saturated (${activeJobs} active jobs, limit ${maxActiveJobs})`);
+                
+                // Every retry holds a pool slot again
+                if (params.retries !== undefined && (!Number.isInteger(params.retries) || params.retries < 0 || params.retries > maxRetries)) {
+                    reasons.push(`retries must be an integer between 0 and ${maxRetries}, got ${params.retries}`);
+                }
+            }
+            if (params.size !== undefined && (!isPositiveInteger(params.size) || params.size > maxPoolSize)) {
+                reasons.push(`Pool size must be between 1 and ${maxPoolSize}, got ${params.size}`);
+            }
+            return reasons;
+        }
+    },
+    {
+        id: 'recursive.termination',
+        description: 'Ensure recursive processes have termination conditions',
+        options: {},
+        evaluate({ action, params }) {
+            const reasons = [];
+            
+            for (const key of ['depth', 'maxDepth', 'maxIterations']) {
+                if (params[key] !== undefined && !isPositiveInteger(params[key])) {
+                    reasons.push(`${key} must be a positive integer, got ${params[key]}; recursion would not terminate`);
+                }
+            }
+            if (action === 'converge' && params.tolerance === undefined && params.maxIterations === undefined) {
+                reasons.push('Convergence needs a tolerance or maxIterations to stop at');
+            }
+            return reasons;
+        }
+    },
+    {
+        id: 'recursive.stack',
+        description: 'Monitor stack depth to prevent overflow',
+        locked: true,
+        options: {},
+        evaluate({ params, component }) {
+            const requested = params.maxDepth ?? params.depth ?? 1;
+            const available = component.maxDepth - component.recursionStack.length;
+            
+            return Number.isFinite(requested) && requested > available
+                ? [`Requested depth ${requested} exceeds the remaining recursion budget of ${available} (max ${component.maxDepth})`]
+                : [];
+        }
+    },
+    {
+        id: 'recursive.convergence',
+        description: 'Validate convergence criteria are met',
+        commands: ['recursive.converge', 'recursive.iterate', 'recursive.refine'],
+        options: {},
+        evaluate({ params }) {
+            if (params.tolerance === undefined) return [];
+            return typeof params.tolerance === 'number' && params.tolerance > 0 && Number.isFinite(params.tolerance)
+                ? []
+                : [`tolerance must be a positive number, got ${params.tolerance}; the criterion could never be met`];
+        }
+    },
+    {
+        id: 'persistent.integrity',
+        description: 'Ensure data integrity in persistent storage',
+        locked: true,
+        commands: ['persistent.store', 'persistent.backup', 'persistent.replicate', 'persistent.archive'],
+        options: {},
+        evaluate({ action, params, component }) {
+            const reasons = [];
+            
+            if (action === 'store') {
+                if (typeof params.key !== 'string' || params.key.trim() === '') {
+                    reasons.push('Storing requires a non-empty string key');
+                }
+                if (params.data === undefined) {
+                    reasons.push('Storing requires data');
+                } else {
+                    reasons.push(...findUnserializable(params.data).map(problem => `${problem}; it cannot be stored faithfully`));
+                }
+                return reasons;
+            }
+            
+            // Copying data out must not spread values whose checksum no longer matches
+            const corrupted = component.findCorruption(params.namespace, params.key);
+            if (corrupted.length > 0) {
+                reasons.push(`Checksum mismatch for ${corrupted.join(', ')}; run persistent.maintain or restore a backup first`);
+            }
+            return reasons;
+        }
+    },
+    {
+        id: 'persistent.consistency',
+        description: 'Maintain consistency across persistent operations',
+        commands: ['persistent.store', 'persistent.retrieve', 'persistent.restore', 'persistent.version'],
+        options: {},
+        evaluate({ action, params, component }) {
+            if (action === 'restore') {
+                if (!params.backupId) return ['Restoring requires the backupId to restore from'];
+                return component.backups.has(params.backupId) ? [] : [`Backup not found: ${params.backupId}`];
+            }
+            if (typeof params.key !== 'string' || params.key.trim() === '') {
+                return [`persistent.${action} requires a non-empty string key`];
+            }
+            
+            const current = component.getCurrentVersion(params.namespace, params.key);
+            const reasons = [];
+            // Optimistic concurrency: a store can insist on the version it last read
+            if (action === 'store' && params.expectedVersion !== undefined && params.expectedVersion !== current) {
+                reasons.push(`Version conflict: expected version ${params.expectedVersion} but ${params.key} is at version ${current}`);
+            }
+            if (action === 'retrieve' && params.version !== undefined && !isPositiveInteger(params.version)) {
+                reasons.push(`version must be a positive integer, got ${params.version}`);
+            }
+            return reasons;
+        }
+    },
+    {
+        id: 'persistent.durability',
+        description: 'Ensure durability of persistent data',
+        commands: ['persistent.store', 'persistent.backup', 'persistent.maintain'],
+        options: { maxEntries: 10000 },
+        evaluate({ action, params, component }, { maxEntries }) {
+            if (action === 'maintain') {
+                return params.maxVersions === undefined || isPositiveInteger(params.maxVersions)
+                    ? []
+                    : [`maxVersions must be a positive integer, got ${params.maxVersions}; pruning would delete stored values`];
+            }
+            
+            const keys = component.countKeys();
+            if (action === 'backup') {
+                return keys > 0 ? [] : ['Nothing to back up: persistent storage is empty'];
+            }
+            return keys >= maxEntries && !component.hasKey(params.namespace, params.key)
+                ? [`Persistent storage is full (${maxEntries} keys); the write would be lost`]
+                : [];
+        }
+    }
+];
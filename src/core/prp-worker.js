@@ -0,0 +1,76 @@
+/**
+ * PRP Methodology - Parallel Worker
+ * worker_threads entry point that runs registered job functions and commands for the PRP worker pool
+ * Kevin Gardner - Magnificent Worldwide
+ */
+
+import { parentPort, workerData } from 'worker_threads';
+import { runProcess } from './deployment-executors.js';
+import { loadJobFunctions } from './prp-jobs.js';
+
+const DEFAULT_COMMAND_TIMEOUT_MS = 10 * 60 * 1000;
+
+// jobId -> AbortController, so the pool can stop a running command
+const runningJobs = new Map();
+
+// Job functions come only from the built-ins and the modules the server configured
+const jobFunctions = loadJobFunctions(workerData?.functionModules);
+
+async function runJob(job, signal) {
+    switch (job.type) {
+        case 'function': {
+            const fn = (await jobFunctions).get(job.name);
+            if (!fn) {
+                throw new Error(`Unknown job function: ${job.name}`);
+            }
+            return { success: true, result: await fn(...(job.args || [])) };
+        }
+        case 'command': {
+            // The pool resolved the job's name to its registered command
+            const { spec } = job;
+            const result = await runProcess(spec.command, spec.args || [], {
+                cwd: spec.cwd,
+                env: { ...spec.env, ...job.env },
+                timeoutMs: spec.timeoutMs || DEFAULT_COMMAND_TIMEOUT_MS,
+                shell: spec.shell === true,
+                signal
+            });
+            return {
+                success: result.success,
+                result: { exitCode: result.exitCode, stdout: result.stdout, stderr: result.stderr },
+                timedOut: result.timedOut,
+                cancelled: result.cancelled,
+                error: result.error
+            };
+        }
+        default:
+            throw new Error(`Unsupported job type in worker: ${job.type}`);
+    }
+}
+
+parentPort.on('message', async (message) => {
+    if (message.type === 'cancel') {
+        runningJobs.get(message.jobId)?.abort();
+        return;
+    }
+    
+    const { jobId, job } = message;
+    const controller = new AbortController();
+    runningJobs.set(jobId, controller);
+    
+    let reply;
+    try {
+        reply = await runJob(job, controller.signal);
+    } catch (error) {
+        reply = { success: false, error: error.message };
+    } finally {
+        runningJobs.delete(jobId);
+    }
+    
+    try {
+        parentPort.postMessage({ jobId, ...reply });
+    } catch (error) {
+        // The result could not be structured-cloned (functions, sockets, ...)
+        parentPort.postMessage({ jobId, success: false, error: `Job result could not be returned: ${error.message}` });
+    }
+});
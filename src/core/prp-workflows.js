@@ -0,0 +1,395 @@
+/**
+ * PRP Methodology - Workflows
+ * Named chains of PRP commands with output passing, success/failure branching and resumable runs
+ * Kevin Gardner - Magnificent Worldwide
+ */
+
+import { EventEmitter } from 'events';
+import Joi from 'joi';
+import { Logger } from '../infrastructure/logger.js';
+import { TrinityError } from './trinity-errors.js';
+
+export const RUN_STATUSES = ['running', 'completed', 'failed', 'cancelled', 'interrupted'];
+
+// Persistence namespaces for definitions and runs
+const WORKFLOW_NAMESPACE = 'prp-workflows';
+const RUN_NAMESPACE = 'prp-workflow-runs';
+
+const DEFAULT_MAX_STEPS_PER_RUN = 1000;
+const DEFAULT_MAX_RUNS = 500;
+const RESUMABLE_STATUSES = ['failed', 'cancelled', 'interrupted'];
+
+// Branch targets besides step ids: finish the run successfully, or fail it
+const END = 'end';
+const FAIL = 'fail';
+
+const NAME_PATTERN = /^[\w.-]+$/;
+
+const stepSchema = Joi.object({
+    id: Joi.string().trim().pattern(NAME_PATTERN).invalid(END, FAIL).required(),
+    command: Joi.string().trim().required(),
+    params: Joi.object().unknown(true).default({}),
+    // Step to run next; success defaults to the following step (or end), failure to failing the run
+    onSuccess: Joi.string().trim(),
+    onFailure: Joi.string().trim()
+});
+
+export const workflowDefinitionSchema = Joi.object({
+    name: Joi.string().trim().pattern(NAME_PATTERN).required(),
+    description: Joi.string().allow(''),
+    steps: Joi.array().items(stepSchema).min(1).unique('id').required()
+});
+
+/*
+ * Validates a raw definition and returns it with every branch target filled in.
+ * Throws a 400 TrinityError listing every problem, including unknown PRP commands
+ * and branches to steps that do not exist.
+ */
+export function normalizeWorkflow(definition, commandIds) {
+    const { error, value } = workflowDefinitionSchema.validate(definition, { abortEarly: false });
+    const problems = error
+        ? error.details.map(detail => `${detail.path.join('.') || 'workflow'}: ${detail.message}`)
+        : [];
+    
+    if (Array.isArray(value?.steps)) {
+        const stepIds = new Set(value.steps.map(step => step?.id));
+        
+        value.steps.forEach((step, index) => {
+            if (!step?.id) return;
+            if (step.command && !commandIds.includes(step.command)) {
+                problems.push(`steps.${index} (${step.id}): unknown PRP command ${step.command}`);
+            }
+            
+            step.onSuccess = step.onSuccess || value.steps[index + 1]?.id || END;
+            step.onFailure = step.onFailure || FAIL;
+            for (const key of ['onSuccess', 'onFailure']) {
+                if (![END, FAIL].includes(step[key]) && !stepIds.has(step[key])) {
+                    problems.push(`steps.${index} (${step.id}).${key}: no step named "${step[key]}"`);
+                }
+            }
+        });
+    }
+    
+    if (problems.length > 0) {
+        throw new TrinityError(`Invalid workflow definition: ${definition?.name || 'workflow'}`, 400, { problems });
+    }
+    return value;
+}
+
+function lookup(context, expression) {
+    return expression.split('.').reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), context);
+}
+
+/*
+ * Fills {{path}} placeholders from the run context ({ input, steps, previous }), e.g.
+ * "{{steps.decompose.result.tree.children}}" or "{{input.task}}". A string that is a
+ * single placeholder takes the referenced value as-is (objects, arrays, numbers); a
+ * placeholder inside a longer string is interpolated as text.
+ */
+export function resolveTemplate(value, context) {
+    if (typeof value === 'string') {
+        const whole = value.match(/^\{\{\s*([\w.-]+)\s*\}\}$/);
+        if (whole) return lookup(context, whole[1]);
+        
+        return value.replace(/\{\{\s*([\w.-]+)\s*\}\}/g, (match, expression) => {
+            const resolved = lookup(context, expression);
+            if (resolved === undefined || resolved === null) return '';
+            return typeof resolved === 'object' ? JSON.stringify(resolved) : String(resolved);
+        });
+    }
+    if (Array.isArray(value)) return value.map(entry => resolveTemplate(entry, context));
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, resolveTemplate(entry, context)]));
+    }
+    return value;
+}
+
+/*
+ * Runs workflows against a PRPMethodology. Definitions and runs are kept in the PRP
+ * persistence layer, and a run is saved before and after every step, so after a crash
+ * the runs that were in flight come back as 'interrupted' and can be resumed from the
+ * step that was executing (which therefore runs again).
+ *
+ * Runs are rewritten at every step, so only their latest state is kept (no version
+ * history) in one file per run, and finished runs beyond maxRuns, or older than
+ * runRetentionMs when set, are removed oldest first. Both namespaces are reserved:
+ * persistent.* commands cannot overwrite or restore them underneath the engine.
+ */
+export class WorkflowEngine extends EventEmitter {
+    constructor(prp, { persistence, maxStepsPerRun = DEFAULT_MAX_STEPS_PER_RUN, maxRuns = DEFAULT_MAX_RUNS, runRetentionMs = null, autoResume = false } = {}) {
+        super();
+        this.logger = new Logger('PRPWorkflows');
+        this.prp = prp;
+        this.persistence = persistence;
+        this.maxStepsPerRun = maxStepsPerRun;
+        this.maxRuns = maxRuns;
+        this.runRetentionMs = runRetentionMs;
+        this.autoResume = autoResume;
+        
+        this.workflows = new Map();
+        this.runs = new Map();
+        // runId -> promise of the run finishing, for runs executing in this process
+        this.active = new Map();
+    }
+
+    async initialize() {
+        this.persistence.configureNamespace(WORKFLOW_NAMESPACE, { reserved: true });
+        this.persistence.configureNamespace(RUN_NAMESPACE, { maxVersions: 1, reserved: true, perKeyFiles: true });
+        
+        for (const { key, data, version, storedAt } of this.loadNamespace(WORKFLOW_NAMESPACE)) {
+            this.workflows.set(key, { ...data, version, updatedAt: storedAt });
+        }
+        
+        const interrupted = [];
+        for (const { key, data: run } of this.loadNamespace(RUN_NAMESPACE)) {
+            this.runs.set(key, run);
+            if (run.status === 'running') {
+                run.status = 'interrupted';
+                run.interruptedAt = new Date();
+                await this.saveRun(run);
+                interrupted.push(run);
+            }
+        }
+        
+        if (interrupted.length > 0) {
+            this.logger.warn(`${interrupted.length} workflow run(s) were interrupted by a restart`);
+            if (this.autoResume) {
+                interrupted.forEach(run => this.resume(run.id).catch(error => {
+                    this.logger.error(`Failed to resume workflow run ${run.id}:`, error);
+                }));
+            }
+        }
+        
+        await this.pruneRuns();
+    }
+
+    loadNamespace(namespace) {
+        const records = this.persistence.storage.get(namespace) || {};
+        return Object.keys(records).map(key => this.persistence.retrieve({ namespace, key }));
+    }
+
+    // Creates or replaces a workflow; the persistence layer keeps earlier versions
+    async defineWorkflow(definition) {
+        const workflow = normalizeWorkflow(definition, Array.from(this.prp.commands.keys()));
+        const { version } = await this.persistence.store({ namespace: WORKFLOW_NAMESPACE, key: workflow.name, data: workflow });
+        
+        workflow.version = version;
+        workflow.updatedAt = new Date();
+        this.workflows.set(workflow.name, workflow);
+        return workflow;
+    }
+
+    listWorkflows() {
+        return Array.from(this.workflows.values());
+    }
+
+    getWorkflow(name) {
+        return this.workflows.get(name) || null;
+    }
+
+    async saveRun(run) {
+        await this.persistence.store({ namespace: RUN_NAMESPACE, key: run.id, data: run });
+    }
+
+    // Removes finished runs past the retention limits; running runs are always kept
+    async pruneRuns(now = Date.now()) {
+        const finishedAt = run => new Date(run.endedAt || run.interruptedAt || run.startedAt).getTime();
+        const finished = Array.from(this.runs.values())
+            .filter(run => run.status !== 'running' && !this.active.has(run.id))
+            .sort((a, b) => finishedAt(a) - finishedAt(b));
+        
+        const excess = this.runs.size - this.maxRuns;
+        const expired = finished.filter((run, index) => (
+            index < excess || (this.runRetentionMs && now - finishedAt(run) > this.runRetentionMs)
+        ));
+        
+        // Off the map before any write, so overlapping prunes never remove a run twice
+        expired.forEach(run => this.runs.delete(run.id));
+        for (const run of expired) {
+            await this.persistence.remove({ namespace: RUN_NAMESPACE, key: run.id });
+        }
+        return expired.length;
+    }
+
+    // Starts a run; resolves once it finishes when `wait` is set, otherwise right away
+    async start(name, input = {}, { wait = false, agentId = null } = {}) {
+        const workflow = this.getWorkflow(name);
+        if (!workflow) {
+            throw new TrinityError(`Workflow not found: ${name}`, 404);
+        }
+        
+        const run = {
+            id: `run-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+            workflowId: workflow.name,
+            workflowVersion: workflow.version,
+            // Runs keep the definition they started with, so edits never change a run mid-way
+            workflow,
+            status: 'running',
+            agentId,
+            input,
+            currentStep: workflow.steps[0].id,
+            steps: {},
+            trail: [],
+            startedAt: new Date()
+        };
+        this.runs.set(run.id, run);
+        await this.saveRun(run);
+        this.emit('workflow:started', this.summarizeRun(run));
+        
+        const finished = this.launch(run);
+        return wait ? finished : run;
+    }
+
+    launch(run) {
+        const finished = this.executeRun(run)
+            .catch(async (error) => {
+                this.logger.error(`Workflow run ${run.id} failed:`, error);
+                this.finish(run, 'failed', error.message);
+                await this.saveRun(run).catch(() => {});
+                return run;
+            })
+            .finally(() => {
+                this.active.delete(run.id);
+                return this.pruneRuns().catch(error => this.logger.error('Failed to prune workflow runs:', error));
+            });
+        
+        this.active.set(run.id, finished);
+        return finished;
+    }
+
+    async executeRun(run) {
+        const { steps } = run.workflow;
+        
+        while (run.status === 'running') {
+            if (run.cancelRequested) {
+                this.finish(run, 'cancelled');
+                break;
+            }
+            if (run.trail.length >= this.maxStepsPerRun) {
+                this.finish(run, 'failed', `Run exceeded ${this.maxStepsPerRun} steps; check the workflow for a branching loop`);
+                break;
+            }
+            
+            const step = steps.find(candidate => candidate.id === run.currentStep);
+            const entry = { stepId: step.id, command: step.command, status: 'running', startedAt: new Date() };
+            run.trail.push(entry);
+            await this.saveRun(run);
+            
+            const result = await this.prp.executeCommand(step.command, resolveTemplate(step.params, {
+                input: run.input,
+                steps: run.steps,
+                previous: run.previous
+            }), { agentId: run.agentId });
+            
+            // Shutting down: the outcome may be an artifact of the shutdown, so the step reruns on resume
+            if (run.interruptRequested) {
+                entry.status = 'interrupted';
+                this.finish(run, 'interrupted');
+                await this.saveRun(run);
+                break;
+            }
+            
+            entry.status = result.success ? 'succeeded' : 'failed';
+            entry.executionId = result.execution.id;
+            entry.endedAt = new Date();
+            if (!result.success) entry.error = result.error;
+            
+            run.steps[step.id] = { status: entry.status, result: result.result, error: entry.error };
+            run.previous = run.steps[step.id];
+            this.emit('workflow:step', { runId: run.id, workflowId: run.workflowId, ...entry });
+            
+            const next = result.success ? step.onSuccess : step.onFailure;
+            if (next === END) {
+                this.finish(run, 'completed');
+            } else if (next === FAIL) {
+                // currentStep stays on the failed step so a resume retries it
+                this.finish(run, 'failed', `Step ${step.id} (${step.command}) failed: ${result.error}`);
+            } else {
+                run.currentStep = next;
+            }
+            await this.saveRun(run);
+        }
+        
+        return run;
+    }
+
+    finish(run, status, error) {
+        run.status = status;
+        run.endedAt = new Date();
+        run.duration = run.endedAt - new Date(run.startedAt);
+        if (status === 'completed') run.currentStep = null;
+        if (error) run.error = error;
+        delete run.cancelRequested;
+        delete run.interruptRequested;
+        
+        this.emit(`workflow:${status}`, this.summarizeRun(run));
+    }
+
+    // Continues a failed, cancelled or interrupted run from its current step, or from `fromStep`
+    async resume(runId, { fromStep, wait = false } = {}) {
+        const run = this.runs.get(runId);
+        if (!run) {
+            throw new TrinityError(`Workflow run not found: ${runId}`, 404);
+        }
+        if (!RESUMABLE_STATUSES.includes(run.status) || this.active.has(runId)) {
+            throw new TrinityError(`Workflow run ${runId} is ${run.status} and cannot be resumed`, 409);
+        }
+        if (fromStep && !run.workflow.steps.some(step => step.id === fromStep)) {
+            throw new TrinityError(`Workflow ${run.workflowId} has no step: ${fromStep}`, 400);
+        }
+        
+        run.currentStep = fromStep || run.currentStep;
+        run.status = 'running';
+        run.resumedAt = new Date();
+        delete run.error;
+        delete run.endedAt;
+        await this.saveRun(run);
+        this.emit('workflow:resumed', this.summarizeRun(run));
+        
+        const finished = this.launch(run);
+        return wait ? finished : run;
+    }
+
+    // The step in progress finishes first; the run stops before the next one
+    cancel(runId) {
+        const run = this.runs.get(runId);
+        if (!run) {
+            throw new TrinityError(`Workflow run not found: ${runId}`, 404);
+        }
+        if (run.status !== 'running') {
+            throw new TrinityError(`Workflow run ${runId} is ${run.status}`, 409);
+        }
+        
+        run.cancelRequested = true;
+        return run;
+    }
+
+    getRun(runId) {
+        return this.runs.get(runId) || null;
+    }
+
+    // Newest first
+    listRuns({ workflowId, status, limit = 100 } = {}) {
+        return Array.from(this.runs.values())
+            .filter(run => (!workflowId || run.workflowId === workflowId) && (!status || run.status === status))
+            .sort((a, b) => new Date(b.startedAt) - new Date(a.startedAt))
+            .slice(0, limit)
+            .map(run => this.summarizeRun(run));
+    }
+
+    summarizeRun({ workflow, steps, previous, ...run }) {
+        return { ...run, trail: run.trail.map(entry => ({ ...entry })) };
+    }
+
+    /*
+     * Marks in-flight runs to stop as 'interrupted' once their current step returns.
+     * PRPMethodology.shutdown() stops the parallel pool after calling this, so long
+     * batches end promptly; the returned promise settles when every run is saved.
+     */
+    shutdown() {
+        for (const runId of this.active.keys()) {
+            this.runs.get(runId).interruptRequested = true;
+        }
+        return Promise.allSettled(this.active.values());
+    }
+}
@@ -0,0 +1,134 @@
+/**
+ * Trinity Framework - Task Dependency Graph
+ * Cycle detection and critical-path analysis over orchestrator tasks
+ * Kevin Gardner - Magnificent Worldwide
+ */
+
+// Remaining work for a task: completed tasks no longer contribute to the schedule
+export function getRemainingHours(task) {
+    return task.status === 'completed' ? 0 : (task.estimatedHours || 0);
+}
+
+// Returns the dependency cycle (as a list of task ids) that would be created by
+// giving `taskId` the dependencies `dependsOn`, or null if the graph stays acyclic
+export function findDependencyCycle(tasks, taskId, dependsOn = []) {
+    const edges = new Map();
+    for (const task of tasks) {
+        edges.set(task.id, task.dependsOn || []);
+    }
+    edges.set(taskId, dependsOn);
+    
+    const visiting = new Set();
+    const visited = new Set();
+    const path = [];
+    
+    const visit = (id) => {
+        if (visiting.has(id)) {
+            return [...path.slice(path.indexOf(id)), id];
+        }
+        if (visited.has(id)) {
+            return null;
+        }
+        
+        visiting.add(id);
+        path.push(id);
+        
+        for (const dependencyId of edges.get(id) || []) {
+            const cycle = visit(dependencyId);
+            if (cycle) return cycle;
+        }
+        
+        path.pop();
+        visiting.delete(id);
+        visited.add(id);
+        return null;
+    };
+    
+    return visit(taskId);
+}
+
+// Topological order (dependencies first); assumes the graph is acyclic
+function topologicalOrder(tasks, taskIndex) {
+    const order = [];
+    const visited = new Set();
+    
+    const visit = (task) => {
+        if (visited.has(task.id)) return;
+        visited.add(task.id);
+        
+        for (const dependencyId of task.dependsOn || []) {
+            const dependency = taskIndex.get(dependencyId);
+            if (dependency) visit(dependency);
+        }
+        
+        order.push(task);
+    };
+    
+    tasks.forEach(visit);
+    return order;
+}
+
+// Longest path through the dependency graph weighted by remaining estimated hours.
+// Also returns per-task earliest/latest start and slack: a task with zero slack
+// is on the critical path, so any slip there moves the completion date.
+export function computeCriticalPath(tasks) {
+    const taskIndex = new Map(tasks.map(task => [task.id, task]));
+    const order = topologicalOrder(tasks, taskIndex);
+    
+    const schedule = new Map();
+    for (const task of order) {
+        const earliestStart = (task.dependsOn || [])
+            .filter(id => schedule.has(id))
+            .reduce((max, id) => Math.max(max, schedule.get(id).earliestFinish), 0);
+        
+        schedule.set(task.id, {
+            id: task.id,
+            title: task.title,
+            status: task.status,
+            duration: getRemainingHours(task),
+            earliestStart,
+            earliestFinish: earliestStart + getRemainingHours(task)
+        });
+    }
+    
+    const totalDuration = Array.from(schedule.values())
+        .reduce((max, entry) => Math.max(max, entry.earliestFinish), 0);
+    
+    // Backward pass: latest finish is bounded by the earliest latest-start of any dependent
+    const dependents = new Map(tasks.map(task => [task.id, []]));
+    for (const task of tasks) {
+        for (const dependencyId of task.dependsOn || []) {
+            if (dependents.has(dependencyId)) dependents.get(dependencyId).push(task.id);
+        }
+    }
+    
+    for (const task of [...order].reverse()) {
+        const entry = schedule.get(task.id);
+        const latestFinish = dependents.get(task.id)
+            .reduce((min, id) => Math.min(min, schedule.get(id).latestStart), totalDuration);
+        
+        entry.latestStart = latestFinish - entry.duration;
+        entry.slack = entry.latestStart - entry.earliestStart;
+    }
+    
+    // Walk the zero-slack chain from the latest-finishing task back to its root;
+    // finished tasks can sit on the chain but are left out of the reported path
+    const path = [];
+    let current = totalDuration > 0
+        ? Array.from(schedule.values()).find(entry => entry.earliestFinish === totalDuration)
+        : null;
+    
+    while (current) {
+        if (current.duration > 0) path.unshift(current.id);
+        const { earliestStart } = current;
+        current = (taskIndex.get(current.id).dependsOn || [])
+            .map(id => schedule.get(id))
+            .find(entry => entry && earliestStart > 0 && entry.earliestFinish === earliestStart);
+    }
+    
+    return {
+        path,
+        totalDuration,
+        tasks: Array.from(schedule.values())
+    };
+}
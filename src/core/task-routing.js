@@ -0,0 +1,127 @@
+/**
+ * Trinity Framework - Capability-Based Task Routing
+ * Ranks agents for a task by skill match, current load and health
+ * Kevin Gardner - Magnificent Worldwide
+ */
+
+export const DEFAULT_ROUTING = {
+    autoAssign: true,
+    // Agents with this many open tasks take no more work
+    maxOpenTasks: 10,
+    weights: { skills: 0.6, load: 0.25, health: 0.15 }
+};
+
+// BMAD health states; 'down' agents are never routed to
+const HEALTH_SCORES = { healthy: 1, unknown: 0.7, degraded: 0.4, down: 0 };
+const UNAVAILABLE_STATUSES = ['offline', 'retired'];
+
+const normalize = value => String(value).trim().toLowerCase();
+
+// A task's required skills are its requiredSkills, or its tags when it declares none
+export function getRequiredSkills(task) {
+    const skills = task.requiredSkills?.length ? task.requiredSkills : (task.tags || []);
+    return [...new Set(skills.map(normalize))];
+}
+
+// Everything an agent declares counts as a skill: capabilities, technologies and responsibilities
+export function getAgentSkills(agent) {
+    return new Set([
+        ...(agent.capabilities || []),
+        ...(agent.technologies || []),
+        ...(agent.responsibilities || [])
+    ].map(normalize));
+}
+
+function describe(candidate, required) {
+    const parts = [
+        `matched ${candidate.matchedSkills.length}/${required.length} required skills` +
+            (candidate.matchedSkills.length > 0 ? ` (${candidate.matchedSkills.join(', ')})` : ''),
+        `${candidate.openTasks} open task${candidate.openTasks === 1 ? '' : 's'}`,
+        `health ${candidate.health}`
+    ];
+    return `${candidate.agentId} ${parts.join('; ')}`;
+}
+
+/*
+ * Scores every agent for the task. Each candidate is
+ * { agentId, score, eligible, matchedSkills, missingSkills, openTasks, health, reasons }
+ * where `reasons` lists why an ineligible agent was passed over. Eligible candidates
+ * come first, best score first; ties go to the less loaded agent, then by id.
+ *
+ * loadOf(agentId) returns the agent's open task count and healthOf(agentId) its
+ * BMAD health state.
+ */
+export function rankAgents(task, agents, { loadOf, healthOf, maxOpenTasks, weights } = {}) {
+    const required = getRequiredSkills(task);
+    const { skills: skillWeight, load: loadWeight, health: healthWeight } = { ...DEFAULT_ROUTING.weights, ...weights };
+    const capacity = maxOpenTasks ?? DEFAULT_ROUTING.maxOpenTasks;
+    
+    const candidates = agents.map(agent => {
+        const agentSkills = getAgentSkills(agent);
+        const matchedSkills = required.filter(skill => agentSkills.has(skill));
+        const missingSkills = required.filter(skill => !agentSkills.has(skill));
+        const openTasks = loadOf ? loadOf(agent.id) : 0;
+        const health = (healthOf && healthOf(agent.id)) || 'unknown';
+        
+        const reasons = [];
+        if (UNAVAILABLE_STATUSES.includes(agent.status)) reasons.push(`agent is ${agent.status}`);
+        if (health === 'down') reasons.push('agent is down');
+        if (matchedSkills.length === 0) reasons.push('no matching skills');
+        if (openTasks >= capacity) reasons.push(`at capacity (${openTasks}/${capacity} open tasks)`);
+        
+        const skillScore = required.length > 0 ? matchedSkills.length / required.length : 0;
+        const loadScore = Math.max(0, 1 - openTasks / capacity);
+        const healthScore = HEALTH_SCORES[health] ?? HEALTH_SCORES.unknown;
+        const score = skillWeight * skillScore + loadWeight * loadScore + healthWeight * healthScore;
+        
+        return {
+            agentId: agent.id,
+            score: Math.round(score * 1000) / 1000,
+            eligible: reasons.length === 0,
+            matchedSkills,
+            missingSkills,
+            openTasks,
+            health,
+            reasons
+        };
+    });
+    
+    return candidates.sort((a, b) =>
+        (b.eligible - a.eligible) ||
+        (b.score - a.score) ||
+        (a.openTasks - b.openTasks) ||
+        a.agentId.localeCompare(b.agentId)
+    );
+}
+
+/*
+ * Picks the best eligible agent. Returns
+ * { agentId, score, requiredSkills, explanation, candidates }; agentId is null
+ * (and the explanation says why) when no agent qualifies.
+ */
+export function routeTask(task, agents, options = {}) {
+    const requiredSkills = getRequiredSkills(task);
+    const candidates = rankAgents(task, agents, options);
+    const chosen = candidates.find(candidate => candidate.eligible);
+    
+    let explanation;
+    if (requiredSkills.length === 0) {
+        explanation = 'Task declares no required skills or tags to match against agent capabilities';
+    } else if (!chosen) {
+        explanation = candidates.length > 0
+            ? `No eligible agent: ${candidates.map(candidate => `${candidate.agentId} (${candidate.reasons.join(', ')})`).join('; ')}`
+            : 'No agents available on the project team';
+    } else {
+        const runnerUp = candidates.find(candidate => candidate.eligible && candidate !== chosen);
+        explanation = `Chose ${describe(chosen, requiredSkills)}; score ${chosen.score}` +
+            (runnerUp ? ` vs. ${runnerUp.agentId} at ${runnerUp.score}` : '');
+    }
+    
+    return {
+        agentId: chosen?.agentId ?? null,
+        score: chosen?.score ?? null,
+        requiredSkills,
+        explanation,
+        candidates
+    };
+}
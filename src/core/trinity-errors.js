@@ -0,0 +1,14 @@
+/**
+ * Trinity Framework - Error Types
+ * Errors carrying an HTTP status so API routes can surface them directly
+ * Kevin Gardner - Magnificent Worldwide
+ */
+
+export class TrinityError extends Error {
+    constructor(message, statusCode = 500, details = null) {
+        super(message);
+        this.name = 'TrinityError';
+        this.statusCode = statusCode;
+        this.details = details;
+    }
+}
@@ -1,15 +1,37 @@
 /**
  * Trinity Framework - Project Management Command Center
- * Replaces Asana with Real-time PowerLine Project Monitoring
+ * Replaces Asana with Real-time Multi-Project Monitoring
  * ACI.dev MCP Server Integration
  * Kevin Gardner - Magnificent Worldwide
  */
 
 import { EventEmitter } from 'events';
+import { promises as fs } from 'fs';
 import { Logger } from '../infrastructure/logger.js';
+import { TrinityError } from './trinity-errors.js';
+import { findDependencyCycle, computeCriticalPath } from './task-graph.js';
+import { computeCompletion, computePhaseProgress, computeMilestoneProgress } from './progress-rollup.js';
+import { BlockerRuleRegistry, DEFAULT_BLOCKER_RULES } from './blocker-rules.js';
+import {
+    buildTaskTimelines,
+    computeBurndown,
+    computeThroughput,
+    computeCycleTimes,
+    computeForecast
+} from './project-analytics.js';
+import { MetricStore } from './metric-store.js';
+import { MemoryStore } from '../infrastructure/storage/index.js';
+import { AgentRegistry } from './agent-registry.js';
+import { DEFAULT_ROUTING, routeTask } from './task-routing.js';
+
+const DEFAULT_PROJECTS_CONFIG = new URL('../../config/projects.json', import.meta.url);
+
+// Metrics tracked once for the whole system vs. once per project
+const SYSTEM_METRICS = ['agent_performance', 'code_commits', 'test_coverage', 'system_health'];
+const PROJECT_METRICS = ['overall_progress', 'task_completion_rate', 'blockers_count', 'velocity', 'time_to_launch'];
 
 export class TrinityOrchestrator extends EventEmitter {
-    constructor(bmadEngine, prpMethodology, aciIntegration) {
+    constructor(bmadEngine, prpMethodology, aciIntegration, options = {}) {
         super();
         this.logger = new Logger('TrinityOrchestrator');
         this.status = 'initializing';
@@ -19,35 +41,58 @@ export class TrinityOrchestrator extends EventEmitter {
         this.prpMethodology = prpMethodology;
         this.aciIntegration = aciIntegration;
         
+        // Persistence backend (write-through on every mutation)
+        this.store = options.store || new MemoryStore();
+        
+        // Agent roster shared with the BMAD engine
+        this.agentRegistry = options.agentRegistry || new AgentRegistry({ store: this.store });
+        
+        // Capability-based auto-assignment of new tasks
+        this.routing = { ...DEFAULT_ROUTING, ...options.routing };
+        
+        // Seed projects, used only when the store holds none yet
+        this.projectsConfig = options.projectsConfig || DEFAULT_PROJECTS_CONFIG;
+        this.defaultProjectId = options.defaultProjectId || null;
+        
         // Project Management Components (Asana Replacement)
+        this.projects = new Map();
         this.projectTasks = new Map();
         this.projectMilestones = new Map();
-        this.agentAssignments = new Map();
         this.progressTracking = new Map();
-        this.communicationLog = [];
-        this.realTimeMetrics = new Map();
-        
-        // PowerLine Project Tracking
-        this.powerLineProgress = {
-            overallCompletion: 87, // From dashboard
-            launchDate: '2025-07-30',
-            daysRemaining: 7,
-            criticalPath: [],
-            blockers: [],
-            activeAgents: 5
-        };
+        this.communicationLog = []; // Recent window only; full history lives in the store
+        this.realTimeMetrics = new Map(); // System-wide metrics
+        this.projectMetrics = new Map(); // projectId -> Map of project-scoped metrics
+        this.metricStore = new MetricStore(options.metrics);
+        
+        // Per-project launch tracking (completion, critical path, blockers)
+        this.projectProgress = new Map();
+        this.criticalPathAnalysis = new Map();
+        
+        // Blocker detection: pluggable rules and the blockers they have raised
+        this.blockerRules = new BlockerRuleRegistry([...DEFAULT_BLOCKER_RULES, ...(options.blockerRules || [])]);
+        this.blockers = new Map();
         
         this.initialize();
     }
 
     async initialize() {
+        // Started by the constructor and awaited again on server start-up; only run it once
+        if (!this.initialization) {
+            this.initialization = this.runInitialization();
+        }
+        return this.initialization;
+    }
+
+    async runInitialization() {
         try {
             this.logger.info('Initializing Trinity Project Management System...');
             
-            await this.setupProjectStructure();
+            await this.store.connect();
+            await this.loadPersistedState();
             await this.initializeAgentCoordination();
+            await this.setupProjectStructure();
             await this.setupRealTimeMonitoring();
-            await this.loadPowerLineProjectStatus();
+            await this.loadProjectStatus();
             
             this.status = 'operational';
             this.logger.info('Trinity Framework operational - Asana replacement active');
@@ -61,150 +106,80 @@ export class TrinityOrchestrator extends EventEmitter {
     }
 
     async setupProjectStructure() {
-        // PowerLine Project Structure (Replacing Asana boards)
-        const powerLineProject = {
-            id: 'powerline-launch-2025',
-            name: 'PowerLine System Launch',
-            description: 'Complete PowerLine development and July 30 launch',
-            status: 'active',
-            priority: 'critical',
-            owner: 'Kevin Gardner',
-            team: ['ALEXA', 'MARCUS', 'ALEX', 'QUINN', 'ACI'],
-            created: new Date('2025-07-20'),
-            dueDate: new Date('2025-07-30'),
-            phases: [
-                {
-                    id: 'phase-1',
-                    name: 'Trinity Framework Setup',
-                    status: 'completed',
-                    completion: 100,
-                    tasks: ['Backend Infrastructure', 'Agent Coordination', 'MCP Integration']
-                },
-                {
-                    id: 'phase-2', 
-                    name: 'PowerLine Core Development',
-                    status: 'in-progress',
-                    completion: 85,
-                    tasks: ['Talk Fusion Integration', 'Enrollment System', 'Dashboard Creation']
-                },
-                {
-                    id: 'phase-3',
-                    name: 'Testing & Deployment',
-                    status: 'pending',
-                    completion: 20,
-                    tasks: ['System Testing', 'Performance Optimization', 'Launch Preparation']
-                }
-            ]
-        };
+        // Seed projects from configuration on first start (Replacing Asana boards)
+        if (this.projects.size === 0) {
+            const seedProjects = JSON.parse(await fs.readFile(this.projectsConfig, 'utf8'));
+            for (const projectData of seedProjects) {
+                await this.createProject(projectData);
+            }
+        }
+        
+        if (!this.defaultProjectId || !this.projects.has(this.defaultProjectId)) {
+            this.defaultProjectId = this.projects.keys().next().value || null;
+        }
         
-        this.projectTasks.set('powerline-launch-2025', powerLineProject);
-        this.logger.info('PowerLine project structure initialized');
+        this.logger.info(`Project structure initialized: ${this.projects.size} projects`);
     }
 
     async initializeAgentCoordination() {
-        // Agent assignments for PowerLine project
-        const agentAssignments = {
-            'ALEXA': {
-                agent: 'ALEXA',
-                port: 5001,
-                role: 'Frontend Development',
-                currentTasks: [
-                    'PowerLine Dashboard Components',
-                    'ShadCN UI Integration', 
-                    'Responsive Design Implementation'
-                ],
-                progress: 85,
-                estimatedCompletion: '2025-07-25',
-                status: 'active',
-                lastUpdate: new Date()
-            },
-            'MARCUS': {
-                agent: 'MARCUS',
-                port: 5002,
-                role: 'Backend Development',
-                currentTasks: [
-                    'Talk Fusion API Integration',
-                    'Payment Processing',
-                    'Database Optimization'
-                ],
-                progress: 80,
-                estimatedCompletion: '2025-07-26',
-                status: 'active',
-                lastUpdate: new Date()
-            },
-            'ALEX': {
-                agent: 'ALEX',
-                port: 5003,
-                role: 'Real-time Systems',
-                currentTasks: [
-                    'PowerLine Live Updates',
-                    'WebSocket Implementation',
-                    'Notification System'
-                ],
-                progress: 90,
-                estimatedCompletion: '2025-07-24',
-                status: 'active',
-                lastUpdate: new Date()
-            },
-            'QUINN': {
-                agent: 'QUINN',
-                port: 5004,
-                role: 'Quality Assurance',
-                currentTasks: [
-                    'System Testing',
-                    'Performance Validation',
-                    'Security Auditing'
-                ],
-                progress: 95,
-                estimatedCompletion: '2025-07-27',
-                status: 'monitoring',
-                lastUpdate: new Date()
-            },
-            'ACI': {
-                agent: 'ACI',
-                port: 5005,
-                role: 'Project Orchestration',
-                currentTasks: [
-                    'Agent Coordination',
-                    'Progress Monitoring',
-                    'Resource Management'
-                ],
-                progress: 100,
-                estimatedCompletion: '2025-07-23',
-                status: 'coordinating',
-                lastUpdate: new Date()
-            }
-        };
+        // Agent roster shared by all projects; progress is derived from assigned tasks
+        await this.agentRegistry.initialize();
+        this.logger.info(`Agent coordination initialized: ${this.agentRegistry.list().length} agents`);
+    }
+
+    async loadPersistedState() {
+        const [projects, tasks, milestones, blockers, recentActivity] = await Promise.all([
+            this.store.loadCollection('projects'),
+            this.store.loadCollection('tasks'),
+            this.store.loadCollection('milestones'),
+            this.store.loadCollection('blockers'),
+            this.store.queryActivity({ limit: 1000 })
+        ]);
+        
+        await this.migrateAgentIds(projects, tasks);
+        
+        for (const project of projects) this.registerProject(project);
+        for (const task of tasks) this.projectTasks.set(task.id, task);
+        for (const milestone of milestones) this.projectMilestones.set(milestone.id, milestone);
+        for (const blocker of blockers) this.blockers.set(blocker.id, blocker);
+        this.communicationLog = recentActivity;
+        
+        for (const projectId of this.projects.keys()) {
+            this.refreshCriticalPath(projectId);
+            this.refreshBlockerSummary(projectId);
+        }
+        this.logger.info(`Loaded ${projects.length} projects, ${tasks.length} tasks, ${milestones.length} milestones from ${this.store.type} store`);
+    }
+
+    // Rewrites legacy agent ids (LEGACY_AGENT_IDS) in stored teams and assignments to the current ones
+    async migrateAgentIds(projects, tasks) {
+        const resolve = agentId => this.agentRegistry.resolveId(agentId);
         
-        for (const [agentId, assignment] of Object.entries(agentAssignments)) {
-            this.agentAssignments.set(agentId, assignment);
+        for (const project of projects) {
+            const team = (project.team || []).map(resolve);
+            if (team.some((agentId, index) => agentId !== project.team[index])) {
+                project.team = Array.from(new Set(team));
+                await this.store.saveRecord('projects', project);
+            }
         }
         
-        this.logger.info('Agent coordination initialized for PowerLine project');
+        for (const task of tasks) {
+            const assignee = task.assignee && resolve(task.assignee);
+            const assignedAgent = task.assignment?.agentId && resolve(task.assignment.agentId);
+            if (assignee !== task.assignee || assignedAgent !== task.assignment?.agentId) {
+                task.assignee = assignee;
+                if (task.assignment) task.assignment.agentId = assignedAgent;
+                await this.store.saveRecord('tasks', task);
+            }
+        }
     }
 
     async setupRealTimeMonitoring() {
         // Real-time metrics tracking (Asana replacement functionality)
-        const metricsToTrack = [
-            'overall_progress',
-            'agent_performance',
-            'task_completion_rate',
-            'blockers_count',
-            'velocity',
-            'time_to_launch',
-            'code_commits',
-            'test_coverage',
-            'system_health'
-        ];
-        
-        for (const metric of metricsToTrack) {
-            this.realTimeMetrics.set(metric, {
-                name: metric,
-                currentValue: 0,
-                history: [],
-                lastUpdated: new Date(),
-                trend: 'stable'
-            });
+        for (const metric of SYSTEM_METRICS) {
+            if (!this.realTimeMetrics.has(metric)) {
+                this.realTimeMetrics.set(metric, this.createMetric(metric));
+            }
         }
         
         // Start real-time monitoring
@@ -212,8 +187,17 @@ export class TrinityOrchestrator extends EventEmitter {
         this.logger.info('Real-time monitoring system active');
     }
 
-    async loadPowerLineProjectStatus() {
-        // Load current PowerLine project status from various sources
+    createMetric(name) {
+        return {
+            name,
+            currentValue: 0,
+            lastUpdated: new Date(),
+            trend: 'stable'
+        };
+    }
+
+    async loadProjectStatus() {
+        // Load current project status from various sources
         try {
             // Update from BMAD engine
             const bmadStatus = this.bmadEngine.getStatus();
@@ -223,17 +207,14 @@ export class TrinityOrchestrator extends EventEmitter {
             const prpStatus = this.prpMethodology.getStatus();
             this.updateMetric('system_health', prpStatus.status === 'ready' ? 100 : 50);
             
-            // Calculate overall progress
-            const agentProgress = Array.from(this.agentAssignments.values())
-                .reduce((sum, agent) => sum + agent.progress, 0) / this.agentAssignments.size;
-            
-            this.updateMetric('overall_progress', agentProgress);
-            this.powerLineProgress.overallCompletion = Math.round(agentProgress);
-            
-            this.logger.info(`PowerLine project status loaded: ${agentProgress}% complete`);
+            // Calculate per-project progress from task state
+            for (const projectId of this.projects.keys()) {
+                this.updateProjectProgress(projectId);
+                this.logger.info(`Project ${projectId} status loaded: ${this.projectProgress.get(projectId).overallCompletion}% complete`);
+            }
             
         } catch (error) {
-            this.logger.error('Failed to load PowerLine project status:', error);
+            this.logger.error('Failed to load project status:', error);
         }
     }
 
@@ -255,206 +236,912 @@ export class TrinityOrchestrator extends EventEmitter {
     }
 
     updateRealTimeMetrics() {
-        // Simulate real-time metric updates
-        const now = new Date();
+        for (const projectId of this.projects.keys()) {
+            this.updateProjectProgress(projectId);
+            
+            // Detect and update blockers
+            this.detectBlockers(projectId);
+        }
+    }
+
+    updateProjectProgress(projectId) {
+        const project = this.projects.get(projectId);
+        const progress = this.projectProgress.get(projectId);
+        const tasks = this.getProjectTasks(projectId);
         
-        // Update overall progress
-        const agentProgress = Array.from(this.agentAssignments.values())
-            .reduce((sum, agent) => sum + agent.progress, 0) / this.agentAssignments.size;
-        this.updateMetric('overall_progress', agentProgress);
+        // Roll phase and overall completion up from task state (effort-weighted)
+        progress.phases = computePhaseProgress(project.phases, tasks);
+        progress.overallCompletion = computeCompletion(tasks);
+        this.updateMetric('overall_progress', progress.overallCompletion, projectId);
         
-        // Update task completion rate
-        const completedTasks = Array.from(this.agentAssignments.values())
-            .reduce((sum, agent) => sum + (agent.progress >= 100 ? agent.currentTasks.length : 0), 0);
-        const totalTasks = Array.from(this.agentAssignments.values())
-            .reduce((sum, agent) => sum + agent.currentTasks.length, 0);
-        this.updateMetric('task_completion_rate', (completedTasks / totalTasks) * 100);
+        // Task completion rate counts tasks regardless of size
+        const completedTasks = tasks.filter(task => task.status === 'completed').length;
+        this.updateMetric('task_completion_rate', tasks.length > 0 ? (completedTasks / tasks.length) * 100 : 0, projectId);
         
         // Update time to launch
-        const launchDate = new Date('2025-07-30');
-        const daysRemaining = Math.ceil((launchDate - now) / (1000 * 60 * 60 * 24));
-        this.updateMetric('time_to_launch', daysRemaining);
-        this.powerLineProgress.daysRemaining = daysRemaining;
+        const daysRemaining = Math.ceil((new Date(project.dueDate) - new Date()) / (1000 * 60 * 60 * 24));
+        this.updateMetric('time_to_launch', daysRemaining, projectId);
+        progress.launchDate = project.dueDate;
+        progress.daysRemaining = daysRemaining;
+        progress.activeAgents = project.team.length;
+        
+        this.evaluateMilestones(projectId);
+    }
+
+    evaluateMilestones(projectId) {
+        const tasks = this.getProjectTasks(projectId);
         
-        // Detect and update blockers
-        this.detectBlockers();
+        for (const milestone of this.getProjectMilestones(projectId)) {
+            const previousStatus = milestone.status;
+            Object.assign(milestone, computeMilestoneProgress(milestone, tasks));
+            
+            if (milestone.status !== previousStatus) {
+                this.store.saveRecord('milestones', milestone).catch((error) => {
+                    this.logger.error(`Failed to persist milestone ${milestone.id}:`, error);
+                });
+                
+                this.logActivity({
+                    type: 'milestone_status_changed',
+                    projectId,
+                    milestoneId: milestone.id,
+                    from: previousStatus,
+                    to: milestone.status
+                });
+                
+                this.emit('milestone:updated', milestone);
+                if (milestone.status === 'at-risk') {
+                    this.logger.warn(`Milestone at risk: ${milestone.name} (${milestone.remainingHours}h of work, ${Math.round(milestone.hoursLeft)}h left)`);
+                    this.emit('milestone:at-risk', milestone);
+                }
+            }
+        }
     }
 
-    updateMetric(metricName, value) {
-        const metric = this.realTimeMetrics.get(metricName);
+    updateMetric(metricName, value, projectId = null) {
+        const metrics = projectId ? this.projectMetrics.get(projectId) : this.realTimeMetrics;
+        const metric = metrics?.get(metricName);
         if (metric) {
-            const previousValue = metric.currentValue;
             metric.currentValue = value;
-            metric.history.push({ value, timestamp: new Date() });
             metric.lastUpdated = new Date();
             
-            // Calculate trend
-            if (value > previousValue) {
-                metric.trend = 'increasing';
-            } else if (value < previousValue) {
-                metric.trend = 'decreasing';
-            } else {
-                metric.trend = 'stable';
-            }
-            
-            // Keep only last 100 history points
-            if (metric.history.length > 100) {
-                metric.history = metric.history.slice(-100);
-            }
+            // History and roll-ups live in the metric store; trend spans its configured window
+            this.metricStore.record(metricName, value, { scope: projectId, timestamp: metric.lastUpdated });
+            metric.trend = this.metricStore.trend(metricName, { scope: projectId });
             
-            this.emit('metric:updated', { metricName, metric });
+            this.emit('metric:updated', { metricName, metric, projectId });
         }
     }
 
-    detectBlockers() {
-        const blockers = [];
+    queryMetric(metricName, query = {}) {
+        const { projectId, ...range } = query;
+        return this.metricStore.query(metricName, { scope: projectId, ...range });
+    }
+
+    listMetricSeries() {
+        return this.metricStore.listSeries();
+    }
+
+    detectBlockers(projectId) {
+        const now = new Date();
+        const context = {
+            projectId,
+            project: this.projects.get(projectId),
+            tasks: this.getProjectTasks(projectId),
+            agents: this.getTeamProgress(projectId),
+            metrics: this.getProjectMetrics(projectId),
+            deployments: this.bmadEngine.getAllDeployments(),
+            toolExecutions: this.aciIntegration.getToolExecutionHistory(500),
+            now
+        };
         
-        // Check for agent blockers
-        for (const [agentId, assignment] of this.agentAssignments.entries()) {
-            if (assignment.progress < 50 && assignment.status === 'active') {
-                blockers.push({
-                    type: 'agent_performance',
-                    agent: agentId,
-                    description: `${agentId} progress below 50%`,
-                    severity: 'medium',
-                    detected: new Date()
-                });
+        const findings = this.blockerRules.evaluate(context, (rule, error) => {
+            this.logger.error(`Blocker rule ${rule.id} failed:`, error);
+        });
+        
+        const detectedIds = new Set();
+        const newBlockers = [];
+        
+        for (const { subject, ...finding } of findings) {
+            // Stable id so a persisting condition maps onto the blocker already raised for it
+            const id = `${projectId}:${finding.ruleId}:${subject}`;
+            detectedIds.add(id);
+            
+            const existing = this.blockers.get(id);
+            if (existing) {
+                Object.assign(existing, { description: finding.description, severity: finding.severity, lastDetected: now });
+                continue;
             }
             
-            // Check for overdue tasks
-            const dueDate = new Date(assignment.estimatedCompletion);
-            if (dueDate < new Date() && assignment.progress < 100) {
-                blockers.push({
-                    type: 'overdue_task',
-                    agent: agentId,
-                    description: `${agentId} tasks overdue`,
-                    severity: 'high',
-                    detected: new Date()
+            const blocker = {
+                id,
+                projectId,
+                type: finding.ruleId,
+                ...finding,
+                status: 'open',
+                detected: now,
+                lastDetected: now
+            };
+            
+            this.blockers.set(id, blocker);
+            this.persistBlocker(blocker);
+            newBlockers.push(blocker);
+        }
+        
+        // Blockers whose condition no longer holds are cleared, whatever their status
+        for (const blocker of this.getProjectBlockers(projectId)) {
+            if (!detectedIds.has(blocker.id)) {
+                this.blockers.delete(blocker.id);
+                this.store.deleteRecord('blockers', blocker.id).catch((error) => {
+                    this.logger.error(`Failed to remove blocker ${blocker.id}:`, error);
                 });
+                
+                this.logActivity({
+                    type: 'blocker_cleared',
+                    projectId,
+                    blockerId: blocker.id
+                });
+                this.emit('blocker:cleared', blocker);
             }
         }
         
-        this.powerLineProgress.blockers = blockers;
-        this.updateMetric('blockers_count', blockers.length);
+        this.refreshBlockerSummary(projectId);
         
-        if (blockers.length > 0) {
-            this.emit('blockers:detected', blockers);
+        // Only newly raised blockers are announced; acknowledged/resolved ones stay quiet
+        if (newBlockers.length > 0) {
+            for (const blocker of newBlockers) {
+                this.logActivity({
+                    type: 'blocker_detected',
+                    projectId,
+                    blockerId: blocker.id,
+                    severity: blocker.severity,
+                    description: blocker.description
+                });
+            }
+            this.emit('blockers:detected', { projectId, blockers: newBlockers });
+        }
+    }
+
+    refreshBlockerSummary(projectId) {
+        const activeBlockers = this.getProjectBlockers(projectId, ['open', 'acknowledged']);
+        this.projectProgress.get(projectId).blockers = activeBlockers;
+        this.updateMetric('blockers_count', activeBlockers.length, projectId);
+    }
+
+    persistBlocker(blocker) {
+        this.store.saveRecord('blockers', blocker).catch((error) => {
+            this.logger.error(`Failed to persist blocker ${blocker.id}:`, error);
+        });
+    }
+
+    getProjectBlockers(projectId, statuses = null) {
+        return Array.from(this.blockers.values())
+            .filter(blocker => blocker.projectId === projectId)
+            .filter(blocker => !statuses || statuses.includes(blocker.status));
+    }
+
+    getBlocker(blockerId) {
+        return this.blockers.get(blockerId) || null;
+    }
+
+    async acknowledgeBlocker(blockerId, { by, note } = {}) {
+        return this.changeBlockerStatus(blockerId, 'acknowledged', { acknowledgedBy: by, acknowledgedAt: new Date(), note });
+    }
+
+    async resolveBlocker(blockerId, { by, note } = {}) {
+        return this.changeBlockerStatus(blockerId, 'resolved', { resolvedBy: by, resolvedAt: new Date(), note });
+    }
+
+    async changeBlockerStatus(blockerId, status, changes) {
+        const blocker = this.getBlocker(blockerId);
+        if (blocker) {
+            Object.assign(blocker, changes, { status });
+            await this.store.saveRecord('blockers', blocker);
+            
+            this.logActivity({
+                type: `blocker_${status}`,
+                projectId: blocker.projectId,
+                blockerId,
+                by: changes[`${status}By`]
+            });
+            
+            this.refreshBlockerSummary(blocker.projectId);
+            this.emit('blocker:updated', blocker);
+            return blocker;
         }
+        return null;
+    }
+
+    listBlockerRules() {
+        return this.blockerRules.list();
     }
 
-    calculateProjectVelocity() {
-        // Calculate development velocity
-        const last24Hours = new Date(Date.now() - 24 * 60 * 60 * 1000);
+    configureBlockerRule(ruleId, settings) {
+        const rule = this.blockerRules.configure(ruleId, settings);
+        if (!rule) return null;
         
-        // Count progress made in last 24 hours (simulated)
-        const velocityMetric = this.realTimeMetrics.get('overall_progress');
-        if (velocityMetric && velocityMetric.history.length > 1) {
-            const recentHistory = velocityMetric.history.filter(h => h.timestamp > last24Hours);
-            if (recentHistory.length > 0) {
-                const velocityValue = recentHistory[recentHistory.length - 1].value - 
-                                   recentHistory[0].value;
-                this.updateMetric('velocity', Math.max(0, velocityValue));
+        this.logActivity({
+            type: 'blocker_rule_configured',
+            ruleId,
+            settings
+        });
+        
+        const { evaluate, ...summary } = rule;
+        return summary;
+    }
+
+    async calculateProjectVelocity() {
+        // Velocity: estimated hours of work completed in the last 24 hours
+        for (const projectId of this.projects.keys()) {
+            try {
+                const forecast = await this.getForecast(projectId, { windowDays: 1 });
+                this.updateMetric('velocity', forecast.velocityPerDay, projectId);
+            } catch (error) {
+                this.logger.error(`Failed to calculate velocity for ${projectId}:`, error);
             }
         }
     }
 
+    // Status transitions recorded in the activity log, as task timelines
+    async loadTaskTimelines(projectId) {
+        const transitions = await this.store.queryActivity({ projectId, type: 'task_status_changed' });
+        const tasks = this.getProjectTasks(projectId);
+        return { tasks, timelines: buildTaskTimelines(tasks, transitions) };
+    }
+
+    async getBurndown(projectId, options = {}) {
+        if (!this.projects.has(projectId)) return null;
+        const { tasks, timelines } = await this.loadTaskTimelines(projectId);
+        return { projectId, ...computeBurndown(tasks, timelines, options) };
+    }
+
+    async getThroughput(projectId, options = {}) {
+        if (!this.projects.has(projectId)) return null;
+        const { tasks, timelines } = await this.loadTaskTimelines(projectId);
+        return { projectId, ...computeThroughput(tasks, timelines, options) };
+    }
+
+    async getCycleTimes(projectId) {
+        if (!this.projects.has(projectId)) return null;
+        const { tasks, timelines } = await this.loadTaskTimelines(projectId);
+        return { projectId, ...computeCycleTimes(tasks, timelines) };
+    }
+
+    async getForecast(projectId, options = {}) {
+        const project = this.getProject(projectId);
+        if (!project) return null;
+        const { tasks, timelines } = await this.loadTaskTimelines(projectId);
+        return { projectId, ...computeForecast(tasks, timelines, { dueDate: project.dueDate, ...options }) };
+    }
+
     broadcastProjectStatus() {
-        const projectStatus = {
-            timestamp: new Date(),
-            project: this.powerLineProgress,
-            agents: Object.fromEntries(this.agentAssignments),
-            metrics: Object.fromEntries(this.realTimeMetrics),
-            recentActivity: this.getRecentActivity(10)
-        };
-        
-        this.emit('project:status', projectStatus);
+        for (const projectId of this.projects.keys()) {
+            const projectStatus = {
+                timestamp: new Date(),
+                projectId,
+                project: this.projectProgress.get(projectId),
+                agents: this.getTeamProgress(projectId),
+                metrics: this.getProjectMetrics(projectId),
+                recentActivity: this.getRecentActivity(10, projectId)
+            };
+            
+            this.emit('project:status', projectStatus);
+        }
+    }
+
+    getRecentActivity(limit = 20, projectId = null) {
+        const activity = projectId
+            ? this.communicationLog.filter(entry => entry.projectId === projectId)
+            : this.communicationLog;
+        return activity.slice(-limit);
     }
 
-    getRecentActivity(limit = 20) {
-        return this.communicationLog.slice(-limit);
+    async queryActivity(query = {}) {
+        return this.store.queryActivity(query);
     }
 
     logActivity(activity) {
         const logEntry = {
-            id: `activity-${Date.now()}`,
+            id: `activity-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
             timestamp: new Date(),
             ...activity
         };
         
+        // The store keeps the full log; memory only holds the recent window for broadcasts
         this.communicationLog.push(logEntry);
-        
-        // Keep only last 1000 entries
         if (this.communicationLog.length > 1000) {
             this.communicationLog = this.communicationLog.slice(-1000);
         }
         
+        this.store.appendActivity(logEntry).catch((error) => {
+            this.logger.error('Failed to persist activity entry:', error);
+        });
+        
         this.emit('activity:logged', logEntry);
     }
 
+    // Project Methods (multi-project support)
+    async createProject(projectData) {
+        const { milestones = [], ...definition } = projectData;
+        const project = {
+            id: `project-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+            created: new Date(),
+            status: 'active',
+            priority: 'normal',
+            team: [],
+            ...definition,
+            dueDate: new Date(definition.dueDate),
+            phases: (definition.phases || []).map((phase, index) => ({
+                id: `phase-${index + 1}`,
+                status: 'pending',
+                tasks: [],
+                ...phase
+            }))
+        };
+        project.created = new Date(project.created);
+        
+        if (this.projects.has(project.id)) {
+            throw new TrinityError(`Project already exists: ${project.id}`, 409);
+        }
+        project.team = this.validateTeam(project.team);
+        
+        await this.store.saveRecord('projects', project);
+        this.registerProject(project);
+        
+        for (const milestoneData of milestones) {
+            await this.createMilestone(project.id, milestoneData);
+        }
+        
+        this.logActivity({
+            type: 'project_created',
+            projectId: project.id,
+            name: project.name
+        });
+        
+        this.emit('project:created', project);
+        return project;
+    }
+
+    async updateProject(projectId, updates) {
+        const project = this.getProject(projectId);
+        if (project) {
+            const team = updates.team && this.validateTeam(updates.team, project.team);
+            
+            Object.assign(project, updates, team && { team }, { lastModified: new Date() });
+            if (updates.dueDate) project.dueDate = new Date(updates.dueDate);
+            await this.store.saveRecord('projects', project);
+            
+            this.logActivity({
+                type: 'project_updated',
+                projectId,
+                updates
+            });
+            
+            this.updateProjectProgress(projectId);
+            this.emit('project:updated', project);
+            return project;
+        }
+        return null;
+    }
+
+    // Set up in-memory tracking state for a project loaded from the store or created via API
+    registerProject(project) {
+        this.projects.set(project.id, project);
+        
+        this.projectProgress.set(project.id, {
+            overallCompletion: 0,
+            phases: [],
+            launchDate: project.dueDate,
+            daysRemaining: null,
+            criticalPath: [],
+            blockers: [],
+            activeAgents: project.team.length
+        });
+        
+        this.projectMetrics.set(project.id, new Map(
+            PROJECT_METRICS.map(metric => [metric, this.createMetric(metric)])
+        ));
+    }
+
+    /*
+     * Returns the team with legacy agent ids resolved. Only agents not already on the
+     * team (currentTeam) must exist and be assignable, so a team that still lists a
+     * retired member can be edited without removing it.
+     */
+    validateTeam(team, currentTeam = []) {
+        const resolved = Array.from(new Set(team.map(agentId => this.agentRegistry.resolveId(agentId))));
+        const added = resolved.filter(agentId => !currentTeam.includes(agentId));
+        
+        const unknown = added.filter(agentId => !this.agentRegistry.get(agentId));
+        if (unknown.length > 0) {
+            throw new TrinityError(`Agent not found: ${unknown.join(', ')}`, 404, { unknown });
+        }
+        
+        const retired = added.filter(agentId => !this.agentRegistry.isAssignable(agentId));
+        if (retired.length > 0) {
+            throw new TrinityError(`Agent is retired: ${retired.join(', ')}`, 409, { retired });
+        }
+        return resolved;
+    }
+
+    getProject(projectId) {
+        return this.projects.get(projectId) || null;
+    }
+
+    listProjects() {
+        return Array.from(this.projects.values()).map(project => ({
+            ...project,
+            progress: this.projectProgress.get(project.id)
+        }));
+    }
+
+    getProjectTasks(projectId) {
+        return this.getAllTasks().filter(task => task.projectId === projectId);
+    }
+
+    getProjectMilestones(projectId) {
+        return Array.from(this.projectMilestones.values()).filter(milestone => milestone.projectId === projectId);
+    }
+
+    getProjectProgress(projectId) {
+        if (!this.projects.has(projectId)) return null;
+        
+        this.updateProjectProgress(projectId);
+        return {
+            projectId,
+            ...this.projectProgress.get(projectId),
+            milestones: this.getProjectMilestones(projectId)
+        };
+    }
+
+    // Milestone Methods
+    async createMilestone(projectId, milestoneData) {
+        const project = this.getProject(projectId);
+        if (!project) return null;
+        
+        this.validatePhase(project, milestoneData.phaseId);
+        
+        const milestone = {
+            id: `milestone-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+            created: new Date(),
+            ...milestoneData,
+            projectId,
+            dueDate: new Date(milestoneData.dueDate)
+        };
+        Object.assign(milestone, computeMilestoneProgress(milestone, this.getProjectTasks(projectId)));
+        
+        await this.store.saveRecord('milestones', milestone);
+        this.projectMilestones.set(milestone.id, milestone);
+        
+        this.logActivity({
+            type: 'milestone_created',
+            projectId,
+            milestoneId: milestone.id,
+            name: milestone.name
+        });
+        
+        this.emit('milestone:created', milestone);
+        return milestone;
+    }
+
+    async updateMilestone(milestoneId, updates) {
+        const milestone = this.getMilestone(milestoneId);
+        if (milestone) {
+            this.validatePhase(this.getProject(milestone.projectId), updates.phaseId);
+            
+            Object.assign(milestone, updates, { lastModified: new Date() });
+            if (updates.dueDate) milestone.dueDate = new Date(updates.dueDate);
+            await this.store.saveRecord('milestones', milestone);
+            
+            this.logActivity({
+                type: 'milestone_updated',
+                projectId: milestone.projectId,
+                milestoneId,
+                updates
+            });
+            
+            this.emit('milestone:updated', milestone);
+            this.evaluateMilestones(milestone.projectId);
+            return milestone;
+        }
+        return null;
+    }
+
+    async deleteMilestone(milestoneId) {
+        const milestone = this.getMilestone(milestoneId);
+        if (milestone) {
+            await this.store.deleteRecord('milestones', milestoneId);
+            this.projectMilestones.delete(milestoneId);
+            
+            // Detach tasks that were tracked against the milestone
+            for (const task of this.getProjectTasks(milestone.projectId)) {
+                if (task.milestoneId === milestoneId) {
+                    delete task.milestoneId;
+                    await this.store.saveRecord('tasks', task);
+                }
+            }
+            
+            this.logActivity({
+                type: 'milestone_deleted',
+                projectId: milestone.projectId,
+                milestoneId,
+                name: milestone.name
+            });
+            
+            this.emit('milestone:deleted', milestone);
+            return milestone;
+        }
+        return null;
+    }
+
+    getMilestone(milestoneId) {
+        return this.projectMilestones.get(milestoneId) || null;
+    }
+
+    validatePhase(project, phaseId) {
+        if (phaseId && !project.phases.some(phase => phase.id === phaseId)) {
+            throw new TrinityError(`Unknown phase for project ${project.id}: ${phaseId}`, 400);
+        }
+    }
+
+    // Tasks may only reference phases and milestones of their own project
+    validateTaskPlacement(projectId, { phaseId, milestoneId }) {
+        this.validatePhase(this.getProject(projectId), phaseId);
+        
+        if (milestoneId && this.getMilestone(milestoneId)?.projectId !== projectId) {
+            throw new TrinityError(`Unknown milestone for project ${projectId}: ${milestoneId}`, 400);
+        }
+    }
+
+    getProjectMetrics(projectId) {
+        return {
+            ...Object.fromEntries(this.realTimeMetrics),
+            ...Object.fromEntries(this.projectMetrics.get(projectId) || [])
+        };
+    }
+
     // Project Management Methods (Asana Replacement)
     async createTask(taskData) {
+        const { autoAssign = this.routing.autoAssign, ...fields } = taskData;
         const task = {
-            id: `task-${Date.now()}`,
+            id: `task-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
             created: new Date(),
             status: 'new',
             priority: 'normal',
-            ...taskData
+            dependsOn: [],
+            ...fields,
+            statusChangedAt: new Date(),
+            projectId: fields.projectId || this.defaultProjectId
         };
+        if (task.assignee) {
+            task.assignee = this.agentRegistry.resolveId(task.assignee);
+            task.assignment = { mode: 'manual', agentId: task.assignee, assignedAt: new Date() };
+        }
         
+        if (!this.projects.has(task.projectId)) {
+            throw new TrinityError(`Project not found: ${task.projectId}`, 404);
+        }
+        this.validateDependencies(task.id, task.dependsOn, task.projectId);
+        this.validateTaskPlacement(task.projectId, task);
+        
+        await this.store.saveRecord('tasks', task);
         this.projectTasks.set(task.id, task);
         this.logActivity({
             type: 'task_created',
+            projectId: task.projectId,
             taskId: task.id,
             title: task.title,
             assignee: task.assignee
         });
         
+        this.recordStatusChange(task, null);
+        this.emit('task:created', task);
+        this.refreshCriticalPath(task.projectId);
+        this.updateProjectProgress(task.projectId);
+        
+        if (!task.assignee && autoAssign) {
+            const routing = this.getTaskRouting(task);
+            if (routing.agentId) {
+                return this.assignTask(task.id, routing.agentId, routing);
+            }
+            
+            // Left unassigned; keep the explanation so callers can see why
+            task.assignment = { mode: 'auto', agentId: null, explanation: routing.explanation };
+            await this.store.saveRecord('tasks', task);
+        }
         return task;
     }
 
-    async updateTask(taskId, updates) {
-        const task = this.projectTasks.get(taskId);
+    async updateTask(taskId, changes) {
+        const task = this.getTask(taskId);
         if (task) {
+            const updates = changes.assignee ? { ...changes, assignee: this.agentRegistry.resolveId(changes.assignee) } : changes;
+            if (updates.dependsOn) {
+                this.validateDependencies(taskId, updates.dependsOn, task.projectId);
+            }
+            this.validateTaskPlacement(task.projectId, updates);
+            
+            const previousStatus = task.status;
+            if (updates.status && updates.status !== previousStatus) {
+                task.statusChangedAt = new Date();
+            }
+            // Setting the assignee directly is a manual override of any automatic routing
+            if (updates.assignee !== undefined && updates.assignee !== task.assignee) {
+                task.assignment = updates.assignee
+                    ? { mode: 'manual', agentId: updates.assignee, assignedAt: new Date() }
+                    : null;
+            }
             Object.assign(task, updates, { lastModified: new Date() });
+            await this.store.saveRecord('tasks', task);
+            
+            if (task.status !== previousStatus) {
+                this.recordStatusChange(task, previousStatus);
+            }
             
             this.logActivity({
                 type: 'task_updated',
+                projectId: task.projectId,
                 taskId,
                 updates
             });
             
+            this.emit('task:updated', task);
+            this.refreshCriticalPath(task.projectId);
+            this.updateProjectProgress(task.projectId);
             return task;
         }
         return null;
     }
 
-    async assignTask(taskId, agentId) {
-        const task = this.projectTasks.get(taskId);
-        const agent = this.agentAssignments.get(agentId);
+    // `routing` is the routeTask() result when the agent was chosen automatically
+    async assignTask(taskId, agentId, routing = null) {
+        const task = this.getTask(taskId);
+        const agent = this.getAgent(agentId);
         
         if (task && agent) {
+            // Legacy ids resolve to the agent's current id
+            agentId = agent.id;
+            const previousStatus = task.status;
             task.assignee = agentId;
             task.status = 'assigned';
+            task.statusChangedAt = new Date();
+            task.lastModified = new Date();
+            task.assignment = routing
+                ? {
+                    mode: 'auto',
+                    agentId,
+                    score: routing.score,
+                    requiredSkills: routing.requiredSkills,
+                    explanation: routing.explanation,
+                    assignedAt: new Date()
+                }
+                : { mode: 'manual', agentId, assignedAt: new Date() };
+            await this.store.saveRecord('tasks', task);
             
             this.logActivity({
                 type: 'task_assigned',
+                projectId: task.projectId,
                 taskId,
                 agentId,
+                mode: task.assignment.mode,
                 taskTitle: task.title
             });
             
+            if (previousStatus !== 'assigned') {
+                this.recordStatusChange(task, previousStatus);
+            }
+            this.emit('task:assigned', task);
+            this.refreshCriticalPath(task.projectId);
+            this.updateProjectProgress(task.projectId);
+            return task;
+        }
+        return null;
+    }
+
+    // Open tasks an agent holds across all projects, optionally ignoring one task
+    getAgentLoad(agentId, excludeTaskId = null) {
+        let openTasks = 0;
+        for (const task of this.projectTasks.values()) {
+            if (task.assignee === agentId && task.status !== 'completed' && task.id !== excludeTaskId) {
+                openTasks++;
+            }
+        }
+        return openTasks;
+    }
+
+    getAgentHealthState(agentId) {
+        return this.bmadEngine?.getAgent?.(agentId)?.health?.state || 'unknown';
+    }
+
+    // Ranks the task's project team without assigning anything
+    getTaskRouting(task) {
+        const project = this.projects.get(task.projectId);
+        const team = (project?.team || []).map(agentId => this.agentRegistry.get(agentId)).filter(Boolean);
+        
+        return routeTask(task, team, {
+            loadOf: agentId => this.getAgentLoad(agentId, task.id),
+            healthOf: agentId => this.getAgentHealthState(agentId),
+            maxOpenTasks: this.routing.maxOpenTasks,
+            weights: this.routing.weights
+        });
+    }
+
+    async autoAssignTask(taskId) {
+        const task = this.getTask(taskId);
+        if (!task) return null;
+        
+        const routing = this.getTaskRouting(task);
+        if (!routing.agentId) {
+            throw new TrinityError(`No eligible agent for task: ${taskId}`, 409, {
+                explanation: routing.explanation,
+                candidates: routing.candidates
+            });
+        }
+        return this.assignTask(taskId, routing.agentId, routing);
+    }
+
+    async deleteTask(taskId) {
+        const task = this.getTask(taskId);
+        if (task) {
+            await this.store.deleteRecord('tasks', taskId);
+            this.projectTasks.delete(taskId);
+            
+            // Drop the deleted task from anything that depended on it
+            for (const dependent of this.getProjectTasks(task.projectId)) {
+                if (dependent.dependsOn?.includes(taskId)) {
+                    dependent.dependsOn = dependent.dependsOn.filter(id => id !== taskId);
+                    await this.store.saveRecord('tasks', dependent);
+                }
+            }
+            
+            this.logActivity({
+                type: 'task_deleted',
+                projectId: task.projectId,
+                taskId,
+                title: task.title
+            });
+            
+            this.emit('task:deleted', task);
+            this.refreshCriticalPath(task.projectId);
+            this.updateProjectProgress(task.projectId);
             return task;
         }
         return null;
     }
 
-    getProjectDashboard() {
+    // Status transitions feed burndown, throughput and cycle-time analytics
+    recordStatusChange(task, previousStatus) {
+        this.logActivity({
+            type: 'task_status_changed',
+            projectId: task.projectId,
+            taskId: task.id,
+            from: previousStatus,
+            to: task.status,
+            assignee: task.assignee,
+            estimatedHours: task.estimatedHours
+        });
+    }
+
+    getTask(taskId) {
+        return this.projectTasks.get(taskId) || null;
+    }
+
+    getAllTasks() {
+        return Array.from(this.projectTasks.values());
+    }
+
+    listTasks(filters = {}) {
+        const { projectId, assignee, status, priority, page = 1, limit = 20 } = filters;
+        
+        const tasks = this.getAllTasks()
+            .filter(task => !projectId || task.projectId === projectId)
+            .filter(task => !assignee || task.assignee === this.agentRegistry.resolveId(assignee))
+            .filter(task => !status || task.status === status)
+            .filter(task => !priority || task.priority === priority);
+        
+        return {
+            tasks: tasks.slice((page - 1) * limit, page * limit),
+            total: tasks.length,
+            page,
+            limit,
+            pages: Math.ceil(tasks.length / limit)
+        };
+    }
+
+    // Retired agents are not returned, so they cannot be assigned new work
+    getAgent(agentId) {
+        return this.agentRegistry.isAssignable(agentId) ? this.agentRegistry.get(agentId) : null;
+    }
+
+    // Agent progress is the share of its project tasks that are completed
+    getAgentProgress(agentId, projectId) {
+        const tasks = this.getProjectTasks(projectId).filter(task => task.assignee === agentId);
+        const completedTasks = tasks.filter(task => task.status === 'completed');
+        
         return {
-            project: this.powerLineProgress,
-            agents: Object.fromEntries(this.agentAssignments),
-            metrics: Object.fromEntries(this.realTimeMetrics),
-            tasks: Array.from(this.projectTasks.values()),
-            recentActivity: this.getRecentActivity(20),
+            progress: tasks.length > 0 ? Math.round((completedTasks.length / tasks.length) * 100) : 0,
+            currentTasks: tasks.filter(task => task.status !== 'completed').map(task => task.title),
+            completedTasks: completedTasks.length,
+            totalTasks: tasks.length
+        };
+    }
+
+    getTeamProgress(projectId) {
+        const project = this.projects.get(projectId);
+        return Object.fromEntries(project.team
+            .filter(agentId => this.agentRegistry.get(agentId))
+            .map(agentId => [agentId, {
+                ...this.agentRegistry.get(agentId),
+                ...this.getAgentProgress(agentId, projectId)
+            }]));
+    }
+
+    validateDependencies(taskId, dependsOn, projectId) {
+        // Dependencies must exist and belong to the same project
+        const unknown = dependsOn.filter(id => this.getTask(id)?.projectId !== projectId);
+        if (unknown.length > 0) {
+            throw new TrinityError(`Unknown task dependencies: ${unknown.join(', ')}`, 400, { unknown });
+        }
+        
+        const cycle = findDependencyCycle(this.getProjectTasks(projectId), taskId, dependsOn);
+        if (cycle) {
+            throw new TrinityError(`Task dependencies would create a cycle: ${cycle.join(' -> ')}`, 409, { cycle });
+        }
+    }
+
+    refreshCriticalPath(projectId) {
+        const progress = this.projectProgress.get(projectId);
+        if (!progress) return;
+        
+        const previousPath = progress.criticalPath;
+        const analysis = computeCriticalPath(this.getProjectTasks(projectId));
+        this.criticalPathAnalysis.set(projectId, analysis);
+        progress.criticalPath = analysis.path;
+        
+        const changed = previousPath.length !== analysis.path.length ||
+            previousPath.some((id, index) => id !== analysis.path[index]);
+        
+        if (changed) {
+            this.emit('critical-path:updated', { projectId, criticalPath: analysis.path });
+        }
+    }
+
+    getCriticalPath(projectId = this.defaultProjectId) {
+        const project = this.getProject(projectId);
+        if (!project) return null;
+        
+        if (!this.criticalPathAnalysis.has(projectId)) {
+            this.refreshCriticalPath(projectId);
+        }
+        
+        const { path, totalDuration, tasks } = this.criticalPathAnalysis.get(projectId);
+        const projectedCompletion = new Date(Date.now() + totalDuration * 60 * 60 * 1000);
+        const launchDate = new Date(project.dueDate);
+        
+        return {
+            projectId,
+            path: path.map(id => this.getTask(id)),
+            totalRemainingHours: totalDuration,
+            projectedCompletion,
+            launchDate,
+            slipHours: Math.max(0, (projectedCompletion - launchDate) / (60 * 60 * 1000)),
+            schedule: tasks
+        };
+    }
+
+    getProjectDashboard(projectId = this.defaultProjectId) {
+        const project = this.getProject(projectId);
+        if (!project) return null;
+        
+        return {
+            project: {
+                ...project,
+                ...this.projectProgress.get(projectId)
+            },
+            agents: this.getTeamProgress(projectId),
+            metrics: this.getProjectMetrics(projectId),
+            tasks: this.getProjectTasks(projectId),
+            milestones: this.getProjectMilestones(projectId),
+            recentActivity: this.getRecentActivity(20, projectId),
             systemHealth: {
                 bmad: this.bmadEngine.getStatus(),
                 prp: this.prpMethodology.getStatus(),
@@ -475,13 +1162,18 @@ export class TrinityOrchestrator extends EventEmitter {
     }
 
     getStatus() {
+        const defaultProgress = this.projectProgress.get(this.defaultProjectId);
+        const blockers = Array.from(this.projectProgress.values())
+            .reduce((sum, progress) => sum + progress.blockers.length, 0);
+        
         return {
             status: this.status,
-            project: this.powerLineProgress.overallCompletion,
-            agents: this.agentAssignments.size,
+            projects: this.projects.size,
+            project: defaultProgress?.overallCompletion ?? 0,
+            agents: this.agentRegistry.list().length,
             tasks: this.projectTasks.size,
-            blockers: this.powerLineProgress.blockers.length,
-            daysToLaunch: this.powerLineProgress.daysRemaining
+            blockers,
+            daysToLaunch: defaultProgress?.daysRemaining ?? null
         };
     }
 
@@ -0,0 +1,235 @@
+/**
+ * Trinity Framework - Prometheus Exporter
+ * OpenMetrics exposition for orchestrator, BMAD, PRP, ACI, HTTP and Socket.IO
+ * Kevin Gardner - Magnificent Worldwide
+ */
+
+import client from 'prom-client';
+
+export class PrometheusExporter {
+    constructor({ orchestrator, bmadEngine, prpMethodology, aciIntegration, io }) {
+        this.registry = new client.Registry();
+        this.registry.setContentType(client.Registry.OPENMETRICS_CONTENT_TYPE);
+        this.contentType = this.registry.contentType;
+        
+        client.collectDefaultMetrics({ register: this.registry, prefix: 'trinity_' });
+        
+        this.registerOrchestratorMetrics(orchestrator);
+        this.registerBMADMetrics(bmadEngine);
+        this.registerPRPMetrics(prpMethodology);
+        this.registerACIMetrics(aciIntegration);
+        this.registerServerMetrics(io);
+    }
+
+    registerOrchestratorMetrics(orchestrator) {
+        new client.Gauge({
+            name: 'trinity_orchestrator_metric',
+            help: 'Current value of orchestrator real-time metrics',
+            labelNames: ['metric', 'project'],
+            registers: [this.registry],
+            collect() {
+                this.reset();
+                for (const metric of orchestrator.realTimeMetrics.values()) {
+                    this.set({ metric: metric.name, project: '' }, metric.currentValue);
+                }
+                for (const [projectId, metrics] of orchestrator.projectMetrics.entries()) {
+                    for (const metric of metrics.values()) {
+                        this.set({ metric: metric.name, project: projectId }, metric.currentValue);
+                    }
+                }
+            }
+        });
+    }
+
+    registerBMADMetrics(bmadEngine) {
+        const deployments = new client.Counter({
+            name: 'trinity_bmad_deployments',
+            help: 'BMAD deployments finished, by outcome',
+            labelNames: ['status'],
+            registers: [this.registry]
+        });
+        
+        const deploymentDuration = new client.Histogram({
+            name: 'trinity_bmad_deployment_duration_seconds',
+            help: 'End-to-end BMAD deployment duration',
+            labelNames: ['status'],
+            buckets: [1, 5, 10, 30, 60, 120, 300, 600, 1800],
+            registers: [this.registry]
+        });
+        
+        const stageDuration = new client.Histogram({
+            name: 'trinity_bmad_stage_duration_seconds',
+            help: 'BMAD deployment stage duration',
+            labelNames: ['stage', 'status'],
+            buckets: [0.1, 0.5, 1, 2.5, 5, 10, 30, 60, 300],
+            registers: [this.registry]
+        });
+        
+        new client.Gauge({
+            name: 'trinity_bmad_agents',
+            help: 'Registered BMAD agents, by status',
+            labelNames: ['status'],
+            registers: [this.registry],
+            collect() {
+                this.reset();
+                for (const agent of bmadEngine.getAllAgents()) {
+                    this.inc({ status: agent.status });
+                }
+            }
+        });
+        
+        new client.Gauge({
+            name: 'trinity_bmad_agent_up',
+            help: 'BMAD agent health state (1 for the current state)',
+            labelNames: ['agent', 'state'],
+            registers: [this.registry],
+            collect() {
+                this.reset();
+                for (const health of bmadEngine.getAgentHealth()) {
+                    this.set({ agent: health.id, state: health.state }, 1);
+                }
+            }
+        });
+        
+        new client.Gauge({
+            name: 'trinity_bmad_agent_probe_latency_seconds',
+            help: 'Latency of the last successful BMAD agent health probe',
+            labelNames: ['agent'],
+            registers: [this.registry],
+            collect() {
+                this.reset();
+                for (const health of bmadEngine.getAgentHealth()) {
+                    if (health.latencyMs !== null) this.set({ agent: health.id }, health.latencyMs / 1000);
+                }
+            }
+        });
+        
+        const observeDeployment = (deploymentId, status) => {
+            const deployment = bmadEngine.getDeployment(deploymentId);
+            deployments.inc({ status });
+            if (deployment?.startTime && deployment.endTime) {
+                deploymentDuration.observe({ status }, (deployment.endTime - deployment.startTime) / 1000);
+            }
+        };
+        
+        bmadEngine.on('deployment:stage', ({ stage, result }) => {
+            stageDuration.observe({ stage, status: result.success ? 'completed' : 'failed' }, result.duration / 1000);
+        });
+        bmadEngine.on('deployment:completed', ({ deploymentId }) => observeDeployment(deploymentId, 'completed'));
+        bmadEngine.on('deployment:failed', ({ deploymentId }) => observeDeployment(deploymentId, 'failed'));
+        bmadEngine.on('deployment:cancelled', ({ deploymentId }) => observeDeployment(deploymentId, 'cancelled'));
+        
+        new client.Gauge({
+            name: 'trinity_bmad_deployments_queued',
+            help: 'BMAD deployments waiting for their environment lock',
+            labelNames: ['environment'],
+            registers: [this.registry],
+            collect() {
+                this.reset();
+                for (const queue of bmadEngine.getDeploymentQueues()) {
+                    this.set({ environment: queue.environment }, queue.pending.length);
+                }
+            }
+        });
+        
+        const rollbacks = new client.Counter({
+            name: 'trinity_bmad_rollbacks',
+            help: 'BMAD rollbacks, by environment, trigger and outcome',
+            labelNames: ['environment', 'reason', 'status'],
+            registers: [this.registry]
+        });
+        bmadEngine.on('deployment:rolled-back', ({ environment, reason, success }) => {
+            rollbacks.inc({ environment, reason, status: success ? 'completed' : 'failed' });
+        });
+    }
+
+    registerPRPMetrics(prpMethodology) {
+        const executions = new client.Counter({
+            name: 'trinity_prp_command_executions',
+            help: 'PRP command executions, by command and outcome',
+            labelNames: ['command', 'type', 'status'],
+            registers: [this.registry]
+        });
+        
+        new client.Gauge({
+            name: 'trinity_prp_command_avg_duration_seconds',
+            help: 'Average duration of successful PRP command executions',
+            labelNames: ['command', 'type'],
+            registers: [this.registry],
+            collect() {
+                this.reset();
+                for (const command of prpMethodology.getCommandStatistics()) {
+                    if (command.executions > 0) {
+                        this.set({ command: command.id, type: command.type }, command.avgDuration / 1000);
+                    }
+                }
+            }
+        });
+        
+        const countExecution = (status) => (execution) => {
+            const command = prpMethodology.commands.get(execution.commandId);
+            executions.inc({ command: execution.commandId, type: command?.type || 'unknown', status });
+        };
+        
+        prpMethodology.on('command:executed', countExecution('completed'));
+        prpMethodology.on('command:failed', countExecution('failed'));
+    }
+
+    registerACIMetrics(aciIntegration) {
+        const executions = new client.Counter({
+            name: 'trinity_aci_tool_executions',
+            help: 'ACI.dev tool executions, by category and outcome',
+            labelNames: ['category', 'status'],
+            registers: [this.registry]
+        });
+        
+        new client.Gauge({
+            name: 'trinity_aci_active_executions',
+            help: 'ACI.dev tool executions currently running',
+            registers: [this.registry],
+            collect() {
+                this.set(aciIntegration.getActiveExecutions().length);
+            }
+        });
+        
+        aciIntegration.on('tool:executed', (execution) => executions.inc({ category: execution.category, status: 'completed' }));
+        aciIntegration.on('tool:failed', (execution) => executions.inc({ category: execution.category, status: 'failed' }));
+    }
+
+    registerServerMetrics(io) {
+        this.httpDuration = new client.Histogram({
+            name: 'trinity_http_request_duration_seconds',
+            help: 'HTTP request latency',
+            labelNames: ['method', 'route', 'status_code'],
+            buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+            registers: [this.registry]
+        });
+        
+        new client.Gauge({
+            name: 'trinity_socket_connections',
+            help: 'Connected Socket.IO clients',
+            registers: [this.registry],
+            collect() {
+                this.set(io.engine.clientsCount);
+            }
+        });
+    }
+
+    // Express middleware timing every request; routes are labelled by pattern to bound cardinality
+    httpMetricsMiddleware() {
+        return (req, res, next) => {
+            const endTimer = this.httpDuration.startTimer();
+            
+            res.on('finish', () => {
+                const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+                endTimer({ method: req.method, route, status_code: res.statusCode });
+            });
+            
+            next();
+        };
+    }
+
+    async render() {
+        return this.registry.metrics();
+    }
+}
@@ -0,0 +1,26 @@
+/**
+ * Trinity Storage - Activity Log Query Helpers
+ * Shared time-range/type filtering for storage adapters without a query engine
+ * Kevin Gardner - Magnificent Worldwide
+ */
+
+export function matchesActivityQuery(entry, query = {}) {
+    const timestamp = new Date(entry.timestamp);
+    
+    if (query.from && timestamp < new Date(query.from)) return false;
+    if (query.to && timestamp > new Date(query.to)) return false;
+    if (query.type && entry.type !== query.type) return false;
+    if (query.taskId && entry.taskId !== query.taskId) return false;
+    if (query.projectId && entry.projectId !== query.projectId) return false;
+    
+    return true;
+}
+
+// Oldest first; `limit` keeps the most recent matches
+export function applyActivityQuery(entries, query = {}) {
+    const matches = entries
+        .filter(entry => matchesActivityQuery(entry, query))
+        .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    
+    return query.limit ? matches.slice(-query.limit) : matches;
+}
@@ -0,0 +1,109 @@
+/**
+ * Trinity Storage - Local File Adapter
+ * One JSON document per collection plus an append-only NDJSON activity log
+ * Kevin Gardner - Magnificent Worldwide
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { applyActivityQuery } from './activity-query.js';
+
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/;
+
+// Restore Date instances that JSON serialization turned into ISO strings
+function reviveDates(key, value) {
+    return typeof value === 'string' && ISO_DATE_PATTERN.test(value) ? new Date(value) : value;
+}
+
+export class FileStore {
+    constructor({ dataDir = './data/trinity' } = {}) {
+        this.type = 'file';
+        this.dataDir = dataDir;
+        this.activityFile = path.join(dataDir, 'activity.ndjson');
+        this.collections = new Map();
+        this.writeQueue = Promise.resolve();
+    }
+
+    async connect() {
+        await fs.mkdir(this.dataDir, { recursive: true });
+    }
+
+    async disconnect() {
+        // Let queued writes land before the process exits
+        await this.writeQueue;
+    }
+
+    // Serialize all file writes so concurrent mutations never interleave
+    enqueue(operation) {
+        const run = this.writeQueue.then(operation);
+        this.writeQueue = run.catch(() => {});
+        return run;
+    }
+
+    collectionFile(name) {
+        return path.join(this.dataDir, `${name}.json`);
+    }
+
+    async getCollection(name) {
+        if (!this.collections.has(name)) {
+            let records = {};
+            try {
+                records = JSON.parse(await fs.readFile(this.collectionFile(name), 'utf8'), reviveDates);
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+            }
+            this.collections.set(name, records);
+        }
+        return this.collections.get(name);
+    }
+
+    async writeCollection(name) {
+        const records = await this.getCollection(name);
+        const file = this.collectionFile(name);
+        
+        return this.enqueue(async () => {
+            // Write to a temp file and rename so a crash never leaves a torn document
+            const tempFile = `${file}.tmp`;
+            await fs.writeFile(tempFile, JSON.stringify(records, null, 2));
+            await fs.rename(tempFile, file);
+        });
+    }
+
+    async loadCollection(name) {
+        return Object.values(await this.getCollection(name));
+    }
+
+    async saveRecord(name, record) {
+        const records = await this.getCollection(name);
+        records[record.id] = record;
+        await this.writeCollection(name);
+    }
+
+    async deleteRecord(name, id) {
+        const records = await this.getCollection(name);
+        delete records[id];
+        await this.writeCollection(name);
+    }
+
+    async appendActivity(entry) {
+        return this.enqueue(() => fs.appendFile(this.activityFile, `${JSON.stringify(entry)}\n`));
+    }
+
+    async queryActivity(query = {}) {
+        await this.writeQueue;
+        
+        let contents = '';
+        try {
+            contents = await fs.readFile(this.activityFile, 'utf8');
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+        
+        const entries = contents
+            .split('\n')
+            .filter(line => line.trim())
+            .map(line => JSON.parse(line, reviveDates));
+        
+        return applyActivityQuery(entries, query);
+    }
+}
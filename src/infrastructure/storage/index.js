@@ -0,0 +1,24 @@
+/**
+ * Trinity Storage - Adapter Factory
+ * Selects the persistence backend for orchestrator state
+ * Kevin Gardner - Magnificent Worldwide
+ */
+
+import { MemoryStore } from './memory-store.js';
+import { FileStore } from './file-store.js';
+import { MongoStore } from './mongo-store.js';
+
+export { MemoryStore, FileStore, MongoStore };
+
+export function createStore(config = {}) {
+    switch (config.type) {
+        case 'memory':
+            return new MemoryStore();
+        case 'file':
+            return new FileStore({ dataDir: config.dataDir });
+        case 'mongo':
+            return new MongoStore({ uri: config.mongoUri });
+        default:
+            throw new Error(`Unknown storage type: ${config.type}`);
+    }
+}
@@ -0,0 +1,50 @@
+/**
+ * Trinity Storage - In-Memory Adapter
+ * Non-durable store used for tests and when persistence is disabled
+ * Kevin Gardner - Magnificent Worldwide
+ */
+
+import { applyActivityQuery } from './activity-query.js';
+
+export class MemoryStore {
+    constructor() {
+        this.type = 'memory';
+        this.collections = new Map();
+        this.activity = [];
+    }
+
+    async connect() {
+        // Nothing to connect to
+    }
+
+    async disconnect() {
+        // Nothing to release
+    }
+
+    getCollection(name) {
+        if (!this.collections.has(name)) {
+            this.collections.set(name, new Map());
+        }
+        return this.collections.get(name);
+    }
+
+    async loadCollection(name) {
+        return Array.from(this.getCollection(name).values());
+    }
+
+    async saveRecord(name, record) {
+        this.getCollection(name).set(record.id, record);
+    }
+
+    async deleteRecord(name, id) {
+        this.getCollection(name).delete(id);
+    }
+
+    async appendActivity(entry) {
+        this.activity.push(entry);
+    }
+
+    async queryActivity(query = {}) {
+        return applyActivityQuery(this.activity, query);
+    }
+}
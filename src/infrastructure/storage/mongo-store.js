@@ -0,0 +1,104 @@
+/**
+ * Trinity Storage - MongoDB Adapter
+ * Mongoose-backed store; each collection maps to a `trinity_<name>` collection
+ * Kevin Gardner - Magnificent Worldwide
+ */
+
+import mongoose from 'mongoose';
+
+const recordSchema = new mongoose.Schema({
+    _id: String,
+    data: mongoose.Schema.Types.Mixed
+}, { versionKey: false, minimize: false, timestamps: true });
+
+const activitySchema = new mongoose.Schema({
+    _id: String,
+    timestamp: { type: Date, index: true },
+    type: { type: String, index: true },
+    taskId: String,
+    projectId: String,
+    data: mongoose.Schema.Types.Mixed
+}, { versionKey: false, minimize: false });
+
+export class MongoStore {
+    constructor({ uri = 'mongodb://localhost:27017/trinity' } = {}) {
+        this.type = 'mongo';
+        this.uri = uri;
+        this.connection = null;
+        this.models = new Map();
+    }
+
+    async connect() {
+        // Share one pending connection between overlapping connect() calls
+        if (!this.connecting) {
+            this.connecting = mongoose.createConnection(this.uri).asPromise();
+        }
+        if (!this.connection) {
+            this.connection = await this.connecting;
+            this.activityModel = this.connection.model('TrinityActivity', activitySchema, 'trinity_activity');
+        }
+    }
+
+    async disconnect() {
+        if (this.connection) {
+            await this.connection.close();
+            this.connection = null;
+            this.connecting = null;
+            this.models.clear();
+        }
+    }
+
+    getModel(name) {
+        if (!this.models.has(name)) {
+            this.models.set(name, this.connection.model(`Trinity_${name}`, recordSchema, `trinity_${name}`));
+        }
+        return this.models.get(name);
+    }
+
+    async loadCollection(name) {
+        const documents = await this.getModel(name).find().lean();
+        return documents.map(document => document.data);
+    }
+
+    async saveRecord(name, record) {
+        await this.getModel(name).replaceOne(
+            { _id: record.id },
+            { _id: record.id, data: record },
+            { upsert: true }
+        );
+    }
+
+    async deleteRecord(name, id) {
+        await this.getModel(name).deleteOne({ _id: id });
+    }
+
+    async appendActivity(entry) {
+        await this.activityModel.create({
+            _id: entry.id,
+            timestamp: entry.timestamp,
+            type: entry.type,
+            taskId: entry.taskId,
+            projectId: entry.projectId,
+            data: entry
+        });
+    }
+
+    async queryActivity(query = {}) {
+        const filter = {};
+        if (query.from || query.to) {
+            filter.timestamp = {};
+            if (query.from) filter.timestamp.$gte = new Date(query.from);
+            if (query.to) filter.timestamp.$lte = new Date(query.to);
+        }
+        if (query.type) filter.type = query.type;
+        if (query.taskId) filter.taskId = query.taskId;
+        if (query.projectId) filter.projectId = query.projectId;
+        
+        // Fetch newest-first so `limit` keeps the most recent entries, then return oldest-first
+        let cursor = this.activityModel.find(filter).sort({ timestamp: -1 });
+        if (query.limit) cursor = cursor.limit(query.limit);
+        
+        const documents = await cursor.lean();
+        return documents.reverse().map(document => document.data);
+    }
+}
@@ -0,0 +1,318 @@
+/**
+ * Trinity Framework - Request Validation Schemas
+ * Joi payload schemas for the Trinity REST API
+ * Kevin Gardner - Magnificent Worldwide
+ */
+
+import Joi from 'joi';
+import { BLOCKER_SEVERITIES } from '../core/blocker-rules.js';
+import { METRIC_RESOLUTIONS } from '../core/metric-store.js';
+import { LOG_STREAMS } from '../core/deployment-logs.js';
+import { AGENT_STATUSES } from '../core/agent-registry.js';
+import { RUN_STATUSES } from '../core/prp-workflows.js';
+import { EXECUTION_SOURCES, EXPORT_FORMATS } from '../core/execution-history.js';
+
+export const TASK_STATUSES = ['new', 'assigned', 'in-progress', 'blocked', 'review', 'completed'];
+export const TASK_PRIORITIES = ['low', 'normal', 'high', 'critical'];
+export const PROJECT_STATUSES = ['active', 'on-hold', 'completed', 'archived'];
+export const PHASE_STATUSES = ['pending', 'in-progress', 'completed'];
+
+const taskFields = {
+    title: Joi.string().trim().min(1).max(200),
+    description: Joi.string().allow('').max(5000),
+    status: Joi.string().valid(...TASK_STATUSES),
+    priority: Joi.string().valid(...TASK_PRIORITIES),
+    assignee: Joi.string().trim().allow(null),
+    dueDate: Joi.date().iso().allow(null),
+    estimatedHours: Joi.number().min(0),
+    tags: Joi.array().items(Joi.string().trim()),
+    // Matched against agent capabilities for automatic assignment (falls back to tags)
+    requiredSkills: Joi.array().items(Joi.string().trim()).unique(),
+    dependsOn: Joi.array().items(Joi.string().trim()).unique(),
+    phaseId: Joi.string().trim().allow(null),
+    milestoneId: Joi.string().trim().allow(null)
+};
+
+export const taskCreateSchema = Joi.object({
+    ...taskFields,
+    title: taskFields.title.required(),
+    projectId: Joi.string().trim(),
+    // Route the task to the best-matching agent when no assignee is given
+    autoAssign: Joi.boolean()
+});
+
+export const taskUpdateSchema = Joi.object(taskFields).min(1);
+
+export const taskAssignSchema = Joi.object({
+    agentId: Joi.string().trim().required()
+});
+
+export const taskQuerySchema = Joi.object({
+    projectId: Joi.string().trim(),
+    assignee: Joi.string().trim(),
+    status: Joi.string().valid(...TASK_STATUSES),
+    priority: Joi.string().valid(...TASK_PRIORITIES),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+const phaseSchema = Joi.object({
+    id: Joi.string().trim(),
+    name: Joi.string().trim().required(),
+    status: Joi.string().valid(...PHASE_STATUSES),
+    tasks: Joi.array().items(Joi.string().trim())
+});
+
+const milestoneFields = {
+    name: Joi.string().trim().min(1).max(200),
+    description: Joi.string().allow('').max(5000),
+    dueDate: Joi.date().iso(),
+    phaseId: Joi.string().trim()
+};
+
+export const milestoneCreateSchema = Joi.object({
+    ...milestoneFields,
+    name: milestoneFields.name.required(),
+    dueDate: milestoneFields.dueDate.required()
+});
+
+export const milestoneUpdateSchema = Joi.object(milestoneFields).min(1);
+
+const projectFields = {
+    name: Joi.string().trim().min(1).max(200),
+    description: Joi.string().allow('').max(5000),
+    status: Joi.string().valid(...PROJECT_STATUSES),
+    priority: Joi.string().valid(...TASK_PRIORITIES),
+    owner: Joi.string().trim(),
+    team: Joi.array().items(Joi.string().trim()).unique(),
+    dueDate: Joi.date().iso(),
+    phases: Joi.array().items(phaseSchema)
+};
+
+export const projectCreateSchema = Joi.object({
+    ...projectFields,
+    id: Joi.string().trim().pattern(/^[a-z0-9-]+$/),
+    name: projectFields.name.required(),
+    dueDate: projectFields.dueDate.required(),
+    milestones: Joi.array().items(milestoneCreateSchema)
+});
+
+export const projectUpdateSchema = Joi.object(projectFields).min(1);
+
+export const projectScopeSchema = Joi.object({
+    projectId: Joi.string().trim()
+});
+
+export const BLOCKER_STATUSES = ['open', 'acknowledged', 'resolved'];
+
+export const blockerQuerySchema = Joi.object({
+    status: Joi.string().valid(...BLOCKER_STATUSES)
+});
+
+export const blockerActionSchema = Joi.object({
+    by: Joi.string().trim(),
+    note: Joi.string().allow('').max(2000)
+});
+
+export const blockerRuleUpdateSchema = Joi.object({
+    enabled: Joi.boolean(),
+    severity: Joi.string().valid(...BLOCKER_SEVERITIES),
+    options: Joi.object()
+}).min(1);
+
+export const burndownQuerySchema = Joi.object({
+    from: Joi.date().iso(),
+    to: Joi.date().iso().min(Joi.ref('from')),
+    step: Joi.string().valid('hour', 'day', 'week').default('day')
+});
+
+export const throughputQuerySchema = Joi.object({
+    from: Joi.date().iso(),
+    to: Joi.date().iso().min(Joi.ref('from'))
+});
+
+export const forecastQuerySchema = Joi.object({
+    windowDays: Joi.number().integer().min(1).max(365).default(14)
+});
+
+export const metricQuerySchema = Joi.object({
+    projectId: Joi.string().trim(),
+    from: Joi.date().iso(),
+    to: Joi.date().iso().min(Joi.ref('from')),
+    step: Joi.string().valid(...METRIC_RESOLUTIONS)
+});
+
+export const activityQuerySchema = Joi.object({
+    from: Joi.date().iso(),
+    to: Joi.date().iso().min(Joi.ref('from')),
+    type: Joi.string().trim(),
+    taskId: Joi.string().trim(),
+    projectId: Joi.string().trim(),
+    limit: Joi.number().integer().min(1).max(10000).default(500)
+});
+
+// A request picks a vetted pipeline file from config/pipelines by target (or the server's default
+// pipeline); steps, their working directory and environment never come from the request.
+export const deploymentSchema = Joi.object({
+    target: Joi.string().trim().pattern(/^[\w.-]+$/),
+    environment: Joi.string().trim(),
+    variables: Joi.object().pattern(Joi.string(), Joi.alternatives(Joi.string(), Joi.number(), Joi.boolean())),
+    version: Joi.string().trim(),
+    artifact: Joi.alternatives(Joi.string(), Joi.object()),
+    autoRollback: Joi.boolean(),
+    // Rollout tuning only; the strategy itself and its actions come from the pipeline file
+    strategy: Joi.object({
+        steps: Joi.array().items(Joi.number().integer().min(1).max(100)).min(1),
+        intervalMs: Joi.number().integer().min(0)
+    })
+});
+
+export const deployQuerySchema = Joi.object({
+    wait: Joi.boolean().default(true)
+});
+
+export const deploymentLogQuerySchema = Joi.object({
+    offset: Joi.number().integer().min(0).default(0),
+    limit: Joi.number().integer().min(1).max(1000).default(200),
+    afterSeq: Joi.number().integer().min(0),
+    stage: Joi.string().trim(),
+    stream: Joi.string().valid(...LOG_STREAMS)
+});
+
+// Socket deployments:subscribe payload; the replay is paged like the REST log query
+export const deploymentSubscribeSchema = Joi.object({
+    deploymentId: Joi.string().trim().required(),
+    afterSeq: Joi.number().integer().min(0),
+    limit: Joi.number().integer().min(1).max(1000).default(1000)
+}).required();
+
+export const rollbackSchema = Joi.object({
+    toDeploymentId: Joi.string().trim()
+});
+
+export const deploymentDiffQuerySchema = Joi.object({
+    from: Joi.string().trim().required(),
+    to: Joi.string().trim().required()
+});
+
+const agentFields = {
+    name: Joi.string().trim().min(1).max(100),
+    role: Joi.string().trim().min(1).max(200),
+    port: Joi.number().integer().min(1).max(65535).allow(null),
+    healthEndpoint: Joi.string().uri({ scheme: ['http', 'https'] }).allow(null),
+    status: Joi.string().valid(...AGENT_STATUSES),
+    technologies: Joi.array().items(Joi.string().trim()).unique(),
+    responsibilities: Joi.array().items(Joi.string().trim()).unique(),
+    capabilities: Joi.array().items(Joi.string().trim().lowercase()).unique(),
+    metadata: Joi.object()
+};
+
+export const agentCreateSchema = Joi.object({
+    ...agentFields,
+    id: Joi.string().trim().pattern(/^[A-Za-z0-9][\w-]*$/).max(64).required(),
+    role: agentFields.role.required()
+});
+
+export const agentUpdateSchema = Joi.object(agentFields).min(1);
+
+export const agentRetireSchema = Joi.object({
+    reason: Joi.string().trim().max(500)
+});
+
+export const agentQuerySchema = Joi.object({
+    includeRetired: Joi.boolean().default(false)
+});
+
+// Command params are command-specific; the PRP validation rules check them
+export const prpCommandParamsSchema = Joi.object().unknown(true);
+
+export const prpHistoryQuerySchema = Joi.object({
+    commandId: Joi.string().trim(),
+    status: Joi.string().valid('completed', 'failed'),
+    agentId: Joi.string().trim(),
+    from: Joi.date().iso(),
+    to: Joi.date().iso().min(Joi.ref('from')),
+    limit: Joi.number().integer().min(1).max(1000).default(100)
+});
+
+// Attributes the execution to an agent in the execution history
+export const prpExecuteQuerySchema = Joi.object({
+    agentId: Joi.string().trim()
+});
+
+export const prpCommandQuerySchema = Joi.object({
+    type: Joi.string().valid('parallel', 'recursive', 'persistent')
+});
+
+export const prpRuleToggleSchema = Joi.object({
+    active: Joi.boolean().required(),
+    // Toggle the rule for this command only
+    commandId: Joi.string().trim()
+});
+
+// Workflow definitions are validated in depth by the PRP workflow engine
+export const prpWorkflowSchema = Joi.object();
+
+export const prpWorkflowRunSchema = Joi.object({
+    input: Joi.object().unknown(true).default({}),
+    agentId: Joi.string().trim(),
+    // Respond when the run finishes instead of as soon as it starts
+    wait: Joi.boolean().default(false)
+});
+
+export const prpWorkflowResumeSchema = Joi.object({
+    fromStep: Joi.string().trim(),
+    wait: Joi.boolean().default(false)
+});
+
+export const prpWorkflowRunQuerySchema = Joi.object({
+    workflowId: Joi.string().trim(),
+    status: Joi.string().valid(...RUN_STATUSES),
+    limit: Joi.number().integer().min(1).max(1000).default(100)
+});
+
+// Shared PRP/ACI execution history; `name` is a PRP command id or ACI tool id
+const executionFilters = {
+    source: Joi.string().valid(...EXECUTION_SOURCES),
+    name: Joi.string().trim(),
+    status: Joi.string().valid('completed', 'failed'),
+    agentId: Joi.string().trim(),
+    from: Joi.date().iso(),
+    to: Joi.date().iso().min(Joi.ref('from'))
+};
+
+export const executionQuerySchema = Joi.object({
+    ...executionFilters,
+    limit: Joi.number().integer().min(1).max(10000).default(100)
+});
+
+export const executionStatsQuerySchema = Joi.object(executionFilters);
+
+export const executionExportQuerySchema = Joi.object({
+    ...executionFilters,
+    format: Joi.string().valid(...EXPORT_FORMATS).default('ndjson'),
+    limit: Joi.number().integer().min(1)
+});
+
+// Express middleware: validate req[source] against a schema and replace it with the coerced value
+export function validate(schema, source = 'body') {
+    return (req, res, next) => {
+        const { error, value } = schema.validate(req[source], {
+            abortEarly: false,
+            stripUnknown: true
+        });
+        
+        if (error) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: error.details.map(detail => ({
+                    field: detail.path.join('.'),
+                    message: detail.message
+                }))
+            });
+        }
+        
+        req[source] = value;
+        next();
+    };
+}
@@ -0,0 +1,122 @@
+/**
+ * BMAD v4 - Agent Health Probe tests
+ * Kevin Gardner - Magnificent Worldwide
+ */
+
+import { describe, test, expect, beforeAll, afterAll, beforeEach, afterEach, jest } from '@jest/globals';
+import http from 'http';
+import { mockLogger } from '../helpers/virtual-modules.js';
+
+mockLogger();
+const { BMADv4Engine } = await import('../../src/core/bmad-v4-engine.js');
+
+// Agent health endpoints served by this test: each path answers the way its name says
+let server;
+let baseUrl;
+const hits = [];
+
+beforeAll(async () => {
+    server = http.createServer((req, res) => {
+        hits.push(req.url);
+        if (req.url === '/slow') {
+            setTimeout(() => res.end('ok'), 300);
+        } else {
+            res.statusCode = req.url === '/ok' ? 200 : 503;
+            res.end();
+        }
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+});
+
+beforeEach(() => {
+    hits.length = 0;
+    // Only the engine's monitor intervals are faked; probes and the slow endpoint need real timeouts
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask', 'Date', 'setTimeout', 'clearTimeout'] });
+});
+
+afterEach(() => {
+    jest.clearAllTimers();
+    jest.useRealTimers();
+});
+
+const createEngine = async () => {
+    const engine = new BMADv4Engine({
+        healthCheck: { timeoutMs: 1000, degradedLatencyMs: 200, failureThreshold: 2 },
+        agentEndpoints: {
+            ALEXA: `${baseUrl}/ok`,
+            MARCUS: `${baseUrl}/slow`,
+            ALEX: `${baseUrl}/fail`,
+            QUINN: `${baseUrl}/ok`,
+            ACI: `${baseUrl}/ok`
+        }
+    });
+    await new Promise(resolve => engine.once('initialized', resolve));
+    return engine;
+};
+
+describe('agent health probes', () => {
+    test('probes each agent endpoint and classifies it by latency and consecutive failures', async () => {
+        const engine = await createEngine();
+        const changes = [];
+        const warnings = [];
+        engine.on('agent:health-changed', ({ agentId, from, to }) => changes.push(`${agentId}:${from}->${to}`));
+        engine.on('agent:health-warning', ({ agentId, state }) => warnings.push(`${agentId}:${state}`));
+        
+        await engine.monitorAgentHealth();
+        const health = Object.fromEntries(engine.getAgentHealth().map(entry => [entry.id, entry]));
+        expect(health.ALEXA).toMatchObject({ state: 'healthy', consecutiveFailures: 0, endpoint: `${baseUrl}/ok` });
+        expect(health.ALEXA.latencyMs).toEqual(expect.any(Number));
+        expect(health.MARCUS.state).toBe('degraded');
+        expect(health.ALEX).toMatchObject({ state: 'degraded', consecutiveFailures: 1, latencyMs: null });
+        expect(health.ALEX.lastError).toMatch(/503/);
+        expect(engine.getAgent('ALEX').metrics.performance).toBe(50);
+        
+        await engine.monitorAgentHealth();
+        expect(engine.getAgent('ALEX').health).toMatchObject({ state: 'down', consecutiveFailures: 2 });
+        expect(engine.getAgent('ALEX').metrics.performance).toBe(0);
+        
+        // Events fire on state changes only, not on every probe
+        expect(changes.sort()).toEqual([
+            'ACI:unknown->healthy',
+            'ALEX:degraded->down',
+            'ALEX:unknown->degraded',
+            'ALEXA:unknown->healthy',
+            'MARCUS:unknown->degraded',
+            'QUINN:unknown->healthy'
+        ]);
+        expect(warnings.sort()).toEqual(['ALEX:degraded', 'ALEX:down', 'MARCUS:degraded']);
+    });
+    
+    test('skips a round while the previous one is still in flight', async () => {
+        const engine = await createEngine();
+        
+        await Promise.all([engine.monitorAgentHealth(), engine.monitorAgentHealth()]);
+        expect(hits).toHaveLength(5);
+    });
+    
+    test('runs on the configured interval', async () => {
+        const engine = await createEngine();
+        const probe = jest.spyOn(engine, 'monitorAgentHealth').mockResolvedValue();
+        
+        jest.advanceTimersByTime(engine.healthCheck.intervalMs * 2);
+        expect(probe).toHaveBeenCalledTimes(2);
+    });
+});
+
+describe('performance metrics', () => {
+    test('reports this process CPU and memory usage', async () => {
+        const engine = await createEngine();
+        const metrics = engine.monitorPerformance();
+        
+        expect(metrics.cpuUsage).toBeGreaterThanOrEqual(0);
+        expect(metrics.memoryUsage).toBeGreaterThan(0);
+        expect(metrics.memoryUsage).toBeLessThan(100);
+        expect(metrics.memory.rss).toBeGreaterThan(metrics.memory.heapUsed);
+        expect(metrics).toMatchObject({ agents: 5, activeDeployments: 0, queuedDeployments: 0 });
+    });
+});
@@ -0,0 +1,119 @@
+/**
+ * Trinity Framework - Agent Registry tests
+ * Kevin Gardner - Magnificent Worldwide
+ */
+
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { mockLogger } from '../helpers/virtual-modules.js';
+
+mockLogger();
+const { AgentRegistry } = await import('../../src/core/agent-registry.js');
+const { TrinityOrchestrator } = await import('../../src/core/trinity-orchestrator.js');
+const { MemoryStore } = await import('../../src/infrastructure/storage/index.js');
+
+const PROJECT_ID = 'powerline-launch-2025';
+
+describe('AgentRegistry', () => {
+    let registry;
+    
+    beforeEach(async () => {
+        registry = new AgentRegistry();
+        await registry.initialize();
+    });
+    
+    test('seeds the roster from configuration and persists it', async () => {
+        expect(registry.list().map(agent => agent.id)).toEqual(['ALEXA', 'MARCUS', 'ALEX', 'QUINN', 'ACI']);
+        expect(await registry.store.loadCollection('agents')).toHaveLength(5);
+    });
+    
+    test('registers, updates and retires agents', async () => {
+        const events = [];
+        for (const event of ['agent:registered', 'agent:updated', 'agent:retired']) {
+            registry.on(event, () => events.push(event));
+        }
+        
+        const agent = await registry.register({ id: 'NOVA', role: 'Mobile Developer', capabilities: ['react-native'] });
+        expect(agent).toMatchObject({ name: 'NOVA', status: 'ready', technologies: [], capabilities: ['react-native'] });
+        await expect(registry.register({ id: 'NOVA', role: 'Duplicate' })).rejects.toMatchObject({ statusCode: 409 });
+        
+        expect(await registry.update('NOVA', { status: 'active' })).toMatchObject({ status: 'active' });
+        expect(await registry.retire('NOVA', { reason: 'project ended' })).toMatchObject({ status: 'retired', retiredReason: 'project ended' });
+        
+        expect(registry.list().map(entry => entry.id)).not.toContain('NOVA');
+        expect(registry.list({ includeRetired: true }).map(entry => entry.id)).toContain('NOVA');
+        expect(registry.isAssignable('NOVA')).toBe(false);
+        await expect(registry.update('NOVA', { status: 'active' })).rejects.toThrow('Agent is retired: NOVA');
+        await expect(registry.retire('NOVA')).rejects.toThrow('Agent is already retired: NOVA');
+        expect(await registry.update('MISSING', {})).toBeNull();
+        expect(events).toEqual(['agent:registered', 'agent:updated', 'agent:retired']);
+    });
+    
+    test('resolves the ids agents had before the shared registry', async () => {
+        expect(registry.resolveId('alexa-frontend')).toBe('ALEXA');
+        expect(registry.resolveId('toString')).toBe('toString');
+        expect(registry.get('quinn-qa').id).toBe('QUINN');
+        expect(registry.isAssignable('aci-orchestration')).toBe(true);
+        expect((await registry.update('marcus-backend', { status: 'active' })).id).toBe('MARCUS');
+        
+        await expect(registry.register({ id: 'alex-realtime', role: 'Impostor' })).rejects.toThrow('reserved as the former id of ALEX');
+    });
+});
+
+describe('TrinityOrchestrator agents', () => {
+    let store;
+    
+    const createOrchestrator = async () => {
+        const engine = { getStatus: () => ({ agents: 0, status: 'ready' }) };
+        const orchestrator = new TrinityOrchestrator(engine, engine, null, { store, routing: { autoAssign: false } });
+        await orchestrator.initialize();
+        return orchestrator;
+    };
+    
+    beforeEach(() => {
+        // The orchestrator refreshes metrics on intervals; keep them from firing
+        jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask'] });
+        store = new MemoryStore();
+    });
+    
+    afterEach(() => {
+        jest.clearAllTimers();
+        jest.useRealTimers();
+    });
+    
+    test('rewrites legacy agent ids in stored teams and assignments when loading', async () => {
+        const seeded = await createOrchestrator();
+        const task = await seeded.createTask({ title: 'Build UI' });
+        const project = seeded.getProject(PROJECT_ID);
+        
+        await store.saveRecord('projects', { ...project, team: ['alexa-frontend', 'ALEXA', 'quinn-qa'] });
+        await store.saveRecord('tasks', { ...task, assignee: 'alexa-frontend', assignment: { mode: 'manual', agentId: 'alexa-frontend' } });
+        
+        const orchestrator = await createOrchestrator();
+        expect(orchestrator.getProject(PROJECT_ID).team).toEqual(['ALEXA', 'QUINN']);
+        expect(orchestrator.getTask(task.id)).toMatchObject({ assignee: 'ALEXA', assignment: { agentId: 'ALEXA' } });
+        expect((await store.loadCollection('tasks')).find(entry => entry.id === task.id).assignee).toBe('ALEXA');
+        expect(orchestrator.listTasks({ assignee: 'alexa-frontend' }).tasks.map(entry => entry.id)).toEqual([task.id]);
+    });
+    
+    test('assigns tasks under the current id when given a legacy one', async () => {
+        const orchestrator = await createOrchestrator();
+        const task = await orchestrator.createTask({ title: 'Build API', assignee: 'marcus-backend' });
+        expect(task).toMatchObject({ assignee: 'MARCUS', assignment: { agentId: 'MARCUS' } });
+        
+        expect(await orchestrator.assignTask(task.id, 'quinn-qa')).toMatchObject({ assignee: 'QUINN', assignment: { agentId: 'QUINN' } });
+        expect((await orchestrator.updateTask(task.id, { assignee: 'alex-realtime' })).assignee).toBe('ALEX');
+    });
+    
+    test('keeps retired members on a team but refuses to add them', async () => {
+        const orchestrator = await createOrchestrator();
+        await orchestrator.agentRegistry.retire('QUINN');
+        
+        const project = await orchestrator.updateProject(PROJECT_ID, { team: ['ALEXA', 'MARCUS', 'QUINN'], priority: 'high' });
+        expect(project).toMatchObject({ team: ['ALEXA', 'MARCUS', 'QUINN'], priority: 'high' });
+        
+        await orchestrator.updateProject(PROJECT_ID, { team: ['ALEXA'] });
+        await expect(orchestrator.updateProject(PROJECT_ID, { team: ['ALEXA', 'QUINN'] })).rejects.toMatchObject({ statusCode: 409 });
+        await expect(orchestrator.updateProject(PROJECT_ID, { team: ['ALEXA', 'NOBODY'] })).rejects.toMatchObject({ statusCode: 404 });
+        expect(orchestrator.getProject(PROJECT_ID).team).toEqual(['ALEXA']);
+    });
+});
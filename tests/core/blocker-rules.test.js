@@ -0,0 +1,141 @@
+/**
+ * Trinity Framework - Blocker Detection Rules tests
+ * Kevin Gardner - Magnificent Worldwide
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import { DEFAULT_BLOCKER_RULES, BlockerRuleRegistry } from '../../src/core/blocker-rules.js';
+
+const HOUR = 60 * 60 * 1000;
+const now = new Date('2026-01-01T12:00:00Z');
+const hoursAgo = hours => new Date(now.getTime() - hours * HOUR);
+
+const context = (overrides = {}) => ({
+    projectId: 'project-1',
+    agents: {},
+    tasks: [],
+    deployments: [],
+    toolExecutions: [],
+    now,
+    ...overrides
+});
+
+const evaluateRule = (ruleId, overrides) => {
+    const registry = new BlockerRuleRegistry(DEFAULT_BLOCKER_RULES.filter(rule => rule.id === ruleId));
+    return registry.evaluate(context(overrides));
+};
+
+describe('default blocker rules', () => {
+    test('agent-progress flags active agents below the minimum', () => {
+        const findings = evaluateRule('agent-progress', {
+            agents: {
+                ALEXA: { status: 'active', totalTasks: 4, progress: 25 },
+                MARCUS: { status: 'active', totalTasks: 4, progress: 75 },
+                NOVA: { status: 'idle', totalTasks: 4, progress: 0 }
+            }
+        });
+        
+        expect(findings).toEqual([expect.objectContaining({ ruleId: 'agent-progress', subject: 'ALEXA', severity: 'medium' })]);
+    });
+    
+    test('overdue-task flags open tasks past their due date', () => {
+        const findings = evaluateRule('overdue-task', {
+            tasks: [
+                { id: 't1', title: 'Late', status: 'in-progress', dueDate: hoursAgo(1) },
+                { id: 't2', title: 'Done', status: 'completed', dueDate: hoursAgo(1) },
+                { id: 't3', title: 'Future', status: 'new', dueDate: hoursAgo(-1) }
+            ]
+        });
+        
+        expect(findings.map(finding => finding.subject)).toEqual(['t1']);
+        expect(findings[0].severity).toBe('high');
+    });
+    
+    test('task-stuck-assigned uses the time since the last status change', () => {
+        const findings = evaluateRule('task-stuck-assigned', {
+            tasks: [
+                { id: 't1', title: 'Stale', status: 'assigned', assignee: 'MARCUS', statusChangedAt: hoursAgo(30) },
+                { id: 't2', title: 'Fresh', status: 'assigned', assignee: 'MARCUS', statusChangedAt: hoursAgo(2), created: hoursAgo(48) }
+            ]
+        });
+        
+        expect(findings.map(finding => finding.subject)).toEqual(['t1']);
+    });
+    
+    test('dependency-blocked pairs each open task with its blocked dependency', () => {
+        const findings = evaluateRule('dependency-blocked', {
+            tasks: [
+                { id: 'a', title: 'A', status: 'blocked' },
+                { id: 'b', title: 'B', status: 'new', dependsOn: ['a'] },
+                { id: 'c', title: 'C', status: 'completed', dependsOn: ['a'] }
+            ]
+        });
+        
+        expect(findings).toEqual([expect.objectContaining({ subject: 'b:a', taskId: 'b', details: { dependencyId: 'a' } })]);
+    });
+    
+    test('failed-deployment only reports recent failures of this project', () => {
+        const findings = evaluateRule('failed-deployment', {
+            deployments: [
+                { id: 'd1', status: 'failed', endTime: hoursAgo(1), error: 'boom' },
+                { id: 'd2', status: 'failed', endTime: hoursAgo(48) },
+                { id: 'd3', status: 'failed', endTime: hoursAgo(1), config: { projectId: 'other' } },
+                { id: 'd4', status: 'completed', endTime: hoursAgo(1) }
+            ]
+        });
+        
+        expect(findings.map(finding => finding.subject)).toEqual(['d1']);
+        expect(findings[0]).toMatchObject({ severity: 'critical', description: 'Deployment d1 failed: boom' });
+    });
+    
+    test('aci-failure-rate needs enough recent executions above the threshold', () => {
+        const execution = (category, status, hours = 0.1) => ({ category, status, startTime: hoursAgo(hours) });
+        const findings = evaluateRule('aci-failure-rate', {
+            toolExecutions: [
+                ...['failed', 'failed', 'completed', 'completed'].map(status => execution('deploy', status)),
+                ...['failed', 'failed', 'failed'].map(status => execution('search', status)),
+                ...['failed', 'failed', 'failed', 'failed'].map(status => execution('old', status, 5))
+            ]
+        });
+        
+        expect(findings).toEqual([expect.objectContaining({ subject: 'deploy', details: { category: 'deploy', total: 4, failed: 2 } })]);
+    });
+});
+
+describe('BlockerRuleRegistry', () => {
+    const rule = { id: 'always', evaluate: (ctx, { label }) => [{ subject: label }], options: { label: 'x' } };
+    
+    test('applies defaults and rejects rules without evaluate()', () => {
+        const registry = new BlockerRuleRegistry([rule]);
+        expect(registry.get('always')).toMatchObject({ severity: 'medium', enabled: true });
+        expect(() => registry.register({ id: 'broken' })).toThrow('requires an id and an evaluate() function');
+    });
+    
+    test('configure toggles rules and merges options', () => {
+        const registry = new BlockerRuleRegistry([rule]);
+        
+        registry.configure('always', { severity: 'high', options: { label: 'y' } });
+        expect(registry.evaluate(context())).toEqual([{ ruleId: 'always', severity: 'high', subject: 'y' }]);
+        
+        registry.configure('always', { enabled: false });
+        expect(registry.evaluate(context())).toEqual([]);
+        expect(registry.configure('missing', { enabled: true })).toBeNull();
+    });
+    
+    test('a throwing rule is reported without stopping the others', () => {
+        const failing = { id: 'failing', evaluate: () => { throw new Error('bad data'); } };
+        const errors = [];
+        const registry = new BlockerRuleRegistry([failing, rule]);
+        
+        const findings = registry.evaluate(context(), (failedRule, error) => errors.push([failedRule.id, error.message]));
+        
+        expect(findings.map(finding => finding.ruleId)).toEqual(['always']);
+        expect(errors).toEqual([['failing', 'bad data']]);
+    });
+    
+    test('list() leaves out the evaluate functions', () => {
+        const listed = new BlockerRuleRegistry(DEFAULT_BLOCKER_RULES).list();
+        expect(listed).toHaveLength(DEFAULT_BLOCKER_RULES.length);
+        expect(listed.every(entry => entry.evaluate === undefined)).toBe(true);
+    });
+});
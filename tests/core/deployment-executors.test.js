@@ -0,0 +1,125 @@
+/**
+ * BMAD v4 - Deployment Stage Executor tests
+ * Kevin Gardner - Magnificent Worldwide
+ */
+
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import {
+    ShellExecutor,
+    HttpExecutor,
+    ACIToolExecutor,
+    StageExecutorRegistry,
+    createDefaultExecutors
+} from '../../src/core/deployment-executors.js';
+
+// Resolved, since a child reports its real working directory
+const tmpdir = fs.realpathSync(os.tmpdir());
+const node = script => `"${process.execPath}" -e "${script}"`;
+
+describe('ShellExecutor', () => {
+    const shell = new ShellExecutor();
+    
+    test('captures output and the exit code, in the step working directory and environment', async () => {
+        const output = [];
+        const result = await shell.run(
+            { command: node("console.log(process.cwd() + ':' + process.env.RELEASE); console.error('warn'); process.exit(3)"), cwd: tmpdir, env: { RELEASE: '1.2.0' } },
+            { onOutput: (stream, chunk) => output.push(stream) }
+        );
+        
+        expect(result).toMatchObject({ success: false, exitCode: 3, timedOut: false, error: 'Exited with code 3' });
+        expect(result.stdout.trim()).toBe(`${tmpdir}:1.2.0`);
+        expect(result.stderr.trim()).toBe('warn');
+        expect(output.sort()).toEqual(['stderr', 'stdout']);
+    });
+    
+    test('stops commands that run past their timeout or are cancelled', async () => {
+        const timedOut = await shell.run({ command: node('setTimeout(() => {}, 30000)'), timeoutMs: 200 }, {});
+        expect(timedOut).toMatchObject({ success: false, timedOut: true, error: 'Timed out after 200ms' });
+        
+        const controller = new AbortController();
+        const running = shell.run({ command: node('setTimeout(() => {}, 30000)') }, { signal: controller.signal });
+        setTimeout(() => controller.abort(), 100);
+        expect(await running).toMatchObject({ success: false, cancelled: true, error: 'Cancelled' });
+    });
+});
+
+describe('HttpExecutor', () => {
+    let server;
+    let baseUrl;
+    
+    beforeAll(async () => {
+        server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                res.statusCode = req.url === '/ready' ? 200 : 503;
+                res.setHeader('Content-Type', 'application/json');
+                res.end(JSON.stringify({ method: req.method, body }));
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+    
+    afterAll(async () => {
+        await new Promise(resolve => server.close(resolve));
+    });
+    
+    test('succeeds on an expected status and reports the response', async () => {
+        const result = await new HttpExecutor().run({ url: `${baseUrl}/ready`, method: 'POST', body: { version: '2' } }, {});
+        
+        expect(result).toMatchObject({ success: true, exitCode: 0, details: { status: 200 } });
+        expect(JSON.parse(result.stdout)).toEqual({ method: 'POST', body: '{"version":"2"}' });
+    });
+    
+    test('fails on an unexpected status unless the step allows it', async () => {
+        const executor = new HttpExecutor();
+        
+        expect(await executor.run({ url: `${baseUrl}/down` }, {})).toMatchObject({ success: false, exitCode: 1, error: 'Unexpected HTTP status 503' });
+        expect((await executor.run({ url: `${baseUrl}/down`, expectStatus: 503 }, {})).success).toBe(true);
+    });
+});
+
+describe('ACIToolExecutor', () => {
+    test('runs the tool through the ACI integration', async () => {
+        const calls = [];
+        const executor = new ACIToolExecutor({
+            executeTool: async (request) => {
+                calls.push(request);
+                if (request.toolId === 'broken') throw new Error('Tool not found: broken');
+                return { success: true, execution: { id: 'exec-1' }, result: { deployed: true } };
+            }
+        });
+        
+        expect(await executor.run({ toolId: 'vercel-deploy', params: { project: 'web' } }, {})).toMatchObject({
+            success: true,
+            exitCode: 0,
+            details: { executionId: 'exec-1', result: { deployed: true } }
+        });
+        expect(calls[0]).toEqual({ toolId: 'vercel-deploy', params: { project: 'web' } });
+        expect(await executor.run({ toolId: 'broken' }, {})).toEqual({ success: false, exitCode: null, error: 'Tool not found: broken' });
+    });
+});
+
+describe('StageExecutorRegistry', () => {
+    const registry = new StageExecutorRegistry(createDefaultExecutors());
+    
+    test('validates steps against the registered executors', () => {
+        expect(registry.types()).toEqual(['shell', 'npm', 'http']);
+        expect(registry.validateStep({ type: 'shell', command: 'true' })).toEqual([]);
+        expect(registry.validateStep({ type: 'npm' })).toEqual(['npm step requires a script']);
+        expect(registry.validateStep({ type: 'ftp' })).toEqual(['unknown step type: ftp']);
+        expect(() => registry.register({ type: 'broken' })).toThrow('Stage executor requires a type and a run() function');
+    });
+    
+    test('measures the real duration of each step', async () => {
+        const result = await registry.runStep({ name: 'compile', type: 'shell', command: node('setTimeout(() => {}, 150)') }, {});
+        
+        expect(result).toMatchObject({ name: 'compile', type: 'shell', success: true, exitCode: 0 });
+        expect(result.duration).toBeGreaterThanOrEqual(150);
+        expect(await registry.runStep({ type: 'ftp' }, {})).toMatchObject({ name: 'ftp', success: false, error: 'Unknown step type: ftp' });
+    });
+});
@@ -0,0 +1,129 @@
+/**
+ * BMAD v4 - Release History and Rollback tests
+ * Kevin Gardner - Magnificent Worldwide
+ */
+
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { ReleaseHistory, diffConfigs } from '../../src/core/deployment-history.js';
+import { mockLogger } from '../helpers/virtual-modules.js';
+
+mockLogger();
+const { BMADv4Engine } = await import('../../src/core/bmad-v4-engine.js');
+
+const deployment = (id, version, config = {}) => ({ id, version, environment: 'production', config, endTime: new Date() });
+
+describe('ReleaseHistory', () => {
+    test('a rollback release keeps the identity of the release it restores', () => {
+        const history = new ReleaseHistory();
+        history.record(deployment('d1', '1'));
+        history.record(deployment('d2', '2'));
+        history.record(deployment('d3', '1', { rollbackOf: 'd2', restoresDeploymentId: 'd1' }));
+        
+        expect(history.getCurrent('production')).toMatchObject({ deploymentId: 'd3', sourceDeploymentId: 'd1', rollbackOf: 'd2' });
+        expect(history.getPrevious('production').deploymentId).toBe('d2');
+        expect(history.getHistory('production').map(release => release.deploymentId)).toEqual(['d3', 'd2', 'd1']);
+        expect(history.find('production', 'd2').version).toBe('2');
+        expect(history.find('staging', 'd2')).toBeNull();
+    });
+    
+    test('keeps the latest maxReleases per environment', () => {
+        const history = new ReleaseHistory({ maxReleases: 2 });
+        ['d1', 'd2', 'd3'].forEach((id, index) => history.record(deployment(id, String(index + 1))));
+        
+        expect(history.listEnvironments()).toEqual([expect.objectContaining({ environment: 'production', releases: 2 })]);
+        expect(history.find('production', 'd1')).toBeNull();
+    });
+});
+
+describe('diffConfigs', () => {
+    test('reports added, removed and changed leaves, ignoring rollback bookkeeping', () => {
+        const changes = diffConfigs(
+            { version: '1', variables: { replicas: 2, region: 'eu' }, hosts: ['a', 'b'], rollbackOf: 'd1' },
+            { version: '2', variables: { replicas: 3, debug: true }, hosts: ['a'], rollbackOf: 'd2' }
+        );
+        
+        expect(changes).toEqual([
+            { path: 'version', change: 'changed', from: '1', to: '2' },
+            { path: 'variables.replicas', change: 'changed', from: 2, to: 3 },
+            { path: 'variables.region', change: 'removed', from: 'eu' },
+            { path: 'variables.debug', change: 'added', to: true },
+            { path: 'hosts.1', change: 'removed', from: 'b' }
+        ]);
+    });
+});
+
+describe('BMADv4Engine rollback', () => {
+    // The monitor stage fails for version 2 only
+    const pipelineDefinition = {
+        stages: [
+            { name: 'deploy', steps: [{ type: 'shell', command: 'true' }] },
+            { name: 'monitor', steps: [{ type: 'shell', command: 'exit 1', when: { version: '2' } }] }
+        ]
+    };
+    
+    let engine;
+    
+    beforeEach(async () => {
+        // The engine starts its health and performance monitors on intervals; keep them from firing
+        jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask', 'Date'] });
+        engine = new BMADv4Engine();
+        await new Promise(resolve => engine.once('initialized', resolve));
+    });
+    
+    afterEach(() => {
+        jest.clearAllTimers();
+        jest.useRealTimers();
+    });
+    
+    const deploy = (version, config = {}) => engine.deploy({ environment: 'production', version, pipelineDefinition, ...config });
+    
+    test('rolls back to the last good release when the monitor stage fails', async () => {
+        const good = await deploy('1');
+        const events = [];
+        engine.on('deployment:rolled-back', rollback => events.push(rollback.reason));
+        
+        const failed = await deploy('2', { autoRollback: true });
+        
+        expect(failed).toMatchObject({
+            success: false,
+            rollback: { success: true, reason: 'auto', fromDeploymentId: failed.deploymentId, rolledBackTo: { deploymentId: good.deploymentId, version: '1' } }
+        });
+        expect(engine.releases.getCurrent('production')).toMatchObject({ version: '1', sourceDeploymentId: good.deploymentId, rollbackOf: failed.deploymentId });
+        expect(events).toEqual(['auto']);
+        
+        // Without auto-rollback the failed version is left for the operator
+        expect((await deploy('2')).rollback).toBeUndefined();
+    });
+    
+    test('manual rollback returns to the release before the current one', async () => {
+        const first = await deploy('1');
+        const second = await deploy('3');
+        
+        const rollback = await engine.rollback('production');
+        expect(rollback).toMatchObject({ success: true, reason: 'manual', fromDeploymentId: second.deploymentId, rolledBackTo: { deploymentId: first.deploymentId } });
+        expect(engine.getDeployment(rollback.deploymentId).config).toMatchObject({ version: '1', rollbackOf: second.deploymentId });
+        
+        const pinned = await engine.rollback('production', { toDeploymentId: second.deploymentId });
+        expect(pinned.rolledBackTo).toEqual({ deploymentId: second.deploymentId, version: '3' });
+        
+        await expect(engine.rollback('production', { toDeploymentId: 'missing' })).rejects.toMatchObject({ statusCode: 404 });
+        await expect(engine.rollback('staging')).rejects.toMatchObject({ statusCode: 409 });
+    });
+    
+    test('diffs the configs and pipelines of two deployments', async () => {
+        const first = await deploy('1', { variables: { replicas: 2 } });
+        const second = await deploy('3', {
+            variables: { replicas: 4 },
+            pipelineDefinition: { stages: [{ name: 'deploy', steps: [{ type: 'shell', command: 'true' }] }] }
+        });
+        
+        const diff = engine.diffDeployments(first.deploymentId, second.deploymentId);
+        expect(diff.from).toMatchObject({ id: first.deploymentId, version: '1', status: 'completed' });
+        expect(diff.changes).toEqual([
+            { path: 'version', change: 'changed', from: '1', to: '3' },
+            { path: 'variables.replicas', change: 'changed', from: 2, to: 4 }
+        ]);
+        expect(diff.pipelineChanges).toEqual([expect.objectContaining({ path: 'stages.1', change: 'removed' })]);
+        expect(engine.diffDeployments(first.deploymentId, 'missing')).toBeNull();
+    });
+});
@@ -0,0 +1,96 @@
+/**
+ * BMAD v4 - Deployment Log Buffer tests
+ * Kevin Gardner - Magnificent Worldwide
+ */
+
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import { DeploymentLogBuffer } from '../../src/core/deployment-logs.js';
+import { mockServerModules } from '../helpers/virtual-modules.js';
+
+mockServerModules();
+const { TrinityBackendServer } = await import('../../server.js');
+
+const source = { stage: 'build', step: 'compile', stream: 'stdout' };
+
+describe('DeploymentLogBuffer', () => {
+    let buffer;
+    
+    beforeEach(() => {
+        buffer = new DeploymentLogBuffer({ maxLines: 3, maxDeployments: 2 });
+    });
+    
+    test('stores complete lines and holds a partial line until it ends', () => {
+        expect(buffer.append('d1', source, 'first\nsec').map(line => line.message)).toEqual(['first']);
+        expect(buffer.append('d1', source, 'ond\r\n').map(line => line.message)).toEqual(['second']);
+        
+        buffer.append('d1', source, 'no newline');
+        expect(buffer.flush('d1', source)).toEqual([expect.objectContaining({ seq: 3, message: 'no newline', stage: 'build' })]);
+        expect(buffer.flush('d1', source)).toEqual([]);
+    });
+    
+    test('keeps the last maxLines lines and logs of the last maxDeployments deployments', () => {
+        for (const message of ['a', 'b', 'c', 'd']) buffer.system('d1', message);
+        expect(buffer.query('d1').lines.map(line => `${line.seq}:${line.message}`)).toEqual(['2:b', '3:c', '4:d']);
+        
+        buffer.system('d2', 'x');
+        buffer.system('d3', 'y');
+        expect(Array.from(buffer.logs.keys())).toEqual(['d2', 'd3']);
+        
+        buffer.remove('d2');
+        expect(buffer.query('d2')).toMatchObject({ total: 0, lines: [] });
+    });
+    
+    test('filters by sequence, stage and stream and pages the result', () => {
+        buffer = new DeploymentLogBuffer();
+        buffer.system('d1', 'Stage started', { stage: 'build' });
+        buffer.append('d1', source, 'one\ntwo\n');
+        buffer.append('d1', { ...source, stream: 'stderr' }, 'warning\n');
+        
+        expect(buffer.query('d1', { afterSeq: 1 }).lines.map(line => line.message)).toEqual(['one', 'two', 'warning']);
+        expect(buffer.query('d1', { stream: 'stderr' }).lines.map(line => line.seq)).toEqual([4]);
+        expect(buffer.query('d1', { stage: 'build', offset: 1, limit: 2 })).toMatchObject({ total: 4, lines: [{ seq: 2 }, { seq: 3 }] });
+    });
+});
+
+describe('deployments:subscribe', () => {
+    const logs = new DeploymentLogBuffer();
+    for (let index = 1; index <= 1500; index++) logs.system('d1', `line ${index}`);
+    
+    const bmadEngine = {
+        getDeploymentSummary: deploymentId => deploymentId === 'd1' ? { id: 'd1', status: 'running' } : null,
+        getDeploymentLogs: (deploymentId, query) => ({ deploymentId, ...logs.query(deploymentId, query) })
+    };
+    
+    const subscribe = (payload) => {
+        const socket = { rooms: [], events: [], join(room) { this.rooms.push(room); }, emit(...event) { this.events.push(event); } };
+        TrinityBackendServer.prototype.subscribeToDeploymentLogs.call({ bmadEngine }, socket, payload);
+        return socket;
+    };
+    
+    test('replays at most 1000 lines and pages with afterSeq', () => {
+        const first = subscribe({ deploymentId: 'd1' });
+        const [event, replay] = first.events[0];
+        
+        expect(first.rooms).toEqual(['deployment:d1']);
+        expect(event).toBe('deployment:log-replay');
+        expect(replay).toMatchObject({ deploymentId: 'd1', hasMore: true, lastSeq: 1000 });
+        expect(replay.lines).toHaveLength(1000);
+        
+        const [, next] = subscribe({ deploymentId: 'd1', afterSeq: replay.lastSeq }).events[0];
+        expect(next).toMatchObject({ hasMore: false, lastSeq: 1500 });
+        expect(next.lines[0].seq).toBe(1001);
+        
+        const [, caughtUp] = subscribe({ deploymentId: 'd1', afterSeq: 1500, limit: 10 }).events[0];
+        expect(caughtUp).toMatchObject({ lines: [], hasMore: false, lastSeq: 1500 });
+    });
+    
+    test('reports invalid payloads and unknown deployments instead of throwing', () => {
+        for (const payload of [null, undefined, 'd1', 42, {}, { deploymentId: 'd1', limit: 5000 }]) {
+            const socket = subscribe(payload);
+            expect(socket.rooms).toEqual([]);
+            expect(socket.events).toEqual([['deployments:error', expect.objectContaining({ error: expect.any(String) })]]);
+        }
+        
+        expect(subscribe({ deploymentId: 'missing' }).events).toEqual([['deployments:error', { deploymentId: 'missing', error: 'Deployment not found' }]]);
+    });
+});
@@ -0,0 +1,187 @@
+/**
+ * BMAD v4 - Deployment Pipeline Definition tests
+ * Kevin Gardner - Magnificent Worldwide
+ */
+
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+    normalizePipeline,
+    buildDefaultPipeline,
+    evaluateCondition,
+    PipelineLoader
+} from '../../src/core/deployment-pipelines.js';
+import { StageExecutorRegistry, createDefaultExecutors } from '../../src/core/deployment-executors.js';
+import { mockLogger } from '../helpers/virtual-modules.js';
+
+mockLogger();
+const { BMADv4Engine } = await import('../../src/core/bmad-v4-engine.js');
+
+const executors = new StageExecutorRegistry(createDefaultExecutors());
+const node = script => `"${process.execPath}" -e "${script}"`;
+
+let pipelinesDir;
+
+beforeEach(async () => {
+    pipelinesDir = await fs.mkdtemp(path.join(os.tmpdir(), 'trinity-pipelines-'));
+});
+
+afterEach(async () => {
+    await fs.rm(pipelinesDir, { recursive: true, force: true });
+});
+
+describe('normalizePipeline', () => {
+    test('applies step and stage defaults', () => {
+        const pipeline = normalizePipeline({
+            stages: [
+                { name: 'build', steps: [{ type: 'shell', command: 'make' }] },
+                { name: 'monitor', steps: [] }
+            ]
+        }, executors, 'web');
+        
+        expect(pipeline).toMatchObject({ name: 'web', autoRollback: false });
+        expect(pipeline.stages[0]).toMatchObject({ parallel: false, monitor: false, steps: [{ retries: 0, retryDelayMs: 1000, continueOnError: false }] });
+        expect(pipeline.stages[1].monitor).toBe(true);
+    });
+    
+    test('lists every problem, including ones the step executors report', () => {
+        let error;
+        try {
+            normalizePipeline({
+                stages: [
+                    { name: 'build', steps: [{ type: 'shell' }, { type: 'ftp' }, { type: 'npm', script: 'build', retries: 20 }] },
+                    { name: 'build' }
+                ],
+                strategy: { type: 'canary', afterStage: 'release', steps: [50, 10], traffic: [{ type: 'shell', command: 'x' }], healthGate: [{ type: 'http' }] }
+            }, executors, 'web');
+        } catch (caught) {
+            error = caught;
+        }
+        
+        expect(error).toMatchObject({ statusCode: 400, message: 'Invalid pipeline definition: web' });
+        expect(error.details.problems).toEqual(expect.arrayContaining([
+            expect.stringContaining('retries'),
+            expect.stringContaining('duplicate value'),
+            expect.stringContaining('ascending traffic weights ending at 100'),
+            'stages.0.steps.0 (build): shell step requires a command',
+            'stages.0.steps.1 (build): unknown step type: ftp',
+            'strategy.healthGate.0: http step requires a url',
+            'strategy.afterStage: no stage named "release"'
+        ]));
+    });
+    
+    test('runs a rollout strategy after the deploy stage by default', () => {
+        const action = [{ type: 'shell', command: 'true' }];
+        const pipeline = normalizePipeline({
+            stages: [{ name: 'build' }, { name: 'deploy' }, { name: 'smoke' }],
+            strategy: { type: 'blue-green', healthGate: action, switch: action }
+        }, executors);
+        
+        expect(pipeline.strategy).toMatchObject({ afterStage: 'deploy', slots: ['blue', 'green'] });
+    });
+});
+
+describe('buildDefaultPipeline', () => {
+    test('fills the built-in stages and rejects unknown ones', () => {
+        const pipeline = buildDefaultPipeline({ build: [{ type: 'npm', script: 'build' }] });
+        expect(pipeline.stages.map(stage => [stage.name, stage.steps.length])).toEqual([
+            ['validate', 0], ['build', 1], ['test', 0], ['deploy', 0], ['monitor', 0]
+        ]);
+        
+        expect(() => buildDefaultPipeline({ package: [] })).toThrow(expect.objectContaining({
+            details: { problems: ['steps.package: unknown deployment stage'] }
+        }));
+    });
+});
+
+describe('evaluateCondition', () => {
+    test('matches every variable against a value or a list of values', () => {
+        const variables = { environment: 'production', replicas: 3 };
+        
+        expect(evaluateCondition(undefined, variables)).toBe(true);
+        expect(evaluateCondition({ environment: ['staging', 'production'], replicas: '3' }, variables)).toBe(true);
+        expect(evaluateCondition({ environment: 'staging' }, variables)).toBe(false);
+        expect(evaluateCondition({ region: 'eu' }, variables)).toBe(false);
+    });
+});
+
+describe('PipelineLoader', () => {
+    test('loads YAML and JSON definitions by target name', async () => {
+        await fs.writeFile(path.join(pipelinesDir, 'web.yml'), 'stages:\n  - name: build\n    steps:\n      - type: shell\n        command: make\n');
+        await fs.writeFile(path.join(pipelinesDir, 'api.json'), JSON.stringify({ stages: [{ name: 'deploy' }] }));
+        await fs.writeFile(path.join(pipelinesDir, 'notes.txt'), 'ignored');
+        const loader = new PipelineLoader(pipelinesDir);
+        
+        expect(await loader.list()).toEqual(['api', 'web']);
+        expect((await loader.load('web', executors)).stages[0].steps[0].command).toBe('make');
+        expect((await loader.load('api', executors)).name).toBe('api');
+        expect(await new PipelineLoader(path.join(pipelinesDir, 'missing')).list()).toEqual([]);
+    });
+    
+    test('reports unknown targets, unsafe names and unparseable files', async () => {
+        await fs.writeFile(path.join(pipelinesDir, 'broken.yaml'), 'stages: [unclosed');
+        const loader = new PipelineLoader(pipelinesDir);
+        
+        await expect(loader.load('web', executors)).rejects.toMatchObject({ statusCode: 404, message: 'Pipeline not found for target: web' });
+        await expect(loader.load('../secrets', executors)).rejects.toMatchObject({ statusCode: 400 });
+        await expect(loader.load('broken', executors)).rejects.toMatchObject({ statusCode: 400, message: 'Failed to parse pipeline file: broken.yaml' });
+    });
+});
+
+describe('pipeline execution', () => {
+    beforeEach(() => {
+        // The engine starts its monitors on intervals; step timeouts and retry delays stay real
+        jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask', 'Date', 'setTimeout', 'clearTimeout'] });
+    });
+    
+    afterEach(() => {
+        jest.clearAllTimers();
+        jest.useRealTimers();
+    });
+    
+    test('runs parallel stages, conditional and retried steps from the target pipeline', async () => {
+        const counter = path.join(pipelinesDir, 'attempts');
+        const flaky = node(`const fs = require('fs'); const n = fs.existsSync('${counter}') ? 1 : 0; fs.writeFileSync('${counter}', 'x'); process.exit(n ? 0 : 1)`);
+        const sleep = node('setTimeout(() => {}, 600)');
+        
+        await fs.writeFile(path.join(pipelinesDir, 'web.json'), JSON.stringify({
+            env: { REGION: 'eu' },
+            stages: [
+                { name: 'build', parallel: true, steps: [{ type: 'shell', command: sleep }, { type: 'shell', command: sleep }] },
+                { name: 'migrate', when: { environment: 'production' }, steps: [{ type: 'shell', command: 'exit 1' }] },
+                { name: 'release', env: { CHANNEL: 'beta' }, steps: [
+                    { name: 'flaky', type: 'shell', command: flaky, retries: 2, retryDelayMs: 0 },
+                    { name: 'notify', type: 'shell', command: 'exit 1', when: { environment: 'production' } },
+                    { name: 'env', type: 'shell', command: node('console.log(process.env.REGION + process.env.CHANNEL)') }
+                ] }
+            ]
+        }));
+        
+        const engine = new BMADv4Engine({ pipelinesDir });
+        await new Promise(resolve => engine.once('initialized', resolve));
+        const result = await engine.deploy({ target: 'web', environment: 'staging' });
+        expect(result.success).toBe(true);
+        
+        const [build, migrate, release] = engine.getDeployment(result.deploymentId).stages;
+        expect(build.details.parallel).toBe(true);
+        expect(build.duration).toBeLessThan(1200);
+        expect(migrate.status).toBe('skipped');
+        expect(release.details.steps.map(step => [step.name, step.attempts, step.skipped])).toEqual([
+            ['flaky', 2, undefined],
+            ['notify', undefined, true],
+            ['env', 1, undefined]
+        ]);
+        expect(release.details.steps[2].stdout.trim()).toBe('eubeta');
+    });
+    
+    test('rejects an invalid pipeline before creating a deployment', async () => {
+        await fs.writeFile(path.join(pipelinesDir, 'web.json'), JSON.stringify({ stages: [] }));
+        const engine = new BMADv4Engine({ pipelinesDir });
+        await new Promise(resolve => engine.once('initialized', resolve));
+        
+        await expect(engine.deploy({ target: 'web', environment: 'staging' })).rejects.toMatchObject({ statusCode: 400 });
+        expect(engine.getAllDeployments()).toEqual([]);
+    });
+});
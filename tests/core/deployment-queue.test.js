@@ -0,0 +1,99 @@
+/**
+ * BMAD v4 - Deployment Queue tests
+ * Kevin Gardner - Magnificent Worldwide
+ */
+
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { mockLogger } from '../helpers/virtual-modules.js';
+
+mockLogger();
+const { BMADv4Engine } = await import('../../src/core/bmad-v4-engine.js');
+
+// A build step that keeps the deployment running for `ms`
+const waitStep = ms => ({ type: 'shell', command: `"${process.execPath}" -e "setTimeout(() => {}, ${ms})"` });
+
+beforeEach(() => {
+    // The engine starts its health and performance monitors on intervals; keep them from firing
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask', 'Date'] });
+});
+
+afterEach(() => {
+    jest.clearAllTimers();
+    jest.useRealTimers();
+});
+
+// Resolves once the engine has loaded its agents and started its monitors
+const createEngine = async (options = {}) => {
+    const engine = new BMADv4Engine({ defaultPipelineSteps: { build: [waitStep(300)] }, ...options });
+    await new Promise(resolve => engine.once('initialized', resolve));
+    return engine;
+};
+
+describe('deployment queue', () => {
+    test('runs one deployment per environment at a time, in order', async () => {
+        const engine = await createEngine();
+        const started = [];
+        engine.on('deployment:started', ({ deploymentId }) => started.push(deploymentId));
+        
+        const first = await engine.enqueueDeployment({ environment: 'staging', version: '1.0.0' });
+        const second = await engine.enqueueDeployment({ environment: 'staging', version: '1.0.1' });
+        const other = await engine.enqueueDeployment({ environment: 'production', version: '1.0.0' });
+        
+        expect(first.position).toBeNull();
+        expect(second.position).toBe(1);
+        expect(other.position).toBeNull();
+        expect(engine.getDeploymentQueues().find(queue => queue.environment === 'staging')).toMatchObject({
+            running: first.deployment.id,
+            pending: [{ deploymentId: second.deployment.id, position: 1, version: '1.0.1' }]
+        });
+        
+        const results = await Promise.all([first.completion, second.completion, other.completion]);
+        expect(results.every(result => result.success)).toBe(true);
+        expect(started.indexOf(second.deployment.id)).toBeGreaterThan(started.indexOf(first.deployment.id));
+        expect(engine.getDeployment(second.deployment.id).startTime.getTime())
+            .toBeGreaterThanOrEqual(engine.getDeployment(first.deployment.id).endTime.getTime());
+    });
+    
+    test('cancels queued deployments right away and running ones at the current step', async () => {
+        const engine = await createEngine({ defaultPipelineSteps: { build: [waitStep(30000)] } });
+        const running = await engine.enqueueDeployment({ environment: 'staging' });
+        const queued = await engine.enqueueDeployment({ environment: 'staging' });
+        
+        expect(engine.cancelDeployment(queued.deployment.id).status).toBe('cancelled');
+        expect(await queued.completion).toMatchObject({ success: false, status: 'cancelled' });
+        
+        expect(engine.cancelDeployment(running.deployment.id)).toMatchObject({ status: 'running', cancelRequested: true });
+        expect(await running.completion).toMatchObject({ success: false, status: 'cancelled' });
+        expect(engine.getDeployment(running.deployment.id).status).toBe('cancelled');
+        
+        expect(() => engine.cancelDeployment(running.deployment.id)).toThrow(expect.objectContaining({ statusCode: 409 }));
+        expect(engine.cancelDeployment('missing')).toBeNull();
+    });
+});
+
+describe('deployment retention', () => {
+    test('forgets the oldest finished deployments and their logs past the limit', async () => {
+        const engine = await createEngine({ maxFinishedDeployments: 2, defaultPipelineSteps: {} });
+        const deployments = [];
+        for (const version of ['1', '2', '3']) {
+            deployments.push((await engine.deploy({ environment: 'staging', version })).deploymentId);
+        }
+        
+        expect(engine.getAllDeployments().map(deployment => deployment.version)).toEqual(['2', '3']);
+        expect(engine.getDeploymentLogs(deployments[0])).toBeNull();
+        expect(engine.deploymentLogs.logs.has(deployments[0])).toBe(false);
+        expect(engine.getDeploymentLogs(deployments[2]).lines.length).toBeGreaterThan(0);
+        expect(engine.getReleaseHistory('staging').map(release => release.deploymentId).sort()).toEqual([...deployments].sort());
+    });
+    
+    test('keeps the deployment the blue-green slots point at', async () => {
+        const engine = await createEngine({ maxFinishedDeployments: 1, defaultPipelineSteps: {} });
+        const { deploymentId: live } = await engine.deploy({ environment: 'production', version: '1' });
+        engine.blueGreenSlots.set('production', { activeSlot: 'blue', previousSlot: 'green', deploymentId: live });
+        
+        await engine.deploy({ environment: 'production', version: '2' });
+        await engine.deploy({ environment: 'production', version: '3' });
+        
+        expect(engine.getAllDeployments().map(deployment => deployment.version)).toEqual(['1', '3']);
+    });
+});
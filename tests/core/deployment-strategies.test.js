@@ -0,0 +1,122 @@
+/**
+ * BMAD v4 - Deployment Rollout Strategies tests
+ * Kevin Gardner - Magnificent Worldwide
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import { interpolateSteps, runBlueGreen, runCanary, shellQuote } from '../../src/core/deployment-strategies.js';
+
+// Stands in for the engine's stage runner; `fail` names the action (and optional weight or slot) that fails
+const recorder = (fail = () => false) => {
+    const calls = [];
+    const runActions = async (name, steps, variables) => {
+        calls.push({ name, ...variables });
+        const success = !fail(name, variables);
+        return { success, duration: 0, details: { steps: [], ...(!success && { error: `${name} failed` }) } };
+    };
+    return { calls, runActions };
+};
+
+describe('interpolateSteps', () => {
+    const variables = { version: "1.2.3'; rm -rf / #", path: '../admin?x=1#', header: 'ok\r\nX-Injected: 1', quote: 'say "hi"', option: '--prefix=/tmp' };
+    
+    test('quotes values as single words in shell commands', () => {
+        const [step] = interpolateSteps([{ type: 'shell', name: 'deploy {{version}}', command: 'deploy.sh {{version}}' }], variables);
+        
+        expect(step.command).toBe(`deploy.sh ${shellQuote(variables.version)}`);
+        expect(step.name).toBe(`deploy ${variables.version}`);
+    });
+    
+    test('URL-encodes values in http urls and JSON-escapes them in text bodies', () => {
+        const [step] = interpolateSteps([{
+            type: 'http',
+            url: 'http://localhost:8080/releases/{{path}}?v={{version}}',
+            body: '{"note": "{{quote}}"}'
+        }], variables);
+        
+        expect(step.url).toBe(`http://localhost:8080/releases/..%2Fadmin%3Fx%3D1%23?v=${encodeURIComponent(variables.version)}`);
+        expect(JSON.parse(step.body)).toEqual({ note: 'say "hi"' });
+    });
+    
+    test('leaves structured http bodies to the JSON serializer', () => {
+        const [step] = interpolateSteps([{ type: 'http', url: 'http://localhost', body: { note: '{{quote}}', weight: 5 } }], variables);
+        expect(step.body).toEqual({ note: 'say "hi"', weight: 5 });
+    });
+    
+    test('rejects line breaks in headers and options in npm args', () => {
+        expect(() => interpolateSteps([{ type: 'http', url: 'http://localhost', headers: { 'X-Note': '{{header}}' } }], variables))
+            .toThrow('Variable header cannot be used in an HTTP header');
+        expect(() => interpolateSteps([{ type: 'npm', script: 'release', args: ['{{option}}'] }], variables))
+            .toThrow('Variable option cannot be used as an npm argument');
+        expect(interpolateSteps([{ type: 'npm', script: 'release', args: ['--tag', '{{version}}'] }], variables)[0].args)
+            .toEqual(['--tag', variables.version]);
+    });
+    
+    test('leaves unknown placeholders in place', () => {
+        expect(interpolateSteps([{ type: 'shell', command: 'echo {{missing}}' }], {})[0].command).toBe('echo {{missing}}');
+    });
+});
+
+describe('runCanary', () => {
+    const strategy = { steps: [10, 50, 100], intervalMs: 0, traffic: [], healthGate: [] };
+    
+    test('shifts traffic step by step, gating each weight', async () => {
+        const { calls, runActions } = recorder();
+        const result = await runCanary(strategy, { runActions });
+        
+        expect(result).toMatchObject({ success: true, weight: 100 });
+        expect(calls.map(call => `${call.name}@${call.weight}`)).toEqual([
+            'traffic@10', 'health-gate@10', 'traffic@50', 'health-gate@50', 'traffic@100', 'health-gate@100'
+        ]);
+    });
+    
+    test('sends all traffic back when a health gate fails', async () => {
+        const { calls, runActions } = recorder((name, { weight }) => name === 'health-gate' && weight === 50);
+        const result = await runCanary(strategy, { runActions });
+        
+        expect(result).toMatchObject({ success: false, reverted: true, error: 'Health gate failed at 50% traffic' });
+        expect(calls.at(-1)).toEqual({ name: 'revert', weight: 0 });
+    });
+    
+    test('reverts when cancelled between steps', async () => {
+        const controller = new AbortController();
+        const { calls, runActions } = recorder();
+        const cancelling = async (...args) => {
+            controller.abort();
+            return runActions(...args);
+        };
+        
+        expect(await runCanary(strategy, { runActions: cancelling, signal: controller.signal })).toMatchObject({ success: false, error: 'Cancelled' });
+        expect(calls.map(call => call.name)).toEqual(['traffic', 'revert']);
+    });
+});
+
+describe('runBlueGreen', () => {
+    const strategy = { healthGate: [], switch: [], verify: [] };
+    
+    test('checks the idle slot, then switches traffic to it', async () => {
+        const { calls, runActions } = recorder();
+        const result = await runBlueGreen(strategy, { runActions, activeSlot: 'blue', targetSlot: 'green' });
+        
+        expect(result).toMatchObject({ success: true, switched: true, activeSlot: 'green', previousSlot: 'blue' });
+        expect(calls.map(call => `${call.name}:${call.slot}`)).toEqual(['health-gate:green', 'switch:green', 'verify:green']);
+    });
+    
+    test('never switches when the health gate fails', async () => {
+        const { calls, runActions } = recorder(name => name === 'health-gate');
+        
+        expect(await runBlueGreen(strategy, { runActions, activeSlot: 'blue', targetSlot: 'green' })).toMatchObject({ success: false, switched: false });
+        expect(calls).toHaveLength(1);
+    });
+    
+    test('switches back when verification fails, unless there was no previous slot', async () => {
+        const failVerify = name => name === 'verify';
+        
+        const { calls, runActions } = recorder(failVerify);
+        expect(await runBlueGreen(strategy, { runActions, activeSlot: 'blue', targetSlot: 'green' })).toMatchObject({ switched: true, reverted: true });
+        expect(calls.at(-1)).toMatchObject({ name: 'switch', slot: 'blue', activeSlot: 'green' });
+        
+        const first = recorder(failVerify);
+        expect(await runBlueGreen(strategy, { runActions: first.runActions, activeSlot: null, targetSlot: 'blue' })).toMatchObject({ reverted: false });
+    });
+});
@@ -0,0 +1,75 @@
+/**
+ * Trinity Framework - Execution History tests
+ * Kevin Gardner - Magnificent Worldwide
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import { ExecutionHistory } from '../../src/core/execution-history.js';
+
+const execution = (id, status, duration, startTime, extra = {}) => ({
+    id,
+    status,
+    duration,
+    startTime: new Date(startTime),
+    ...extra
+});
+
+describe('ExecutionHistory', () => {
+    test('drops the oldest entries beyond maxEntries', () => {
+        const history = new ExecutionHistory({ maxEntries: 2 });
+        ['e1', 'e2', 'e3'].forEach((id, index) => history.record('prp', 'cmd', execution(id, 'completed', 1, index)));
+        
+        expect(history.query().map(entry => entry.id)).toEqual(['e2', 'e3']);
+    });
+    
+    test('drops entries older than maxAgeMs', () => {
+        const history = new ExecutionHistory({ maxAgeMs: 1000 });
+        history.entries.push({ ...execution('old', 'completed', 1, 0), source: 'aci', name: 'tool' });
+        history.entries.push({ ...execution('new', 'completed', 1, 5000), source: 'aci', name: 'tool' });
+        
+        history.prune(5500);
+        expect(history.query().map(entry => entry.id)).toEqual(['new']);
+    });
+    
+    test('filters by source, name, status, agent and time range', () => {
+        const history = new ExecutionHistory();
+        history.record('prp', 'parallel.spawn', execution('e1', 'completed', 10, '2026-01-01T00:00:00Z', { agentId: 'MARCUS' }));
+        history.record('aci', 'github.search', execution('e2', 'failed', 20, '2026-01-02T00:00:00Z'));
+        history.record('prp', 'parallel.spawn', execution('e3', 'failed', 30, '2026-01-03T00:00:00Z'));
+        
+        expect(history.query({ source: 'prp' }).map(entry => entry.id)).toEqual(['e1', 'e3']);
+        expect(history.query({ status: 'failed', limit: 1 }).map(entry => entry.id)).toEqual(['e3']);
+        expect(history.query({ agentId: 'MARCUS' }).map(entry => entry.id)).toEqual(['e1']);
+        expect(history.query({ from: '2026-01-02T00:00:00Z', to: '2026-01-02T12:00:00Z' }).map(entry => entry.id)).toEqual(['e2']);
+        expect(history.count({ name: 'parallel.spawn' })).toBe(2);
+        expect(history.query()[1]).toMatchObject({ source: 'aci', name: 'github.search', agentId: null });
+    });
+    
+    test('reports failure rate and duration percentiles overall and per name', () => {
+        const history = new ExecutionHistory();
+        [10, 20, 30, 40].forEach((duration, index) => {
+            history.record('prp', 'a', execution(`a${index}`, index === 0 ? 'failed' : 'completed', duration, index));
+        });
+        history.record('aci', 'b', execution('b0', 'completed', 100, 10));
+        
+        const stats = history.getStats();
+        expect(stats).toMatchObject({ count: 5, completed: 4, failed: 1, failureRate: 0.2, p50Duration: 30, p95Duration: 100, maxDuration: 100 });
+        expect(stats.byName[0]).toMatchObject({ source: 'prp', name: 'a', count: 4, failureRate: 0.25, avgDuration: 25 });
+        
+        expect(new ExecutionHistory().getStats()).toMatchObject({ count: 0, failureRate: null, avgDuration: null, byName: [] });
+    });
+    
+    test('exports NDJSON records and escaped CSV rows', () => {
+        const history = new ExecutionHistory();
+        history.record('aci', 'tool', execution('e1', 'failed', 5, '2026-01-01T00:00:00Z', { error: 'bad "input", retry' }));
+        
+        const [line] = history.export('ndjson').trim().split('\n');
+        expect(JSON.parse(line)).toMatchObject({ id: 'e1', source: 'aci', error: 'bad "input", retry' });
+        
+        const [header, row] = history.export('csv').trim().split('\n');
+        expect(header).toBe('id,source,name,status,agentId,startTime,endTime,duration,error');
+        expect(row).toBe('e1,aci,tool,failed,,2026-01-01T00:00:00.000Z,,5,"bad ""input"", retry"');
+        
+        expect(new ExecutionHistory().export('ndjson')).toBe('');
+    });
+});
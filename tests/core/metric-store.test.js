@@ -0,0 +1,107 @@
+/**
+ * Trinity Framework - Time-Series Metric Store tests
+ * Kevin Gardner - Magnificent Worldwide
+ */
+
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { MetricStore } from '../../src/core/metric-store.js';
+import { mockLogger } from '../helpers/virtual-modules.js';
+
+mockLogger();
+const { metricQuerySchema } = await import('../../src/validation/trinity-schemas.js');
+const { TrinityOrchestrator } = await import('../../src/core/trinity-orchestrator.js');
+const { MemoryStore } = await import('../../src/infrastructure/storage/index.js');
+
+const START = new Date('2026-07-01T00:00:00.000Z').getTime();
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const at = minutes => new Date(START + minutes * MINUTE);
+
+beforeEach(() => {
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask'], now: START });
+});
+
+afterEach(() => {
+    jest.clearAllTimers();
+    jest.useRealTimers();
+});
+
+describe('MetricStore', () => {
+    test('rolls samples up into minute, hour and day aggregates and keeps an hour of raw points', () => {
+        const store = new MetricStore();
+        for (const [minutes, value] of [[0, 10], [0.5, 30], [1, 20], [61, 5]]) {
+            store.record('cpu', value, { timestamp: at(minutes) });
+        }
+        
+        const range = { from: at(0), to: at(120) };
+        expect(store.query('cpu', { ...range, step: 'raw' }).points.map(point => point.value)).toEqual([20, 5]);
+        expect(store.query('cpu', { ...range, step: 'minute' }).points).toEqual([
+            { timestamp: at(0), min: 10, max: 30, avg: 20, last: 30, count: 2 },
+            { timestamp: at(1), min: 20, max: 20, avg: 20, last: 20, count: 1 },
+            { timestamp: at(61), min: 5, max: 5, avg: 5, last: 5, count: 1 }
+        ]);
+        expect(store.query('cpu', { ...range, step: 'hour' }).points.map(point => [point.count, point.last])).toEqual([[3, 20], [1, 5]]);
+        expect(store.query('cpu', { ...range, step: 'day' }).points).toEqual([expect.objectContaining({ min: 5, max: 30, avg: 16.25 })]);
+    });
+    
+    test('drops points older than each resolution keeps', () => {
+        const store = new MetricStore({ retention: { raw: 10 * MINUTE, minute: HOUR } });
+        store.record('cpu', 1, { timestamp: at(0) });
+        store.record('cpu', 2, { timestamp: at(90) });
+        
+        const range = { from: at(0), to: at(90) };
+        expect(store.query('cpu', { ...range, step: 'raw' }).points.map(point => point.value)).toEqual([2]);
+        expect(store.query('cpu', { ...range, step: 'minute' }).points.map(point => point.last)).toEqual([2]);
+        expect(store.query('cpu', { ...range, step: 'hour' }).points.map(point => point.last)).toEqual([1, 2]);
+    });
+    
+    test('picks the finest resolution that covers the range, and separates scopes', () => {
+        const store = new MetricStore();
+        jest.setSystemTime(at(3 * 24 * 60));
+        store.record('velocity', 4, { scope: 'p1' });
+        
+        expect(store.query('velocity', { scope: 'p1' }).step).toBe('raw');
+        expect(store.query('velocity', { scope: 'p1', from: at(2 * 24 * 60) }).step).toBe('minute');
+        expect(store.query('velocity', { scope: 'p1', from: at(0) }).step).toBe('hour');
+        expect(store.query('velocity', { scope: 'p1', from: new Date(START - 60 * 24 * HOUR) }).step).toBe('day');
+        
+        expect(store.query('velocity')).toBeNull();
+        expect(store.listSeries()).toEqual([expect.objectContaining({ name: 'velocity', scope: 'p1', points: 1 })]);
+    });
+    
+    test('computes the trend over the window rather than the last sample', () => {
+        const store = new MetricStore({ trendWindowMs: 10 * MINUTE });
+        for (const [minutes, value] of [[0, 10], [2, 12], [4, 14], [6, 16], [8, 15]]) {
+            store.record('tasks', value, { timestamp: at(minutes) });
+        }
+        
+        expect(store.trend('tasks', { now: at(8).getTime() })).toBe('increasing');
+        expect(store.trend('tasks', { now: at(8).getTime(), windowMs: 2 * MINUTE })).toBe('decreasing');
+        expect(store.trend('tasks', { now: at(30).getTime() })).toBe('stable');
+        expect(store.trend('missing')).toBe('stable');
+    });
+});
+
+describe('metric queries', () => {
+    test('the query schema only accepts known steps and ordered ranges', () => {
+        expect(metricQuerySchema.validate({ step: 'minute', from: '2026-07-01T00:00:00.000Z' }).error).toBeUndefined();
+        expect(metricQuerySchema.validate({ step: 'second' }).error).toBeDefined();
+        expect(metricQuerySchema.validate({ from: '2026-07-02T00:00:00.000Z', to: '2026-07-01T00:00:00.000Z' }).error).toBeDefined();
+    });
+    
+    test('orchestrator metric updates feed the store and report its trend', async () => {
+        const engine = { getStatus: () => ({ agents: 0, status: 'ready' }) };
+        const orchestrator = new TrinityOrchestrator(engine, engine, null, { store: new MemoryStore(), routing: { autoAssign: false } });
+        await orchestrator.initialize();
+        const [metricName] = orchestrator.realTimeMetrics.keys();
+        
+        for (const value of [1, 2, 3]) {
+            jest.setSystemTime(Date.now() + MINUTE);
+            orchestrator.updateMetric(metricName, value);
+        }
+        
+        expect(orchestrator.realTimeMetrics.get(metricName)).toMatchObject({ currentValue: 3, trend: 'increasing' });
+        expect(orchestrator.queryMetric(metricName, { step: 'raw' }).points.slice(-3).map(point => point.value)).toEqual([1, 2, 3]);
+        expect(orchestrator.queryMetric('missing')).toBeNull();
+    });
+});
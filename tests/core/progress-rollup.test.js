@@ -0,0 +1,86 @@
+/**
+ * Trinity Framework - Progress Roll-up tests
+ * Kevin Gardner - Magnificent Worldwide
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import {
+    getTaskEffort,
+    computeCompletion,
+    computePhaseProgress,
+    computeMilestoneProgress
+} from '../../src/core/progress-rollup.js';
+
+const HOUR = 60 * 60 * 1000;
+
+describe('computeCompletion', () => {
+    test('weights completed tasks by their estimates', () => {
+        expect(computeCompletion([
+            { status: 'completed', estimatedHours: 3 },
+            { status: 'in-progress', estimatedHours: 1 }
+        ])).toBe(75);
+    });
+    
+    test('counts unestimated tasks as one hour', () => {
+        expect(getTaskEffort({})).toBe(1);
+        expect(computeCompletion([{ status: 'completed' }, { status: 'new' }])).toBe(50);
+    });
+    
+    test('is 0 without tasks', () => {
+        expect(computeCompletion([])).toBe(0);
+    });
+});
+
+describe('computePhaseProgress', () => {
+    const phases = [
+        { id: 'p1', name: 'Build', status: 'pending' },
+        { id: 'p2', name: 'Launch', status: 'completed' },
+        { id: 'p3', name: 'Plan', status: 'pending' }
+    ];
+    
+    test('derives status and completion from the phase tasks', () => {
+        const [build, launch, plan] = computePhaseProgress(phases, [
+            { phaseId: 'p1', status: 'completed', estimatedHours: 2 },
+            { phaseId: 'p1', status: 'in-progress', estimatedHours: 2 },
+            { phaseId: 'p3', status: 'new', estimatedHours: 5 }
+        ]);
+        
+        expect(build).toMatchObject({ status: 'in-progress', completion: 50, taskCount: 2, remainingHours: 2 });
+        expect(plan).toMatchObject({ status: 'pending', completion: 0, remainingHours: 5 });
+        // No tasks: the declared status stands
+        expect(launch).toMatchObject({ status: 'completed', completion: 100, taskCount: 0 });
+    });
+});
+
+describe('computeMilestoneProgress', () => {
+    const now = new Date('2026-01-01T00:00:00Z');
+    const milestone = (hoursLeft) => ({ id: 'm1', dueDate: new Date(now.getTime() + hoursLeft * HOUR) });
+    
+    test('is completed only when every task is completed', () => {
+        // 199 of 200 hours done rounds to 100% but the milestone is still open
+        const tasks = [
+            { milestoneId: 'm1', status: 'completed', estimatedHours: 199 },
+            { milestoneId: 'm1', status: 'in-progress', estimatedHours: 1 }
+        ];
+        expect(computeMilestoneProgress(milestone(10), tasks, now)).toMatchObject({ status: 'pending', completion: 100 });
+        
+        tasks[1].status = 'completed';
+        expect(computeMilestoneProgress(milestone(10), tasks, now).status).toBe('completed');
+    });
+    
+    test('is at risk when the remaining work exceeds the time left', () => {
+        const tasks = [{ milestoneId: 'm1', status: 'new', estimatedHours: 20 }];
+        expect(computeMilestoneProgress(milestone(10), tasks, now)).toMatchObject({ status: 'at-risk', remainingHours: 20, hoursLeft: 10 });
+        expect(computeMilestoneProgress(milestone(30), tasks, now).status).toBe('pending');
+    });
+    
+    test('is missed once the due date has passed', () => {
+        const tasks = [{ milestoneId: 'm1', status: 'new', estimatedHours: 1 }];
+        expect(computeMilestoneProgress(milestone(-1), tasks, now)).toMatchObject({ status: 'missed', hoursLeft: 0 });
+    });
+    
+    test('ignores tasks of other milestones', () => {
+        const tasks = [{ milestoneId: 'm2', status: 'completed', estimatedHours: 1 }];
+        expect(computeMilestoneProgress(milestone(10), tasks, now)).toMatchObject({ status: 'pending', taskCount: 0 });
+    });
+});
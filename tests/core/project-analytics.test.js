@@ -0,0 +1,134 @@
+/**
+ * Trinity Framework - Project Analytics tests
+ * Kevin Gardner - Magnificent Worldwide
+ */
+
+import { describe, test, expect, afterEach, jest } from '@jest/globals';
+import {
+    buildTaskTimelines,
+    computeBurndown,
+    computeThroughput,
+    computeCycleTimes,
+    computeForecast
+} from '../../src/core/project-analytics.js';
+import { mockLogger } from '../helpers/virtual-modules.js';
+
+mockLogger();
+const { TrinityOrchestrator } = await import('../../src/core/trinity-orchestrator.js');
+const { MemoryStore } = await import('../../src/infrastructure/storage/index.js');
+
+const START = new Date('2026-07-01T00:00:00.000Z');
+const at = hours => new Date(START.getTime() + hours * 60 * 60 * 1000);
+
+const tasks = [
+    { id: 'a', title: 'API', status: 'completed', estimatedHours: 4, created: START },
+    { id: 'b', title: 'UI', status: 'completed', estimatedHours: 2, created: START },
+    { id: 'c', title: 'Docs', status: 'new', created: at(48) },
+    { id: 'd', title: 'Legacy', status: 'completed', assignee: 'QUINN', estimatedHours: 3, created: START, lastModified: at(24) }
+];
+
+const transition = (taskId, from, to, hours, assignee) => ({ taskId, from, to, assignee, timestamp: at(hours) });
+const transitions = [
+    transition('a', null, 'new', 0),
+    transition('a', 'new', 'in-progress', 24, 'ALEXA'),
+    transition('a', 'in-progress', 'completed', 72, 'ALEXA'),
+    transition('b', null, 'new', 0),
+    transition('b', 'new', 'assigned', 48, 'MARCUS'),
+    transition('b', 'assigned', 'completed', 60, 'MARCUS'),
+    transition('c', null, 'new', 48)
+];
+
+const timelines = buildTaskTimelines(tasks, transitions);
+
+describe('buildTaskTimelines', () => {
+    test('orders logged transitions and falls back to task timestamps', () => {
+        expect(timelines.get('a').map(entry => entry.to)).toEqual(['new', 'in-progress', 'completed']);
+        expect(timelines.get('d')).toEqual([
+            { from: null, to: 'new', assignee: 'QUINN', timestamp: START },
+            { from: 'new', to: 'completed', assignee: 'QUINN', timestamp: at(24) }
+        ]);
+    });
+});
+
+describe('computeBurndown', () => {
+    test('tracks scope and completed effort per step, closing on `to`', () => {
+        const { series } = computeBurndown(tasks, timelines, { from: START, to: at(84), step: 'day' });
+        
+        expect(series.map(point => [point.timestamp.toISOString(), point.scope, point.completed, point.remaining])).toEqual([
+            [at(0).toISOString(), 9, 0, 9],
+            [at(24).toISOString(), 9, 3, 6],
+            [at(48).toISOString(), 10, 3, 7],
+            [at(72).toISOString(), 10, 9, 1],
+            [at(84).toISOString(), 10, 9, 1]
+        ]);
+    });
+});
+
+describe('computeThroughput', () => {
+    test('groups completions in the range by agent with cycle and lead times', () => {
+        const { agents } = computeThroughput(tasks, timelines, { from: START, to: at(96) });
+        const byAgent = Object.fromEntries(agents.map(agent => [agent.agent, agent]));
+        
+        expect(byAgent.ALEXA).toMatchObject({ tasks: 1, hours: 4, tasksPerDay: 0.25, cycleTime: { avgHours: 48 }, leadTime: { avgHours: 72 } });
+        expect(byAgent.MARCUS).toMatchObject({ tasks: 1, hours: 2, cycleTime: { avgHours: 12 }, leadTime: { avgHours: 60 } });
+        expect(byAgent.QUINN.cycleTime).toMatchObject({ count: 0, avgHours: null });
+        
+        expect(computeThroughput(tasks, timelines, { from: at(66), to: at(96) }).agents.map(agent => agent.agent)).toEqual(['ALEXA']);
+    });
+});
+
+describe('computeCycleTimes', () => {
+    test('summarizes completed tasks only, ignoring reopened ones', () => {
+        const reopened = buildTaskTimelines(tasks, [...transitions, transition('a', 'completed', 'in-progress', 80, 'ALEXA')]);
+        const result = computeCycleTimes(tasks, reopened);
+        
+        expect(result.tasks.map(entry => entry.taskId)).toEqual(['b', 'd']);
+        expect(result.leadTime).toMatchObject({ count: 2, avgHours: 42, p50Hours: 24, p85Hours: 60 });
+        expect(result.cycleTime).toMatchObject({ count: 1, avgHours: 12 });
+    });
+});
+
+describe('computeForecast', () => {
+    test('projects remaining effort at the trailing velocity against the due date', () => {
+        const forecast = computeForecast(tasks, timelines, { windowDays: 3, now: at(72), dueDate: at(96) });
+        
+        expect(forecast).toMatchObject({ velocityPerDay: 3, remainingEffort: 1, onTrack: true, daysLate: 0 });
+        expect(forecast.forecastDate).toEqual(at(80));
+        
+        const late = computeForecast(tasks, timelines, { windowDays: 3, now: at(72), dueDate: at(72) });
+        expect(late).toMatchObject({ onTrack: false });
+        expect(late.daysLate).toBeCloseTo(1 / 3);
+        
+        expect(computeForecast(tasks, timelines, { windowDays: 1, now: at(200) })).toMatchObject({ velocityPerDay: 0, forecastDate: null, onTrack: null });
+    });
+});
+
+describe('TrinityOrchestrator analytics', () => {
+    afterEach(() => {
+        jest.clearAllTimers();
+        jest.useRealTimers();
+    });
+    
+    test('builds analytics from the status changes it logs', async () => {
+        // The orchestrator refreshes metrics on intervals; keep them from firing
+        jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask'], now: START });
+        
+        const engine = { getStatus: () => ({ agents: 0, status: 'ready' }) };
+        const orchestrator = new TrinityOrchestrator(engine, engine, null, { store: new MemoryStore(), routing: { autoAssign: false } });
+        await orchestrator.initialize();
+        const project = await orchestrator.createProject({ id: 'analytics', name: 'Analytics', dueDate: at(240) });
+        
+        const task = await orchestrator.createTask({ title: 'Build', projectId: project.id, estimatedHours: 5 });
+        jest.setSystemTime(at(2));
+        await orchestrator.updateTask(task.id, { status: 'in-progress', assignee: 'MARCUS' });
+        jest.setSystemTime(at(8));
+        await orchestrator.updateTask(task.id, { status: 'completed' });
+        
+        expect((await orchestrator.getCycleTimes(project.id)).tasks).toEqual([
+            expect.objectContaining({ taskId: task.id, assignee: 'MARCUS', cycleTimeHours: 6, leadTimeHours: 8 })
+        ]);
+        expect((await orchestrator.getThroughput(project.id)).agents).toEqual([expect.objectContaining({ agent: 'MARCUS', hours: 5 })]);
+        expect((await orchestrator.getForecast(project.id)).remainingEffort).toBe(0);
+        expect(await orchestrator.getBurndown('missing')).toBeNull();
+    });
+});
@@ -0,0 +1,112 @@
+/**
+ * Trinity Framework - Project REST API tests
+ * Kevin Gardner - Magnificent Worldwide
+ */
+
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+import { mockServerModules } from '../helpers/virtual-modules.js';
+
+mockServerModules();
+const { TrinityBackendServer } = await import('../../server.js');
+const { TrinityOrchestrator } = await import('../../src/core/trinity-orchestrator.js');
+const { MemoryStore } = await import('../../src/infrastructure/storage/index.js');
+
+const DEFAULT_PROJECT_ID = 'powerline-launch-2025';
+
+let orchestrator;
+let app;
+
+beforeEach(async () => {
+    // The orchestrator refreshes metrics on intervals; keep them from firing
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask'] });
+    
+    const component = { getStatus: () => ({ agents: 0, status: 'ready' }) };
+    orchestrator = new TrinityOrchestrator(component, component, component, {
+        store: new MemoryStore(),
+        routing: { autoAssign: false }
+    });
+    await orchestrator.initialize();
+    
+    const server = { orchestrator };
+    server.createMilestoneRoutes = TrinityBackendServer.prototype.createMilestoneRoutes.bind(server);
+    server.createAnalyticsRoutes = TrinityBackendServer.prototype.createAnalyticsRoutes.bind(server);
+    
+    app = express();
+    app.use(express.json());
+    app.use('/projects', TrinityBackendServer.prototype.createProjectRoutes.call(server));
+    app.use('/tasks', TrinityBackendServer.prototype.createTaskRoutes.call(server));
+});
+
+afterEach(() => {
+    jest.clearAllTimers();
+    jest.useRealTimers();
+});
+
+const createProject = body => request(app).post('/projects').send({
+    id: 'mobile-app',
+    name: 'Mobile App',
+    dueDate: '2026-12-01T00:00:00.000Z',
+    team: ['ALEXA', 'QUINN'],
+    phases: [{ id: 'build', name: 'Build' }, { id: 'release', name: 'Release' }],
+    ...body
+});
+
+describe('POST /projects', () => {
+    test('creates a project with its phases, team and milestones', async () => {
+        const response = await createProject({
+            milestones: [{ name: 'Beta', dueDate: '2026-10-01T00:00:00.000Z', phaseId: 'build' }]
+        });
+        
+        expect(response.status).toBe(201);
+        expect(response.body).toMatchObject({ id: 'mobile-app', team: ['ALEXA', 'QUINN'], phases: [{ id: 'build', status: 'pending' }, { id: 'release' }] });
+        expect(orchestrator.getProjectMilestones('mobile-app')).toEqual([expect.objectContaining({ name: 'Beta', phaseId: 'build' })]);
+        expect((await request(app).get('/projects')).body.map(project => project.id)).toEqual([DEFAULT_PROJECT_ID, 'mobile-app']);
+    });
+    
+    test('rejects invalid bodies, duplicate ids and unknown team members', async () => {
+        expect((await request(app).post('/projects').send({ name: 'No due date' })).status).toBe(400);
+        expect((await createProject({ id: DEFAULT_PROJECT_ID })).status).toBe(409);
+        expect((await createProject({ team: ['NOBODY'] })).body.error).toBe('Agent not found: NOBODY');
+    });
+});
+
+describe('project scoping', () => {
+    beforeEach(async () => {
+        await createProject();
+        await request(app).post('/tasks').send({ title: 'Launch checklist' });
+        await request(app).post('/tasks').send({ title: 'App store listing', projectId: 'mobile-app' });
+        const { body: done } = await request(app).post('/tasks').send({ title: 'Wireframes', projectId: 'mobile-app' });
+        await request(app).put(`/tasks/${done.id}`).send({ status: 'completed' });
+    });
+    
+    test('the dashboard only shows the requested project', async () => {
+        const { body } = await request(app).get('/projects/mobile-app/dashboard');
+        
+        expect(body.project).toMatchObject({ id: 'mobile-app', overallCompletion: 50 });
+        expect(body.tasks.map(task => task.title).sort()).toEqual(['App store listing', 'Wireframes']);
+        expect(Object.keys(body.agents)).toEqual(['ALEXA', 'QUINN']);
+        expect(body.recentActivity.every(entry => entry.projectId === 'mobile-app')).toBe(true);
+        expect((await request(app).get('/projects/missing/dashboard')).status).toBe(404);
+    });
+    
+    test('tasks and progress are filtered per project', async () => {
+        expect((await request(app).get('/tasks?projectId=mobile-app')).body.total).toBe(2);
+        expect((await request(app).get(`/tasks?projectId=${DEFAULT_PROJECT_ID}`)).body.tasks.map(task => task.title)).toEqual(['Launch checklist']);
+        expect((await request(app).get('/projects/mobile-app/progress')).body).toMatchObject({ overallCompletion: 50 });
+        expect((await request(app).get(`/projects/${DEFAULT_PROJECT_ID}/progress`)).body.overallCompletion).toBe(0);
+    });
+});
+
+describe('PUT /projects/:projectId', () => {
+    test('updates fields and returns 404 for unknown projects', async () => {
+        await createProject();
+        const response = await request(app).put('/projects/mobile-app').send({ priority: 'critical', dueDate: '2027-01-15T00:00:00.000Z' });
+        
+        expect(response.status).toBe(200);
+        expect(response.body).toMatchObject({ priority: 'critical', dueDate: '2027-01-15T00:00:00.000Z' });
+        expect((await request(app).put('/projects/missing').send({ priority: 'low' })).status).toBe(404);
+        expect((await request(app).put('/projects/mobile-app').send({})).status).toBe(400);
+    });
+});
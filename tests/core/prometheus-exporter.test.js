@@ -0,0 +1,115 @@
+/**
+ * Trinity Framework - Prometheus Exporter tests
+ * Kevin Gardner - Magnificent Worldwide
+ */
+
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import { EventEmitter } from 'events';
+import express from 'express';
+import request from 'supertest';
+import { PrometheusExporter } from '../../src/infrastructure/prometheus-exporter.js';
+
+const metric = (name, currentValue) => [name, { name, currentValue }];
+
+// Component stand-ins exposing just what the exporter reads
+const createComponents = () => {
+    const deployments = new Map([
+        ['d1', { startTime: new Date('2026-07-01T00:00:00.000Z'), endTime: new Date('2026-07-01T00:00:12.000Z') }]
+    ]);
+    
+    const bmadEngine = Object.assign(new EventEmitter(), {
+        getAllAgents: () => [{ status: 'ready' }, { status: 'ready' }, { status: 'busy' }],
+        getAgentHealth: () => [
+            { id: 'ALEXA', state: 'healthy', latencyMs: 40 },
+            { id: 'MARCUS', state: 'down', latencyMs: null }
+        ],
+        getDeployment: deploymentId => deployments.get(deploymentId),
+        getDeploymentQueues: () => [{ environment: 'staging', pending: [{}, {}] }]
+    });
+    
+    const prpMethodology = Object.assign(new EventEmitter(), {
+        commands: new Map([['generate-prp', { type: 'generation', executions: 2, avgDuration: 1500 }]]),
+        getCommandStatistics() {
+            return Array.from(this.commands.entries()).map(([id, command]) => ({ id, ...command }));
+        }
+    });
+    
+    const aciIntegration = Object.assign(new EventEmitter(), {
+        getActiveExecutions: () => [{}]
+    });
+    
+    const orchestrator = {
+        realTimeMetrics: new Map([metric('active_tasks', 7)]),
+        projectMetrics: new Map([['p1', new Map([metric('velocity', 2.5)])]])
+    };
+    
+    return { orchestrator, bmadEngine, prpMethodology, aciIntegration, io: { engine: { clientsCount: 3 } } };
+};
+
+describe('PrometheusExporter', () => {
+    let components;
+    let exporter;
+    
+    beforeEach(() => {
+        components = createComponents();
+        exporter = new PrometheusExporter(components);
+    });
+    
+    test('renders component state in the OpenMetrics format', async () => {
+        const output = await exporter.render();
+        
+        expect(exporter.contentType).toMatch(/^application\/openmetrics-text/);
+        expect(output).toContain('trinity_orchestrator_metric{metric="active_tasks",project=""} 7');
+        expect(output).toContain('trinity_orchestrator_metric{metric="velocity",project="p1"} 2.5');
+        expect(output).toContain('trinity_bmad_agents{status="ready"} 2');
+        expect(output).toContain('trinity_bmad_agent_up{agent="MARCUS",state="down"} 1');
+        expect(output).toContain('trinity_bmad_agent_probe_latency_seconds{agent="ALEXA"} 0.04');
+        expect(output).not.toContain('trinity_bmad_agent_probe_latency_seconds{agent="MARCUS"}');
+        expect(output).toContain('trinity_bmad_deployments_queued{environment="staging"} 2');
+        expect(output).toContain('trinity_prp_command_avg_duration_seconds{command="generate-prp",type="generation"} 1.5');
+        expect(output).toContain('trinity_aci_active_executions 1');
+        expect(output).toContain('trinity_socket_connections 3');
+        expect(output).toContain('trinity_process_cpu_seconds_total');
+        expect(output.trim().endsWith('# EOF')).toBe(true);
+    });
+    
+    test('counts deployments, stages, rollbacks and command and tool executions from events', async () => {
+        const { bmadEngine, prpMethodology, aciIntegration } = components;
+        bmadEngine.emit('deployment:stage', { stage: 'build', result: { success: true, duration: 2000 } });
+        bmadEngine.emit('deployment:completed', { deploymentId: 'd1' });
+        bmadEngine.emit('deployment:failed', { deploymentId: 'missing' });
+        bmadEngine.emit('deployment:rolled-back', { environment: 'production', reason: 'health-check', success: true });
+        prpMethodology.emit('command:executed', { commandId: 'generate-prp' });
+        prpMethodology.emit('command:failed', { commandId: 'removed-command' });
+        aciIntegration.emit('tool:executed', { category: 'github' });
+        aciIntegration.emit('tool:failed', { category: 'github' });
+        
+        const output = await exporter.render();
+        expect(output).toContain('trinity_bmad_deployments_total{status="completed"} 1');
+        expect(output).toContain('trinity_bmad_deployments_total{status="failed"} 1');
+        expect(output).toContain('trinity_bmad_deployment_duration_seconds_sum{status="completed"} 12');
+        expect(output).not.toContain('trinity_bmad_deployment_duration_seconds_count{status="failed"}');
+        expect(output).toContain('trinity_bmad_stage_duration_seconds_bucket{le="2.5",stage="build",status="completed"} 1');
+        expect(output).toContain('trinity_bmad_rollbacks_total{environment="production",reason="health-check",status="completed"} 1');
+        expect(output).toContain('trinity_prp_command_executions_total{command="generate-prp",type="generation",status="completed"} 1');
+        expect(output).toContain('trinity_prp_command_executions_total{command="removed-command",type="unknown",status="failed"} 1');
+        expect(output).toContain('trinity_aci_tool_executions_total{category="github",status="failed"} 1');
+    });
+    
+    test('times HTTP requests by route pattern rather than raw path', async () => {
+        const app = express();
+        app.use(exporter.httpMetricsMiddleware());
+        const router = express.Router();
+        router.get('/:taskId', (req, res) => res.status(204).end());
+        app.use('/api/tasks', router);
+        
+        await request(app).get('/api/tasks/t1');
+        await request(app).get('/api/tasks/t2');
+        await request(app).get('/nowhere');
+        
+        const output = await exporter.render();
+        expect(output).toContain('trinity_http_request_duration_seconds_count{method="GET",route="/api/tasks/:taskId",status_code="204"} 2');
+        expect(output).toContain('trinity_http_request_duration_seconds_count{method="GET",route="unmatched",status_code="404"} 1');
+        expect(output).not.toContain('/api/tasks/t1');
+    });
+});
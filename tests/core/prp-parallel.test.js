@@ -0,0 +1,118 @@
+/**
+ * PRP Methodology - Parallel Execution Engine tests
+ * Kevin Gardner - Magnificent Worldwide
+ */
+
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { LoadBalancer, ParallelProcessor, mergeResults, validateJob } from '../../src/core/prp-parallel.js';
+import { commandEnvironment } from '../../src/core/prp-jobs.js';
+
+describe('validateJob', () => {
+    const registries = { functions: new Map([['echo', () => {}]]), commands: new Map([['status', {}]]) };
+    
+    test('accepts registered functions and commands', () => {
+        expect(validateJob({ type: 'function', name: 'echo', args: [1] }, registries)).toEqual([]);
+        expect(validateJob({ type: 'command', name: 'status', args: { verbose: true } }, registries)).toEqual([]);
+    });
+    
+    test('rejects code, unregistered names and malformed args', () => {
+        expect(validateJob({ type: 'shell', command: 'rm -rf /' }, registries)).toEqual([expect.stringContaining('unknown job type "shell"')]);
+        expect(validateJob({ type: 'function', fn: '() => process.exit()' }, registries)).toEqual([expect.stringContaining('unknown job function')]);
+        expect(validateJob({ type: 'command', name: 'status', args: ['--force'] }, registries)).toEqual(['command job args must be an object']);
+        expect(validateJob({ type: 'aci' }, registries)).toEqual(['aci job requires a toolId', 'aci jobs need an ACI.dev integration']);
+    });
+});
+
+describe('LoadBalancer', () => {
+    const workers = () => [
+        { id: 'w1', activeJobs: 2, completed: 0, failed: 0 },
+        { id: 'w2', activeJobs: 1, completed: 5, failed: 0 },
+        { id: 'w3', activeJobs: 1, completed: 1, failed: 0 }
+    ];
+    
+    test('least-loaded picks the fewest active jobs, then the fewest finished', () => {
+        const balancer = new LoadBalancer();
+        balancer.workers = workers();
+        expect(balancer.getNextWorker().id).toBe('w3');
+    });
+    
+    test('round-robin cycles through the workers', () => {
+        const balancer = new LoadBalancer('round-robin');
+        balancer.workers = workers();
+        expect([1, 2, 3, 4].map(() => balancer.getNextWorker().id)).toEqual(['w1', 'w2', 'w3', 'w1']);
+        expect(() => balancer.setStrategy('random')).toThrow('Unknown balancing strategy: random');
+    });
+});
+
+describe('mergeResults', () => {
+    const jobs = [
+        { id: 'a', status: 'succeeded', result: [1, 2] },
+        { id: 'b', status: 'failed', result: undefined },
+        { id: 'c', status: 'succeeded', result: 3 }
+    ];
+    
+    test('combines the results of succeeded jobs in job order', () => {
+        expect(mergeResults(jobs)).toEqual([[1, 2], 3]);
+        expect(mergeResults(jobs, 'concat')).toEqual([1, 2, 3]);
+        expect(mergeResults(jobs, 'sum')).toBe(3);
+        expect(mergeResults(jobs, 'keyed')).toEqual({ a: [1, 2], c: 3 });
+        expect(() => mergeResults(jobs, 'zip')).toThrow('Unknown merge strategy: zip');
+    });
+});
+
+describe('commandEnvironment', () => {
+    test('passes args as JSON and distributed items as variables', () => {
+        expect(commandEnvironment({ args: { dryRun: true } })).toEqual({ PRP_ARGS: '{"dryRun":true}' });
+        expect(commandEnvironment({ item: { id: 7 }, index: 2 })).toEqual({ PRP_ARGS: '{}', PRP_ITEM: '{"id":7}', PRP_INDEX: '2' });
+        expect(commandEnvironment({ item: "'; rm -rf / #", index: 0 }).PRP_ITEM).toBe("'; rm -rf / #");
+    });
+});
+
+describe('ParallelProcessor', () => {
+    let dir;
+    let processor;
+    
+    beforeAll(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'prp-parallel-'));
+        const functionsModule = path.join(dir, 'jobs.mjs');
+        await fs.writeFile(functionsModule, "export const fail = () => { throw new Error('boom'); };\n");
+        
+        processor = new ParallelProcessor({ poolSize: 1, functionModules: [functionsModule], commandsFile: path.join(dir, 'missing.json') });
+        await processor.initialize();
+        processor.registerCommand('print-item', { command: process.execPath, args: ['-e', 'process.stdout.write(process.env.PRP_ITEM)'] });
+    });
+    
+    afterAll(async () => {
+        await processor.shutdown();
+        await fs.rm(dir, { recursive: true, force: true });
+    });
+    
+    test('runs registered functions on the worker pool', async () => {
+        const batch = await processor.execute('parallel.spawn', {
+            jobs: [{ id: 'a', type: 'function', name: 'echo', args: [1] }, { id: 'b', type: 'function', name: 'sum', args: [[2, 3]] }]
+        });
+        
+        expect(batch).toMatchObject({ status: 'completed', succeeded: 2 });
+        expect((await processor.merge(batch.batchId, 'keyed')).merged).toEqual({ a: [1], b: 5 });
+    });
+    
+    test('distributes items to commands only through the environment', async () => {
+        const batch = await processor.distribute({ type: 'command', name: 'print-item' }, ['one', '$(whoami)']);
+        expect(batch.jobs.map(job => job.result.stdout)).toEqual(['one', '$(whoami)']);
+    });
+    
+    test('rejects unregistered jobs before anything runs', async () => {
+        await expect(processor.spawn([{ type: 'function', name: 'eval', args: ['1'] }])).rejects.toMatchObject({
+            statusCode: 400,
+            details: { problems: [expect.stringContaining('unknown job function "eval"')] }
+        });
+    });
+    
+    test('caps retries at the engine limit', async () => {
+        const batch = await processor.spawn([{ type: 'function', name: 'fail' }], { retries: 1000000 });
+        expect(batch.jobs[0]).toMatchObject({ status: 'failed', attempts: 6, error: 'boom' });
+    });
+});
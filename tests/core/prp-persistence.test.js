@@ -0,0 +1,199 @@
+/**
+ * PRP Methodology - Persistence Manager tests
+ * Kevin Gardner - Magnificent Worldwide
+ */
+
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { PersistenceManager, checksum } from '../../src/core/prp-persistence.js';
+
+let dataDir;
+let persistence;
+
+beforeEach(async () => {
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'prp-persistence-'));
+    persistence = new PersistenceManager({ dataDir, maxVersions: 3 });
+    await persistence.initialize();
+});
+
+afterEach(async () => {
+    await fs.rm(dataDir, { recursive: true, force: true });
+});
+
+const namespaceFile = namespace => path.join(dataDir, 'namespaces', `${namespace}.json`);
+
+describe('versions', () => {
+    test('every store adds a version and keeps the checksum of its payload', async () => {
+        const first = await persistence.store({ key: 'plan', data: { steps: 1 } });
+        const second = await persistence.store({ key: 'plan', data: { steps: 2 } });
+        
+        expect([first.version, second.version]).toEqual([1, 2]);
+        expect(second.checksum).toBe(checksum(JSON.stringify({ steps: 2 })));
+        expect(persistence.retrieve({ key: 'plan' })).toMatchObject({ version: 2, data: { steps: 2 } });
+        expect(persistence.retrieve({ key: 'plan', version: 1 }).data).toEqual({ steps: 1 });
+    });
+    
+    test('keeps at most maxVersions, numbering on from the newest', async () => {
+        for (let steps = 1; steps <= 5; steps++) await persistence.store({ key: 'plan', data: { steps } });
+        
+        const history = persistence.getVersionHistory({ key: 'plan' });
+        expect(history.current).toBe(5);
+        expect(history.versions.map(entry => entry.version)).toEqual([3, 4, 5]);
+        expect(() => persistence.retrieve({ key: 'plan', version: 1 })).toThrow('Version 1 of default/plan not found');
+    });
+    
+    test('a namespace can keep fewer versions than the default', async () => {
+        persistence.configureNamespace('runs', { maxVersions: 1 });
+        await persistence.store({ namespace: 'runs', key: 'run-1', data: 'a' });
+        await persistence.store({ namespace: 'runs', key: 'run-1', data: 'b' });
+        
+        expect(persistence.getVersionHistory({ namespace: 'runs', key: 'run-1' }).versions).toHaveLength(1);
+        expect(() => persistence.configureNamespace('runs', { maxVersions: 0 })).toThrow('maxVersions must be a positive integer');
+    });
+    
+    test('maintain prunes history but never below one version', async () => {
+        for (let steps = 1; steps <= 3; steps++) await persistence.store({ key: 'plan', data: { steps } });
+        
+        await expect(persistence.maintain({ maxVersions: 0 })).rejects.toMatchObject({ statusCode: 400 });
+        expect((await persistence.maintain({ maxVersions: 1 })).pruned).toBe(2);
+        expect(persistence.getVersionHistory({ key: 'plan' })).toMatchObject({ current: 3, versions: [expect.objectContaining({ version: 3 })] });
+    });
+    
+    test('a failed remove keeps the key', async () => {
+        await persistence.store({ key: 'plan', data: 'v1' });
+        jest.spyOn(persistence, 'writeFileAtomic').mockRejectedValueOnce(new Error('disk full'));
+        
+        await expect(persistence.remove({ key: 'plan' })).rejects.toThrow('disk full');
+        expect(persistence.retrieve({ key: 'plan' }).data).toBe('v1');
+    });
+    
+    test('a failed write does not advance the version', async () => {
+        await persistence.store({ key: 'plan', data: 'v1' });
+        jest.spyOn(persistence, 'writeFileAtomic').mockRejectedValueOnce(new Error('disk full'));
+        
+        await expect(persistence.store({ key: 'plan', data: 'v2' })).rejects.toThrow('disk full');
+        expect(persistence.retrieve({ key: 'plan' })).toMatchObject({ version: 1, data: 'v1' });
+        expect((await persistence.store({ key: 'plan', data: 'v2' })).version).toBe(2);
+    });
+    
+    test('reloads namespaces from disk', async () => {
+        await persistence.store({ namespace: 'notes', key: 'a', data: [1, 2] });
+        
+        const reloaded = new PersistenceManager({ dataDir });
+        await reloaded.initialize();
+        expect(reloaded.retrieve({ namespace: 'notes', key: 'a' })).toMatchObject({ version: 1, data: [1, 2] });
+        expect(reloaded.retrieve({ namespace: 'notes', key: 'a' }).storedAt).toBeInstanceOf(Date);
+    });
+});
+
+describe('checksums', () => {
+    test('a payload changed on disk fails its checksum on read', async () => {
+        await persistence.store({ key: 'plan', data: { approved: false } });
+        const records = JSON.parse(await fs.readFile(namespaceFile('default'), 'utf8'));
+        records.plan.versions[0].payload = JSON.stringify({ approved: true });
+        await fs.writeFile(namespaceFile('default'), JSON.stringify(records));
+        
+        const reloaded = new PersistenceManager({ dataDir });
+        await reloaded.initialize();
+        
+        expect(reloaded.findCorruption()).toEqual(['default/plan@1']);
+        expect(() => reloaded.retrieve({ key: 'plan' })).toThrow('Integrity check failed for default/plan@1');
+        expect((await reloaded.maintain()).corrupted).toEqual(['default/plan@1']);
+        expect(await reloaded.validate()).toBe('critical');
+    });
+    
+    test('restore verifies the backup file before replacing data', async () => {
+        await persistence.store({ key: 'plan', data: 'v1' });
+        const backup = await persistence.backup();
+        await persistence.store({ key: 'plan', data: 'v2' });
+        
+        await persistence.restore({ backupId: backup.backupId });
+        expect(persistence.retrieve({ key: 'plan' }).data).toBe('v1');
+        
+        await fs.appendFile(path.join(dataDir, 'backups', backup.file), 'tampered');
+        await expect(persistence.restore({ backupId: backup.backupId })).rejects.toMatchObject({ statusCode: 500 });
+    });
+});
+
+describe('keys', () => {
+    test('Object.prototype member names are ordinary keys', async () => {
+        for (const key of ['constructor', 'toString', '__proto__']) {
+            expect(persistence.hasKey('default', key)).toBe(false);
+            expect(() => persistence.retrieve({ key })).toThrow(`Key not found: default/${key}`);
+            
+            await persistence.store({ key, data: { key } });
+            expect(persistence.retrieve({ key }).data).toEqual({ key });
+        }
+        
+        const reloaded = new PersistenceManager({ dataDir });
+        await reloaded.initialize();
+        expect(reloaded.retrieve({ key: '__proto__' })).toMatchObject({ version: 1, data: { key: '__proto__' } });
+        expect(reloaded.countKeys()).toBe(3);
+    });
+    
+    test('rejects keys that are not non-empty strings', async () => {
+        await expect(persistence.store({ key: '', data: 1 })).rejects.toMatchObject({ statusCode: 400 });
+        await expect(persistence.store({ key: 42, data: 1 })).rejects.toMatchObject({ statusCode: 400 });
+        await expect(persistence.store({ key: 'k'.repeat(257), data: 1 })).rejects.toMatchObject({ statusCode: 400 });
+    });
+});
+
+describe('namespace options', () => {
+    test('reserved namespaces are out of reach of persistent.* commands', async () => {
+        persistence.configureNamespace('engine', { reserved: true });
+        await persistence.store({ namespace: 'engine', key: 'state', data: 'internal' });
+        await persistence.store({ key: 'plan', data: 'v1' });
+        const backup = await persistence.backup();
+        
+        for (const [commandId, params] of [
+            ['persistent.store', { key: 'state', data: 'overwritten' }],
+            ['persistent.restore', { backupId: backup.backupId }],
+            ['persistent.archive', { purge: true }]
+        ]) {
+            await expect(persistence.execute(commandId, { namespace: 'engine', ...params })).rejects.toMatchObject({ statusCode: 403 });
+        }
+        
+        await persistence.store({ namespace: 'engine', key: 'state', data: 'newer' });
+        const restored = await persistence.execute('persistent.restore', { backupId: backup.backupId });
+        expect(restored.namespaces.map(entry => entry.namespace)).toEqual(['default']);
+        expect(persistence.retrieve({ namespace: 'engine', key: 'state' }).data).toBe('newer');
+    });
+    
+    test('perKeyFiles namespaces write only the keys that changed', async () => {
+        persistence.configureNamespace('runs', { perKeyFiles: true });
+        await persistence.store({ namespace: 'runs', key: 'run-1', data: 'a' });
+        await persistence.store({ namespace: 'runs', key: 'run-2', data: 'b' });
+        
+        const writes = jest.spyOn(persistence, 'writeFileAtomic');
+        await persistence.store({ namespace: 'runs', key: 'run-2', data: 'c' });
+        expect(writes.mock.calls.map(([file]) => path.relative(dataDir, file))).toEqual([path.join('namespaces', 'runs', 'run-2.json')]);
+        
+        await persistence.remove({ namespace: 'runs', key: 'run-1' });
+        expect(await fs.readdir(path.join(dataDir, 'namespaces', 'runs'))).toEqual(['run-2.json']);
+        await expect(persistence.store({ namespace: 'runs', key: '../run', data: 'x' })).rejects.toMatchObject({ statusCode: 400 });
+        
+        const reloaded = new PersistenceManager({ dataDir });
+        await reloaded.initialize();
+        expect(reloaded.retrieve({ namespace: 'runs', key: 'run-2' })).toMatchObject({ version: 2, data: 'c' });
+        expect(reloaded.hasKey('runs', 'run-1')).toBe(false);
+    });
+});
+
+describe('names and paths', () => {
+    test('rejects namespaces and replica targets that are not plain names', async () => {
+        await expect(persistence.store({ namespace: '../escape', key: 'a', data: 1 })).rejects.toMatchObject({ statusCode: 400 });
+        await expect(persistence.archive({ namespace: '..' })).rejects.toMatchObject({ statusCode: 400 });
+        await expect(persistence.replicate({ target: '../../tmp' })).rejects.toMatchObject({ statusCode: 400 });
+    });
+    
+    test('replicates into a named directory under the replicas root', async () => {
+        await persistence.store({ key: 'plan', data: 1 });
+        const replica = await persistence.replicate({ target: 'offsite' });
+        
+        expect(replica.targetDir).toBe(path.join(dataDir, 'replicas', 'offsite'));
+        const copy = await fs.readFile(path.join(replica.targetDir, 'default.json'), 'utf8');
+        expect(checksum(copy)).toBe(replica.namespaces[0].checksum);
+    });
+});
@@ -0,0 +1,154 @@
+/**
+ * PRP Methodology - Recursive Engine tests
+ * Kevin Gardner - Magnificent Worldwide
+ */
+
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import { DEFAULT_DECOMPOSERS, RecursiveEngine } from '../../src/core/prp-recursive.js';
+
+const titles = node => [node.title, ...node.children.flatMap(titles)];
+
+describe('DEFAULT_DECOMPOSERS', () => {
+    test('outline splits top-level list items and keeps indented lines as descriptions', () => {
+        const subtasks = DEFAULT_DECOMPOSERS.outline({
+            description: 'Intro text\n- Design schema\n  - tables\n  - indexes\n1. Build API\n* Ship'
+        });
+        
+        expect(subtasks).toEqual([
+            { title: 'Design schema', description: '- tables\n- indexes' },
+            { title: 'Build API', description: '' },
+            { title: 'Ship', description: '' }
+        ]);
+    });
+    
+    test('phases only splits the root task', () => {
+        expect(DEFAULT_DECOMPOSERS.phases({ title: 'Login' }, { depth: 0 }).map(task => task.title)).toEqual([
+            'Design: Login', 'Implement: Login', 'Test: Login', 'Review: Login'
+        ]);
+        expect(DEFAULT_DECOMPOSERS.phases({ title: 'Design: Login' }, { depth: 1 })).toEqual([]);
+    });
+});
+
+describe('RecursiveEngine.decompose', () => {
+    let engine;
+    
+    beforeEach(() => {
+        engine = new RecursiveEngine({ maxNodes: 10 });
+    });
+    
+    test('builds the subtask tree from inline subtasks', async () => {
+        const result = await engine.execute('recursive.decompose', {
+            task: { title: 'Launch', subtasks: [{ title: 'Backend', subtasks: ['API', 'Database'] }, 'Frontend'] }
+        });
+        
+        expect(titles(result.tree)).toEqual(['Launch', 'Backend', 'API', 'Database', 'Frontend']);
+        expect(result).toMatchObject({ type: 'recursive', nodes: 5, leaves: 3, maxDepthReached: 2, truncated: 0, tasks: [] });
+        expect(result.tree.children[0].children[1]).toMatchObject({ depth: 2, path: '0.0.1' });
+        expect(engine.recursionStack).toEqual([]);
+    });
+    
+    test('marks nodes truncated at maxDepth and stops at maxNodes', async () => {
+        const deep = { title: 'a', subtasks: [{ title: 'b', subtasks: ['c'] }] };
+        const result = await engine.decompose({ task: deep, maxDepth: 1 });
+        expect(result).toMatchObject({ nodes: 2, truncated: 1 });
+        expect(result.tree.children[0].truncated).toBe(true);
+        
+        const wide = { title: 'root', subtasks: Array.from({ length: 10 }, (_, index) => `task ${index}`) };
+        await expect(engine.decompose({ task: wide })).rejects.toThrow('Decomposition exceeded 10 subtasks');
+    });
+    
+    test('rejects untitled tasks and unknown decomposers', async () => {
+        await expect(engine.decompose({ task: { title: ' ' } })).rejects.toMatchObject({ statusCode: 400 });
+        await expect(engine.decompose({ task: { title: 'a', subtasks: [{}] } })).rejects.toThrow('Subtask 0.0 has no title');
+        await expect(engine.decompose({ task: { title: 'a' }, decomposer: 'magic' })).rejects.toThrow('Unknown decomposer: magic');
+    });
+    
+    test('enforces the recursion stack limit', async () => {
+        const shallow = new RecursiveEngine({ maxDepth: 2 });
+        const task = { title: 'a', subtasks: [{ title: 'b', subtasks: ['c'] }] };
+        
+        await expect(shallow.decompose({ task })).rejects.toThrow('Recursion stack exhausted (max depth 2)');
+        expect(shallow.recursionStack).toEqual([]);
+    });
+    
+    test('rejects recursive commands the engine does not implement', async () => {
+        await expect(engine.execute('recursive.evolve', {})).rejects.toMatchObject({ statusCode: 501 });
+    });
+});
+
+describe('RecursiveEngine.materialize', () => {
+    // Records created and deleted tasks; createTask fails on the call numbered failOn
+    const orchestrator = (failOn = Infinity) => {
+        const tasks = new Map();
+        let calls = 0;
+        return {
+            tasks,
+            createTask: async (fields) => {
+                if (++calls === failOn) throw new Error('store unavailable');
+                const task = { id: `task-${calls}`, ...fields };
+                tasks.set(task.id, task);
+                return task;
+            },
+            deleteTask: async (taskId) => {
+                tasks.delete(taskId);
+            }
+        };
+    };
+    const task = { title: 'Launch', subtasks: [{ title: 'Backend', priority: 'high', subtasks: ['API'] }, 'Frontend'] };
+    
+    test('creates leaves first with each parent depending on its children', async () => {
+        const engine = new RecursiveEngine();
+        engine.taskOrchestrator = orchestrator();
+        
+        const result = await engine.decompose({ task, materialize: { projectId: 'alpha' } });
+        const created = result.tasks.map(taskId => engine.taskOrchestrator.tasks.get(taskId));
+        
+        expect(created.map(entry => entry.title)).toEqual(['API', 'Backend', 'Frontend', 'Launch']);
+        expect(created[1]).toMatchObject({ priority: 'high', dependsOn: ['task-1'], projectId: 'alpha' });
+        expect(created[3].dependsOn).toEqual(['task-2', 'task-3']);
+        expect(result.tree.taskId).toBe('task-4');
+    });
+    
+    test('deletes the tasks already created when one cannot be created', async () => {
+        const engine = new RecursiveEngine();
+        engine.taskOrchestrator = orchestrator(3);
+        
+        await expect(engine.decompose({ task, materialize: true })).rejects.toThrow('store unavailable');
+        expect(engine.taskOrchestrator.tasks.size).toBe(0);
+    });
+    
+    test('requires an attached orchestrator', async () => {
+        await expect(new RecursiveEngine().decompose({ task, materialize: true })).rejects.toThrow('no orchestrator attached');
+    });
+});
+
+describe('RecursiveEngine.iterate', () => {
+    const engine = new RecursiveEngine({ maxIterations: 50 });
+    
+    test('converge stops once successive values are within tolerance', async () => {
+        const result = await engine.execute('recursive.converge', { step: 'sqrt', value: 1, args: { n: 2 }, tolerance: 1e-9 });
+        
+        expect(result.converged).toBe(true);
+        expect(result.stoppedBy).toBe('predicate');
+        expect(result.value).toBeCloseTo(Math.SQRT2, 9);
+        expect(result.history[0]).toEqual({ iteration: 0, value: 1 });
+    });
+    
+    test('refine stops once the value no longer changes', async () => {
+        const result = await engine.execute('recursive.refine', { step: value => Math.min(value + 1, 3), value: 0 });
+        expect(result).toMatchObject({ value: 3, iterations: 4, converged: true });
+    });
+    
+    test('iterate runs to the iteration limit, which a request can lower but not raise', async () => {
+        const step = value => value + 1;
+        
+        expect(await engine.execute('recursive.iterate', { step, value: 0, maxIterations: 5 })).toMatchObject({ value: 5, stoppedBy: 'max-iterations' });
+        expect(await engine.execute('recursive.iterate', { step, value: 0, maxIterations: 1e9 })).toMatchObject({ value: 50, iterations: 50 });
+        expect(await engine.execute('recursive.iterate', { step, value: 0, maxDepth: 3 })).toMatchObject({ value: 3 });
+    });
+    
+    test('requires a known step function', async () => {
+        await expect(engine.execute('recursive.iterate', { value: 0 })).rejects.toThrow('recursive.iterate requires a step function');
+        await expect(engine.execute('recursive.converge', { step: 'sqrt', value: 1, until: 'never' })).rejects.toThrow('Unknown predicate: never');
+    });
+});
@@ -0,0 +1,92 @@
+/**
+ * PRP Methodology - REST API tests
+ * Kevin Gardner - Magnificent Worldwide
+ */
+
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { mockServerModules } from '../helpers/virtual-modules.js';
+
+mockServerModules();
+const { TrinityBackendServer } = await import('../../server.js');
+const { PRPMethodology } = await import('../../src/core/prp-methodology.js');
+
+let dataDir;
+let prpMethodology;
+let app;
+
+beforeAll(async () => {
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'prp-routes-'));
+    prpMethodology = new PRPMethodology({ parallel: { poolSize: 1 }, persistence: { dataDir } });
+    await new Promise(resolve => prpMethodology.once('initialized', resolve));
+    
+    app = express();
+    app.use(express.json());
+    app.use('/prp', TrinityBackendServer.prototype.createPRPRoutes.call({ prpMethodology }));
+});
+
+afterAll(async () => {
+    await prpMethodology.shutdown();
+    await fs.rm(dataDir, { recursive: true, force: true });
+});
+
+describe('PRP command API', () => {
+    test('lists the 28 commands, filterable by type', async () => {
+        expect((await request(app).get('/prp/commands')).body.total).toBe(28);
+        
+        const { body } = await request(app).get('/prp/commands?type=persistent');
+        expect(body.total).toBe(8);
+        expect(body.commands.every(command => command.type === 'persistent')).toBe(true);
+        
+        expect((await request(app).get('/prp/commands?type=magic')).status).toBe(400);
+        expect((await request(app).get('/prp/commands/persistent.store')).body).toMatchObject({ id: 'persistent.store', category: 'storage' });
+        expect((await request(app).get('/prp/commands/persistent.nothing')).status).toBe(404);
+    });
+    
+    test('executes a command with the body as params and emits the result', async () => {
+        const events = [];
+        prpMethodology.on('command:executed', execution => events.push(execution.commandId));
+        
+        const stored = await request(app).post('/prp/commands/persistent.store?agentId=MARCUS').send({ key: 'plan', data: { steps: 3 } });
+        expect(stored.status).toBe(200);
+        expect(stored.body).toMatchObject({ success: true, execution: { commandId: 'persistent.store', agentId: 'MARCUS', status: 'completed' } });
+        
+        const retrieved = await request(app).post('/prp/commands/persistent.retrieve').send({ key: 'plan' });
+        expect(JSON.stringify(retrieved.body.result)).toContain('"steps":3');
+        expect(events).toEqual(['persistent.store', 'persistent.retrieve']);
+        
+        expect((await request(app).post('/prp/commands/persistent.nothing').send({})).status).toBe(404);
+    });
+    
+    test('reports validation failures with the execution record', async () => {
+        const failures = [];
+        prpMethodology.on('command:failed', execution => failures.push(execution.commandId));
+        
+        const response = await request(app).post('/prp/commands/persistent.store').send({ key: '' });
+        expect(response.status).toBe(400);
+        expect(response.body).toMatchObject({ success: false, execution: { status: 'failed' } });
+        expect(response.body.error).toContain('non-empty string key');
+        expect(failures).toEqual(['persistent.store']);
+    });
+    
+    test('pages and filters the execution history', async () => {
+        const { body } = await request(app).get('/prp/history?commandId=persistent.store&status=completed');
+        expect(body.history.map(execution => execution.agentId)).toEqual(['MARCUS']);
+        
+        expect((await request(app).get('/prp/history?agentId=MARCUS&limit=5')).body.total).toBe(1);
+        expect((await request(app).get('/prp/history?limit=0')).status).toBe(400);
+    });
+    
+    test('lists and toggles validation rules', async () => {
+        const { body: rules } = await request(app).get('/prp/rules');
+        expect(rules.map(rule => rule.id)).toContain('persistent.integrity');
+        expect(rules[0]).not.toHaveProperty('evaluate');
+        
+        expect((await request(app).put('/prp/rules/persistent.integrity').send({ active: false })).status).toBe(409);
+        expect((await request(app).put('/prp/rules/persistent.integrity').send({})).status).toBe(400);
+    });
+});
@@ -0,0 +1,140 @@
+/**
+ * PRP Methodology - Validation Rules tests
+ * Kevin Gardner - Magnificent Worldwide
+ */
+
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { DEFAULT_PRP_VALIDATION_RULES } from '../../src/core/prp-validation-rules.js';
+import { mockLogger } from '../helpers/virtual-modules.js';
+
+mockLogger();
+const { PRPMethodology } = await import('../../src/core/prp-methodology.js');
+
+const rule = id => DEFAULT_PRP_VALIDATION_RULES.find(entry => entry.id === id);
+
+const evaluate = (id, commandId, params, component = {}) => {
+    const { evaluate: check, options } = rule(id);
+    return check({ commandId, action: commandId.split('.')[1], params, component }, options);
+};
+
+const parallel = (activeJobs = 0) => ({ pool: { getStats: () => ({ activeJobs }) } });
+
+describe('parallel rules', () => {
+    test('consistency rejects duplicate job ids and templates with an id', () => {
+        const jobs = [{ id: 'a', type: 'function', name: 'echo' }, { id: 'a', type: 'function', name: 'echo' }];
+        
+        expect(evaluate('parallel.consistency', 'parallel.spawn', { jobs })).toEqual([expect.stringContaining('Duplicate job ids')]);
+        expect(evaluate('parallel.consistency', 'parallel.distribute', { job: { id: 'x' }, items: [1] })).toHaveLength(1);
+        expect(evaluate('parallel.consistency', 'parallel.merge', {})).toEqual(['Merging requires the batchId of the batch to merge']);
+    });
+    
+    test('deadlock requires positive concurrency and timeouts', () => {
+        expect(evaluate('parallel.deadlock', 'parallel.spawn', { concurrency: 0, jobs: [{ timeoutMs: -1 }] })).toHaveLength(2);
+        expect(evaluate('parallel.deadlock', 'parallel.spawn', { concurrency: 2, timeoutMs: 100, jobs: [] })).toEqual([]);
+    });
+    
+    test('resource limits the batch, the active jobs and the pool size', () => {
+        const items = Array.from({ length: 1001 }, (_, index) => index);
+        
+        expect(evaluate('parallel.resource', 'parallel.distribute', { job: {}, items }, parallel())).toEqual(['Batch of 1001 jobs exceeds the limit of 1000']);
+        expect(evaluate('parallel.resource', 'parallel.spawn', { jobs: [{}] }, parallel(100))).toEqual([expect.stringContaining('saturated')]);
+        expect(evaluate('parallel.resource', 'parallel.scale', { size: 64 }, parallel())).toEqual(['Pool size must be between 1 and 32, got 64']);
+    });
+    
+    test('resource limits the retries per job', () => {
+        expect(evaluate('parallel.resource', 'parallel.spawn', { jobs: [{}], retries: 6 }, parallel())).toEqual([expect.stringContaining('between 0 and 5')]);
+        expect(evaluate('parallel.resource', 'parallel.distribute', { job: {}, items: [1], retries: 1.5 }, parallel())).toHaveLength(1);
+        expect(evaluate('parallel.resource', 'parallel.spawn', { jobs: [{}], retries: 5 }, parallel())).toEqual([]);
+    });
+});
+
+describe('recursive rules', () => {
+    test('termination needs positive limits and a stopping criterion', () => {
+        expect(evaluate('recursive.termination', 'recursive.decompose', { maxDepth: 0 })).toHaveLength(1);
+        expect(evaluate('recursive.termination', 'recursive.converge', {})).toEqual(['Convergence needs a tolerance or maxIterations to stop at']);
+        expect(evaluate('recursive.termination', 'recursive.converge', { maxIterations: 5 })).toEqual([]);
+    });
+    
+    test('stack compares the requested depth with the remaining budget', () => {
+        const engine = { maxDepth: 10, recursionStack: ['outer', 'inner'] };
+        
+        expect(evaluate('recursive.stack', 'recursive.decompose', { maxDepth: 9 }, engine)).toEqual([expect.stringContaining('remaining recursion budget of 8')]);
+        expect(evaluate('recursive.stack', 'recursive.decompose', { maxDepth: 8 }, engine)).toEqual([]);
+    });
+    
+    test('convergence rejects tolerances that can never be met', () => {
+        expect(evaluate('recursive.convergence', 'recursive.converge', { tolerance: 0 })).toHaveLength(1);
+        expect(evaluate('recursive.convergence', 'recursive.converge', { tolerance: 0.01 })).toEqual([]);
+    });
+});
+
+describe('persistent rules', () => {
+    const store = { findCorruption: () => ['default/plan@1'], countKeys: () => 10000, hasKey: () => false, getCurrentVersion: () => 3, backups: new Map() };
+    
+    test('integrity rejects unserializable data and copying corrupted values', () => {
+        expect(evaluate('persistent.integrity', 'persistent.store', { key: 'k', data: { count: NaN, run: () => {} } }, store)).toEqual([
+            'data.count is NaN; it cannot be stored faithfully',
+            'data.run is a function; it cannot be stored faithfully'
+        ]);
+        expect(evaluate('persistent.integrity', 'persistent.backup', {}, store)).toEqual([expect.stringContaining('default/plan@1')]);
+    });
+    
+    test('consistency checks the expected version and the backup id', () => {
+        expect(evaluate('persistent.consistency', 'persistent.store', { key: 'k', expectedVersion: 2 }, store)).toEqual([
+            'Version conflict: expected version 2 but k is at version 3'
+        ]);
+        expect(evaluate('persistent.consistency', 'persistent.restore', { backupId: 'missing' }, store)).toEqual(['Backup not found: missing']);
+    });
+    
+    test('durability refuses new keys once storage is full', () => {
+        expect(evaluate('persistent.durability', 'persistent.store', { key: 'new' }, store)).toHaveLength(1);
+        expect(evaluate('persistent.durability', 'persistent.maintain', { maxVersions: 0 }, store)).toHaveLength(1);
+    });
+});
+
+describe('PRPMethodology rule toggling', () => {
+    let dataDir;
+    let prp;
+    
+    beforeAll(async () => {
+        dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'prp-rules-'));
+        prp = new PRPMethodology({ parallel: { poolSize: 1 }, persistence: { dataDir } });
+        await new Promise(resolve => prp.once('initialized', resolve));
+    });
+    
+    afterAll(async () => {
+        await prp.shutdown();
+        await fs.rm(dataDir, { recursive: true, force: true });
+    });
+    
+    test('runs every matching rule and reports all violations', async () => {
+        const outcome = await prp.executeCommand('persistent.store', { key: '', data: undefined });
+        
+        expect(outcome.success).toBe(false);
+        expect(outcome.error).toContain('persistent.integrity: Storing requires a non-empty string key');
+        expect(outcome.error).toContain('persistent.consistency: persistent.store requires a non-empty string key');
+        expect(prp.getValidationRules().find(entry => entry.id === 'persistent.integrity').violations).toBe(1);
+    });
+    
+    test('a rule can be switched off for one command', async () => {
+        prp.toggleRule('persistent.consistency', false, 'persistent.store');
+        
+        expect((await prp.executeCommand('persistent.store', { key: 'plan', data: 1, expectedVersion: 7 })).success).toBe(true);
+        expect(() => prp.toggleRule('persistent.consistency', false, 'parallel.spawn')).toThrow('does not apply');
+    });
+    
+    test('locked rules cannot be disabled', () => {
+        for (const [ruleId, commandId] of [
+            ['parallel.resource', 'parallel.spawn'],
+            ['recursive.stack', 'recursive.decompose'],
+            ['persistent.integrity', 'persistent.store']
+        ]) {
+            expect(() => prp.toggleRule(ruleId, false)).toThrow(expect.objectContaining({ statusCode: 409 }));
+            expect(() => prp.toggleRule(ruleId, false, commandId)).toThrow('cannot be disabled');
+        }
+        expect(prp.toggleRule('parallel.resource', true)).toMatchObject({ locked: true, active: true });
+    });
+});
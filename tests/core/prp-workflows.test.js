@@ -0,0 +1,169 @@
+/**
+ * PRP Methodology - Workflow tests
+ * Kevin Gardner - Magnificent Worldwide
+ */
+
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { PersistenceManager } from '../../src/core/prp-persistence.js';
+import { mockLogger } from '../helpers/virtual-modules.js';
+
+mockLogger();
+const { normalizeWorkflow, resolveTemplate, WorkflowEngine } = await import('../../src/core/prp-workflows.js');
+
+const COMMANDS = ['recursive.decompose', 'parallel.distribute', 'persistent.store'];
+
+const problemsOf = (definition) => {
+    try {
+        normalizeWorkflow(definition, COMMANDS);
+    } catch (error) {
+        expect(error.statusCode).toBe(400);
+        return error.details.problems;
+    }
+    throw new Error('Expected the definition to be rejected');
+};
+
+describe('normalizeWorkflow', () => {
+    test('defaults success to the next step (then end) and failure to fail', () => {
+        const workflow = normalizeWorkflow({
+            name: 'plan-and-store',
+            steps: [
+                { id: 'plan', command: 'recursive.decompose' },
+                { id: 'save', command: 'persistent.store', params: { key: 'plan' }, onFailure: 'plan' }
+            ]
+        }, COMMANDS);
+        
+        expect(workflow.steps[0]).toMatchObject({ onSuccess: 'save', onFailure: 'fail', params: {} });
+        expect(workflow.steps[1]).toMatchObject({ onSuccess: 'end', onFailure: 'plan' });
+    });
+    
+    test('rejects unknown commands and branches to missing steps', () => {
+        const problems = problemsOf({
+            name: 'broken',
+            steps: [
+                { id: 'a', command: 'parallel.explode' },
+                { id: 'b', command: 'persistent.store', onSuccess: 'nowhere' }
+            ]
+        });
+        
+        expect(problems).toEqual([
+            'steps.0 (a): unknown PRP command parallel.explode',
+            'steps.1 (b).onSuccess: no step named "nowhere"'
+        ]);
+    });
+    
+    test('rejects duplicate step ids, reserved ids and missing names', () => {
+        const problems = problemsOf({
+            steps: [
+                { id: 'a', command: 'persistent.store' },
+                { id: 'a', command: 'persistent.store' },
+                { id: 'end', command: 'persistent.store' }
+            ]
+        });
+        
+        expect(problems.some(problem => problem.startsWith('name:'))).toBe(true);
+        expect(problems.some(problem => problem.startsWith('steps.1:'))).toBe(true);
+        expect(problems.some(problem => problem.startsWith('steps.2.id:'))).toBe(true);
+    });
+    
+    test('requires at least one step', () => {
+        expect(problemsOf({ name: 'empty', steps: [] })).toEqual([expect.stringContaining('steps')]);
+    });
+});
+
+describe('resolveTemplate', () => {
+    const context = {
+        input: { task: { title: 'Ship it' }, count: 3 },
+        steps: { plan: { status: 'succeeded', result: { items: ['a', 'b'] } } },
+        previous: { status: 'failed', error: 'timeout' }
+    };
+    
+    test('a lone placeholder keeps the referenced value type', () => {
+        expect(resolveTemplate('{{input.task}}', context)).toEqual({ title: 'Ship it' });
+        expect(resolveTemplate('{{ steps.plan.result.items }}', context)).toEqual(['a', 'b']);
+        expect(resolveTemplate('{{input.count}}', context)).toBe(3);
+        expect(resolveTemplate('{{input.missing.deep}}', context)).toBeUndefined();
+    });
+    
+    test('placeholders inside text are interpolated as strings', () => {
+        expect(resolveTemplate('Task {{input.task.title}} x{{input.count}}', context)).toBe('Task Ship it x3');
+        expect(resolveTemplate('items={{steps.plan.result.items}}', context)).toBe('items=["a","b"]');
+        expect(resolveTemplate('error: {{previous.error}}{{previous.none}}', context)).toBe('error: timeout');
+    });
+    
+    test('resolves nested objects and arrays and leaves other values alone', () => {
+        expect(resolveTemplate({
+            items: '{{steps.plan.result.items}}',
+            job: { type: 'function', name: 'echo', args: ['{{input.count}}', 7, true, null] }
+        }, context)).toEqual({
+            items: ['a', 'b'],
+            job: { type: 'function', name: 'echo', args: [3, 7, true, null] }
+        });
+    });
+});
+
+describe('WorkflowEngine runs', () => {
+    let dataDir;
+    let persistence;
+    let engine;
+    
+    // Stands in for PRPMethodology: every command succeeds and echoes its params
+    const prp = {
+        commands: new Map(COMMANDS.map(commandId => [commandId, {}])),
+        executeCommand: async (commandId, params) => ({ success: true, execution: { id: `exec-${commandId}` }, result: params })
+    };
+    
+    beforeEach(async () => {
+        dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'prp-workflows-'));
+        persistence = new PersistenceManager({ dataDir });
+        await persistence.initialize();
+        engine = new WorkflowEngine(prp, { persistence });
+        await engine.initialize();
+        await engine.defineWorkflow({
+            name: 'plan-and-store',
+            steps: [
+                { id: 'plan', command: 'recursive.decompose', params: { task: '{{input.task}}' } },
+                { id: 'save', command: 'persistent.store', params: { key: 'plan', data: '{{steps.plan.result}}' } }
+            ]
+        });
+    });
+    
+    afterEach(async () => {
+        await fs.rm(dataDir, { recursive: true, force: true });
+    });
+    
+    test('passes step results along and saves each run to its own file', async () => {
+        const first = await engine.start('plan-and-store', { task: 'a' }, { wait: true });
+        
+        const writes = jest.spyOn(persistence, 'writeFileAtomic');
+        const second = await engine.start('plan-and-store', { task: 'b' }, { wait: true });
+        
+        expect(second).toMatchObject({ status: 'completed', steps: { save: { result: { key: 'plan', data: { task: 'b' } } } } });
+        const runsDir = path.join(dataDir, 'namespaces', 'prp-workflow-runs');
+        expect(new Set(writes.mock.calls.map(([file]) => file))).toEqual(new Set([path.join(runsDir, `${second.id}.json`)]));
+        expect((await fs.readdir(runsDir)).sort()).toEqual([`${first.id}.json`, `${second.id}.json`].sort());
+    });
+    
+    test('keeps its namespaces out of reach of persistent.* commands', async () => {
+        await expect(persistence.execute('persistent.store', { namespace: 'prp-workflows', key: 'plan-and-store', data: {} }))
+            .rejects.toMatchObject({ statusCode: 403 });
+        await expect(persistence.execute('persistent.archive', { namespace: 'prp-workflow-runs', purge: true }))
+            .rejects.toMatchObject({ statusCode: 403 });
+    });
+    
+    test('reloads runs after a restart and marks unfinished ones interrupted', async () => {
+        const run = await engine.start('plan-and-store', { task: 'a' }, { wait: true });
+        await persistence.store({ namespace: 'prp-workflow-runs', key: 'run-stale', data: { ...run, id: 'run-stale', status: 'running' } });
+        
+        const restarted = new PersistenceManager({ dataDir });
+        await restarted.initialize();
+        const reloaded = new WorkflowEngine(prp, { persistence: restarted });
+        await reloaded.initialize();
+        
+        expect(reloaded.getRun(run.id).status).toBe('completed');
+        expect(reloaded.getRun('run-stale').status).toBe('interrupted');
+        expect(reloaded.getWorkflow('plan-and-store').version).toBe(1);
+    });
+});
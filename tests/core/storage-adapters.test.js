@@ -0,0 +1,129 @@
+/**
+ * Trinity Storage - Adapter tests
+ * Kevin Gardner - Magnificent Worldwide
+ */
+
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { mockLogger } from '../helpers/virtual-modules.js';
+
+mockLogger();
+const { createStore, FileStore, MemoryStore, MongoStore } = await import('../../src/infrastructure/storage/index.js');
+const { TrinityOrchestrator } = await import('../../src/core/trinity-orchestrator.js');
+
+let dataDir;
+
+beforeEach(async () => {
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'trinity-store-'));
+});
+
+afterEach(async () => {
+    await fs.rm(dataDir, { recursive: true, force: true });
+});
+
+const activity = (type, timestamp, fields = {}) => ({ id: `${type}-${timestamp}`, type, timestamp: new Date(timestamp), ...fields });
+
+describe.each([
+    ['MemoryStore', () => new MemoryStore()],
+    ['FileStore', () => new FileStore({ dataDir })]
+])('%s', (name, create) => {
+    let store;
+    
+    beforeEach(async () => {
+        store = create();
+        await store.connect();
+    });
+    
+    test('saves, replaces and deletes records per collection', async () => {
+        await store.saveRecord('tasks', { id: 't1', title: 'Draft' });
+        await store.saveRecord('tasks', { id: 't1', title: 'Final' });
+        await store.saveRecord('tasks', { id: 't2', title: 'Other' });
+        await store.saveRecord('milestones', { id: 'm1' });
+        await store.deleteRecord('tasks', 't2');
+        
+        expect(await store.loadCollection('tasks')).toEqual([{ id: 't1', title: 'Final' }]);
+        expect(await store.loadCollection('milestones')).toEqual([{ id: 'm1' }]);
+        expect(await store.loadCollection('blockers')).toEqual([]);
+    });
+    
+    test('keeps the full activity log, queryable by time range, type, task and project', async () => {
+        await store.appendActivity(activity('task_created', '2025-07-01T10:00:00.000Z', { taskId: 't1', projectId: 'p1' }));
+        await store.appendActivity(activity('task_updated', '2025-07-03T10:00:00.000Z', { taskId: 't1', projectId: 'p1' }));
+        await store.appendActivity(activity('task_created', '2025-07-02T10:00:00.000Z', { taskId: 't2', projectId: 'p2' }));
+        
+        const ids = async query => (await store.queryActivity(query)).map(entry => entry.id);
+        expect(await ids()).toEqual(['task_created-2025-07-01T10:00:00.000Z', 'task_created-2025-07-02T10:00:00.000Z', 'task_updated-2025-07-03T10:00:00.000Z']);
+        expect(await ids({ from: '2025-07-02T00:00:00.000Z', to: '2025-07-02T23:59:59.000Z' })).toEqual(['task_created-2025-07-02T10:00:00.000Z']);
+        expect(await ids({ type: 'task_created', projectId: 'p1' })).toEqual(['task_created-2025-07-01T10:00:00.000Z']);
+        expect(await ids({ taskId: 't1', limit: 1 })).toEqual(['task_updated-2025-07-03T10:00:00.000Z']);
+    });
+});
+
+describe('FileStore durability', () => {
+    test('a new instance reads back records and activity with dates restored', async () => {
+        const store = new FileStore({ dataDir });
+        await store.connect();
+        await store.saveRecord('tasks', { id: 't1', due: new Date('2025-07-30T00:00:00.000Z'), note: '2025-07-30' });
+        await store.appendActivity(activity('task_created', '2025-07-01T10:00:00.000Z'));
+        await store.disconnect();
+        
+        const reopened = new FileStore({ dataDir });
+        await reopened.connect();
+        const [task] = await reopened.loadCollection('tasks');
+        expect(task.due).toEqual(new Date('2025-07-30T00:00:00.000Z'));
+        expect(task.note).toBe('2025-07-30');
+        expect((await reopened.queryActivity())[0].timestamp).toBeInstanceOf(Date);
+        expect(JSON.parse(await fs.readFile(path.join(dataDir, 'tasks.json'), 'utf8'))).toHaveProperty('t1');
+    });
+});
+
+describe('createStore', () => {
+    test('builds the configured adapter without connecting', () => {
+        expect(createStore({ type: 'memory' })).toBeInstanceOf(MemoryStore);
+        expect(createStore({ type: 'file', dataDir }).dataDir).toBe(dataDir);
+        
+        const mongo = createStore({ type: 'mongo', mongoUri: 'mongodb://db.internal:27017/trinity' });
+        expect(mongo).toBeInstanceOf(MongoStore);
+        expect(mongo).toMatchObject({ uri: 'mongodb://db.internal:27017/trinity', connection: null });
+        
+        expect(() => createStore({ type: 'sqlite' })).toThrow('Unknown storage type: sqlite');
+    });
+});
+
+describe('TrinityOrchestrator persistence', () => {
+    beforeEach(() => {
+        // The orchestrator refreshes metrics on intervals; keep them from firing
+        jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask', 'Date'] });
+    });
+    
+    afterEach(() => {
+        jest.clearAllTimers();
+        jest.useRealTimers();
+    });
+    
+    const createOrchestrator = async () => {
+        const engine = { getStatus: () => ({ agents: 0, status: 'ready' }) };
+        const orchestrator = new TrinityOrchestrator(engine, engine, null, {
+            store: new FileStore({ dataDir }),
+            routing: { autoAssign: false }
+        });
+        await orchestrator.initialize();
+        return orchestrator;
+    };
+    
+    test('writes through every mutation and reloads it after a restart', async () => {
+        const first = await createOrchestrator();
+        const task = await first.createTask({ title: 'Build API', priority: 'high' });
+        await first.updateTask(task.id, { status: 'in-progress' });
+        await first.store.disconnect();
+        
+        const restarted = await createOrchestrator();
+        expect(restarted.getTask(task.id)).toMatchObject({ title: 'Build API', status: 'in-progress', priority: 'high' });
+        expect(restarted.getProject(task.projectId)).not.toBeNull();
+        
+        const history = await restarted.store.queryActivity({ taskId: task.id });
+        expect(history.map(entry => entry.type)).toEqual(expect.arrayContaining(['task_created', 'task_updated']));
+    });
+});
@@ -0,0 +1,72 @@
+/**
+ * Trinity Framework - Task Dependency Graph tests
+ * Kevin Gardner - Magnificent Worldwide
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import { findDependencyCycle, computeCriticalPath, getRemainingHours } from '../../src/core/task-graph.js';
+
+const task = (id, estimatedHours, dependsOn = [], status = 'new') => ({ id, title: id, estimatedHours, dependsOn, status });
+
+describe('findDependencyCycle', () => {
+    const tasks = [task('a', 1), task('b', 1, ['a']), task('c', 1, ['b'])];
+    
+    test('returns null when the new dependencies keep the graph acyclic', () => {
+        expect(findDependencyCycle(tasks, 'd', ['c', 'a'])).toBeNull();
+        expect(findDependencyCycle(tasks, 'c', ['a'])).toBeNull();
+    });
+    
+    test('returns the cycle a new dependency would close', () => {
+        expect(findDependencyCycle(tasks, 'a', ['c'])).toEqual(['a', 'c', 'b', 'a']);
+    });
+    
+    test('detects a task depending on itself', () => {
+        expect(findDependencyCycle(tasks, 'b', ['b'])).toEqual(['b', 'b']);
+    });
+    
+    test('ignores dependencies on unknown tasks', () => {
+        expect(findDependencyCycle(tasks, 'a', ['missing'])).toBeNull();
+    });
+});
+
+describe('computeCriticalPath', () => {
+    test('follows the longest chain of remaining hours', () => {
+        const { path, totalDuration, tasks } = computeCriticalPath([
+            task('design', 4),
+            task('api', 8, ['design']),
+            task('ui', 2, ['design']),
+            task('release', 1, ['api', 'ui'])
+        ]);
+        
+        expect(path).toEqual(['design', 'api', 'release']);
+        expect(totalDuration).toBe(13);
+        
+        const ui = tasks.find(entry => entry.id === 'ui');
+        expect(ui).toMatchObject({ earliestStart: 4, latestStart: 10, slack: 6 });
+        expect(tasks.filter(entry => entry.slack === 0).map(entry => entry.id)).toEqual(['design', 'api', 'release']);
+    });
+    
+    test('leaves completed tasks out of the reported path', () => {
+        const { path, totalDuration } = computeCriticalPath([
+            task('design', 4, [], 'completed'),
+            task('api', 8, ['design']),
+            task('release', 1, ['api'])
+        ]);
+        
+        expect(path).toEqual(['api', 'release']);
+        expect(totalDuration).toBe(9);
+    });
+    
+    test('is empty when no work remains', () => {
+        expect(computeCriticalPath([task('a', 3, [], 'completed')])).toMatchObject({ path: [], totalDuration: 0 });
+        expect(computeCriticalPath([])).toMatchObject({ path: [], totalDuration: 0, tasks: [] });
+    });
+});
+
+describe('getRemainingHours', () => {
+    test('counts the estimate until the task is completed', () => {
+        expect(getRemainingHours(task('a', 5))).toBe(5);
+        expect(getRemainingHours(task('a', 5, [], 'completed'))).toBe(0);
+        expect(getRemainingHours({ id: 'a', status: 'new' })).toBe(0);
+    });
+});
@@ -0,0 +1,128 @@
+/**
+ * Trinity Framework - Task REST API tests
+ * Kevin Gardner - Magnificent Worldwide
+ */
+
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+import { mockServerModules } from '../helpers/virtual-modules.js';
+
+mockServerModules();
+const { TrinityBackendServer } = await import('../../server.js');
+const { TrinityOrchestrator } = await import('../../src/core/trinity-orchestrator.js');
+const { MemoryStore } = await import('../../src/infrastructure/storage/index.js');
+
+const PROJECT_ID = 'powerline-launch-2025';
+
+let orchestrator;
+let app;
+
+beforeEach(async () => {
+    // The orchestrator refreshes metrics on intervals; keep them from firing
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask'] });
+    
+    const engine = { getStatus: () => ({ agents: 0, status: 'ready' }) };
+    orchestrator = new TrinityOrchestrator(engine, engine, null, {
+        store: new MemoryStore(),
+        routing: { autoAssign: false }
+    });
+    await orchestrator.initialize();
+    
+    app = express();
+    app.use(express.json());
+    app.use('/tasks', TrinityBackendServer.prototype.createTaskRoutes.call({ orchestrator }));
+});
+
+afterEach(() => {
+    jest.clearAllTimers();
+    jest.useRealTimers();
+});
+
+const createTask = body => request(app).post('/tasks').send({ title: 'Build API', ...body });
+
+describe('POST /tasks', () => {
+    test('creates a task in the default project', async () => {
+        const response = await createTask({ priority: 'high', estimatedHours: 4 });
+        
+        expect(response.status).toBe(201);
+        expect(response.body).toMatchObject({ title: 'Build API', status: 'new', priority: 'high', projectId: PROJECT_ID });
+        expect(orchestrator.getTask(response.body.id)).not.toBeNull();
+    });
+    
+    test('rejects invalid bodies, unknown assignees and unknown projects', async () => {
+        expect((await request(app).post('/tasks').send({ priority: 'high' })).status).toBe(400);
+        expect((await createTask({ assignee: 'NOBODY' })).status).toBe(404);
+        expect((await createTask({ projectId: 'missing' })).body.error).toBe('Project not found: missing');
+    });
+});
+
+describe('PUT /tasks/:taskId', () => {
+    test('updates fields and records the status change', async () => {
+        const { body: task } = await createTask();
+        const response = await request(app).put(`/tasks/${task.id}`).send({ status: 'in-progress', estimatedHours: 6 });
+        
+        expect(response.status).toBe(200);
+        expect(response.body).toMatchObject({ status: 'in-progress', estimatedHours: 6 });
+        expect(new Date(response.body.statusChangedAt).getTime()).toBeGreaterThanOrEqual(new Date(task.statusChangedAt).getTime());
+    });
+    
+    test('returns 404 for unknown tasks and 400 for empty updates', async () => {
+        const { body: task } = await createTask();
+        
+        expect((await request(app).put('/tasks/missing').send({ status: 'completed' })).status).toBe(404);
+        expect((await request(app).put(`/tasks/${task.id}`).send({})).status).toBe(400);
+    });
+});
+
+describe('POST /tasks/:taskId/assign', () => {
+    test('assigns the task to an agent manually', async () => {
+        const { body: task } = await createTask();
+        const response = await request(app).post(`/tasks/${task.id}/assign`).send({ agentId: 'MARCUS' });
+        
+        expect(response.status).toBe(200);
+        expect(response.body).toMatchObject({ assignee: 'MARCUS', status: 'assigned', assignment: { mode: 'manual', agentId: 'MARCUS' } });
+    });
+    
+    test('returns 404 for unknown tasks or agents', async () => {
+        const { body: task } = await createTask();
+        
+        expect((await request(app).post('/tasks/missing/assign').send({ agentId: 'MARCUS' })).status).toBe(404);
+        expect((await request(app).post(`/tasks/${task.id}/assign`).send({ agentId: 'NOBODY' })).body.error).toBe('Agent not found: NOBODY');
+        expect((await request(app).post(`/tasks/${task.id}/assign`).send({})).status).toBe(400);
+    });
+});
+
+describe('GET /tasks', () => {
+    beforeEach(async () => {
+        for (let index = 1; index <= 5; index++) {
+            await createTask({ title: `Task ${index}`, priority: index % 2 ? 'high' : 'low' });
+        }
+    });
+    
+    test('filters by status, priority and assignee', async () => {
+        const [first] = orchestrator.getAllTasks();
+        await request(app).post(`/tasks/${first.id}/assign`).send({ agentId: 'ALEXA' });
+        
+        expect((await request(app).get('/tasks?priority=high')).body.total).toBe(3);
+        expect((await request(app).get('/tasks?assignee=ALEXA')).body.tasks.map(task => task.id)).toEqual([first.id]);
+        expect((await request(app).get('/tasks?status=new')).body.total).toBe(4);
+        expect((await request(app).get('/tasks?status=unknown')).status).toBe(400);
+    });
+    
+    test('pages the results', async () => {
+        const response = await request(app).get('/tasks?page=2&limit=2');
+        
+        expect(response.body).toMatchObject({ total: 5, page: 2, limit: 2, pages: 3 });
+        expect(response.body.tasks.map(task => task.title)).toEqual(['Task 3', 'Task 4']);
+        expect((await request(app).get('/tasks?page=3&limit=2')).body.tasks).toHaveLength(1);
+        expect((await request(app).get('/tasks?limit=500')).status).toBe(400);
+    });
+    
+    test('returns a single task or 404', async () => {
+        const [first] = orchestrator.getAllTasks();
+        
+        expect((await request(app).get(`/tasks/${first.id}`)).body.title).toBe('Task 1');
+        expect((await request(app).get('/tasks/missing')).status).toBe(404);
+    });
+});
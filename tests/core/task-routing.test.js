@@ -0,0 +1,134 @@
+/**
+ * Trinity Framework - Task Routing tests
+ * Kevin Gardner - Magnificent Worldwide
+ */
+
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { getRequiredSkills, rankAgents, routeTask } from '../../src/core/task-routing.js';
+import { mockLogger } from '../helpers/virtual-modules.js';
+
+mockLogger();
+const { TrinityOrchestrator } = await import('../../src/core/trinity-orchestrator.js');
+const { MemoryStore } = await import('../../src/infrastructure/storage/index.js');
+
+const agents = [
+    { id: 'WEB', status: 'ready', capabilities: ['frontend', 'react'], technologies: ['TypeScript'] },
+    { id: 'API', status: 'ready', capabilities: ['backend', 'api'], technologies: ['Node.js'] },
+    { id: 'FULL', status: 'ready', capabilities: ['frontend', 'backend', 'api'] },
+    { id: 'OLD', status: 'retired', capabilities: ['api'] }
+];
+
+describe('getRequiredSkills', () => {
+    test('uses requiredSkills, or tags when there are none, normalized', () => {
+        expect(getRequiredSkills({ requiredSkills: [' API', 'api', 'Node.js'], tags: ['ignored'] })).toEqual(['api', 'node.js']);
+        expect(getRequiredSkills({ requiredSkills: [], tags: ['React'] })).toEqual(['react']);
+        expect(getRequiredSkills({})).toEqual([]);
+    });
+});
+
+describe('rankAgents', () => {
+    test('scores skill match, load and health and explains ineligible agents', () => {
+        const load = { WEB: 0, API: 9, FULL: 2, OLD: 0 };
+        const health = { API: 'healthy', FULL: 'healthy' };
+        const ranked = rankAgents({ requiredSkills: ['backend', 'api'] }, agents, {
+            loadOf: agentId => load[agentId],
+            healthOf: agentId => health[agentId],
+            maxOpenTasks: 10
+        });
+        
+        expect(ranked.map(candidate => [candidate.agentId, candidate.eligible])).toEqual([
+            ['FULL', true], ['API', true], ['OLD', false], ['WEB', false]
+        ]);
+        expect(ranked[0]).toMatchObject({ score: 0.95, matchedSkills: ['backend', 'api'], openTasks: 2, health: 'healthy' });
+        expect(ranked[1].score).toBe(0.775);
+        expect(ranked.find(candidate => candidate.agentId === 'OLD').reasons).toEqual(['agent is retired']);
+        expect(ranked.find(candidate => candidate.agentId === 'WEB')).toMatchObject({ reasons: ['no matching skills'], missingSkills: ['backend', 'api'] });
+    });
+    
+    test('skips agents that are down or at capacity', () => {
+        const ranked = rankAgents({ tags: ['api'] }, agents.slice(1, 3), {
+            loadOf: agentId => (agentId === 'FULL' ? 3 : 0),
+            healthOf: agentId => (agentId === 'API' ? 'down' : 'healthy'),
+            maxOpenTasks: 3
+        });
+        
+        expect(ranked.map(candidate => [candidate.agentId, candidate.reasons])).toEqual([
+            ['API', ['agent is down']],
+            ['FULL', ['at capacity (3/3 open tasks)']]
+        ]);
+    });
+});
+
+describe('routeTask', () => {
+    test('picks the best eligible agent and explains the choice', () => {
+        const routing = routeTask({ tags: ['react'] }, agents);
+        
+        expect(routing).toMatchObject({ agentId: 'WEB', requiredSkills: ['react'] });
+        expect(routing.explanation).toBe('Chose WEB matched 1/1 required skills (react); 0 open tasks; health unknown; score 0.955');
+    });
+    
+    test('explains why nothing was assigned', () => {
+        expect(routeTask({}, agents)).toMatchObject({ agentId: null, explanation: expect.stringContaining('no required skills') });
+        expect(routeTask({ tags: ['go'] }, [])).toMatchObject({ agentId: null, explanation: 'No agents available on the project team' });
+        expect(routeTask({ tags: ['go'] }, agents.slice(0, 1)).explanation).toBe('No eligible agent: WEB (no matching skills)');
+    });
+});
+
+describe('TrinityOrchestrator auto-assignment', () => {
+    let health;
+    let orchestrator;
+    
+    beforeEach(async () => {
+        // The orchestrator refreshes metrics on intervals; keep them from firing
+        jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask'] });
+        
+        health = {};
+        const bmadEngine = {
+            getStatus: () => ({ agents: 0, status: 'ready' }),
+            getAgent: agentId => ({ health: { state: health[agentId] || 'healthy' } })
+        };
+        const engine = { getStatus: () => ({ agents: 0, status: 'ready' }) };
+        orchestrator = new TrinityOrchestrator(bmadEngine, engine, null, {
+            store: new MemoryStore(),
+            routing: { autoAssign: true, maxOpenTasks: 2 }
+        });
+        await orchestrator.initialize();
+    });
+    
+    afterEach(() => {
+        jest.clearAllTimers();
+        jest.useRealTimers();
+    });
+    
+    test('assigns new tasks to the agent whose capabilities match, with the reason', async () => {
+        const task = await orchestrator.createTask({ title: 'Orders API', requiredSkills: ['api', 'database'] });
+        
+        expect(task).toMatchObject({ assignee: 'MARCUS', status: 'assigned', assignment: { mode: 'auto', agentId: 'MARCUS', requiredSkills: ['api', 'database'] } });
+        expect(task.assignment.explanation).toMatch(/^Chose MARCUS matched 2\/2 required skills/);
+        expect((await orchestrator.createTask({ title: 'Spec', tags: ['api'], autoAssign: false })).assignee).toBeUndefined();
+    });
+    
+    test('leaves tasks unassigned when the only match is down or full, and says why', async () => {
+        health.MARCUS = 'down';
+        const blocked = await orchestrator.createTask({ title: 'Migrate', tags: ['database'] });
+        expect(blocked.assignee).toBeUndefined();
+        expect(blocked.assignment).toEqual({ mode: 'auto', agentId: null, explanation: expect.stringContaining('MARCUS (agent is down)') });
+        
+        health.MARCUS = 'healthy';
+        await orchestrator.createTask({ title: 'Index', tags: ['database'] });
+        await orchestrator.createTask({ title: 'Backup', tags: ['database'] });
+        await expect(orchestrator.autoAssignTask(blocked.id)).rejects.toMatchObject({
+            statusCode: 409,
+            details: { explanation: expect.stringContaining('at capacity (2/2 open tasks)') }
+        });
+    });
+    
+    test('a manual assignee overrides the automatic choice', async () => {
+        const task = await orchestrator.createTask({ title: 'Dashboard', tags: ['frontend'] });
+        expect(task.assignee).toBe('ALEXA');
+        
+        const updated = await orchestrator.updateTask(task.id, { assignee: 'ALEX' });
+        expect(updated.assignment).toMatchObject({ mode: 'manual', agentId: 'ALEX' });
+        expect((await orchestrator.createTask({ title: 'Widget', tags: ['frontend'], assignee: 'QUINN' })).assignment.mode).toBe('manual');
+    });
+});